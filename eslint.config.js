@@ -26,4 +26,26 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Script du service worker (importé par le SW Workbox)
+    files: ['public/push-sw.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+      sourceType: 'script',
+    },
+  },
+  {
+    // Scripts de build (Node)
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    // Edge Functions Supabase (Deno)
+    files: ['supabase/functions/**/*.js'],
+    languageOptions: {
+      globals: { Deno: 'readonly' },
+    },
+  },
 ])
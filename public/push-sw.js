@@ -0,0 +1,175 @@
+/**
+ * Notifications Web Push (importé dans le service worker Workbox,
+ * voir workbox.importScripts dans vite.config.js)
+ *
+ * - push : affiche la notification dans la langue de l'abonnement (fr / wo),
+ *   à partir des traductions de l'application (locales/<langue>/common.json,
+ *   pré-cachées par le service worker)
+ * - notificationclick : ouvre (ou focalise) l'application sur le détail du
+ *   signalement
+ * - message WATTU_TEST_PUSH : notification de test sans serveur push
+ *   (Paramètres → Notifications), même rendu qu'un vrai push
+ *
+ * Payload envoyé par supabase/functions/push-dispatch :
+ * { notification_id, report_id, type, data, locale, url }
+ */
+
+/* Textes de secours si les traductions ne sont pas disponibles */
+var PUSH_FALLBACK_TEXTS = {
+  'notifications.title.statusChange': 'Statut mis à jour',
+  'notifications.type.priority_change': 'Priorité mise à jour',
+  'notifications.type.merge': 'Signalement regroupé',
+  'notifications.type.resolution': 'Preuve de résolution',
+  'notifications.newMessage': 'Nouveau message de la mairie',
+  'notifications.message.unknown': 'Le statut de votre signalement a changé.',
+  'notifications.message.voice': 'Message vocal',
+  'notifications.message.merge': 'Votre signalement a été regroupé avec un signalement similaire.',
+  'notifications.message.resolution': 'La mairie a ajouté une photo de l\'intervention.',
+  'notifications.message.priority_change': 'La mairie a classé votre signalement en priorité « {{priority}} ».',
+  'settings.push.test_title': 'WattU',
+  'settings.push.test_body': 'Les notifications fonctionnent sur cet appareil.',
+};
+
+var pushTranslations = {};
+
+/**
+ * Charger les traductions communes d'une langue (cache du SW, puis réseau)
+ */
+function loadPushTranslations(locale) {
+  var lang = locale === 'wo' ? 'wo' : 'fr';
+  if (pushTranslations[lang]) {
+    return Promise.resolve(pushTranslations[lang]);
+  }
+
+  var url = '/locales/' + lang + '/common.json';
+  return caches.match(url, { ignoreSearch: true })
+    .then(function (cached) { return cached || fetch(url); })
+    .then(function (response) { return response.json(); })
+    .then(function (json) {
+      pushTranslations[lang] = json;
+      return json;
+    })
+    .catch(function () { return {}; });
+}
+
+/**
+ * Valeur d'une clé pointée ; accepte aussi les clés plates contenant un
+ * point (ex. "title.statusChange" dans notifications)
+ */
+function lookup(node, parts) {
+  if (!node || typeof node !== 'object' || parts.length === 0) return undefined;
+  var flat = node[parts.join('.')];
+  if (typeof flat === 'string') return flat;
+  return lookup(node[parts[0]], parts.slice(1));
+}
+
+function translate(dictionary, key, params) {
+  var value = lookup(dictionary, key.split('.'));
+  if (typeof value !== 'string') {
+    value = PUSH_FALLBACK_TEXTS[key] || '';
+  }
+  return value.replace(/\{\{(\w+)\}\}/g, function (_, name) {
+    return params && params[name] !== undefined ? params[name] : '';
+  });
+}
+
+/**
+ * Titre et texte d'une notification (mêmes clés que useNotifications)
+ */
+function buildPushContent(payload, dictionary) {
+  var data = payload.data || {};
+
+  switch (payload.type) {
+    case 'status_change':
+      return {
+        title: translate(dictionary, 'notifications.title.statusChange'),
+        body: translate(dictionary, 'notifications.message.' + data.new_value)
+          || translate(dictionary, 'notifications.message.unknown'),
+      };
+    case 'priority_change':
+      return {
+        title: translate(dictionary, 'notifications.type.priority_change'),
+        body: translate(dictionary, 'notifications.message.priority_change', {
+          priority: translate(dictionary, 'priority.' + data.new_value) || data.new_value,
+        }),
+      };
+    case 'merge':
+      return {
+        title: translate(dictionary, 'notifications.type.merge'),
+        body: translate(dictionary, 'notifications.message.merge'),
+      };
+    case 'resolution':
+      return {
+        title: translate(dictionary, 'notifications.type.resolution'),
+        body: translate(dictionary, 'notifications.message.resolution'),
+      };
+    case 'comment':
+      return {
+        title: translate(dictionary, 'notifications.newMessage'),
+        body: data.body || translate(dictionary, 'notifications.message.voice'),
+      };
+    case 'test':
+      return {
+        title: translate(dictionary, 'settings.push.test_title'),
+        body: translate(dictionary, 'settings.push.test_body'),
+      };
+    default:
+      return {
+        title: 'WattU',
+        body: translate(dictionary, 'notifications.message.unknown'),
+      };
+  }
+}
+
+function showPushNotification(payload) {
+  return loadPushTranslations(payload.locale).then(function (dictionary) {
+    var content = buildPushContent(payload, dictionary);
+
+    return self.registration.showNotification(content.title, {
+      body: content.body,
+      icon: '/icons/android/android-launchericon-192-192.png',
+      badge: '/icons/android/android-launchericon-96-96.png',
+      lang: payload.locale === 'wo' ? 'wo' : 'fr',
+      // Une seule notification visible par signalement (la plus récente)
+      tag: payload.report_id ? 'report-' + payload.report_id : 'wattu',
+      renotify: true,
+      data: { url: payload.url || '/citizen/dashboard' },
+    });
+  });
+}
+
+self.addEventListener('push', function (event) {
+  var payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { type: 'unknown' };
+  }
+
+  event.waitUntil(showPushNotification(payload));
+});
+
+self.addEventListener('message', function (event) {
+  if (event.data && event.data.type === 'WATTU_TEST_PUSH') {
+    event.waitUntil(showPushNotification(event.data.payload || { type: 'test' }));
+  }
+});
+
+self.addEventListener('notificationclick', function (event) {
+  event.notification.close();
+  var url = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function (windows) {
+      for (var i = 0; i < windows.length; i += 1) {
+        var client = windows[i];
+        if (new URL(client.url).origin === self.location.origin && 'navigate' in client) {
+          return client.focus().then(function (focused) {
+            return focused.navigate(url);
+          });
+        }
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
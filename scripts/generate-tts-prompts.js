@@ -0,0 +1,175 @@
+/**
+ * Pré-génération des audios des consignes fixes (inscription vocale,
+ * parcours de signalement, suivi vocal des signalements)
+ *
+ * Usage : GEMINI_API_KEY=... npm run tts:prompts [-- --out public/tts]
+ *         npm run tts:prompts -- --mock --out /tmp/tts   (test de la chaîne)
+ *
+ * - Charge les consignes via Vite (alias @/, import.meta.env) : questions
+ *   fixes de l'inscription, et consignes report.* / status.* traduites
+ *   depuis public/locales/<langue>/common.json (même texte que l'application)
+ * - Calcule la clé de cache de chaque phrase (même clé que le cache
+ *   IndexedDB), génère l'audio avec Gemini TTS (PCM 16 bits mono) et écrit
+ *   <clé>.pcm + manifest.json, livrés avec la PWA (précache)
+ * - Incrémental : une phrase déjà générée par Gemini n'est pas régénérée
+ * - Lancé avant chaque build (prebuild) : sans GEMINI_API_KEY, rien n'est
+ *   généré et les audios existants sont conservés
+ * - --mock : fournisseur de test de la passerelle (bips), dans un dossier
+ *   --out explicite uniquement, pour ne jamais livrer ces audios
+ */
+
+import { access, mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createServer } from 'vite';
+import { GoogleGenAI } from '@google/genai';
+import { createMockProvider } from '../supabase/functions/ai-gateway/providers/mock.js';
+
+const LANGUAGES = ['fr', 'wo'];
+const TTS_MODEL = process.env.GEMINI_TTS_MODEL || 'gemini-2.5-flash-preview-tts';
+const DEFAULT_OUT_DIR = 'public/tts';
+const LOCALES_DIR = path.resolve('public/locales');
+
+const args = process.argv.slice(2);
+const outIndex = args.indexOf('--out');
+const outDir = path.resolve(outIndex >= 0 ? args[outIndex + 1] : DEFAULT_OUT_DIR);
+const useMock = args.includes('--mock');
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`${path.relative(process.cwd(), file)} : ${err.message}`);
+  }
+}
+
+async function fileExists(file) {
+  return access(file).then(() => true, () => false);
+}
+
+/**
+ * Traduction minimale (clé pointée + defaultValue) pour le texte des consignes
+ */
+function createTranslate(translations) {
+  return (key, { defaultValue }) => key
+    .split('.')
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), translations)
+    ?? defaultValue;
+}
+
+function createSynthesizer() {
+  if (useMock) {
+    console.warn('⚠️ --mock : audios de test (bips), à ne pas livrer');
+    const provider = createMockProvider();
+    return (text, voiceName) => provider.synthesizeSpeech({ text, voiceName });
+  }
+
+  const client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  return async (text, voiceName) => {
+    const response = await client.models.generateContent({
+      model: TTS_MODEL,
+      contents: [{ parts: [{ text }] }],
+      config: {
+        responseModalities: ['AUDIO'],
+        speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName } } },
+      },
+    });
+
+    const audioBase64 = response.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
+    if (!audioBase64) {
+      throw new Error('Aucune donnée audio retournée par Gemini TTS');
+    }
+    return { audioBase64, sampleRate: 24000 };
+  };
+}
+
+async function main() {
+  if (useMock && outIndex < 0) {
+    throw new Error('--mock exige un dossier --out (les bips ne doivent pas être livrés dans public/tts)');
+  }
+  if (!useMock && !process.env.GEMINI_API_KEY) {
+    console.warn(`⚠️ GEMINI_API_KEY absente : audios non générés (${path.relative(process.cwd(), outDir)} inchangé)`);
+    return;
+  }
+
+  const vite = await createServer({
+    server: { middlewareMode: true },
+    appType: 'custom',
+    logLevel: 'error',
+    optimizeDeps: { noDiscovery: true, include: [] },
+  });
+
+  try {
+    const questions = await vite.ssrLoadModule('/src/utils/voiceSignupQuestions.js');
+    const { getVoicePromptCatalog } = await vite.ssrLoadModule('/src/utils/voicePrompts.js');
+    const { getTtsCacheKey } = await vite.ssrLoadModule('/src/utils/ttsCache.js');
+    const synthesize = createSynthesizer();
+    const provider = useMock ? 'mock' : 'gemini';
+
+    // Audios déjà générés avec le même fournisseur : conservés
+    const previous = await readJson(path.join(outDir, 'manifest.json'));
+    const previousPrompts = previous?.provider === provider ? previous.prompts || {} : {};
+
+    const prompts = {};
+    let generated = 0;
+    let failed = 0;
+
+    await mkdir(outDir, { recursive: true });
+
+    for (const language of LANGUAGES) {
+      const speechOptions = questions.getSignupSpeechOptions(language);
+      const translations = await readJson(path.join(LOCALES_DIR, language, 'common.json'));
+      const translatedTexts = getVoicePromptCatalog({ language, translate: createTranslate(translations || {}) })
+        .filter((prompt) => prompt.flow !== 'signup')
+        .map((prompt) => prompt.text);
+      const texts = [...new Set([...questions.getStaticSignupPrompts(language), ...translatedTexts])];
+
+      for (const text of texts) {
+        const key = await getTtsCacheKey(text, speechOptions);
+        const file = `${key}.pcm`;
+        const existing = previousPrompts[key];
+
+        if (existing && await fileExists(path.join(outDir, existing.file))) {
+          prompts[key] = existing;
+          continue;
+        }
+
+        try {
+          const { audioBase64, sampleRate } = await synthesize(text, speechOptions.voiceName);
+          await writeFile(path.join(outDir, file), Buffer.from(audioBase64, 'base64'));
+          prompts[key] = { file, sampleRate, language: speechOptions.language, text };
+          generated += 1;
+          console.log(`✅ ${speechOptions.language} ${file} — ${text.slice(0, 50)}`);
+        } catch (err) {
+          // La phrase reste synthétisée à la demande par l'application
+          failed += 1;
+          console.warn(`⚠️ ${speechOptions.language} non généré — ${text.slice(0, 50)} :`, err.message);
+        }
+      }
+    }
+
+    // Supprimer les audios de consignes qui ont changé
+    const stale = (await readdir(outDir)).filter((name) => name.endsWith('.pcm') && !prompts[name.replace('.pcm', '')]);
+    await Promise.all(stale.map((name) => rm(path.join(outDir, name))));
+
+    // Manifeste réécrit seulement s'il change (build sans modification du dépôt)
+    const unchanged = generated === 0 && stale.length === 0
+      && Object.keys(prompts).length === Object.keys(previousPrompts).length;
+    if (!unchanged) {
+      await writeFile(
+        path.join(outDir, 'manifest.json'),
+        `${JSON.stringify({ generatedAt: new Date().toISOString(), provider, prompts }, null, 2)}\n`
+      );
+    }
+    console.log(`📦 ${Object.keys(prompts).length} audios dans ${outDir} (${generated} générés, ${failed} en échec, ${stale.length} obsolètes supprimés)`);
+  } finally {
+    await vite.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Génération des audios impossible:', err);
+  process.exit(1);
+});
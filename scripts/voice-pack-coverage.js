@@ -0,0 +1,135 @@
+/**
+ * Rapport de couverture des packs vocaux enregistrés
+ *
+ * Usage : npm run voice-packs:coverage [-- --lang wo] [-- --json] [-- --strict]
+ *
+ * - Liste, pour chaque pack de public/voice-packs/<langue>/, les consignes
+ *   enregistrées et celles qui manquent (texte à enregistrer en regard)
+ * - Un enregistrement dont le fichier audio est absent compte comme manquant
+ * - Signale les enregistrements dont l'identifiant n'existe plus
+ * - --strict : code de sortie 1 s'il manque un enregistrement (CI)
+ */
+
+import { access, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createServer } from 'vite';
+
+const PACKS_DIR = path.resolve('public/voice-packs');
+const LOCALES_DIR = path.resolve('public/locales');
+
+const args = process.argv.slice(2);
+const langIndex = args.indexOf('--lang');
+const onlyLanguage = langIndex >= 0 ? args[langIndex + 1] : null;
+const asJson = args.includes('--json');
+const strict = args.includes('--strict');
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`${path.relative(process.cwd(), file)} : ${err.message}`);
+  }
+}
+
+async function fileExists(file) {
+  return access(file).then(() => true, () => false);
+}
+
+/**
+ * Traduction minimale (clé pointée + defaultValue) pour le texte des consignes
+ */
+function createTranslate(translations) {
+  return (key, { defaultValue }) => key
+    .split('.')
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), translations)
+    ?? defaultValue;
+}
+
+async function main() {
+  const vite = await createServer({
+    server: { middlewareMode: true },
+    appType: 'custom',
+    logLevel: 'error',
+    optimizeDeps: { noDiscovery: true, include: [] },
+  });
+
+  try {
+    const { getVoicePromptCatalog } = await vite.ssrLoadModule('/src/utils/voicePrompts.js');
+    const { VOICE_PACK_LANGUAGES, getVoicePackCoverage } = await vite.ssrLoadModule('/src/services/voicePackService.js');
+
+    const languages = onlyLanguage ? [onlyLanguage] : Object.keys(VOICE_PACK_LANGUAGES);
+    const reports = [];
+
+    for (const language of languages) {
+      const manifest = await readJson(path.join(PACKS_DIR, language, 'manifest.json'));
+      if (!manifest) {
+        if (onlyLanguage) {
+          console.warn(`⚠️ Aucun pack vocal ${language} (public/voice-packs/${language}/manifest.json)`);
+        }
+        continue;
+      }
+
+      // Questions de l'inscription dans la langue du pack si elle existe, sinon en français
+      const textLanguage = language === 'wo' ? 'wo' : 'fr';
+      const translations = await readJson(path.join(LOCALES_DIR, textLanguage, 'common.json'));
+      const catalog = getVoicePromptCatalog({
+        language: textLanguage,
+        translate: createTranslate(translations || {}),
+      });
+
+      // Ne compter que les enregistrements dont le fichier est présent
+      const clips = {};
+      const brokenFiles = [];
+      for (const [id, clip] of Object.entries(manifest.clips || {})) {
+        if (clip?.file && await fileExists(path.join(PACKS_DIR, language, clip.file))) {
+          clips[id] = clip;
+        } else {
+          brokenFiles.push(id);
+        }
+      }
+
+      const coverage = getVoicePackCoverage({ language, clips }, catalog.map((prompt) => prompt.id));
+      reports.push({
+        language,
+        name: manifest.name || VOICE_PACK_LANGUAGES[language],
+        ...coverage,
+        brokenFiles,
+        missingPrompts: catalog.filter((prompt) => coverage.missing.includes(prompt.id)),
+      });
+    }
+
+    if (asJson) {
+      console.log(JSON.stringify(reports, null, 2));
+    } else if (reports.length === 0) {
+      console.log('Aucun pack vocal dans public/voice-packs/');
+    } else {
+      for (const report of reports) {
+        console.log(`\n🎙️ ${report.name} (${report.language}) : ${report.recorded.length}/${report.total} consignes enregistrées (${Math.round(report.ratio * 100)} %)`);
+
+        for (const prompt of report.missingPrompts) {
+          console.log(`  ❌ ${prompt.id.padEnd(22)} ${prompt.text}`);
+        }
+        for (const id of report.brokenFiles) {
+          console.log(`  ⚠️ ${id} : fichier audio absent`);
+        }
+        for (const id of report.unknown) {
+          console.log(`  ⚠️ ${id} : identifiant inconnu (consigne renommée ou supprimée ?)`);
+        }
+      }
+    }
+
+    if (strict && reports.some((report) => report.missing.length > 0)) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await vite.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Rapport de couverture impossible:', err);
+  process.exit(1);
+});
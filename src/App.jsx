@@ -38,6 +38,10 @@ const AgentTrends = lazy(() => import('@/pages/Agent/AgentTrends'));
 const AdminDashboard = lazy(() => import('@/pages/Admin/AdminDashboard'));
 const GlobalReports = lazy(() => import('@/pages/Admin/GlobalReports'));
 const AdminAnalytics = lazy(() => import('@/pages/Admin/AdminAnalytics'));
+const ReportsMap = lazy(() => import('@/pages/Admin/ReportsMap'));
+const TriageRules = lazy(() => import('@/pages/Admin/TriageRules'));
+const SlaPolicies = lazy(() => import('@/pages/Admin/SlaPolicies'));
+const CommuneBoundaries = lazy(() => import('@/pages/Admin/CommuneBoundaries'));
 
 /**
  * Composant de chargement affiché pendant le lazy loading
@@ -199,9 +203,21 @@ function App() {
                 {/* Détail d'un signalement (réutilise le même que Agent) */}
                 <Route path="reports/:id" element={<ReportDetail />} />
 
+                {/* Carte : regroupements, densité et évolution par semaine */}
+                <Route path="map" element={<ReportsMap />} />
+
                 {/* Analytics statistiques */}
                 <Route path="analytics" element={<AdminAnalytics />} />
 
+                {/* Règles de triage (suggestion de priorité) */}
+                <Route path="triage" element={<TriageRules />} />
+
+                {/* Délais de traitement (SLA) par type et priorité */}
+                <Route path="sla" element={<SlaPolicies />} />
+
+                {/* Contours des communes (attribution automatique par GPS) */}
+                <Route path="communes" element={<CommuneBoundaries />} />
+
                 {/* Redirection par défaut : /admin → /admin/dashboard */}
                 <Route index element={<Navigate to="/admin/dashboard" replace />} />
               </Route>
@@ -0,0 +1,193 @@
+import { supabase } from '@/config/supabase';
+import aiConfig from '@/config/ai';
+
+/**
+ * API Layer pour la passerelle IA (Edge Function ai-gateway)
+ *
+ * Tâches disponibles :
+ * - analyze_audio : transcription + analyse d'un signalement vocal
+ * - transcribe : transcription seule (fournisseur STT 'gemini', voir sttService)
+ * - tts : synthèse vocale (PCM 16 bits mono)
+ * - extract_email / identify_commune / normalize_address : extraction
+ *   depuis une transcription
+ *
+ * Note : Le plafond d'appels est appliqué par utilisateur côté serveur
+ * (session Supabase, sinon session vocale x-voice-session ajoutée à chaque
+ * requête par le client Supabase, voir config/supabase).
+ * Avec VITE_AI_PROVIDER=mock, le fournisseur de test est exécuté
+ * localement, sans réseau.
+ */
+
+let mockProviderPromise = null;
+
+function getMockProvider() {
+  if (!mockProviderPromise) {
+    mockProviderPromise = import('../../supabase/functions/ai-gateway/providers/mock.js')
+      .then(({ createMockProvider }) => createMockProvider());
+  }
+  return mockProviderPromise;
+}
+
+const MOCK_TASKS = {
+  analyze_audio: (provider, params) => provider.analyzeAudio(params),
+  transcribe: (provider, params) => provider.transcribeAudio(params),
+  tts: (provider, params) => provider.synthesizeSpeech(params),
+  extract_email: (provider, params) => provider.extractEmail(params),
+  identify_commune: (provider, params) => provider.identifyCommune(params),
+  normalize_address: (provider, params) => provider.normalizeAddress(params),
+};
+
+/**
+ * Erreur { message, code } renvoyée par la passerelle (réponse non 2xx)
+ */
+async function readGatewayError(error) {
+  try {
+    const body = await error.context?.json();
+    if (body?.error) {
+      return body.error;
+    }
+  } catch {
+    // Corps illisible : erreur réseau / fonction non déployée
+  }
+  return {
+    message: error.message || 'Le service IA est indisponible',
+    code: 'GATEWAY_ERROR'
+  };
+}
+
+/**
+ * Appeler une tâche de la passerelle IA
+ *
+ * @param {string} task - analyze_audio | transcribe | tts | extract_email | identify_commune | normalize_address
+ * @param {Object} params - Paramètres de la tâche
+ *
+ * @returns {Promise<{data: any, error: Object|null}>}
+ *
+ * @example
+ * const { data, error } = await callAiGateway('extract_email', { text });
+ */
+export async function callAiGateway(task, params = {}) {
+  if (!aiConfig.enabled) {
+    return {
+      data: null,
+      error: {
+        message: 'L\'IA est désactivée (VITE_AI_PROVIDER=off)',
+        code: 'AI_DISABLED'
+      }
+    };
+  }
+
+  try {
+    if (aiConfig.provider === 'mock') {
+      const provider = await getMockProvider();
+      return { data: await MOCK_TASKS[task](provider, params), error: null };
+    }
+
+    const { data, error } = await supabase.functions.invoke(aiConfig.functionName, {
+      body: { task, ...params }
+    });
+
+    if (error) {
+      const gatewayError = await readGatewayError(error);
+      console.error(`❌ Erreur passerelle IA (${task}):`, gatewayError);
+      return { data: null, error: gatewayError };
+    }
+
+    return { data: data?.data ?? null, error: null };
+  } catch (err) {
+    console.error(`❌ Erreur inattendue passerelle IA (${task}):`, err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Le service IA est indisponible',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Transcrire et analyser un signalement vocal
+ *
+ * @param {Object} params
+ * @param {string} params.audioBase64 - Audio encodé en base64
+ * @param {string} [params.mimeType='audio/webm']
+ * @param {string} [params.language='fr']
+ *
+ * @returns {Promise<{data: {transcription, summary, keywords, category, severity, actions, confidence}|null, error: Object|null}>}
+ */
+export async function analyzeAudio({ audioBase64, mimeType = 'audio/webm', language = 'fr' }) {
+  return callAiGateway('analyze_audio', { audioBase64, mimeType, language });
+}
+
+/**
+ * Transcrire un enregistrement (sans analyse)
+ *
+ * @param {Object} params
+ * @param {string} params.audioBase64 - Audio encodé en base64
+ * @param {string} [params.mimeType='audio/webm']
+ * @param {string} [params.language='fr']
+ *
+ * @returns {Promise<{data: {text, confidence, words}|null, error: Object|null}>}
+ */
+export async function transcribeAudio({ audioBase64, mimeType = 'audio/webm', language = 'fr' }) {
+  return callAiGateway('transcribe', { audioBase64, mimeType, language });
+}
+
+/**
+ * Synthèse vocale
+ *
+ * @param {Object} params
+ * @param {string} params.text - Texte à prononcer
+ * @param {string} [params.voiceName='Kore']
+ * @param {string} [params.language='fr-FR']
+ *
+ * @returns {Promise<{data: {audioBase64: string, sampleRate: number}|null, error: Object|null}>}
+ */
+export async function synthesizeSpeech({ text, voiceName = 'Kore', language = 'fr-FR' }) {
+  return callAiGateway('tts', { text, voiceName, language });
+}
+
+/**
+ * Extraire un email d'une transcription
+ *
+ * @param {string} text
+ * @returns {Promise<{data: string|null, error: Object|null}>}
+ */
+export async function extractEmail(text) {
+  return callAiGateway('extract_email', { text });
+}
+
+/**
+ * Identifier une commune dans une transcription
+ *
+ * @param {string} text
+ * @param {Array<{name: string, region: string}>} communes - Communes candidates
+ * @returns {Promise<{data: string|null, error: Object|null}>} Nom de la commune
+ */
+export async function identifyCommune(text, communes) {
+  return callAiGateway('identify_commune', {
+    text,
+    communes: communes.map((c) => ({ name: c.name, region: c.region }))
+  });
+}
+
+/**
+ * Normaliser une adresse transcrite
+ *
+ * @param {string} text
+ * @returns {Promise<{data: string|null, error: Object|null}>}
+ */
+export async function normalizeAddress(text) {
+  return callAiGateway('normalize_address', { text });
+}
+
+export default {
+  callAiGateway,
+  analyzeAudio,
+  transcribeAudio,
+  synthesizeSpeech,
+  extractEmail,
+  identifyCommune,
+  normalizeAddress
+};
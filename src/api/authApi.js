@@ -73,17 +73,18 @@ export const authApi = {
    * Nos infos métier (role, commune_id, name) sont dans la table "users".
    * 
    * @param {string} userId - UUID de l'utilisateur (depuis auth.users)
-   * @returns {Promise<Object>} Profil complet : { id, name, email, role, commune_id, age }
+   * @returns {Promise<Object>} Profil complet : { id, name, email, role, commune_id, is_supervisor, age }
    * @throws {Error} Si user introuvable ou erreur DB
    * 
    * Le role peut être : 'agent' | 'admin' | 'citizen'
    * Le commune_id est null pour les admins, optionnel pour les citoyens
+   * is_supervisor : agent qui répartit les signalements de sa commune
    * L'age est optionnel pour tous les utilisateurs
    */
   async getUserProfile(userId) {
     const { data, error } = await supabase
       .from('users')
-      .select('id, name, email, role, commune_id, age, phone')
+      .select('id, name, email, role, commune_id, is_supervisor, age, phone')
       .eq('id', userId)
       .single(); // .single() car on attend 1 seul résultat
 
@@ -0,0 +1,170 @@
+import { supabase } from '@/config/supabase';
+
+/**
+ * API Layer pour les messages des signalements (report_comments)
+ *
+ * Interactions directes avec Supabase :
+ * - GET : Fil de messages d'un signalement
+ * - CREATE : Note interne (agents / admins) ou message public (échange avec
+ *   le citoyen auteur du signalement)
+ *
+ * Note : La RLS masque les notes internes au citoyen ; la visibilité d'une
+ * réponse est celle de son fil (trigger prepare_report_comment)
+ */
+
+/**
+ * Visibilités d'un message
+ */
+export const COMMENT_VISIBILITY = {
+  INTERNAL: 'internal',
+  PUBLIC: 'public'
+};
+
+/**
+ * Récupérer les messages d'un signalement (du plus ancien au plus récent)
+ *
+ * @param {string} reportId - UUID du signalement
+ * @param {Object} [options]
+ * @param {string} [options.visibility] - Limiter à une visibilité ('public' côté citoyen)
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *
+ * @example
+ * const { data: comments } = await getReportComments(reportId, { visibility: 'public' });
+ */
+export async function getReportComments(reportId, options = {}) {
+  try {
+    if (!reportId) {
+      return {
+        data: null,
+        error: {
+          message: 'ID du signalement requis',
+          code: 'MISSING_REPORT_ID'
+        }
+      };
+    }
+
+    let query = supabase
+      .from('report_comments')
+      .select('*')
+      .eq('report_id', reportId)
+      .order('created_at', { ascending: true });
+
+    if (options.visibility) {
+      query = query.eq('visibility', options.visibility);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('❌ Erreur récupération messages:', error);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getReportComments:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Publier un message sur un signalement
+ *
+ * @param {Object} comment
+ * @param {string} comment.reportId - UUID du signalement
+ * @param {string} [comment.body] - Texte du message
+ * @param {string} [comment.audioUrl] - Message vocal (storageApi.uploadReportAudio)
+ * @param {number} [comment.audioDuration] - Durée du message vocal (secondes)
+ * @param {string} [comment.visibility='internal'] - 'internal' | 'public'
+ * @param {string} [comment.parentId] - Message auquel on répond
+ * @param {Object} comment.author - { id, role, name } ('citizen' | 'agent' | 'admin')
+ *
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *
+ * @example
+ * const { data } = await addReportComment({
+ *   reportId,
+ *   body: 'Équipe envoyée sur place demain matin',
+ *   visibility: 'public',
+ *   author: { id: user.id, role: user.role, name: user.name }
+ * });
+ */
+export async function addReportComment(comment = {}) {
+  try {
+    const { reportId, body, audioUrl, audioDuration, parentId, author } = comment;
+    const text = body?.trim() || null;
+
+    if (!reportId || !author?.id || !author?.role) {
+      return {
+        data: null,
+        error: {
+          message: 'Signalement et auteur requis',
+          code: 'MISSING_REQUIRED_FIELDS'
+        }
+      };
+    }
+
+    if (!text && !audioUrl) {
+      return {
+        data: null,
+        error: {
+          message: 'Le message est vide',
+          code: 'EMPTY_COMMENT'
+        }
+      };
+    }
+
+    // Un citoyen n'écrit que dans l'échange public
+    const visibility = author.role === 'citizen'
+      ? COMMENT_VISIBILITY.PUBLIC
+      : comment.visibility || COMMENT_VISIBILITY.INTERNAL;
+
+    const { data, error } = await supabase
+      .from('report_comments')
+      .insert([{
+        report_id: reportId,
+        parent_id: parentId || null,
+        visibility,
+        body: text,
+        audio_url: audioUrl || null,
+        audio_duration: audioDuration ? Math.round(audioDuration) : null,
+        author_id: author.id,
+        author_role: author.role,
+        author_name: author.name || null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Erreur publication message:', error);
+      return { data: null, error };
+    }
+
+    console.log(`✅ Message ${data.visibility} publié sur le signalement ${reportId}`);
+    return { data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue addReportComment:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+export default {
+  COMMENT_VISIBILITY,
+  getReportComments,
+  addReportComment
+};
@@ -8,6 +8,9 @@ import { supabase } from '@/config/supabase';
  * - GET ALL : Récupérer toutes les communes
  * - GET BY ID : Récupérer une commune spécifique
  * - GET BY REGION : Récupérer les communes d'une région
+ * - RESOLVE : Trouver la commune qui contient un point GPS (contours PostGIS)
+ * - IMPORT : Enregistrer les contours des communes (admins)
+ * - EXTENT : Emprise d'une commune (carte hors-ligne des agents)
  * 
  * Note : Les citoyens n'ont besoin que de la lecture (SELECT)
  * Les modifications sont réservées aux admins via l'interface admin
@@ -246,12 +249,203 @@ export async function searchCommunes(searchTerm) {
   }
 }
 
+/**
+ * Trouver la commune dont le contour contient un point GPS
+ * 
+ * Appelle la fonction SQL resolve_commune (PostGIS). Renvoie `data: null`
+ * si aucun contour ne contient le point (contours non importés, hors Sénégal).
+ * 
+ * @param {number} latitude - Latitude GPS
+ * @param {number} longitude - Longitude GPS
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ * 
+ * @example
+ * const { data: commune } = await resolveCommuneByLocation(14.6928, -17.4467);
+ * // commune = { id: 'uuid', name: 'Dakar-Plateau', region: 'Dakar' }
+ */
+export async function resolveCommuneByLocation(latitude, longitude) {
+  try {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      return {
+        data: null,
+        error: {
+          message: 'Coordonnées GPS requises',
+          code: 'MISSING_COORDINATES'
+        }
+      };
+    }
+
+    const { data, error } = await supabase.rpc('resolve_commune', {
+      p_latitude: latitude,
+      p_longitude: longitude
+    });
+
+    if (error) {
+      console.error(' Erreur résolution commune:', error);
+      return { data: null, error };
+    }
+
+    const commune = Array.isArray(data) ? data[0] || null : data;
+    return { data: commune, error: null };
+
+  } catch (err) {
+    console.error(' Erreur inattendue resolveCommuneByLocation:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Récupérer les communes avec l'indicateur de contour (page admin)
+ * 
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ * 
+ * @example
+ * const { data } = await getCommunesBoundaryStatus();
+ * // data = [{ id, name, region, has_boundary: true }, ...]
+ */
+export async function getCommunesBoundaryStatus() {
+  try {
+    const { data, error } = await supabase
+      .from('communes')
+      .select('id, name, region, has_boundary, updated_at')
+      .order('region', { ascending: true })
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error(' Erreur récupération contours communes:', error);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+
+  } catch (err) {
+    console.error(' Erreur inattendue getCommunesBoundaryStatus:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Enregistrer les contours des communes (ADMIN uniquement)
+ * 
+ * Les signalements sans commune situés dans un nouveau contour y sont
+ * rattachés par la fonction SQL import_commune_boundaries.
+ * 
+ * @param {Array<{commune_id: string, geometry: Object}>} boundaries - Géométries GeoJSON
+ *   (Polygon ou MultiPolygon, WGS84) associées aux communes
+ * @returns {Promise<{data: number|null, error: Object|null}>} Nombre de communes mises à jour
+ * 
+ * @example
+ * const { data: updated } = await importCommuneBoundaries([
+ *   { commune_id: 'uuid-dakar', geometry: { type: 'Polygon', coordinates: [...] } }
+ * ]);
+ */
+export async function importCommuneBoundaries(boundaries) {
+  try {
+    if (!Array.isArray(boundaries) || boundaries.length === 0) {
+      return {
+        data: null,
+        error: {
+          message: 'Aucun contour à importer',
+          code: 'EMPTY_BOUNDARIES'
+        }
+      };
+    }
+
+    const { data, error } = await supabase.rpc('import_commune_boundaries', {
+      p_boundaries: boundaries
+    });
+
+    if (error) {
+      console.error(' Erreur import contours communes:', error);
+      return { data: null, error };
+    }
+
+    console.log(`✅ Contours importés pour ${data} communes`);
+    return { data, error: null };
+
+  } catch (err) {
+    console.error(' Erreur inattendue importCommuneBoundaries:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Récupérer l'emprise d'une commune (rectangle à couvrir hors-ligne)
+ * 
+ * Contour importé s'il existe, sinon emprise des signalements de la
+ * commune, avec une marge d'environ 500 m (fonction SQL commune_extent).
+ * 
+ * @param {string} communeId - UUID de la commune
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *   data = { south, west, north, east } ou null si la commune n'a ni contour ni signalement
+ * 
+ * @example
+ * const { data: bounds } = await getCommuneExtent('uuid-dakar');
+ */
+export async function getCommuneExtent(communeId) {
+  try {
+    if (!communeId) {
+      return {
+        data: null,
+        error: {
+          message: 'ID de commune requis',
+          code: 'MISSING_ID'
+        }
+      };
+    }
+
+    const { data, error } = await supabase.rpc('commune_extent', {
+      p_commune_id: communeId
+    });
+
+    if (error) {
+      console.error(' Erreur emprise commune:', error);
+      return { data: null, error };
+    }
+
+    const extent = Array.isArray(data) ? data[0] || null : data;
+    return { data: extent, error: null };
+
+  } catch (err) {
+    console.error(' Erreur inattendue getCommuneExtent:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
 export default {
   getAllCommunes,
   getCommuneById,
   getCommunesByRegion,
   getAllRegions,
-  searchCommunes
+  searchCommunes,
+  resolveCommuneByLocation,
+  getCommunesBoundaryStatus,
+  importCommuneBoundaries,
+  getCommuneExtent
 };
 
 
@@ -0,0 +1,217 @@
+import { supabase } from '@/config/supabase';
+
+/**
+ * API Layer pour la boîte de notifications des citoyens (notifications)
+ *
+ * Interactions directes avec Supabase :
+ * - GET : Notifications paginées (plus récentes d'abord), nombre de non lues
+ * - UPDATE : Marquer comme lu (une ou toutes)
+ * - DELETE : Supprimer (une ou toutes)
+ *
+ * Note : Les notifications sont créées par PostgreSQL (triggers sur
+ * report_events, reports et report_comments, migration notifications),
+ * jamais par le client
+ */
+
+/**
+ * Taille d'une page de notifications
+ */
+export const NOTIFICATIONS_PAGE_SIZE = 20;
+
+/**
+ * Récupérer une page de notifications d'un citoyen
+ *
+ * @param {string} recipientId - Supabase user OU voice user
+ * @param {Object} [options]
+ * @param {number} [options.offset=0] - Nombre de notifications déjà chargées
+ * @param {number} [options.limit=NOTIFICATIONS_PAGE_SIZE] - Taille de la page
+ *
+ * @returns {Promise<{data: Array|null, count: number, error: Object|null}>}
+ *
+ * @example
+ * const { data, count } = await getNotifications(userId, { offset: 20 });
+ */
+export async function getNotifications(recipientId, options = {}) {
+  try {
+    const { offset = 0, limit = NOTIFICATIONS_PAGE_SIZE } = options;
+
+    if (!recipientId) {
+      return { data: [], count: 0, error: null };
+    }
+
+    const { data, count, error } = await supabase
+      .from('notifications')
+      .select('*', { count: 'exact' })
+      .eq('recipient_id', recipientId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('❌ Erreur récupération notifications:', error);
+      return { data: null, count: 0, error };
+    }
+
+    return { data, count: count || 0, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getNotifications:', err);
+    return {
+      data: null,
+      count: 0,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Nombre de notifications non lues d'un citoyen
+ *
+ * @param {string} recipientId - Supabase user OU voice user
+ * @returns {Promise<{data: number|null, error: Object|null}>}
+ */
+export async function getUnreadNotificationsCount(recipientId) {
+  try {
+    if (!recipientId) {
+      return { data: 0, error: null };
+    }
+
+    const { count, error } = await supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('recipient_id', recipientId)
+      .is('read_at', null);
+
+    if (error) {
+      console.error('❌ Erreur comptage notifications non lues:', error);
+      return { data: null, error };
+    }
+
+    return { data: count || 0, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getUnreadNotificationsCount:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Marquer des notifications comme lues
+ *
+ * @param {string} recipientId - Supabase user OU voice user
+ * @param {Array<string>} [notificationIds] - Notifications à marquer (toutes les non lues si absent)
+ *
+ * @returns {Promise<{data: boolean, error: Object|null}>}
+ *
+ * @example
+ * await markNotificationsAsRead(userId, [notification.id]);
+ * await markNotificationsAsRead(userId); // tout marquer comme lu
+ */
+export async function markNotificationsAsRead(recipientId, notificationIds = null) {
+  try {
+    if (!recipientId) {
+      return {
+        data: false,
+        error: {
+          message: 'Destinataire requis',
+          code: 'MISSING_RECIPIENT_ID'
+        }
+      };
+    }
+
+    let query = supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('recipient_id', recipientId)
+      .is('read_at', null);
+
+    if (notificationIds) {
+      query = query.in('id', notificationIds);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      console.error('❌ Erreur lecture notifications:', error);
+      return { data: false, error };
+    }
+
+    return { data: true, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue markNotificationsAsRead:', err);
+    return {
+      data: false,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Supprimer des notifications
+ *
+ * @param {string} recipientId - Supabase user OU voice user
+ * @param {Array<string>} [notificationIds] - Notifications à supprimer (toutes si absent)
+ *
+ * @returns {Promise<{data: boolean, error: Object|null}>}
+ */
+export async function deleteNotifications(recipientId, notificationIds = null) {
+  try {
+    if (!recipientId) {
+      return {
+        data: false,
+        error: {
+          message: 'Destinataire requis',
+          code: 'MISSING_RECIPIENT_ID'
+        }
+      };
+    }
+
+    let query = supabase
+      .from('notifications')
+      .delete()
+      .eq('recipient_id', recipientId);
+
+    if (notificationIds) {
+      query = query.in('id', notificationIds);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      console.error('❌ Erreur suppression notifications:', error);
+      return { data: false, error };
+    }
+
+    return { data: true, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue deleteNotifications:', err);
+    return {
+      data: false,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+export default {
+  NOTIFICATIONS_PAGE_SIZE,
+  getNotifications,
+  getUnreadNotificationsCount,
+  markNotificationsAsRead,
+  deleteNotifications
+};
@@ -0,0 +1,113 @@
+import { supabase } from '@/config/supabase';
+
+/**
+ * API Layer pour les abonnements Web Push (push_subscriptions)
+ *
+ * Interactions avec Supabase (RPC save_push_subscription /
+ * delete_push_subscription) :
+ * - Enregistrer l'abonnement d'un appareil (ou mettre à jour sa langue)
+ * - Supprimer l'abonnement d'un appareil
+ *
+ * Le propriétaire de l'abonnement est l'utilisateur de la session
+ * (Supabase Auth ou session vocale x-voice-session), jamais un identifiant
+ * passé par le client.
+ *
+ * Note : L'envoi des push est fait côté serveur (Edge Function
+ * push-dispatch, déclenchée à chaque nouvelle notification)
+ */
+
+/**
+ * Enregistrer l'abonnement Web Push d'un appareil
+ *
+ * @param {PushSubscription|Object} subscription - Abonnement du navigateur (ou son toJSON())
+ * @param {Object} [options]
+ * @param {string} [options.locale='fr'] - Langue des notifications ('fr' | 'wo')
+ *
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *
+ * @example
+ * const { data } = await savePushSubscription(subscription, { locale: 'wo' });
+ */
+export async function savePushSubscription(subscription, options = {}) {
+  try {
+    const json = typeof subscription?.toJSON === 'function' ? subscription.toJSON() : subscription;
+
+    if (!json?.endpoint || !json?.keys?.p256dh || !json?.keys?.auth) {
+      return {
+        data: null,
+        error: {
+          message: 'Abonnement push incomplet',
+          code: 'INVALID_SUBSCRIPTION'
+        }
+      };
+    }
+
+    const { data, error } = await supabase
+      .rpc('save_push_subscription', {
+        p_endpoint: json.endpoint,
+        p_p256dh: json.keys.p256dh,
+        p_auth: json.keys.auth,
+        p_locale: options.locale === 'wo' ? 'wo' : 'fr',
+        p_user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : null
+      })
+      .single();
+
+    if (error) {
+      console.error('❌ Erreur enregistrement abonnement push:', error);
+      return { data: null, error };
+    }
+
+    console.log('✅ Abonnement push enregistré');
+    return { data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue savePushSubscription:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Supprimer l'abonnement Web Push d'un appareil
+ *
+ * @param {string} endpoint - Endpoint de l'abonnement du navigateur
+ * @returns {Promise<{data: boolean, error: Object|null}>}
+ */
+export async function deletePushSubscription(endpoint) {
+  try {
+    if (!endpoint) {
+      return { data: true, error: null };
+    }
+
+    const { error } = await supabase.rpc('delete_push_subscription', {
+      p_endpoint: endpoint
+    });
+
+    if (error) {
+      console.error('❌ Erreur suppression abonnement push:', error);
+      return { data: false, error };
+    }
+
+    return { data: true, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue deletePushSubscription:', err);
+    return {
+      data: false,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+export default {
+  savePushSubscription,
+  deletePushSubscription
+};
@@ -1,5 +1,7 @@
 
 import { supabase } from '@/config/supabase';
+import { getSearchTerms } from '@/utils/searchText';
+import { REPORT_TYPES } from '@/config/reportOptions';
 
 /**
  * API Layer pour les signalements (reports)
@@ -9,6 +11,13 @@ import { supabase } from '@/config/supabase';
  * - GET ALL : Récupérer tous les signalements publics
  * - GET BY ID : Récupérer un signalement spécifique
  * - GET BY COMMUNE : Récupérer les signalements d'une commune
+ * - PAGINATION : Listes agents / admins paginées par curseur (keyset)
+ * - RECHERCHE : Plein texte (description, transcription, citoyen, commune)
+ * - UPDATE : Statut / priorité / type, avec historique (report_events)
+ * - DOUBLONS : Détection, soutien ("moi aussi") et fusion
+ * - AFFECTATION : Signalements affectés aux agents, charge de travail
+ * - ACTIONS GROUPÉES : Mutations par lots avec résultat par signalement
+ * - STATISTIQUES : Agrégats calculés côté serveur (fonctions SQL)
  * 
  * Note : Pas de logique métier ici, juste les appels Supabase
  */
@@ -26,6 +35,16 @@ import { supabase } from '@/config/supabase';
  * @param {string} [reportData.phone] - Numéro de téléphone du citoyen
  * @param {string} [reportData.citizen_name] - Nom du citoyen
  * @param {string} [reportData.commune_id] - ID de la commune (UUID)
+ * @param {string} [reportData.audio_transcription] - Transcription du message vocal
+ * @param {string} [reportData.ai_category] - Catégorie suggérée par l'analyse IA de l'audio
+ * @param {string} [reportData.ai_severity] - Gravité estimée (low, medium, high)
+ * @param {number} [reportData.ai_confidence] - Confiance de l'analyse (0 à 1)
+ * @param {Object} [reportData.audio_analysis] - { summary, keywords, actions, language, analyzed_at }
+ * @param {string} [reportData.address] - Adresse saisie par le citoyen (texte libre)
+ * @param {Object} [reportData.address_details] - { street, quartier, landmark, city, region, source }
+ * @param {string} [reportData.client_request_id] - Clé d'idempotence générée par le client :
+ *   si un signalement existe déjà avec cette clé (rejeu après une réponse perdue),
+ *   il est renvoyé au lieu d'en créer un second
  * 
  * @returns {Promise<{data: Object|null, error: Object|null}>}
  * 
@@ -71,6 +90,17 @@ export async function createReport(reportData) {
           phone: reportData.phone || null,
           citizen_name: reportData.citizen_name || null,
           citizen_user_id: reportData.citizen_user_id || null,
+          // Analyse IA du message vocal (optionnelle)
+          audio_transcription: reportData.audio_transcription || null,
+          ai_category: reportData.ai_category || null,
+          ai_severity: reportData.ai_severity || null,
+          ai_confidence: reportData.ai_confidence ?? null,
+          audio_analysis: reportData.audio_analysis || null,
+          // Adresse lisible (géocodage inverse hors-ligne)
+          address: reportData.address || null,
+          address_details: reportData.address_details || null,
+          // Clé d'idempotence (unique) pour les rejeux de l'outbox
+          client_request_id: reportData.client_request_id || null,
           // status et priority sont auto-définis (default DB)
           // code_suivi reste NULL (pas de tracking pour MVP)
         }
@@ -79,6 +109,13 @@ export async function createReport(reportData) {
       .single();
 
     if (error) {
+      // Déjà créé lors d'une tentative précédente (réponse perdue) : on renvoie l'existant
+      if (error.code === '23505' && reportData.client_request_id
+        && `${error.message} ${error.details || ''}`.includes('client_request_id')) {
+        console.log('♻️ Signalement déjà créé pour cette clé:', reportData.client_request_id);
+        return await getReportByClientRequestId(reportData.client_request_id);
+      }
+
       console.error('❌ Erreur création signalement:', error);
       return { data: null, error };
     }
@@ -98,17 +135,39 @@ export async function createReport(reportData) {
   }
 }
 
+/**
+ * Récupérer un signalement par sa clé d'idempotence client
+ * 
+ * @param {string} clientRequestId - Valeur de reports.client_request_id
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function getReportByClientRequestId(clientRequestId) {
+  const { data, error } = await supabase
+    .from('reports')
+    .select()
+    .eq('client_request_id', clientRequestId)
+    .single();
+
+  if (error) {
+    console.error('❌ Erreur récupération signalement existant:', error);
+    return { data: null, error };
+  }
+
+  return { data, error: null };
+}
+
 /**
  * Récupérer tous les signalements publics
  * 
  * @param {Object} [options] - Options de filtrage
  * @param {string} [options.status] - Filtrer par statut (pending, in_progress, resolved, rejected)
- * @param {string} [options.type] - Filtrer par type (road, lighting, water, waste, security, other)
+ * @param {string} [options.type] - Filtrer par type (voir REPORT_TYPES, src/config/reportOptions.js)
  * @param {string} [options.priority] - Filtrer par priorité (low, normal, high, urgent)
  * @param {string} [options.commune_id] - Filtrer par commune (UUID)
  * @param {number} [options.limit] - Limite du nombre de résultats (default: 100)
  * @param {string} [options.orderBy] - Tri (default: 'created_at')
  * @param {boolean} [options.ascending] - Ordre croissant (default: false = DESC)
+ * @param {boolean} [options.includeDuplicates] - Inclure les doublons fusionnés (default: false)
  * 
  * @returns {Promise<{data: Array|null, error: Object|null}>}
  * 
@@ -124,7 +183,7 @@ export async function createReport(reportData) {
  * 
  * // Signalements urgents de type voirie
  * const result = await getAllReports({ 
- *   type: 'road',
+ *   type: 'voirie',
  *   priority: 'urgent',
  *   commune_id: 'uuid-dakar' 
  * });
@@ -138,7 +197,8 @@ export async function getAllReports(options = {}) {
       commune_id,
       limit = 100,
       orderBy = 'created_at',
-      ascending = false
+      ascending = false,
+      includeDuplicates = false
     } = options;
 
     let query = supabase
@@ -154,6 +214,11 @@ export async function getAllReports(options = {}) {
       .limit(limit)
       .order(orderBy, { ascending });
 
+    // Les doublons fusionnés sont représentés par leur signalement canonique
+    if (!includeDuplicates) {
+      query = query.is('duplicate_of', null);
+    }
+
     // Filtres optionnels
     if (status) {
       query = query.eq('status', status);
@@ -336,15 +401,39 @@ export async function getCitizenReports(userId, options = {}) {
 /**
  * Récupérer les signalements d'une commune spécifique
  * 
+ * Avec `pageSize`, la lecture est paginée par curseur côté serveur
+ * (voir PAGINATION PAR CURSEUR) et renvoie aussi `pageInfo`.
+ * 
  * @param {string} communeId - UUID de la commune
  * @param {Object} [options] - Options de filtrage
  * @param {string} [options.status] - Filtrer par statut
- * @param {number} [options.limit] - Limite du nombre de résultats (default: 100)
+ * @param {Array<string>} [options.statuses] - Filtrer par plusieurs statuts (mode paginé)
+ * @param {string} [options.type] - Filtrer par type
+ * @param {string} [options.priority] - Filtrer par priorité
+ * @param {string} [options.date_from] - Date de début (ISO string, mode paginé)
+ * @param {string} [options.date_to] - Date de fin (ISO string, mode paginé)
+ * @param {string} [options.search] - Recherche plein texte (mode paginé, voir searchReports)
+ * @param {string} [options.ai_category] - Catégorie suggérée par l'IA (mode paginé)
+ * @param {boolean} [options.ai_type_mismatch] - Suggestion IA différente du type (mode paginé)
+ * @param {boolean} [options.overdue] - Seulement les signalements en retard (SLA dépassé, mode paginé)
+ * @param {string} [options.assigned_to] - UUID de l'agent affecté, ou 'none' (mode paginé)
+ * @param {number} [options.limit] - Limite du nombre de résultats (default: 100, mode non paginé)
+ * @param {number} [options.pageSize] - Taille de page (active la pagination par curseur)
+ * @param {string} [options.sortBy] - Colonne de tri (REPORT_SORT_COLUMNS, default: 'created_at')
+ * @param {'asc'|'desc'} [options.sortOrder] - Ordre de tri (default: 'desc')
+ * @param {string} [options.cursor] - Curseur renvoyé dans pageInfo (startCursor / endCursor)
+ * @param {'after'|'before'|'last'} [options.direction] - Sens de lecture depuis le curseur
  * 
- * @returns {Promise<{data: Array|null, error: Object|null}>}
+ * @returns {Promise<{data: Array|null, pageInfo?: Object, error: Object|null}>}
  * 
  * @example
  * const result = await getReportsByCommune('uuid-dakar', { status: 'pending' });
+ * 
+ * // Page suivante (25 par page, plus récents en premier)
+ * const { data, pageInfo } = await getReportsByCommune('uuid-dakar', {
+ *   pageSize: 25,
+ *   cursor: previous.pageInfo.endCursor
+ * });
  */
 export async function getReportsByCommune(communeId, options = {}) {
   try {
@@ -358,6 +447,17 @@ export async function getReportsByCommune(communeId, options = {}) {
       };
     }
 
+    if (options.pageSize) {
+      const result = await fetchReportListingPage({ ...options, commune_id: communeId });
+
+      if (result.error) {
+        console.error('❌ Erreur pagination signalements commune:', result.error);
+      } else {
+        console.log(`✅ ${result.data.length}/${result.pageInfo.totalCount} signalements de la commune récupérés`);
+      }
+      return result;
+    }
+
     return await getAllReports({
       ...options,
       commune_id: communeId
@@ -423,23 +523,453 @@ export async function getReportsCount(filters = {}) {
   }
 }
 
+/**
+ * ═══════════════════════════════════════════════════════════
+ * PAGINATION PAR CURSEUR (keyset)
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Les listes agents / admins sont paginées côté serveur sur la vue
+ * reports_listing (reports + commune_name). Le curseur encode la valeur
+ * de la colonne triée et l'id du dernier signalement affiché : la page
+ * suivante est lue avec `(colonne, id) > (valeur, id)`, sans OFFSET,
+ * ce qui reste rapide même après des dizaines de milliers de lignes.
+ */
+
+/**
+ * Colonnes de tri autorisées pour les listes paginées
+ */
+export const REPORT_SORT_COLUMNS = ['created_at', 'type', 'status', 'priority', 'commune_name', 'id'];
+
+/**
+ * Encoder un curseur à partir d'un signalement de la page
+ *
+ * @param {Object} report - Signalement (ligne de reports_listing)
+ * @param {string} sortBy - Colonne triée
+ * @returns {string|null}
+ */
+function encodeReportCursor(report, sortBy) {
+  if (!report) {
+    return null;
+  }
+
+  return btoa(encodeURIComponent(JSON.stringify({ value: report[sortBy], id: report.id })));
+}
+
+/**
+ * Décoder un curseur produit par encodeReportCursor
+ *
+ * @param {string} cursor
+ * @returns {{value: any, id: string}|null} null si le curseur est invalide
+ */
+function decodeReportCursor(cursor) {
+  try {
+    const decoded = JSON.parse(decodeURIComponent(atob(cursor)));
+    return decoded?.id ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Échapper une valeur pour un filtre PostgREST `or=(...)`
+ * (les noms de commune peuvent contenir virgules ou parenthèses)
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Appliquer les filtres communs des listes de signalements
+ *
+ * Accepte les filtres simples (status, type) comme les filtres multiples
+ * de l'admin (statuses, types, commune_ids).
+ *
+ * `ai_category` / `ai_type_mismatch` : filtres sur l'analyse IA du message vocal.
+ *
+ * `overdue` : signalements ouverts dont l'échéance SLA (reports.due_at) est
+ * dépassée ; due_at est NULL pour les signalements résolus ou rejetés.
+ *
+ * `assigned_to` : UUID de l'agent affecté, ou 'none' pour la file non affectée.
+ *
+ * `search` : chaque terme normalisé (voir src/utils/searchText.js) doit
+ * apparaître dans reports.search_text (description, transcription audio,
+ * nom / téléphone du citoyen, commune), sans tenir compte des accents.
+ *
+ * @param {Object} query - Requête Supabase en cours de construction
+ * @param {Object} filters
+ * @returns {Object} Requête filtrée
+ */
+function applyReportListFilters(query, filters = {}) {
+  const {
+    status,
+    statuses,
+    type,
+    types,
+    priority,
+    commune_id,
+    commune_ids,
+    date_from,
+    date_to,
+    search,
+    ai_category,
+    ai_type_mismatch,
+    overdue,
+    assigned_to,
+    includeDuplicates = false
+  } = filters;
+
+  // Les doublons fusionnés sont représentés par leur signalement canonique
+  if (!includeDuplicates) {
+    query = query.is('duplicate_of', null);
+  }
+
+  if (commune_id) {
+    query = query.eq('commune_id', commune_id);
+  }
+  if (commune_ids && commune_ids.length > 0) {
+    query = query.in('commune_id', commune_ids);
+  }
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+  if (statuses && statuses.length > 0) {
+    query = query.in('status', statuses);
+  }
+
+  if (type) {
+    query = query.eq('type', type);
+  }
+  if (types && types.length > 0) {
+    query = query.in('type', types);
+  }
+
+  if (priority) {
+    query = query.eq('priority', priority);
+  }
+
+  if (date_from) {
+    query = query.gte('created_at', date_from);
+  }
+  if (date_to) {
+    query = query.lte('created_at', date_to);
+  }
+
+  // Analyse IA de l'audio : catégorie suggérée, ou suggestion ≠ type actuel
+  if (ai_category) {
+    query = query.eq('ai_category', ai_category);
+  }
+  if (ai_type_mismatch) {
+    query = query.eq('ai_type_mismatch', true);
+  }
+
+  if (overdue) {
+    query = query.lt('due_at', new Date().toISOString());
+  }
+
+  if (assigned_to === 'none') {
+    query = query.is('assigned_to', null);
+  } else if (assigned_to) {
+    query = query.eq('assigned_to', assigned_to);
+  }
+
+  // Termes en [a-z0-9] uniquement après normalisation : pas de joker ni d'échappement à gérer
+  if (search) {
+    getSearchTerms(search).forEach((term) => {
+      query = query.ilike('search_text', `%${term}%`);
+    });
+  }
+
+  return query;
+}
+
+/**
+ * Compter les signalements correspondant aux filtres (sans curseur)
+ */
+async function countReportListing(filters) {
+  return applyReportListFilters(
+    supabase.from('reports_listing').select('id', { count: 'exact', head: true }),
+    filters
+  );
+}
+
+/**
+ * Lire une page de signalements par curseur
+ *
+ * @param {Object} options - Filtres (voir applyReportListFilters) + pagination
+ * @param {number} options.pageSize - Nombre de signalements par page
+ * @param {string} [options.sortBy] - Colonne de tri (REPORT_SORT_COLUMNS, default: 'created_at')
+ * @param {'asc'|'desc'} [options.sortOrder] - Ordre de tri (default: 'desc')
+ * @param {string|null} [options.cursor] - Curseur de la page courante (startCursor / endCursor)
+ * @param {'after'|'before'|'last'} [options.direction] - 'after' = page suivante (ou première
+ *   page sans curseur), 'before' = page précédente, 'last' = dernière page
+ *
+ * @returns {Promise<{data: Array|null, pageInfo: Object|null, error: Object|null}>}
+ *   pageInfo = { totalCount, hasNextPage, hasPreviousPage, startCursor, endCursor }
+ */
+async function fetchReportListingPage(options) {
+  const {
+    pageSize,
+    sortBy = 'created_at',
+    sortOrder = 'desc',
+    cursor = null,
+    direction = 'after'
+  } = options;
+
+  if (!REPORT_SORT_COLUMNS.includes(sortBy)) {
+    return {
+      data: null,
+      pageInfo: null,
+      error: {
+        message: `Tri non supporté: ${sortBy}`,
+        code: 'INVALID_SORT'
+      }
+    };
+  }
+
+  const keyset = cursor ? decodeReportCursor(cursor) : null;
+  if (cursor && !keyset) {
+    return {
+      data: null,
+      pageInfo: null,
+      error: {
+        message: 'Curseur de pagination invalide',
+        code: 'INVALID_CURSOR'
+      }
+    };
+  }
+
+  const { count: totalCount, error: countError } = await countReportListing(options);
+  if (countError) {
+    return { data: null, pageInfo: null, error: countError };
+  }
+
+  // Pages précédente et dernière : lecture en ordre inverse puis retournement
+  const isBackward = direction === 'before' || direction === 'last';
+  const ascending = (sortOrder === 'asc') !== isBackward;
+
+  // Dernière page : seulement le reliquat (ex. 7 signalements sur 25)
+  const limit = direction === 'last'
+    ? (totalCount - Math.max(Math.ceil(totalCount / pageSize) - 1, 0) * pageSize) || pageSize
+    : pageSize;
+
+  let query = applyReportListFilters(
+    supabase
+      .from('reports_listing')
+      .select(`
+        *,
+        commune:commune_id (
+          id,
+          name,
+          region
+        )
+      `),
+    options
+  );
+
+  if (keyset && direction !== 'last') {
+    const operator = ascending ? 'gt' : 'lt';
+
+    if (sortBy === 'id') {
+      query = query[operator]('id', keyset.id);
+    } else {
+      const value = quoteFilterValue(keyset.value);
+      query = query.or(
+        `${sortBy}.${operator}.${value},and(${sortBy}.eq.${value},id.${operator}.${keyset.id})`
+      );
+    }
+  }
+
+  query = query.order(sortBy, { ascending });
+  if (sortBy !== 'id') {
+    // id départage les égalités : l'ordre est total, le curseur est stable
+    query = query.order('id', { ascending });
+  }
+
+  // Une ligne de plus pour savoir s'il reste des signalements dans ce sens
+  const { data, error } = await query.limit(limit + 1);
+
+  if (error) {
+    return { data: null, pageInfo: null, error };
+  }
+
+  const hasMore = data.length > limit;
+  const rows = data.slice(0, limit);
+  if (isBackward) {
+    rows.reverse();
+  }
+
+  let hasNextPage = hasMore;
+  let hasPreviousPage = Boolean(keyset);
+  if (direction === 'before') {
+    hasNextPage = true;
+    hasPreviousPage = hasMore;
+  } else if (direction === 'last') {
+    hasNextPage = false;
+    hasPreviousPage = hasMore;
+  }
+
+  const pageInfo = {
+    totalCount: totalCount || 0,
+    hasNextPage,
+    hasPreviousPage,
+    startCursor: encodeReportCursor(rows[0], sortBy),
+    endCursor: encodeReportCursor(rows[rows.length - 1], sortBy)
+  };
+
+  return { data: rows, pageInfo, error: null };
+}
+
+/**
+ * Taille des pages lues pour un export (sous le plafond max-rows de PostgREST)
+ */
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Récupérer TOUS les signalements correspondant aux filtres (export CSV)
+ *
+ * Parcourt la liste page par page avec le curseur : ni le plafond max-rows
+ * de PostgREST ni la taille de page affichée ne tronquent l'export.
+ *
+ * @param {Object} [options] - Filtres (voir applyReportListFilters : commune_id, status,
+ *   date_from, search, ai_category, overdue, assigned_to...) + sortBy / sortOrder
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *
+ * @example
+ * const { data } = await getReportsForExport({ commune_id: 'uuid-dakar', overdue: true });
+ */
+export async function getReportsForExport(options = {}) {
+  try {
+    const reports = [];
+    let cursor = null;
+
+    for (;;) {
+      const { data, pageInfo, error } = await fetchReportListingPage({
+        ...options,
+        pageSize: EXPORT_PAGE_SIZE,
+        cursor,
+        direction: 'after'
+      });
+
+      if (error) {
+        console.error('❌ Erreur export signalements:', error);
+        return { data: null, error };
+      }
+
+      reports.push(...data);
+      if (!pageInfo.hasNextPage) {
+        break;
+      }
+      cursor = pageInfo.endCursor;
+    }
+
+    console.log(`✅ ${reports.length} signalements récupérés pour l'export`);
+    return { data: reports, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getReportsForExport:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Rechercher des signalements (plein texte, paginé)
+ *
+ * Insensible aux accents, à la casse et aux variantes de graphie wolof
+ * (kh/x, ou/u, lettres doublées...). Tous les termes doivent correspondre.
+ * La RLS limite les résultats (agent = sa commune, admin = tout).
+ *
+ * @param {string} search - Saisie de l'utilisateur
+ * @param {Object} [options] - Filtres et pagination (voir getAdminReports)
+ * @param {number} [options.pageSize] - Taille de page (default: 25)
+ *
+ * @returns {Promise<{data: Array|null, pageInfo: Object|null, error: Object|null}>}
+ *
+ * @example
+ * const { data, pageInfo } = await searchReports('fuite medina');
+ * const { data } = await searchReports('Xadija', { commune_id: 'uuid-dakar', pageSize: 10 });
+ */
+export async function searchReports(search, options = {}) {
+  try {
+    if (getSearchTerms(search).length === 0) {
+      return {
+        data: null,
+        pageInfo: null,
+        error: {
+          message: 'Saisissez au moins un mot à rechercher',
+          code: 'EMPTY_SEARCH'
+        }
+      };
+    }
+
+    const result = await fetchReportListingPage({
+      pageSize: 25,
+      ...options,
+      search
+    });
+
+    if (result.error) {
+      console.error('❌ Erreur recherche signalements:', result.error);
+    } else {
+      console.log(`🔎 "${search}": ${result.pageInfo.totalCount} signalement(s) trouvé(s)`);
+    }
+    return result;
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue searchReports:', err);
+    return {
+      data: null,
+      pageInfo: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Statuts de clôture : exigent une justification (resolution_comment)
+ */
+export const CLOSING_STATUSES = ['resolved', 'rejected'];
+
 /**
  * Mettre à jour le statut d'un signalement (AGENT/ADMIN uniquement)
  * 
  * @param {string} reportId - UUID du signalement
  * @param {string} newStatus - Nouveau statut (pending, in_progress, resolved, rejected)
+ * @param {Object} [options]
+ * @param {string} [options.comment] - Commentaire enregistré dans l'historique
+ *   (OBLIGATOIRE pour resolved / rejected : c'est la justification montrée au citoyen)
+ * @param {string} [options.resolutionImageUrl] - Photo "après" (resolved / rejected uniquement)
+ *
+ * Les doublons fusionnés (duplicate_of) prennent le même statut dans la même
+ * transaction : en cas d'échec, rien n'est modifié.
  * 
  * @returns {Promise<{data: Object|null, error: Object|null}>}
  * 
  * @example
- * // Agent change statut de "pending" à "in_progress"
+ * // Agent change statut de "pending" à "in_progress""
  * const result = await updateReportStatus('uuid-report', 'in_progress');
  * 
+ * // Agent clôture avec justification + photo de l'intervention
+ * const result = await updateReportStatus('uuid-report', 'resolved', {
+ *   comment: 'Nid de poule rebouché le 12/03',
+ *   resolutionImageUrl: 'https://...storage.../after.jpg'
+ * });
+ * 
  * @security
  * - RLS Policy vérifie que l'agent modifie SEULEMENT sa commune
  * - Admin peut modifier tous les signalements
  */
-export async function updateReportStatus(reportId, newStatus) {
+export async function updateReportStatus(reportId, newStatus, options = {}) {
   try {
     // Validation basique
     if (!reportId) {
@@ -474,15 +1004,28 @@ export async function updateReportStatus(reportId, newStatus) {
       };
     }
 
-    // Mise à jour du statut + updated_at
+    // Clôture (résolu / rejeté) : justification obligatoire
+    const isClosing = CLOSING_STATUSES.includes(newStatus);
+    if (isClosing && !options.comment?.trim()) {
+      return {
+        data: null,
+        error: {
+          message: 'Une justification est obligatoire pour résoudre ou rejeter un signalement',
+          code: 'MISSING_JUSTIFICATION'
+        }
+      };
+    }
+
+    // Mise à jour du statut (+ justification), des doublons fusionnés et de
+    // l'historique dans la même transaction
     const { data, error } = await supabase
-      .from('reports')
-      .update({ 
-        status: newStatus,
-        updated_at: new Date().toISOString()
+      .rpc('update_report_field', {
+        p_report_id: reportId,
+        p_field: 'status',
+        p_value: newStatus,
+        p_comment: options.comment?.trim() || null,
+        p_resolution_image_url: isClosing ? options.resolutionImageUrl || null : null
       })
-      .eq('id', reportId)
-      .select()
       .single();
 
     if (error) {
@@ -510,6 +1053,8 @@ export async function updateReportStatus(reportId, newStatus) {
  * 
  * @param {string} reportId - UUID du signalement
  * @param {string} newPriority - Nouvelle priorité (low, normal, high, urgent)
+ * @param {Object} [options]
+ * @param {string} [options.comment] - Commentaire enregistré dans l'historique
  * 
  * @returns {Promise<{data: Object|null, error: Object|null}>}
  * 
@@ -521,7 +1066,7 @@ export async function updateReportStatus(reportId, newStatus) {
  * - RLS Policy vérifie que l'agent modifie SEULEMENT sa commune
  * - Admin peut modifier tous les signalements
  */
-export async function updateReportPriority(reportId, newPriority) {
+export async function updateReportPriority(reportId, newPriority, options = {}) {
   try {
     // Validation basique
     if (!reportId) {
@@ -556,15 +1101,14 @@ export async function updateReportPriority(reportId, newPriority) {
       };
     }
 
-    // Mise à jour de la priorité + updated_at
+    // Mise à jour de la priorité et historique dans la même transaction
     const { data, error } = await supabase
-      .from('reports')
-      .update({ 
-        priority: newPriority,
-        updated_at: new Date().toISOString()
+      .rpc('update_report_field', {
+        p_report_id: reportId,
+        p_field: 'priority',
+        p_value: newPriority,
+        p_comment: options.comment?.trim() || null
       })
-      .eq('id', reportId)
-      .select()
       .single();
 
     if (error) {
@@ -592,6 +1136,8 @@ export async function updateReportPriority(reportId, newPriority) {
  * 
  * @param {string} reportId - UUID du signalement
  * @param {string} newType - Nouveau type (voirie, eclairage, eau, etc.)
+ * @param {Object} [options]
+ * @param {string} [options.comment] - Commentaire enregistré dans l'historique
  * 
  * @returns {Promise<{data: Object|null, error: Object|null}>}
  * 
@@ -664,7 +1210,7 @@ export async function getAgentTrendsReports(communeId, options = {}) {
   }
 }
 
-export async function updateReportType(reportId, newType) {
+export async function updateReportType(reportId, newType, options = {}) {
   try {
     // Validation basique
     if (!reportId) {
@@ -688,20 +1234,7 @@ export async function updateReportType(reportId, newType) {
     }
 
     // Types valides
-    const validTypes = [
-      'voirie',
-      'eclairage',
-      'eau',
-      'proprete',
-      'securite',
-      'sante',
-      'electricite',
-      'assainissement',
-      'espaces_verts',
-      'autre'
-    ];
-
-    if (!validTypes.includes(newType)) {
+    if (!REPORT_TYPES.includes(newType)) {
       return {
         data: null,
         error: {
@@ -711,11 +1244,14 @@ export async function updateReportType(reportId, newType) {
       };
     }
 
-    // Mise à jour dans Supabase
+    // Mise à jour et historique dans la même transaction
     const { data, error } = await supabase
-      .from('reports')
-      .update({ type: newType })
-      .eq('id', reportId)
+      .rpc('update_report_field', {
+        p_report_id: reportId,
+        p_field: 'type',
+        p_value: newType,
+        p_comment: options.comment?.trim() || null
+      })
       .select(`
         *,
         commune:commune_id (
@@ -748,99 +1284,1180 @@ export async function updateReportType(reportId, newType) {
 
 /**
  * ═══════════════════════════════════════════════════════════
- * ADMIN-SPECIFIC FUNCTIONS
+ * HISTORIQUE DES SIGNALEMENTS (report_events)
  * ═══════════════════════════════════════════════════════════
  */
 
 /**
- * Récupérer TOUS les signalements (ADMIN uniquement)
+ * Types d'événements enregistrés dans report_events
+ */
+export const REPORT_EVENT_TYPES = {
+  STATUS_CHANGE: 'status_change',
+  PRIORITY_CHANGE: 'priority_change',
+  TYPE_CHANGE: 'type_change',
+  MERGE: 'merge', // écrit par la fonction SQL merge_reports()
+  SLA_ESCALATION: 'sla_escalation', // écrit par la fonction SQL escalate_overdue_reports()
+  ASSIGNMENT: 'assignment' // écrit par la fonction SQL assign_report()
+};
+
+/**
+ * Déterminer l'auteur d'une mutation
  * 
- * @param {Object} [options] - Options de filtrage avancées
- * @param {Array<string>} [options.commune_ids] - Filtrer par plusieurs communes (UUID array)
- * @param {Array<string>} [options.types] - Filtrer par plusieurs types (array)
- * @param {Array<string>} [options.statuses] - Filtrer par plusieurs statuts (array)
- * @param {string} [options.priority] - Filtrer par priorité (single)
- * @param {string} [options.date_from] - Date de début (ISO string)
- * @param {string} [options.date_to] - Date de fin (ISO string)
- * @param {number} [options.limit] - Limite du nombre de résultats (default: 1000)
- * @param {string} [options.orderBy] - Tri (default: 'created_at')
- * @param {boolean} [options.ascending] - Ordre croissant (default: false = DESC)
+ * Utilise l'acteur fourni par l'appelant (profil déjà chargé dans AuthContext),
+ * sinon retombe sur la session Supabase + la table users.
  * 
- * @returns {Promise<{data: Array|null, error: Object|null}>}
+ * @param {Object} [actor] - { id, role }
+ * @returns {Promise<{id: string|null, role: string}>}
+ */
+async function resolveActor(actor) {
+  if (actor?.id) {
+    return { id: actor.id, role: actor.role || 'system' };
+  }
+
+  const { data: authData } = await supabase.auth.getUser();
+  const authUser = authData?.user;
+  if (!authUser) {
+    return { id: null, role: 'system' };
+  }
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('role')
+    .eq('id', authUser.id)
+    .single();
+
+  return { id: authUser.id, role: profile?.role || 'system' };
+}
+
+/**
+ * Enregistrer un événement dans l'historique d'un signalement
  * 
- * @example
- * // Tous les signalements
- * const result = await getAdminReports();
+ * Pour les événements sans mutation associée : les changements de statut,
+ * priorité et type écrivent leur événement dans la même transaction
+ * (fonction SQL update_report_field).
  * 
- * // Signalements de Dakar et Saint-Louis, type voirie, urgents
- * const result = await getAdminReports({ 
- *   commune_ids: ['uuid-dakar', 'uuid-stlouis'],
- *   types: ['road'],
- *   statuses: ['pending', 'in_progress'],
- *   priority: 'urgent'
- * });
+ * @param {Object} event
+ * @param {string} event.report_id - UUID du signalement
+ * @param {string} event.event_type - Type d'événement (REPORT_EVENT_TYPES)
+ * @param {string} [event.field] - Colonne modifiée
+ * @param {string} [event.old_value] - Ancienne valeur
+ * @param {string} [event.new_value] - Nouvelle valeur
+ * @param {string} [event.comment] - Commentaire de l'agent (optionnel)
+ * @param {Object} [event.actor] - { id, role } de l'auteur (session courante par défaut)
  * 
- * @security
- * - RLS Policy vérifie que l'utilisateur est admin
- * - Accès TOUS les signalements (toutes communes)
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ * 
+ * @example
+ * await recordReportEvent({
+ *   report_id: 'uuid-report',
+ *   event_type: REPORT_EVENT_TYPES.STATUS_CHANGE,
+ *   field: 'status',
+ *   old_value: 'pending',
+ *   new_value: 'in_progress',
+ *   comment: 'Équipe envoyée sur place'
+ * });
  */
-export async function getAdminReports(options = {}) {
+export async function recordReportEvent(event) {
   try {
-    const {
-      commune_ids,
-      types,
-      statuses,
-      priority,
-      date_from,
-      date_to,
-      limit = 1000,
-      orderBy = 'created_at',
-      ascending = false
-    } = options;
+    if (!event?.report_id || !event?.event_type) {
+      return {
+        data: null,
+        error: {
+          message: 'report_id et event_type sont obligatoires',
+          code: 'MISSING_REQUIRED_FIELDS'
+        }
+      };
+    }
 
-    let query = supabase
-      .from('reports')
-      .select(`
-        *,
-        commune:commune_id (
-          id,
-          name,
-          region
-        )
-      `)
-      .limit(limit)
-      .order(orderBy, { ascending });
+    const actor = await resolveActor(event.actor);
+
+    const { data, error } = await supabase
+      .from('report_events')
+      .insert([
+        {
+          report_id: event.report_id,
+          event_type: event.event_type,
+          field: event.field || null,
+          old_value: event.old_value ?? null,
+          new_value: event.new_value ?? null,
+          comment: event.comment?.trim() || null,
+          actor_id: actor.id,
+          actor_role: actor.role
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Erreur enregistrement historique:', error);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue recordReportEvent:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Récupérer l'historique d'un signalement (plus ancien en premier)
+ * 
+ * @param {string} reportId - UUID du signalement
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ * 
+ * @example
+ * const { data: events } = await getReportEvents('uuid-report');
+ * // events = [{ event_type: 'status_change', old_value: 'pending', new_value: 'in_progress', actor_role: 'agent', ... }]
+ * 
+ * @security
+ * - RLS : admin (tout), agent (sa commune), citoyen (ses signalements)
+ */
+export async function getReportEvents(reportId) {
+  try {
+    if (!reportId) {
+      return {
+        data: null,
+        error: {
+          message: 'ID du signalement requis',
+          code: 'MISSING_REPORT_ID'
+        }
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('report_events')
+      .select('*')
+      .eq('report_id', reportId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ Erreur récupération historique:', error);
+      return { data: null, error };
+    }
+
+    return { data: data || [], error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getReportEvents:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * DOUBLONS (duplicate_of / report_supporters)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * Rechercher les signalements ouverts similaires (même type, proches, récents)
+ * 
+ * Appelle la fonction SQL find_similar_reports (distance Haversine côté serveur).
+ * Les doublons déjà fusionnés et les signalements clôturés sont exclus.
+ * 
+ * @param {Object} params
+ * @param {string} params.type - Type de signalement
+ * @param {number} params.latitude - Latitude GPS
+ * @param {number} params.longitude - Longitude GPS
+ * @param {number} [params.radiusMeters] - Rayon de recherche en mètres (default: 100)
+ * @param {number} [params.withinDays] - Fenêtre de temps en jours (default: 7)
+ * @param {string} [params.excludeId] - Signalement à exclure (ex: celui affiché)
+ * 
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *   data = [{ id, type, status, latitude, longitude, image_url, supporters_count, created_at, distance_m }]
+ *   trié du plus proche au plus éloigné
+ * 
+ * @example
+ * const { data: similar } = await findSimilarReports({
+ *   type: 'voirie',
+ *   latitude: 14.6928,
+ *   longitude: -17.4467
+ * });
+ * // similar[0].distance_m → 38.2
+ */
+export async function findSimilarReports(params = {}) {
+  try {
+    const {
+      type,
+      latitude,
+      longitude,
+      radiusMeters = 100,
+      withinDays = 7,
+      excludeId = null
+    } = params;
+
+    if (!type || latitude == null || longitude == null) {
+      return {
+        data: null,
+        error: {
+          message: 'Type, latitude et longitude sont obligatoires',
+          code: 'MISSING_REQUIRED_FIELDS'
+        }
+      };
+    }
+
+    const { data, error } = await supabase.rpc('find_similar_reports', {
+      p_type: type,
+      p_latitude: latitude,
+      p_longitude: longitude,
+      p_radius_m: radiusMeters,
+      p_within_days: withinDays,
+      p_exclude_id: excludeId
+    });
+
+    if (error) {
+      console.error('❌ Erreur recherche doublons:', error);
+      return { data: null, error };
+    }
+
+    return { data: data || [], error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue findSimilarReports:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Soutenir un signalement existant ("moi aussi") au lieu d'en créer un doublon
+ * 
+ * @param {Object} supporter
+ * @param {string} supporter.report_id - UUID du signalement soutenu
+ * @param {string} supporter.citizen_user_id - Supabase user OU voice user
+ * @param {string} [supporter.audio_url] - Message vocal déjà uploadé (optionnel)
+ * 
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *   error.code = 'ALREADY_SUPPORTED' si le citoyen soutient déjà ce signalement
+ * 
+ * @example
+ * await addReportSupporter({ report_id: 'uuid-report', citizen_user_id: 'uuid-user' });
+ */
+export async function addReportSupporter(supporter) {
+  try {
+    if (!supporter?.report_id || !supporter?.citizen_user_id) {
+      return {
+        data: null,
+        error: {
+          message: 'report_id et citizen_user_id sont obligatoires',
+          code: 'MISSING_REQUIRED_FIELDS'
+        }
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('report_supporters')
+      .insert([
+        {
+          report_id: supporter.report_id,
+          citizen_user_id: supporter.citizen_user_id,
+          audio_url: supporter.audio_url || null,
+          source: 'upvote'
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      // Violation de la contrainte unique (report_id, citizen_user_id)
+      if (error.code === '23505') {
+        return {
+          data: null,
+          error: {
+            message: 'Vous soutenez déjà ce signalement',
+            code: 'ALREADY_SUPPORTED'
+          }
+        };
+      }
+
+      console.error('❌ Erreur ajout soutien:', error);
+      return { data: null, error };
+    }
+
+    console.log('✅ Soutien enregistré:', data.report_id);
+    return { data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue addReportSupporter:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Récupérer les soutiens d'un signalement (plus ancien en premier)
+ * 
+ * @param {string} reportId - UUID du signalement
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *   data = [{ citizen_user_id, source: 'upvote'|'merge', merged_report_id, audio_url, created_at }]
+ */
+export async function getReportSupporters(reportId) {
+  try {
+    if (!reportId) {
+      return {
+        data: null,
+        error: {
+          message: 'ID du signalement requis',
+          code: 'MISSING_REPORT_ID'
+        }
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('report_supporters')
+      .select('*')
+      .eq('report_id', reportId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ Erreur récupération soutiens:', error);
+      return { data: null, error };
+    }
+
+    return { data: data || [], error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getReportSupporters:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Récupérer les IDs des signalements soutenus par un citoyen ("moi aussi")
+ * 
+ * Les soutiens issus d'une fusion ne sont pas inclus : l'auteur du doublon
+ * est déjà notifié via son propre signalement (statut propagé).
+ * Les notifications des soutiens sont générées côté serveur
+ * (notify_report_citizens, migration notifications).
+ * 
+ * @param {string} userId - Supabase user OU voice user
+ * @returns {Promise<{data: Array<string>|null, error: Object|null}>}
+ */
+export async function getSupportedReportIds(userId) {
+  try {
+    if (!userId) {
+      return { data: [], error: null };
+    }
+
+    const { data, error } = await supabase
+      .from('report_supporters')
+      .select('report_id')
+      .eq('citizen_user_id', userId)
+      .eq('source', 'upvote');
+
+    if (error) {
+      console.error('❌ Erreur récupération signalements soutenus:', error);
+      return { data: null, error };
+    }
+
+    return { data: (data || []).map((row) => row.report_id), error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getSupportedReportIds:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Fusionner des doublons dans un signalement canonique (AGENT/ADMIN uniquement)
+ * 
+ * Appelle la fonction SQL merge_reports (transaction unique) :
+ * - chaque doublon pointe vers le canonique (duplicate_of) et prend son statut
+ * - l'auteur de chaque doublon devient soutien du canonique
+ * - un événement 'merge' est ajouté à l'historique des deux signalements
+ * 
+ * @param {string} canonicalId - UUID du signalement conservé
+ * @param {Array<string>} duplicateIds - UUIDs des doublons à fusionner
+ * @param {Object} [options]
+ * @param {string} [options.comment] - Commentaire enregistré dans l'historique
+ * 
+ * @returns {Promise<{data: Object|null, error: Object|null}>} data = signalement canonique mis à jour
+ * 
+ * @example
+ * const { data: canonical } = await mergeReports('uuid-canonical', ['uuid-dup-1', 'uuid-dup-2']);
+ */
+export async function mergeReports(canonicalId, duplicateIds, options = {}) {
+  try {
+    if (!canonicalId || !duplicateIds?.length) {
+      return {
+        data: null,
+        error: {
+          message: 'Signalement canonique et doublons requis',
+          code: 'MISSING_REQUIRED_FIELDS'
+        }
+      };
+    }
+
+    if (duplicateIds.includes(canonicalId)) {
+      return {
+        data: null,
+        error: {
+          message: 'Un signalement ne peut pas être fusionné avec lui-même',
+          code: 'INVALID_MERGE'
+        }
+      };
+    }
+
+    const { data, error } = await supabase.rpc('merge_reports', {
+      p_canonical_id: canonicalId,
+      p_duplicate_ids: duplicateIds,
+      p_comment: options.comment?.trim() || null
+    });
+
+    if (error) {
+      console.error('❌ Erreur fusion doublons:', error);
+      return { data: null, error };
+    }
+
+    console.log(`✅ ${duplicateIds.length} doublon(s) fusionné(s) dans ${canonicalId}`);
+    return { data: Array.isArray(data) ? data[0] : data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue mergeReports:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * AFFECTATION DES AGENTS (assigned_to)
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Les règles (prise en charge, retrait, réaffectation par un superviseur)
+ * sont vérifiées par PostgreSQL (trigger reports_assignment_check).
+ */
+
+/**
+ * Affecter un signalement à un agent (ou retirer l'affectation)
+ * 
+ * Appelle la fonction SQL assign_report : mise à jour de assigned_to et
+ * événement 'assignment' dans l'historique, dans une même transaction.
+ * 
+ * @param {string} reportId - UUID du signalement
+ * @param {string|null} agentId - UUID de l'agent (null = remettre dans la file commune)
+ * @param {Object} [options]
+ * @param {string} [options.comment] - Commentaire enregistré dans l'historique
+ * 
+ * @returns {Promise<{data: Object|null, error: Object|null}>} data = signalement mis à jour
+ * 
+ * @example
+ * // L'agent connecté prend le signalement en charge
+ * const { data, error } = await assignReport('uuid-report', user.id);
+ * 
+ * @security
+ * - Agent : se prendre un signalement libre, ou se retirer du sien
+ * - Superviseur de la commune / admin : réaffecter à tout agent de la commune
+ */
+export async function assignReport(reportId, agentId, options = {}) {
+  try {
+    if (!reportId) {
+      return {
+        data: null,
+        error: {
+          message: 'ID du signalement requis',
+          code: 'MISSING_REPORT_ID'
+        }
+      };
+    }
+
+    const { data, error } = await supabase.rpc('assign_report', {
+      p_report_id: reportId,
+      p_agent_id: agentId || null,
+      p_comment: options.comment?.trim() || null
+    });
+
+    if (error) {
+      console.error('❌ Erreur affectation signalement:', error);
+      return { data: null, error };
+    }
+
+    console.log(`✅ Signalement ${reportId} ${agentId ? `affecté à ${agentId}` : 'remis dans la file commune'}`);
+    return { data: Array.isArray(data) ? data[0] : data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue assignReport:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Récupérer la charge de travail des agents d'une commune
+ * 
+ * Comptes calculés par la fonction SQL agent_workload (signalements
+ * affectés, hors doublons fusionnés).
+ * 
+ * @param {string} communeId - UUID de la commune
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *   data = [{ agent_id, name, is_supervisor, pending, in_progress, overdue, resolved_last_7_days }]
+ * 
+ * @example
+ * const { data: agents } = await getAgentWorkload(user.commune_id);
+ */
+export async function getAgentWorkload(communeId) {
+  try {
+    if (!communeId) {
+      return {
+        data: null,
+        error: {
+          message: 'ID de la commune requis',
+          code: 'MISSING_COMMUNE_ID'
+        }
+      };
+    }
+
+    const { data, error } = await supabase.rpc('agent_workload', {
+      p_commune_id: communeId
+    });
+
+    if (error) {
+      console.error('❌ Erreur charge de travail agents:', error);
+      return { data: null, error };
+    }
+
+    // bigint → number
+    const agents = (data || []).map((row) => ({
+      ...row,
+      pending: Number(row.pending),
+      in_progress: Number(row.in_progress),
+      overdue: Number(row.overdue),
+      resolved_last_7_days: Number(row.resolved_last_7_days)
+    }));
+
+    return { data: agents, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getAgentWorkload:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * ACTIONS GROUPÉES (sélection multiple)
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Chaque signalement passe par la mutation unitaire (mêmes validations,
+ * même historique report_events, mêmes règles RLS) ; les appels sont
+ * envoyés par lots pour ne pas saturer la connexion. Un échec n'arrête
+ * pas les autres lignes : le résultat liste les réussites et les échecs.
+ */
+
+/**
+ * Nombre de mutations envoyées en parallèle
+ */
+export const BULK_BATCH_SIZE = 10;
+
+/**
+ * Appliquer une mutation unitaire à une liste de signalements, par lots
+ * 
+ * @param {Array<string>} reportIds - UUIDs des signalements
+ * @param {function(string): Promise<{data: Object|null, error: Object|null}>} mutate
+ * @returns {Promise<{data: {succeeded: Array<Object>, failed: Array<{id: string, error: Object}>}|null, error: Object|null}>}
+ *   succeeded = signalements mis à jour
+ */
+async function runBulkMutation(reportIds, mutate) {
+  if (!reportIds?.length) {
+    return {
+      data: null,
+      error: {
+        message: 'Aucun signalement sélectionné',
+        code: 'EMPTY_SELECTION'
+      }
+    };
+  }
+
+  const succeeded = [];
+  const failed = [];
+
+  for (let start = 0; start < reportIds.length; start += BULK_BATCH_SIZE) {
+    const batch = reportIds.slice(start, start + BULK_BATCH_SIZE);
+    const results = await Promise.all(batch.map(async (id) => {
+      try {
+        return { id, ...(await mutate(id)) };
+      } catch (err) {
+        return { id, data: null, error: { message: err.message || 'Erreur inattendue', code: 'UNEXPECTED_ERROR' } };
+      }
+    }));
+
+    results.forEach(({ id, data, error }) => {
+      if (error) {
+        failed.push({ id, error });
+      } else {
+        succeeded.push(data);
+      }
+    });
+  }
+
+  console.log(`✅ Action groupée: ${succeeded.length} réussi(s), ${failed.length} échec(s)`);
+  return { data: { succeeded, failed }, error: null };
+}
+
+/**
+ * Changer le statut de plusieurs signalements
+ * 
+ * @param {Array<string>} reportIds - UUIDs des signalements
+ * @param {string} newStatus - Nouveau statut
+ * @param {Object} [options] - { comment } (comment obligatoire pour résolu / rejeté)
+ * @returns {Promise<{data: {succeeded: Array, failed: Array}|null, error: Object|null}>}
+ * 
+ * @example
+ * const { data } = await bulkUpdateReportStatus(ids, 'in_progress');
+ * // data = { succeeded: [{ id, status, ... }], failed: [{ id, error: { message, code } }] }
+ */
+export async function bulkUpdateReportStatus(reportIds, newStatus, options = {}) {
+  return runBulkMutation(reportIds, (id) => updateReportStatus(id, newStatus, options));
+}
+
+/**
+ * Changer la priorité de plusieurs signalements
+ * 
+ * @param {Array<string>} reportIds - UUIDs des signalements
+ * @param {string} newPriority - Nouvelle priorité
+ * @param {Object} [options] - { comment }
+ * @returns {Promise<{data: {succeeded: Array, failed: Array}|null, error: Object|null}>}
+ */
+export async function bulkUpdateReportPriority(reportIds, newPriority, options = {}) {
+  return runBulkMutation(reportIds, (id) => updateReportPriority(id, newPriority, options));
+}
+
+/**
+ * Reclasser plusieurs signalements dans un autre type
+ * 
+ * @param {Array<string>} reportIds - UUIDs des signalements
+ * @param {string} newType - Nouveau type
+ * @param {Object} [options] - { comment }
+ * @returns {Promise<{data: {succeeded: Array, failed: Array}|null, error: Object|null}>}
+ */
+export async function bulkUpdateReportType(reportIds, newType, options = {}) {
+  return runBulkMutation(reportIds, (id) => updateReportType(id, newType, options));
+}
+
+/**
+ * Affecter plusieurs signalements à un agent (null = file commune)
+ * 
+ * @param {Array<string>} reportIds - UUIDs des signalements
+ * @param {string|null} agentId - UUID de l'agent
+ * @param {Object} [options] - { comment }
+ * @returns {Promise<{data: {succeeded: Array, failed: Array}|null, error: Object|null}>}
+ */
+export async function bulkAssignReports(reportIds, agentId, options = {}) {
+  return runBulkMutation(reportIds, (id) => assignReport(id, agentId, options));
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * CARTE : CHARGEMENT PAR ZONE AFFICHÉE
+ * ═══════════════════════════════════════════════════════════
+ * 
+ * La carte ne demande que les signalements de l'emprise visible
+ * (bounds = { south, west, north, east } en degrés). Aux petits zooms,
+ * PostgreSQL les agrège par case de grille (report_map_clusters).
+ * La RLS s'applique ; les doublons fusionnés ne sont pas renvoyés.
+ */
 
-    // Filtres optionnels
+/**
+ * Colonnes affichées sur la carte (pas de données personnelles du citoyen)
+ */
+const MAP_REPORT_COLUMNS = `
+  id,
+  type,
+  description,
+  status,
+  priority,
+  latitude,
+  longitude,
+  address,
+  image_url,
+  created_at,
+  commune:commune_id (
+    id,
+    name
+  )
+`;
+
+/**
+ * Récupérer les signalements situés dans une emprise de carte
+ * 
+ * @param {Object} bounds - Emprise { south, west, north, east } (degrés)
+ * @param {Object} [options]
+ * @param {string} [options.status] - Filtrer par statut
+ * @param {string} [options.commune_id] - Filtrer par commune (UUID)
+ * @param {string} [options.citizen_user_id] - Seulement les signalements d'un citoyen
+ * @param {number} [options.limit] - Nombre max de signalements (default: 500)
+ * 
+ * @returns {Promise<{data: Array|null, hasMore: boolean, error: Object|null}>}
+ *   hasMore = true si l'emprise contient plus de `limit` signalements
+ * 
+ * @example
+ * const { data } = await getReportsInBounds(
+ *   { south: 14.65, west: -17.50, north: 14.78, east: -17.38 },
+ *   { status: 'pending' }
+ * );
+ */
+export async function getReportsInBounds(bounds, options = {}) {
+  try {
+    const { status, commune_id, citizen_user_id, limit = 500 } = options;
 
-    // Multi-commune filtering
-    if (commune_ids && commune_ids.length > 0) {
-      query = query.in('commune_id', commune_ids);
+    let query = supabase
+      .from('reports')
+      .select(MAP_REPORT_COLUMNS)
+      .is('duplicate_of', null)
+      .gte('latitude', bounds.south)
+      .lte('latitude', bounds.north)
+      .gte('longitude', bounds.west)
+      .lte('longitude', bounds.east)
+      .order('created_at', { ascending: false })
+      // Une ligne de plus pour savoir si l'emprise est tronquée
+      .limit(limit + 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (commune_id) {
+      query = query.eq('commune_id', commune_id);
+    }
+    if (citizen_user_id) {
+      query = query.eq('citizen_user_id', citizen_user_id);
     }
 
-    // Multi-type filtering
-    if (types && types.length > 0) {
-      query = query.in('type', types);
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('❌ Erreur récupération signalements (carte):', error);
+      return { data: null, hasMore: false, error };
     }
 
-    // Multi-status filtering
-    if (statuses && statuses.length > 0) {
-      query = query.in('status', statuses);
+    return {
+      data: data.slice(0, limit),
+      hasMore: data.length > limit,
+      error: null
+    };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getReportsInBounds:', err);
+    return {
+      data: null,
+      hasMore: false,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Récupérer les agrégats de signalements d'une emprise (petits zooms)
+ * 
+ * @param {Object} bounds - Emprise { south, west, north, east } (degrés)
+ * @param {Object} options
+ * @param {number} options.cellSize - Taille des cases de la grille (degrés)
+ * @param {string} [options.status] - Filtrer par statut
+ * @param {string} [options.commune_id] - Filtrer par commune (UUID)
+ * @param {string} [options.citizen_user_id] - Seulement les signalements d'un citoyen
+ * 
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *   data = [{ id, latitude, longitude, count, counts: { pending, in_progress, resolved, rejected } }]
+ * 
+ * @example
+ * const { data } = await getReportClustersInBounds(bounds, { cellSize: 0.5 });
+ */
+export async function getReportClustersInBounds(bounds, options = {}) {
+  try {
+    const { cellSize, status = null, commune_id = null, citizen_user_id = null } = options;
+
+    const { data, error } = await supabase.rpc('report_map_clusters', {
+      p_south: bounds.south,
+      p_west: bounds.west,
+      p_north: bounds.north,
+      p_east: bounds.east,
+      p_cell_size: cellSize,
+      p_status: status,
+      p_commune_id: commune_id,
+      p_citizen_user_id: citizen_user_id
+    });
+
+    if (error) {
+      console.error('❌ Erreur agrégats carte:', error);
+      return { data: null, error };
     }
 
-    // Single priority filtering
-    if (priority) {
-      query = query.eq('priority', priority);
+    return {
+      data: (data || []).map((row) => ({
+        id: `${row.latitude}:${row.longitude}`,
+        latitude: row.latitude,
+        longitude: row.longitude,
+        count: Number(row.count),
+        counts: {
+          pending: Number(row.pending),
+          in_progress: Number(row.in_progress),
+          resolved: Number(row.resolved),
+          rejected: Number(row.rejected)
+        }
+      })),
+      error: null
+    };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getReportClustersInBounds:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * DÉLAIS DE TRAITEMENT (SLA)
+ * ═══════════════════════════════════════════════════════════
+ * 
+ * Les échéances (response_due_at, resolution_due_at, due_at) sont
+ * calculées par PostgreSQL à partir de la table sla_policies (voir slaApi).
+ */
+
+/**
+ * Escalader les signalements dont l'échéance est dépassée
+ * 
+ * Appelle la fonction SQL escalate_overdue_reports() : un événement
+ * sla_escalation est écrit une seule fois par échéance, et diffusé en temps
+ * réel aux agents de la commune et aux admins (useSlaEscalations).
+ * Planifiée par pg_cron quand l'extension est disponible ; cet appel sert
+ * de relais à l'ouverture des espaces agent / admin.
+ * 
+ * @returns {Promise<{data: number|null, error: Object|null}>} Nombre de signalements escaladés
+ * 
+ * @example
+ * const { data: escalated } = await escalateOverdueReports();
+ */
+export async function escalateOverdueReports() {
+  try {
+    const { data, error } = await supabase.rpc('escalate_overdue_reports');
+
+    if (error) {
+      console.error('❌ Erreur escalade des signalements en retard:', error);
+      return { data: null, error };
+    }
+
+    if (data > 0) {
+      console.log(`⏰ ${data} signalement(s) en retard escaladé(s)`);
+    }
+    return { data: data || 0, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue escalateOverdueReports:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * STATISTIQUES AGRÉGÉES (fonctions SQL)
+ * ═══════════════════════════════════════════════════════════
+ * 
+ * Les comptages sont faits par PostgreSQL : seuls les agrégats
+ * transitent sur le réseau. La RLS s'applique (admin = tout,
+ * agent = sa commune). Les doublons fusionnés ne sont pas comptés.
+ */
+
+/**
+ * Récupérer le total et les répartitions par statut / priorité / type
+ * 
+ * @param {Object} [options]
+ * @param {string} [options.communeId] - Limiter à une commune (UUID)
+ * @param {Date} [options.dateFrom] - Signalements créés depuis cette date
+ * 
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *   data = { total, by_status: {...}, by_priority: {...}, by_type: {...} }
+ *   (seules les valeurs présentes en base apparaissent dans les répartitions)
+ * 
+ * @example
+ * const { data } = await getReportStatistics({ communeId: 'uuid-dakar' });
+ * // data = { total: 68, by_status: { pending: 12, resolved: 45, ... }, by_priority: {...}, by_type: {...} }
+ */
+export async function getReportStatistics(options = {}) {
+  try {
+    const { communeId = null, dateFrom = null } = options;
+
+    const { data, error } = await supabase.rpc('report_statistics', {
+      p_commune_id: communeId,
+      p_date_from: dateFrom ? dateFrom.toISOString() : null
+    });
+
+    if (error) {
+      console.error('❌ Erreur récupération statistiques:', error);
+      return { data: null, error };
+    }
+
+    return {
+      data: {
+        total: data?.total || 0,
+        by_status: data?.by_status || {},
+        by_priority: data?.by_priority || {},
+        by_type: data?.by_type || {}
+      },
+      error: null
+    };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getReportStatistics:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Récupérer le nombre de signalements par jour
+ * 
+ * Les jours sans signalement ne sont pas renvoyés.
+ * Les jours sont calculés dans le fuseau horaire du navigateur.
+ * 
+ * @param {Object} [options]
+ * @param {string} [options.communeId] - Limiter à une commune (UUID)
+ * @param {Date} [options.dateFrom] - Signalements créés depuis cette date
+ * 
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *   data = [{ date: '2025-10-25', count: 4 }, ...] (ordre chronologique)
+ * 
+ * @example
+ * const { data } = await getDailyReportCounts({ dateFrom: thirtyDaysAgo });
+ */
+export async function getDailyReportCounts(options = {}) {
+  try {
+    const { communeId = null, dateFrom = null } = options;
+
+    const { data, error } = await supabase.rpc('report_daily_counts', {
+      p_commune_id: communeId,
+      p_date_from: dateFrom ? dateFrom.toISOString() : null,
+      p_timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+    });
+
+    if (error) {
+      console.error('❌ Erreur récupération comptage journalier:', error);
+      return { data: null, error };
     }
 
-    // Date range filtering
-    if (date_from) {
-      query = query.gte('created_at', date_from);
+    return {
+      data: (data || []).map((row) => ({ date: row.day, count: Number(row.count) })),
+      error: null
+    };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getDailyReportCounts:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Récupérer le classement des communes par volume de signalements
+ * 
+ * @param {Object} [options]
+ * @param {Date} [options.dateFrom] - Signalements créés depuis cette date
+ * @param {number} [options.limit] - Nombre de communes (default: 5)
+ * 
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *   data = [{ commune_id, commune_name, commune_region, total_reports, pending, in_progress, resolved, rejected }]
+ *   (commune_id NULL = signalements sans commune)
+ */
+export async function getCommuneReportCounts(options = {}) {
+  try {
+    const { dateFrom = null, limit = 5 } = options;
+
+    const { data, error } = await supabase.rpc('report_commune_counts', {
+      p_date_from: dateFrom ? dateFrom.toISOString() : null,
+      p_limit: limit
+    });
+
+    if (error) {
+      console.error('❌ Erreur récupération classement communes:', error);
+      return { data: null, error };
     }
-    if (date_to) {
-      query = query.lte('created_at', date_to);
+
+    // count(*) est un bigint : PostgREST peut le renvoyer en chaîne
+    const rows = (data || []).map((row) => ({
+      ...row,
+      total_reports: Number(row.total_reports),
+      pending: Number(row.pending),
+      in_progress: Number(row.in_progress),
+      resolved: Number(row.resolved),
+      rejected: Number(row.rejected)
+    }));
+
+    return { data: rows, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getCommuneReportCounts:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════
+ * ADMIN-SPECIFIC FUNCTIONS
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * Récupérer TOUS les signalements (ADMIN uniquement)
+ * 
+ * @param {Object} [options] - Options de filtrage avancées
+ * @param {Array<string>} [options.commune_ids] - Filtrer par plusieurs communes (UUID array)
+ * @param {Array<string>} [options.types] - Filtrer par plusieurs types (array)
+ * @param {Array<string>} [options.statuses] - Filtrer par plusieurs statuts (array)
+ * @param {string} [options.priority] - Filtrer par priorité (single)
+ * @param {string} [options.date_from] - Date de début (ISO string)
+ * @param {string} [options.date_to] - Date de fin (ISO string)
+ * @param {string} [options.search] - Recherche plein texte (voir searchReports)
+ * @param {string} [options.ai_category] - Catégorie suggérée par l'IA
+ * @param {boolean} [options.ai_type_mismatch] - Suggestion IA différente du type
+ * @param {boolean} [options.overdue] - Seulement les signalements en retard (SLA dépassé)
+ * @param {number} [options.limit] - Limite du nombre de résultats (default: 1000)
+ * @param {string} [options.orderBy] - Tri (default: 'created_at')
+ * @param {boolean} [options.ascending] - Ordre croissant (default: false = DESC)
+ * @param {number} [options.pageSize] - Taille de page (active la pagination par curseur,
+ *   options sortBy / sortOrder / cursor / direction comme getReportsByCommune)
+ * 
+ * @returns {Promise<{data: Array|null, pageInfo?: Object, error: Object|null}>}
+ * 
+ * @example
+ * // Tous les signalements
+ * const result = await getAdminReports();
+ * 
+ * // Signalements de Dakar et Saint-Louis, type voirie, urgents
+ * const result = await getAdminReports({ 
+ *   commune_ids: ['uuid-dakar', 'uuid-stlouis'],
+ *   types: ['voirie'],
+ *   statuses: ['pending', 'in_progress'],
+ *   priority: 'urgent'
+ * });
+ * 
+ * // Dernière page, triée par commune
+ * const { data, pageInfo } = await getAdminReports({
+ *   pageSize: 50,
+ *   sortBy: 'commune_name',
+ *   sortOrder: 'asc',
+ *   direction: 'last'
+ * });
+ * 
+ * @security
+ * - RLS Policy vérifie que l'utilisateur est admin
+ * - Accès TOUS les signalements (toutes communes)
+ */
+export async function getAdminReports(options = {}) {
+  try {
+    if (options.pageSize) {
+      const result = await fetchReportListingPage(options);
+
+      if (result.error) {
+        console.error('❌ Erreur pagination signalements admin:', result.error);
+      } else {
+        console.log(`✅ Admin: ${result.data.length}/${result.pageInfo.totalCount} signalements récupérés`);
+      }
+      return result;
     }
 
+    const {
+      limit = 1000,
+      orderBy = 'created_at',
+      ascending = false
+    } = options;
+
+    const query = applyReportListFilters(
+      supabase
+        .from('reports')
+        .select(`
+          *,
+          commune:commune_id (
+            id,
+            name,
+            region
+          )
+        `)
+        .limit(limit)
+        .order(orderBy, { ascending }),
+      options
+    );
+
     const { data, error } = await query;
 
     if (error) {
@@ -884,28 +2501,25 @@ export async function getAdminReports(options = {}) {
  */
 export async function getGlobalStatistics() {
   try {
-    // Récupérer TOUS les signalements (RLS vérifiera admin)
-    const { data: allReports, error } = await supabase
-      .from('reports')
-      .select('status, priority');
+    // Agrégats calculés par PostgreSQL (RLS vérifiera admin)
+    const { data, error } = await getReportStatistics();
 
     if (error) {
       console.error('❌ Erreur récupération stats globales:', error);
       return { stats: null, error };
     }
 
-    // Calculer les stats
     const stats = {
-      total: allReports.length,
-      pending: allReports.filter(r => r.status === 'pending').length,
-      in_progress: allReports.filter(r => r.status === 'in_progress').length,
-      resolved: allReports.filter(r => r.status === 'resolved').length,
-      rejected: allReports.filter(r => r.status === 'rejected').length,
+      total: data.total,
+      pending: data.by_status.pending || 0,
+      in_progress: data.by_status.in_progress || 0,
+      resolved: data.by_status.resolved || 0,
+      rejected: data.by_status.rejected || 0,
       by_priority: {
-        low: allReports.filter(r => r.priority === 'low').length,
-        normal: allReports.filter(r => r.priority === 'normal').length,
-        high: allReports.filter(r => r.priority === 'high').length,
-        urgent: allReports.filter(r => r.priority === 'urgent').length,
+        low: data.by_priority.low || 0,
+        normal: data.by_priority.normal || 0,
+        high: data.by_priority.high || 0,
+        urgent: data.by_priority.urgent || 0,
       }
     };
 
@@ -953,58 +2567,19 @@ export async function getGlobalStatistics() {
  */
 export async function getTopCommunes(limit = 5) {
   try {
-    // Récupérer TOUS les signalements avec info commune (RLS vérifiera admin)
-    const { data: allReports, error } = await supabase
-      .from('reports')
-      .select(`
-        commune_id,
-        status,
-        commune:commune_id (
-          id,
-          name,
-          region
-        )
-      `);
+    // Classement calculé par PostgreSQL (RLS vérifiera admin)
+    const { data, error } = await getCommuneReportCounts({ limit });
 
     if (error) {
       console.error('❌ Erreur récupération top communes:', error);
       return { data: null, error };
     }
 
-    // Grouper par commune et calculer stats
-    const communeStatsMap = {};
-
-    allReports.forEach(report => {
-      const communeId = report.commune_id;
-      const communeName = report.commune?.name || 'Inconnu';
-      const communeRegion = report.commune?.region || 'Inconnu';
-
-      if (!communeStatsMap[communeId]) {
-        communeStatsMap[communeId] = {
-          commune_id: communeId,
-          commune_name: communeName,
-          commune_region: communeRegion,
-          total_reports: 0,
-          pending: 0,
-          in_progress: 0,
-          resolved: 0,
-          rejected: 0
-        };
-      }
-
-      communeStatsMap[communeId].total_reports++;
-
-      // Compter par statut
-      if (report.status === 'pending') communeStatsMap[communeId].pending++;
-      else if (report.status === 'in_progress') communeStatsMap[communeId].in_progress++;
-      else if (report.status === 'resolved') communeStatsMap[communeId].resolved++;
-      else if (report.status === 'rejected') communeStatsMap[communeId].rejected++;
-    });
-
-    // Convertir en array et trier par total_reports (DESC)
-    const topCommunes = Object.values(communeStatsMap)
-      .sort((a, b) => b.total_reports - a.total_reports)
-      .slice(0, limit);
+    const topCommunes = data.map((row) => ({
+      ...row,
+      commune_name: row.commune_name || 'Inconnu',
+      commune_region: row.commune_region || 'Inconnu'
+    }));
 
     console.log(`✅ Top ${limit} communes récupérées:`, topCommunes);
     return { data: topCommunes, error: null };
@@ -1031,7 +2606,30 @@ export default {
   updateReportStatus,
   updateReportPriority,
   updateReportType,
+  recordReportEvent,
+  getReportEvents,
+  REPORT_EVENT_TYPES,
+  CLOSING_STATUSES,
+  findSimilarReports,
+  addReportSupporter,
+  getReportSupporters,
+  getSupportedReportIds,
+  mergeReports,
+  assignReport,
+  getAgentWorkload,
+  BULK_BATCH_SIZE,
+  bulkUpdateReportStatus,
+  bulkUpdateReportPriority,
+  bulkUpdateReportType,
+  bulkAssignReports,
+  getReportsInBounds,
+  getReportClustersInBounds,
+  escalateOverdueReports,
+  getReportStatistics,
+  getDailyReportCounts,
+  getCommuneReportCounts,
   getAdminReports,
+  getReportsForExport,
   getGlobalStatistics,
   getTopCommunes,
   getAgentTrendsReports
@@ -0,0 +1,215 @@
+import { supabase } from '@/config/supabase';
+
+/**
+ * API Layer pour les délais de traitement (sla_policies)
+ *
+ * Interactions directes avec Supabase :
+ * - GET : Récupérer les politiques (agents et admins)
+ * - CREATE / UPDATE / DELETE : Gérer les politiques (admins uniquement, RLS)
+ *
+ * Note : Les échéances des signalements (due_at) sont recalculées par
+ * PostgreSQL à chaque modification d'une politique (migration report_sla)
+ */
+
+/**
+ * Champs modifiables d'une politique
+ */
+const POLICY_FIELDS = ['type', 'priority', 'response_hours', 'resolution_hours'];
+
+/**
+ * Ne garder que les colonnes connues (les champs vides deviennent NULL)
+ */
+function toPolicyRow(policy) {
+  return POLICY_FIELDS.reduce((row, field) => {
+    if (policy[field] !== undefined) {
+      row[field] = policy[field] === '' ? null : policy[field];
+    }
+    return row;
+  }, {});
+}
+
+/**
+ * Récupérer les politiques SLA (les plus générales d'abord)
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *
+ * @example
+ * const { data: policies } = await getSlaPolicies();
+ */
+export async function getSlaPolicies() {
+  try {
+    const { data, error } = await supabase
+      .from('sla_policies')
+      .select('*')
+      .order('type', { ascending: true, nullsFirst: true })
+      .order('priority', { ascending: true, nullsFirst: true });
+
+    if (error) {
+      console.error('❌ Erreur récupération politiques SLA:', error);
+      return { data: null, error };
+    }
+
+    console.log(`✅ ${data.length} politiques SLA récupérées`);
+    return { data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getSlaPolicies:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Créer une politique SLA (ADMIN uniquement)
+ *
+ * @param {Object} policy - { type, priority, response_hours, resolution_hours }
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - ID de l'admin (updated_by)
+ *
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *
+ * @example
+ * const { data } = await createSlaPolicy({
+ *   type: 'eclairage',
+ *   priority: 'urgent',
+ *   response_hours: 1,
+ *   resolution_hours: 4
+ * });
+ */
+export async function createSlaPolicy(policy, options = {}) {
+  try {
+    if (!policy?.response_hours || !policy?.resolution_hours) {
+      return {
+        data: null,
+        error: {
+          message: 'Délais de prise en charge et de résolution requis',
+          code: 'MISSING_REQUIRED_FIELDS'
+        }
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('sla_policies')
+      .insert([{ ...toPolicyRow(policy), updated_by: options.actorId || null }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Erreur création politique SLA:', error);
+      return { data: null, error };
+    }
+
+    console.log('✅ Politique SLA créée:', data.id);
+    return { data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue createSlaPolicy:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Modifier une politique SLA (ADMIN uniquement)
+ *
+ * @param {string} policyId - UUID de la politique
+ * @param {Object} changes - Champs modifiés
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - ID de l'admin (updated_by)
+ *
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *
+ * @example
+ * await updateSlaPolicy('uuid-policy', { resolution_hours: 48 });
+ */
+export async function updateSlaPolicy(policyId, changes, options = {}) {
+  try {
+    if (!policyId) {
+      return {
+        data: null,
+        error: {
+          message: 'ID de la politique requis',
+          code: 'MISSING_ID'
+        }
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('sla_policies')
+      .update({
+        ...toPolicyRow(changes),
+        updated_at: new Date().toISOString(),
+        updated_by: options.actorId || null
+      })
+      .eq('id', policyId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Erreur mise à jour politique SLA:', error);
+      return { data: null, error };
+    }
+
+    console.log('✅ Politique SLA mise à jour:', data.id);
+    return { data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue updateSlaPolicy:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Supprimer une politique SLA (ADMIN uniquement)
+ *
+ * @param {string} policyId - UUID de la politique
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function deleteSlaPolicy(policyId) {
+  try {
+    const { error } = await supabase
+      .from('sla_policies')
+      .delete()
+      .eq('id', policyId);
+
+    if (error) {
+      console.error('❌ Erreur suppression politique SLA:', error);
+      return { error };
+    }
+
+    console.log('🗑️ Politique SLA supprimée:', policyId);
+    return { error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue deleteSlaPolicy:', err);
+    return {
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+export default {
+  getSlaPolicies,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy
+};
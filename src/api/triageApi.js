@@ -0,0 +1,226 @@
+import { supabase } from '@/config/supabase';
+
+/**
+ * API Layer pour les règles de triage (triage_rules)
+ *
+ * Interactions directes avec Supabase :
+ * - GET : Récupérer les règles (agents et admins)
+ * - CREATE / UPDATE / DELETE : Gérer les règles (admins uniquement, RLS)
+ *
+ * Note : L'évaluation des règles (suggestion de priorité) est faite
+ * dans src/services/triageService.js
+ */
+
+/**
+ * Champs modifiables d'une règle
+ */
+const RULE_FIELDS = ['name', 'category', 'severity', 'keywords', 'min_supporters', 'priority', 'enabled', 'position'];
+
+/**
+ * Ne garder que les colonnes connues (les champs vides deviennent NULL)
+ */
+function toRuleRow(rule) {
+  return RULE_FIELDS.reduce((row, field) => {
+    if (rule[field] !== undefined) {
+      row[field] = rule[field] === '' ? null : rule[field];
+    }
+    return row;
+  }, {});
+}
+
+/**
+ * Récupérer les règles de triage (ordre d'affichage)
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.enabledOnly] - Seulement les règles actives (default: false)
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *
+ * @example
+ * const { data: rules } = await getTriageRules({ enabledOnly: true });
+ */
+export async function getTriageRules(options = {}) {
+  try {
+    const { enabledOnly = false } = options;
+
+    let query = supabase
+      .from('triage_rules')
+      .select('*')
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (enabledOnly) {
+      query = query.eq('enabled', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('❌ Erreur récupération règles de triage:', error);
+      return { data: null, error };
+    }
+
+    console.log(`✅ ${data.length} règles de triage récupérées`);
+    return { data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getTriageRules:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Créer une règle de triage (ADMIN uniquement)
+ *
+ * @param {Object} rule - { name, category, severity, keywords, min_supporters, priority, enabled, position }
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - ID de l'admin (updated_by)
+ *
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *
+ * @example
+ * const { data } = await createTriageRule({
+ *   name: 'Câbles arrachés',
+ *   category: 'eclairage',
+ *   keywords: ['fil électrique', 'câble'],
+ *   priority: 'urgent'
+ * });
+ */
+export async function createTriageRule(rule, options = {}) {
+  try {
+    if (!rule?.name || !rule?.priority) {
+      return {
+        data: null,
+        error: {
+          message: 'Nom et priorité de la règle requis',
+          code: 'MISSING_REQUIRED_FIELDS'
+        }
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('triage_rules')
+      .insert([{ ...toRuleRow(rule), updated_by: options.actorId || null }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Erreur création règle de triage:', error);
+      return { data: null, error };
+    }
+
+    console.log('✅ Règle de triage créée:', data.id);
+    return { data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue createTriageRule:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Modifier une règle de triage (ADMIN uniquement)
+ *
+ * @param {string} ruleId - UUID de la règle
+ * @param {Object} changes - Champs modifiés
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - ID de l'admin (updated_by)
+ *
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *
+ * @example
+ * await updateTriageRule('uuid-rule', { enabled: false });
+ */
+export async function updateTriageRule(ruleId, changes, options = {}) {
+  try {
+    if (!ruleId) {
+      return {
+        data: null,
+        error: {
+          message: 'ID de la règle requis',
+          code: 'MISSING_ID'
+        }
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('triage_rules')
+      .update({
+        ...toRuleRow(changes),
+        updated_at: new Date().toISOString(),
+        updated_by: options.actorId || null
+      })
+      .eq('id', ruleId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Erreur mise à jour règle de triage:', error);
+      return { data: null, error };
+    }
+
+    console.log('✅ Règle de triage mise à jour:', data.id);
+    return { data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue updateTriageRule:', err);
+    return {
+      data: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Supprimer une règle de triage (ADMIN uniquement)
+ *
+ * @param {string} ruleId - UUID de la règle
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function deleteTriageRule(ruleId) {
+  try {
+    const { error } = await supabase
+      .from('triage_rules')
+      .delete()
+      .eq('id', ruleId);
+
+    if (error) {
+      console.error('❌ Erreur suppression règle de triage:', error);
+      return { error };
+    }
+
+    console.log('🗑️ Règle de triage supprimée:', ruleId);
+    return { error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue deleteTriageRule:', err);
+    return {
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+export default {
+  getTriageRules,
+  createTriageRule,
+  updateTriageRule,
+  deleteTriageRule
+};
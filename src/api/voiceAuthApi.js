@@ -1,9 +1,12 @@
 // @generated by Cursor AI (Claude) — verified by [developer name]
 /**
  * API Service pour l'authentification vocale
- * Communique avec le backend FastAPI (wattu-voice-api)
+ * Communique avec le backend FastAPI (wattu-voice-api) ; la vérification
+ * passe par l'Edge Function voice-session (ouverture de session)
  */
 
+import { supabase } from '@/config/supabase';
+
 // URL de l'API vocale (configurable via .env)
 const VOICE_API_URL = import.meta.env.VITE_VOICE_API_URL || 'http://localhost:8000';
 
@@ -74,28 +77,31 @@ export async function confirmEnrollment(data) {
 
 /**
  * Vérification vocale (Login)
- * Compare l'audio avec l'embedding stocké
+ * Compare l'audio avec l'embedding stocké, via l'Edge Function voice-session
+ * qui relaie l'API vocale et, si la voix correspond, ouvre une session :
+ * session_token est à conserver dans voiceUser.sessionToken (envoyé ensuite
+ * dans l'en-tête x-voice-session, voir src/config/supabase.js)
  * 
  * @param {string} userId - ID de l'utilisateur vocal
  * @param {Blob} audioBlob - Fichier audio (WebM ou WAV)
- * @returns {Promise<Object>} - { success, similarity, threshold, match, user_id, name, prenom, message }
+ * @returns {Promise<Object>} - { success, similarity, threshold, match, user_id, name, prenom, message, session_token, session_expires_at }
  */
 export async function verifyVoice(userId, audioBlob) {
   try {
     const formData = new FormData();
+    formData.append('user_id', userId);
     formData.append('file', audioBlob, 'verification.webm');
 
-    const response = await fetch(`${VOICE_API_URL}/api/verify/${userId}`, {
-      method: 'POST',
+    const { data, error } = await supabase.functions.invoke('voice-session', {
       body: formData,
     });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.detail || `Erreur ${response.status}`);
+    if (error) {
+      const errorData = await error.context?.json().catch(() => ({}));
+      throw new Error(errorData?.error?.message || error.message);
     }
 
-    return await response.json();
+    return data;
   } catch (error) {
     console.error('❌ Erreur verifyVoice:', error);
     return {
@@ -105,6 +111,24 @@ export async function verifyVoice(userId, audioBlob) {
   }
 }
 
+/**
+ * Fermer la session vocale côté serveur (déconnexion)
+ * 
+ * @param {string} sessionToken - Jeton reçu de verifyVoice
+ * @returns {Promise<{data: null, error: Object|null}>}
+ */
+export async function endVoiceSession(sessionToken) {
+  if (!sessionToken) {
+    return { data: null, error: null };
+  }
+
+  const { error } = await supabase.rpc('end_voice_session', { p_token: sessionToken });
+  if (error) {
+    console.error('❌ Erreur endVoiceSession:', error);
+  }
+  return { data: null, error };
+}
+
 /**
  * Health check de l'API vocale
  * Vérifie si le backend FastAPI est accessible
@@ -127,6 +151,7 @@ export const voiceAuthApi = {
   enrollVoice,
   confirmEnrollment,
   verifyVoice,
+  endVoiceSession,
   checkVoiceApiHealth,
 };
 
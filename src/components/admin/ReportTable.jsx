@@ -1,92 +1,63 @@
 
 
-import { useState, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import StatusBadge from '@/components/reports/StatusBadge';
 import PriorityBadge from '@/components/reports/PriorityBadge';
+import SlaBadge from '@/components/reports/SlaBadge';
 import Pagination from '@/components/shared/Pagination';
+import HighlightedText from '@/components/shared/HighlightedText';
+import { findMatchingReportField } from '@/utils/searchText';
+import { REPORT_TYPE_OPTIONS } from '@/config/reportOptions';
 import { ArrowUpDown, Eye } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 
 /**
- * Composant Table de signalements (tri-able, pagination)
+ * Composant Table de signalements (tri et pagination côté serveur)
  * 
- * @param {Array} reports - Array de signalements
+ * Le tri et la pagination sont pilotés par l'objet `pagination` renvoyé
+ * par useAdminReports / useAgentReports (pagination par curseur) :
+ * la table n'affiche que la page courante.
+ * 
+ * @param {Array} reports - Signalements de la page courante
  * @param {boolean} loading - État de chargement
+ * @param {Object} pagination - { page, pageSize, totalCount, totalPages, sortBy, sortOrder, goToPage, setPageSize, toggleSort }
+ * @param {string} [search] - Recherche en cours : correspondances surlignées
+ *   (commune + extrait du champ correspondant : description, transcription, citoyen, téléphone)
+ * @param {Object} [selection] - Sélection multiple (useReportSelection) : ajoute
+ *   une colonne de cases à cocher pour les actions groupées
+ * 
+ * @example
+ * const { reports, loading, pagination } = useAdminReports(filters);
+ * <ReportTable reports={reports} loading={loading} pagination={pagination} search={filters.search} />
  * 
  * @example
- * <ReportTable reports={reports} loading={loading} />
+ * const selection = useReportSelection();
+ * <ReportTable reports={reports} loading={loading} pagination={pagination} selection={selection} />
  */
-function ReportTable({ reports, loading }) {
+function ReportTable({ reports, loading, pagination, search = '', selection = null }) {
   const { t } = useTranslation('admin');
   const navigate = useNavigate();
 
-  // État tri
-  const [sortBy, setSortBy] = useState('created_at'); // Colonne triée
-  const [sortOrder, setSortOrder] = useState('desc'); // 'asc' ou 'desc'
-
-  // État pagination
-  const [currentPage, setCurrentPage] = useState(1);
-  const [itemsPerPage, setItemsPerPage] = useState(25);
-
-  /**
-   * Gérer le tri par colonne
-   */
-  const handleSort = (column) => {
-    if (sortBy === column) {
-      // Toggle ordre si même colonne
-      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
-    } else {
-      // Nouvelle colonne → ordre DESC par défaut
-      setSortBy(column);
-      setSortOrder('desc');
-    }
-    setCurrentPage(1); // Reset à page 1
-  };
-
-  /**
-   * Trier les signalements
-   */
-  const sortedReports = useMemo(() => {
-    if (!reports) return [];
-
-    const sorted = [...reports].sort((a, b) => {
-      let aValue = a[sortBy];
-      let bValue = b[sortBy];
-
-      // Cas spécial: commune_name
-      if (sortBy === 'commune_name') {
-        aValue = a.commune?.name || '';
-        bValue = b.commune?.name || '';
-      }
-
-      // Cas spécial: dates
-      if (sortBy === 'created_at') {
-        aValue = new Date(aValue).getTime();
-        bValue = new Date(bValue).getTime();
-      }
-
-      // Comparaison
-      if (aValue < bValue) return sortOrder === 'asc' ? -1 : 1;
-      if (aValue > bValue) return sortOrder === 'asc' ? 1 : -1;
-      return 0;
-    });
-
-    return sorted;
-  }, [reports, sortBy, sortOrder]);
+  const { sortBy, toggleSort: handleSort } = pagination;
 
   /**
-   * Paginer les signalements triés
+   * Extrait du champ qui correspond à la recherche (sous la commune)
    */
-  const paginatedReports = useMemo(() => {
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
-    return sortedReports.slice(startIndex, endIndex);
-  }, [sortedReports, currentPage, itemsPerPage]);
+  const renderSearchMatch = (report) => {
+    const match = findMatchingReportField(report, search);
+    if (!match) return null;
 
-  const totalPages = Math.ceil(sortedReports.length / itemsPerPage);
+    return (
+      <p className="mt-1 text-xs font-normal text-neutral-600">
+        <span className="text-neutral-400">
+          {t(`report_table.match_fields.${match.field}`, { defaultValue: match.field })} :{' '}
+        </span>
+        <HighlightedText text={match.text} query={search} maxLength={80} />
+      </p>
+    );
+  };
 
   /**
    * Formater la date
@@ -100,18 +71,11 @@ function ReportTable({ reports, loading }) {
    * Formater le type
    */
   const formatType = (type) => {
-    const types = {
-      'road': 'Voirie',
-      'lighting': 'Éclairage',
-      'water': 'Eau',
-      'waste': 'Déchets',
-      'security': 'Sécurité',
-      'other': 'Autre'
-    };
-    return types[type] || type;
+    return REPORT_TYPE_OPTIONS.find((option) => option.value === type)?.label || type;
   };
 
-  if (loading) {
+  // Squelette au premier chargement ; ensuite la page courante reste affichée
+  if (loading && (!reports || reports.length === 0)) {
     return (
       <div className="space-y-3">
         {[1, 2, 3, 4, 5].map(i => (
@@ -132,12 +96,25 @@ function ReportTable({ reports, loading }) {
   }
 
   return (
-    <div className="space-y-4">
+    <div className={`space-y-4 ${loading ? 'opacity-60' : ''}`}>
       {/* Table Desktop */}
       <div className="hidden lg:block overflow-x-auto border border-blue-200/50 rounded-lg bg-white shadow-sm">
         <table className="w-full text-sm">
           <thead className="bg-blue-50/50 border-b border-blue-200/50">
             <tr>
+              {/* Sélection de la page */}
+              {selection && (
+                <th className="px-4 py-3 w-10">
+                  <input
+                    type="checkbox"
+                    checked={selection.isPageSelected(reports)}
+                    onChange={() => selection.togglePage(reports)}
+                    aria-label="Sélectionner la page"
+                    className="accent-primary-600"
+                  />
+                </th>
+              )}
+
               {/* ID */}
               <th className="px-4 py-3 text-left">
                 <button
@@ -211,8 +188,24 @@ function ReportTable({ reports, loading }) {
             </tr>
           </thead>
           <tbody className="divide-y divide-neutral-200">
-            {paginatedReports.map(report => (
-              <tr key={report.id} className="bg-white hover:bg-blue-50/30 transition-colors">
+            {reports.map(report => (
+              <tr
+                key={report.id}
+                className={`${selection?.isSelected(report.id) ? 'bg-primary-50/60' : 'bg-white'} hover:bg-blue-50/30 transition-colors`}
+              >
+                {/* Sélection */}
+                {selection && (
+                  <td className="px-4 py-3">
+                    <input
+                      type="checkbox"
+                      checked={selection.isSelected(report.id)}
+                      onChange={() => selection.toggle(report)}
+                      aria-label={`Sélectionner le signalement ${report.id.slice(0, 8)}`}
+                      className="accent-primary-600"
+                    />
+                  </td>
+                )}
+
                 {/* ID */}
                 <td className="px-4 py-3 font-mono text-xs text-neutral-600">
                   {report.id.slice(0, 8)}
@@ -220,7 +213,10 @@ function ReportTable({ reports, loading }) {
 
                 {/* Commune */}
                 <td className="px-4 py-3 text-neutral-900 font-medium">
-                  {report.commune?.name || 'Inconnu'}
+                  {report.commune?.name
+                    ? <HighlightedText text={report.commune.name} query={search} />
+                    : 'Inconnu'}
+                  {renderSearchMatch(report)}
                 </td>
 
                 {/* Type */}
@@ -237,7 +233,10 @@ function ReportTable({ reports, loading }) {
 
                 {/* Priorité */}
                 <td className="px-4 py-3">
-                  <PriorityBadge priority={report.priority} />
+                  <div className="flex flex-col items-start gap-1">
+                    <PriorityBadge priority={report.priority} />
+                    <SlaBadge report={report} />
+                  </div>
                 </td>
 
                 {/* Date */}
@@ -264,19 +263,34 @@ function ReportTable({ reports, loading }) {
 
       {/* Cards Mobile */}
       <div className="lg:hidden space-y-3">
-        {paginatedReports.map(report => (
+        {reports.map(report => (
           <div
             key={report.id}
             className="bg-white border border-blue-200/50 rounded-lg p-4 space-y-3 hover:bg-blue-50/30 hover:shadow-md transition-all"
           >
             <div className="flex items-start justify-between gap-2">
+              {selection && (
+                <input
+                  type="checkbox"
+                  checked={selection.isSelected(report.id)}
+                  onChange={() => selection.toggle(report)}
+                  aria-label={`Sélectionner le signalement ${report.id.slice(0, 8)}`}
+                  className="accent-primary-600 mt-1"
+                />
+              )}
               <div className="flex-1">
-                <p className="font-medium text-neutral-900">{report.commune?.name || 'Inconnu'}</p>
+                <p className="font-medium text-neutral-900">
+                  {report.commune?.name
+                    ? <HighlightedText text={report.commune.name} query={search} />
+                    : 'Inconnu'}
+                </p>
                 <p className="text-sm text-neutral-600">{formatType(report.type)}</p>
+                {renderSearchMatch(report)}
               </div>
               <div className="flex flex-col gap-2 items-end">
                 <StatusBadge status={report.status} />
                 <PriorityBadge priority={report.priority} />
+                <SlaBadge report={report} />
               </div>
             </div>
 
@@ -296,15 +310,14 @@ function ReportTable({ reports, loading }) {
 
       {/* Pagination */}
       <Pagination
-        currentPage={currentPage}
-        totalPages={totalPages}
-        totalItems={sortedReports.length}
-        itemsPerPage={itemsPerPage}
-        onPageChange={setCurrentPage}
-        onItemsPerPageChange={(size) => {
-          setItemsPerPage(size);
-          setCurrentPage(1);
-        }}
+        currentPage={pagination.page}
+        totalPages={pagination.totalPages}
+        totalItems={pagination.totalCount}
+        itemsPerPage={pagination.pageSize}
+        onPageChange={pagination.goToPage}
+        onItemsPerPageChange={pagination.setPageSize}
+        canJumpToPage={false}
+        disabled={loading}
       />
     </div>
   );
@@ -0,0 +1,99 @@
+import { Link } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Users } from 'lucide-react';
+
+/**
+ * Charge de travail des agents de la commune
+ *
+ * Une ligne par agent : signalements affectés en attente, en cours, en
+ * retard, et résolus sur les 7 derniers jours. Aide le superviseur à
+ * répartir les signalements non affectés.
+ *
+ * @param {Object} props
+ * @param {Array} props.agents - Agents (useAgentWorkload)
+ * @param {string} [props.currentUserId] - UUID de l'agent connecté (mis en avant)
+ * @param {boolean} [props.loading] - État de chargement
+ * @param {string} [props.error] - Message d'erreur
+ *
+ * @example
+ * const { agents, loading } = useAgentWorkload(user.commune_id);
+ *
+ * <AgentWorkloadCard agents={agents} currentUserId={user.id} loading={loading} />
+ */
+function AgentWorkloadCard({ agents = [], currentUserId, loading = false, error = null }) {
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between pb-2">
+        <CardTitle className="text-lg">Charge de travail</CardTitle>
+        <Users className="h-4 w-4 text-neutral-500" />
+      </CardHeader>
+      <CardContent>
+        {loading && (
+          <div className="space-y-2">
+            {[...Array(3)].map((_, i) => (
+              <Skeleton key={i} className="h-8 w-full" />
+            ))}
+          </div>
+        )}
+
+        {error && !loading && (
+          <p className="text-sm text-error-600 text-center py-4">{error}</p>
+        )}
+
+        {!loading && !error && agents.length === 0 && (
+          <p className="text-sm text-neutral-600 text-center py-4">
+            Aucun agent dans cette commune
+          </p>
+        )}
+
+        {!loading && !error && agents.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-neutral-500 border-b border-neutral-200">
+                  <th className="text-left font-medium py-2">Agent</th>
+                  <th className="text-right font-medium py-2">En attente</th>
+                  <th className="text-right font-medium py-2">En cours</th>
+                  <th className="text-right font-medium py-2">En retard</th>
+                  <th className="text-right font-medium py-2">Résolus (7 j)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {agents.map((agent) => (
+                  <tr
+                    key={agent.agent_id}
+                    className={`border-b border-neutral-100 last:border-0 ${agent.agent_id === currentUserId ? 'bg-primary-50/50' : ''}`}
+                  >
+                    <td className="py-2">
+                      <span className="font-medium text-neutral-900">{agent.name}</span>
+                      {agent.is_supervisor && (
+                        <Badge variant="secondary" className="ml-2 text-xs">Superviseur</Badge>
+                      )}
+                    </td>
+                    <td className="text-right py-2">{agent.pending}</td>
+                    <td className="text-right py-2">{agent.in_progress}</td>
+                    <td className={`text-right py-2 ${agent.overdue > 0 ? 'text-error-600 font-semibold' : ''}`}>
+                      {agent.overdue}
+                    </td>
+                    <td className="text-right py-2">{agent.resolved_last_7_days}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-neutral-500 mt-3">
+              Les signalements non affectés sont dans la{' '}
+              <Link to="/agent/reports" className="text-primary-600 hover:underline">
+                liste de la commune
+              </Link>{' '}
+              (filtre « Affectation »).
+            </p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default AgentWorkloadCard;
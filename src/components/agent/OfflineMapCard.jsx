@@ -0,0 +1,133 @@
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Skeleton } from '@/components/ui/skeleton';
+import { toast } from 'sonner';
+import { Download, Trash2, WifiOff, Loader2, X, CheckCircle2 } from 'lucide-react';
+import { useOfflineTilePack } from '@/hooks/useOfflineTilePack';
+
+/**
+ * Carte "Carte hors-ligne" du dashboard agent
+ *
+ * Permet de pré-télécharger les tuiles de la carte couvrant la commune
+ * de l'agent : les cartes (liste, détail d'un signalement) et les épingles
+ * restent affichées sur le terrain sans couverture réseau.
+ *
+ * @param {Object} props
+ * @param {string} props.communeId - UUID de la commune de l'agent
+ * @param {string} [props.communeName] - Nom affiché de la commune
+ *
+ * @example
+ * <OfflineMapCard communeId={user.commune_id} communeName="Médina" />
+ */
+function OfflineMapCard({ communeId, communeName }) {
+  const {
+    isSupported,
+    pack,
+    estimate,
+    loading,
+    downloading,
+    progress,
+    error,
+    download,
+    cancel,
+    remove
+  } = useOfflineTilePack(communeId ? { id: communeId, name: communeName || 'Commune' } : null);
+
+  if (!isSupported || !communeId) {
+    return null;
+  }
+
+  const handleDownload = async () => {
+    const { data, error: downloadError } = await download();
+    if (data) {
+      toast.success('Carte hors-ligne prête', {
+        description: data.missingCount > 0
+          ? `${data.missingCount} tuile(s) manquante(s) : relancez pour compléter`
+          : `${data.tileCount} tuiles enregistrées`
+      });
+    } else if (downloadError && downloadError.code !== 'ABORTED') {
+      toast.error('Téléchargement impossible', { description: downloadError.message });
+    }
+  };
+
+  const handleRemove = async () => {
+    await remove();
+    toast.success('Carte hors-ligne supprimée');
+  };
+
+  const percent = progress?.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between pb-2">
+        <CardTitle className="text-sm font-medium text-neutral-600">
+          Carte hors-ligne
+        </CardTitle>
+        <WifiOff className="h-4 w-4 text-neutral-500" />
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {loading ? (
+          <Skeleton className="h-10 w-full" />
+        ) : (
+          <>
+            {pack ? (
+              <p className="text-sm text-neutral-700 flex items-center gap-1">
+                <CheckCircle2 className="w-4 h-4 text-success-600" />
+                {pack.tileCount} tuiles enregistrées le{' '}
+                {new Date(pack.downloadedAt).toLocaleDateString('fr-FR', { day: 'numeric', month: 'long' })}
+                {pack.missingCount > 0 && ` (${pack.missingCount} manquantes)`}
+              </p>
+            ) : (
+              <p className="text-sm text-neutral-600">
+                Téléchargez la carte de votre commune pour l'utiliser sans réseau.
+              </p>
+            )}
+
+            {estimate && !downloading && (
+              <p className="text-xs text-neutral-500">
+                Zooms {estimate.minZoom} à {estimate.maxZoom} · {estimate.tileCount} tuiles · ~{estimate.sizeMb} Mo
+              </p>
+            )}
+
+            {error && (
+              <p className="text-xs text-error-700">{error.message}</p>
+            )}
+
+            {downloading ? (
+              <div className="space-y-2">
+                <div className="h-2 w-full rounded-full bg-neutral-200 overflow-hidden">
+                  <div className="h-full bg-primary-600 transition-all" style={{ width: `${percent}%` }} />
+                </div>
+                <div className="flex items-center justify-between text-xs text-neutral-600">
+                  <span className="flex items-center gap-1">
+                    <Loader2 className="w-3 h-3 animate-spin" />
+                    {progress?.done || 0} / {progress?.total || estimate?.tileCount || 0} tuiles
+                  </span>
+                  <Button variant="ghost" size="sm" onClick={cancel}>
+                    <X className="w-4 h-4 mr-1" />
+                    Annuler
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                <Button size="sm" onClick={handleDownload} disabled={!estimate && !pack}>
+                  <Download className="w-4 h-4 mr-2" />
+                  {pack ? 'Mettre à jour' : 'Télécharger'}
+                </Button>
+                {pack && (
+                  <Button size="sm" variant="outline" onClick={handleRemove}>
+                    <Trash2 className="w-4 h-4 mr-2" />
+                    Supprimer
+                  </Button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default OfflineMapCard;
@@ -17,11 +17,11 @@ import {
  * Graphique en camembert pour la répartition par type de signalement
  * 
  * @param {Object} props
- * @param {Object} props.byType - Répartition par type { road: 5, lighting: 3, ... }
+ * @param {Object} props.byType - Répartition par type { voirie: 5, eclairage: 3, ... }
  * @param {boolean} [props.loading] - État de chargement
  * 
  * @example
- * <TypeDistributionChart byType={{ road: 10, lighting: 5 }} />
+ * <TypeDistributionChart byType={{ voirie: 10, eclairage: 5 }} />
  */
 function TypeDistributionChart({ byType = {}, loading = false, namespace = 'agent' }) {
   const { t } = useTranslation(namespace);
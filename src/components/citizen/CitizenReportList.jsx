@@ -1,7 +1,7 @@
 // @generated by Cursor AI (Claude) — verified by Kevin
 
 import { useTranslation } from 'react-i18next';
-import { MapPin, Calendar, Clock, CheckCircle, XCircle, AlertCircle, FileText } from 'lucide-react';
+import { MapPin, Calendar, Clock, CheckCircle, XCircle, AlertCircle, FileText, CloudOff, RefreshCcw, Trash2 } from 'lucide-react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
@@ -11,9 +11,13 @@ import { Button } from '@/components/ui/button';
  * 
  * @param {Object} props
  * @param {Array} props.reports - Liste des signalements
+ * @param {Array} [props.pendingReports] - Signalements hors-ligne en attente d'envoi (outbox)
  * @param {boolean} props.loading - Si les signalements sont en cours de chargement
  * @param {Object} props.error - Erreur éventuelle
  * @param {Function} props.onReportClick - Callback quand on clique sur un signalement (reportId)
+ * @param {Function} [props.onRetryPending] - Relancer l'envoi d'un signalement en attente (outboxId)
+ * @param {Function} [props.onDiscardPending] - Abandonner un signalement en attente (outboxId)
+ * @param {string} [props.activeReportId] - Signalement en cours de lecture (suivi vocal), mis en évidence
  * 
  * @example
  * <CitizenReportList 
@@ -23,7 +27,16 @@ import { Button } from '@/components/ui/button';
  *   onReportClick={(reportId) => setSelectedReportId(reportId)}
  * />
  */
-function CitizenReportList({ reports = [], loading = false, error = null, onReportClick }) {
+function CitizenReportList({
+  reports = [],
+  pendingReports = [],
+  loading = false,
+  error = null,
+  onReportClick,
+  onRetryPending,
+  onDiscardPending,
+  activeReportId = null,
+}) {
   const { t } = useTranslation('common');
 
   const getStatusConfig = (status) => {
@@ -112,7 +125,7 @@ function CitizenReportList({ reports = [], loading = false, error = null, onRepo
     );
   }
 
-  if (!reports || reports.length === 0) {
+  if ((!reports || reports.length === 0) && pendingReports.length === 0) {
     return (
       <Card>
         <CardContent className="p-12 text-center">
@@ -132,6 +145,81 @@ function CitizenReportList({ reports = [], loading = false, error = null, onRepo
 
   return (
     <div className="space-y-4">
+      {/* Signalements hors-ligne en attente d'envoi */}
+      {pendingReports.map((item) => {
+        const isFailed = item.status === 'failed';
+        const isSending = item.status === 'sending';
+
+        return (
+          <Card key={item.id} className="border-dashed border-amber-300 bg-amber-50/50">
+            <CardHeader className="pb-3">
+              <div className="flex items-start justify-between gap-3">
+                <div className="flex-1">
+                  <CardTitle className="text-lg mb-1">{getTypeLabel(item.payload?.type)}</CardTitle>
+                  <CardDescription className="flex items-center gap-1 mt-1">
+                    <MapPin className="w-4 h-4" />
+                    {item.payload?.latitude?.toFixed(5)}, {item.payload?.longitude?.toFixed(5)}
+                  </CardDescription>
+                </div>
+                <Badge
+                  className={isFailed
+                    ? 'bg-red-100 text-red-800 border-red-200'
+                    : 'bg-amber-100 text-amber-800 border-amber-200'}
+                  variant="outline"
+                >
+                  <CloudOff className="w-3 h-3 mr-1" />
+                  {isFailed
+                    ? t('citizen.reports.upload_failed', { defaultValue: 'Échec de l\'envoi' })
+                    : isSending
+                      ? t('citizen.reports.uploading', { defaultValue: 'Envoi en cours...' })
+                      : t('citizen.reports.pending_upload', { defaultValue: 'En attente d\'envoi' })}
+                </Badge>
+              </div>
+            </CardHeader>
+            <CardContent>
+              {item.lastError && (
+                <p className="text-sm text-red-700 mb-3">
+                  {item.lastError.message}
+                  {item.attempts > 0 && (
+                    <span className="text-xs text-red-500">
+                      {' '}({t('citizen.reports.attempts', {
+                        count: item.attempts,
+                        defaultValue: '{{count}} tentative(s)',
+                      })})
+                    </span>
+                  )}
+                </p>
+              )}
+              <div className="flex items-center justify-between gap-2 text-xs text-neutral-500">
+                <div className="flex items-center gap-1">
+                  <Calendar className="w-4 h-4" />
+                  {formatDate(item.createdAt)}
+                </div>
+                <div className="flex items-center gap-2">
+                  {onRetryPending && !isSending && (
+                    <Button variant="outline" size="sm" onClick={() => onRetryPending(item.id)}>
+                      <RefreshCcw className="w-3 h-3 mr-1" />
+                      {t('citizen.reports.retry_upload', { defaultValue: 'Réessayer' })}
+                    </Button>
+                  )}
+                  {onDiscardPending && !isSending && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => onDiscardPending(item.id)}
+                      className="text-red-600 hover:text-red-700"
+                      aria-label={t('citizen.reports.discard_upload', { defaultValue: 'Abandonner' })}
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        );
+      })}
+
       {reports.map((report) => {
         const statusConfig = getStatusConfig(report.status);
         const StatusIcon = statusConfig.icon;
@@ -139,7 +227,9 @@ function CitizenReportList({ reports = [], loading = false, error = null, onRepo
         return (
           <Card
             key={report.id}
-            className="hover:shadow-md transition-shadow cursor-pointer"
+            className={`hover:shadow-md transition-shadow cursor-pointer ${
+              report.id === activeReportId ? 'ring-2 ring-primary-500' : ''
+            }`}
             onClick={() => {
               if (onReportClick) {
                 onReportClick(report.id);
@@ -1,7 +1,7 @@
 // @generated by Cursor AI (Claude) — verified by Kevin
 
 import { useTranslation } from 'react-i18next';
-import { Bell, Check, X, Trash2, CheckCheck } from 'lucide-react';
+import { Bell, Check, X, Trash2, CheckCheck, Loader2 } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -11,9 +11,11 @@ import { Separator } from '@/components/ui/separator';
  * Composant NotificationCenter - Centre de notifications pour le dashboard citoyen
  * 
  * Affiche :
- * - Liste des notifications (changements de statut, etc.)
+ * - Liste des notifications (statut, priorité, regroupement, preuve de
+ *   résolution, messages de la mairie), stockées côté serveur
  * - Compteur de notifications non lues
  * - Actions : marquer comme lu, supprimer, tout marquer comme lu
+ * - Pagination : « Charger plus »
  * 
  * @param {Object} props
  * @param {Array} props.notifications - Liste des notifications
@@ -22,6 +24,9 @@ import { Separator } from '@/components/ui/separator';
  * @param {Function} props.onMarkAllAsRead - Callback pour marquer toutes comme lues
  * @param {Function} props.onRemove - Callback pour supprimer une notification
  * @param {Function} props.onClearAll - Callback pour supprimer toutes les notifications
+ * @param {boolean} [props.hasMore] - D'autres notifications sont disponibles sur le serveur
+ * @param {Function} [props.onLoadMore] - Callback pour charger la page suivante
+ * @param {boolean} [props.loading] - Chargement en cours
  * 
  * @example
  * <NotificationCenter
@@ -31,6 +36,8 @@ import { Separator } from '@/components/ui/separator';
  *   onMarkAllAsRead={markAllAsRead}
  *   onRemove={removeNotification}
  *   onClearAll={clearAll}
+ *   hasMore={hasMore}
+ *   onLoadMore={loadMore}
  * />
  */
 function NotificationCenter({
@@ -40,6 +47,9 @@ function NotificationCenter({
   onMarkAllAsRead,
   onRemove,
   onClearAll,
+  hasMore = false,
+  onLoadMore,
+  loading = false,
 }) {
   const { t } = useTranslation('common');
 
@@ -176,13 +186,29 @@ function NotificationCenter({
                   <p className="text-sm text-neutral-600 mb-2">
                     {notification.message}
                   </p>
+                  {notification.resolutionComment && (
+                    <div className="flex items-start gap-2 mb-2">
+                      {notification.resolutionImageUrl && (
+                        <img
+                          src={notification.resolutionImageUrl}
+                          alt=""
+                          className="w-12 h-12 object-cover rounded-md border border-neutral-200 flex-shrink-0"
+                        />
+                      )}
+                      <p className="text-xs text-neutral-700 bg-neutral-50 px-2 py-1.5 rounded-md italic line-clamp-3">
+                        « {notification.resolutionComment} »
+                      </p>
+                    </div>
+                  )}
                   <div className="flex items-center gap-3 flex-wrap">
-                    <Badge 
-                      variant="outline" 
-                      className={`text-xs ${getStatusBadgeColor(notification.newStatus)}`}
-                    >
-                      {notification.statusLabel}
-                    </Badge>
+                    {notification.statusLabel && (
+                      <Badge 
+                        variant="outline" 
+                        className={`text-xs ${getStatusBadgeColor(notification.newStatus)}`}
+                      >
+                        {notification.statusLabel}
+                      </Badge>
+                    )}
                     <span className="text-xs text-neutral-500">
                       {formatRelativeTime(notification.createdAt)}
                     </span>
@@ -219,6 +245,14 @@ function NotificationCenter({
             </div>
           ))}
         </div>
+        {hasMore && onLoadMore && (
+          <div className="p-3 border-t border-neutral-200 text-center">
+            <Button variant="ghost" size="sm" onClick={onLoadMore} disabled={loading}>
+              {loading && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+              {t('notifications.loadMore', { defaultValue: 'Charger plus' })}
+            </Button>
+          </div>
+        )}
       </CardContent>
     </Card>
   );
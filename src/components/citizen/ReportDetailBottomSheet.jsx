@@ -2,15 +2,21 @@
 
 import { useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
-import { X, Loader2, AlertCircle, MapPin, Calendar, Clock, CheckCircle, XCircle, Play, Image as ImageIcon } from 'lucide-react';
+import { X, Loader2, AlertCircle, MapPin, Calendar, Clock, CheckCircle, XCircle, Play, Image as ImageIcon, History, MessageSquare } from 'lucide-react';
 import * as reportApi from '@/api/reportApi';
 import { Badge } from '@/components/ui/badge';
+import ReportTimeline from '@/components/reports/ReportTimeline';
+import ReportComments from '@/components/reports/ReportComments';
+import { useReportEvents } from '@/hooks/useReportEvents';
+import { useAuth } from '@/context/AuthContext';
 
 /**
  * Composant ReportDetailBottomSheet - Bottom sheet pour afficher les détails d'un signalement
  * 
  * S'affiche comme un modal qui remonte depuis le bas de l'écran
  * Affiche les détails complets d'un signalement (statut, description, photo, audio, etc.)
+ * ainsi que son historique (changements de statut, priorité, type) et, pour
+ * l'auteur du signalement, l'échange de messages avec la mairie
  * 
  * @param {Object} props
  * @param {boolean} props.open - Si le bottom sheet est ouvert
@@ -29,6 +35,14 @@ function ReportDetailBottomSheet({ open, onClose, reportId }) {
   const [report, setReport] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const { events, loading: eventsLoading, error: eventsError } = useReportEvents(open ? reportId : null);
+  const { user, getVoiceUser, isVoiceAuthenticated } = useAuth();
+
+  // Citoyen connecté (compte Supabase ou voice user) : auteur des réponses
+  const voiceUser = getVoiceUser();
+  const citizen = isVoiceAuthenticated()
+    ? { id: voiceUser?.id, role: 'citizen', name: `${voiceUser?.prenom || ''} ${voiceUser?.name || ''}`.trim() }
+    : { id: user?.id, role: 'citizen', name: user?.name };
 
   // Charger les détails du signalement quand le sheet s'ouvre
   useEffect(() => {
@@ -262,6 +276,51 @@ function ReportDetailBottomSheet({ open, onClose, reportId }) {
                 </div>
               )}
 
+              {/* Résolution / motif du rejet (justification de l'agent + photo avant / après) */}
+              {report.resolution_comment && (
+                <div className="space-y-2">
+                  <h4 className="text-sm font-semibold text-neutral-700 flex items-center gap-2">
+                    {report.status === 'rejected' ? (
+                      <XCircle className="w-4 h-4 text-error-600" />
+                    ) : (
+                      <CheckCircle className="w-4 h-4 text-success-600" />
+                    )}
+                    {report.status === 'rejected'
+                      ? t('citizen.report_detail.rejection', { defaultValue: 'Motif du rejet' })
+                      : t('citizen.report_detail.resolution', { defaultValue: 'Résolution' })}
+                  </h4>
+                  <p className="text-sm text-neutral-600 bg-neutral-50 p-4 rounded-lg whitespace-pre-line">
+                    {report.resolution_comment}
+                  </p>
+                  {report.resolution_image_url && (
+                    <div className="grid grid-cols-2 gap-3">
+                      {report.image_url && (
+                        <div className="space-y-1">
+                          <p className="text-xs font-medium text-neutral-600">
+                            {t('citizen.report_detail.before', { defaultValue: 'Avant' })}
+                          </p>
+                          <img
+                            src={report.image_url}
+                            alt={t('citizen.report_detail.before', { defaultValue: 'Avant' })}
+                            className="w-full h-32 object-cover rounded-lg border border-neutral-200"
+                          />
+                        </div>
+                      )}
+                      <div className={`space-y-1 ${report.image_url ? '' : 'col-span-2'}`}>
+                        <p className="text-xs font-medium text-neutral-600">
+                          {t('citizen.report_detail.after', { defaultValue: 'Après' })}
+                        </p>
+                        <img
+                          src={report.resolution_image_url}
+                          alt={t('citizen.report_detail.after', { defaultValue: 'Après' })}
+                          className="w-full h-32 object-cover rounded-lg border border-neutral-200"
+                        />
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Informations */}
               <div className="space-y-3 pt-4 border-t border-neutral-200">
                 <h4 className="text-sm font-semibold text-neutral-700">
@@ -312,6 +371,31 @@ function ReportDetailBottomSheet({ open, onClose, reportId }) {
                   </div>
                 )}
               </div>
+
+              {/* Historique */}
+              <div className="space-y-3 pt-4 border-t border-neutral-200">
+                <h4 className="text-sm font-semibold text-neutral-700 flex items-center gap-2">
+                  <History className="w-4 h-4" />
+                  {t('citizen.report_detail.history', { defaultValue: 'Historique' })}
+                </h4>
+                <ReportTimeline
+                  report={report}
+                  events={events}
+                  loading={eventsLoading}
+                  error={eventsError}
+                />
+              </div>
+
+              {/* Messages avec la mairie (auteur du signalement uniquement) */}
+              {citizen.id && report.citizen_user_id === citizen.id && (
+                <div className="space-y-3 pt-4 border-t border-neutral-200">
+                  <h4 className="text-sm font-semibold text-neutral-700 flex items-center gap-2">
+                    <MessageSquare className="w-4 h-4" />
+                    {t('comments.title', { defaultValue: 'Messages' })}
+                  </h4>
+                  <ReportComments reportId={report.id} currentUser={citizen} />
+                </div>
+              )}
             </>
           ) : null}
         </div>
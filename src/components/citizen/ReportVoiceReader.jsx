@@ -0,0 +1,103 @@
+import { useTranslation } from 'react-i18next';
+import { Volume2, Square, Mic, Loader2, AlertCircle } from 'lucide-react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { READER_PHASES } from '@/hooks/useReportVoiceReader';
+
+/**
+ * Composant ReportVoiceReader - Suivi vocal des signalements
+ *
+ * Bouton « Écouter mes signalements » et état du suivi vocal (lecture,
+ * écoute de la commande, message en cours d'envoi). Le déroulement est géré
+ * par useReportVoiceReader, dont le résultat est passé en props pour que la
+ * page puisse mettre en évidence le signalement lu.
+ *
+ * @param {Object} props
+ * @param {Object} props.reader - Résultat de useReportVoiceReader
+ * @param {number} props.total - Nombre de signalements
+ * @param {boolean} [props.highlighted=false] - Mise en avant (citoyen inscrit à la voix)
+ *
+ * @example
+ * const reader = useReportVoiceReader(reports, { language, author });
+ * <ReportVoiceReader reader={reader} total={reports.length} highlighted={isVoice} />
+ */
+function ReportVoiceReader({ reader, total, highlighted = false }) {
+  const { t } = useTranslation('common');
+  const { phase, isActive, currentIndex, heard, isRecognitionSupported, error, start, stop } = reader;
+
+  const phaseLabels = {
+    [READER_PHASES.READING]: t('voiceStatus.state_reading', { defaultValue: 'Lecture en cours…' }),
+    [READER_PHASES.LISTENING]: t('voiceStatus.state_listening', { defaultValue: 'Je vous écoute…' }),
+    [READER_PHASES.RECORDING]: t('voiceStatus.state_recording', { defaultValue: 'Dites votre message pour la mairie…' }),
+    [READER_PHASES.SENDING]: t('voiceStatus.state_sending', { defaultValue: 'Envoi du message…' }),
+  };
+
+  const PhaseIcon = phase === READER_PHASES.LISTENING || phase === READER_PHASES.RECORDING
+    ? Mic
+    : phase === READER_PHASES.SENDING ? Loader2 : Volume2;
+
+  return (
+    <Card className={highlighted ? 'border-primary-300 bg-primary-50' : ''}>
+      <CardContent className="p-4 space-y-3">
+        <div className="flex items-center justify-between gap-3">
+          {isActive ? (
+            <div className="flex items-center gap-2 text-sm font-medium text-primary-900" aria-live="polite">
+              <PhaseIcon className={`w-5 h-5 text-primary-600 ${phase === READER_PHASES.SENDING ? 'animate-spin' : 'animate-pulse'}`} />
+              <span>{phaseLabels[phase]}</span>
+              {total > 0 && (
+                <span className="text-xs text-neutral-500">
+                  {t('voiceStatus.position', {
+                    position: currentIndex + 1,
+                    total,
+                    defaultValue: 'Signalement {{position}} / {{total}}',
+                  })}
+                </span>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-neutral-700">
+              {t('voiceStatus.description', {
+                defaultValue: 'Un résumé de chaque signalement est lu à voix haute. Répondez « suivant », « précédent », « répéter », « message » ou « arrêter ».',
+              })}
+            </p>
+          )}
+
+          {isActive ? (
+            <Button type="button" variant="destructive" onClick={stop} className="flex-shrink-0">
+              <Square className="mr-2 h-4 w-4" />
+              {t('voiceStatus.stop', { defaultValue: 'Arrêter' })}
+            </Button>
+          ) : (
+            <Button type="button" onClick={start} className="flex-shrink-0">
+              <Volume2 className="mr-2 h-4 w-4" />
+              {t('voiceStatus.listen', { defaultValue: 'Écouter mes signalements' })}
+            </Button>
+          )}
+        </div>
+
+        {isActive && heard && (
+          <p className="text-xs text-neutral-600">
+            {t('voiceStatus.heard', { text: heard, defaultValue: 'Entendu : « {{text}} »' })}
+          </p>
+        )}
+
+        {!isRecognitionSupported && (
+          <p className="text-xs text-neutral-500">
+            {t('voiceStatus.not_supported', {
+              defaultValue: 'La reconnaissance vocale n\'est pas disponible sur cet appareil.',
+            })}
+          </p>
+        )}
+
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-700">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <span>{error.message}</span>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ReportVoiceReader;
@@ -1,27 +1,54 @@
 
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useTranslation } from 'react-i18next';
-import { Loader2, Mic, Square, RefreshCcw, AlertCircle, Check, Camera, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { Loader2, Mic, Square, RefreshCcw, AlertCircle, Check, Camera, X, Users } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import SuccessModal from '@/components/shared/SuccessModal';
+import VoicePromptButton from '@/components/shared/VoicePromptButton';
+import LocationConfirmationCard from '@/components/shared/LocationConfirmationCard';
+import LocationPicker from '@/components/maps/LocationPicker';
 import useAudioRecording from '@/hooks/useAudioRecording';
+import useAudioAnalysis from '@/hooks/useAudioAnalysis';
 import useGeolocation from '@/hooks/useGeolocation';
 import useImageUpload from '@/hooks/useImageUpload';
+import useVoicePrompts from '@/hooks/useVoicePrompts';
 import { useAuth } from '@/context/AuthContext';
 import * as reportService from '@/services/reportService';
+import { getTranslatedPrompt } from '@/utils/voicePrompts';
+import { REPORT_TYPE_OPTIONS } from '@/config/reportOptions';
+
+// Liste stable : la commune vient du profil, l'analyse n'a pas à la déduire de l'audio
+const NO_COMMUNES = [];
+
+// Attente maximale de l'analyse en cours à l'envoi (au-delà, envoi sans transcription)
+const ANALYSIS_WAIT_MS = 20000;
 
 /**
  * Composant SignalementForm - Formulaire simplifié de signalement vocal
  * 
- * Nouveau flux simplifié (SANS analyse audio Gemini) :
+ * Nouveau flux simplifié :
  * 1. Enregistrement audio (30s max)
- * 2. Récupération automatique de la localisation GPS (en arrière-plan, sans affichage)
+ *    + analyse IA en arrière-plan (transcription par le fournisseur STT de la langue :
+ *    Gemini, ou serveur auto-hébergé pour le wolof ; catégorie suggérée, gravité) :
+ *    conservée avec le signalement pour les agents ; attendue à l'envoi si elle
+ *    n'est pas terminée (au plus ANALYSIS_WAIT_MS, sinon envoi sans transcription)
+ * 2. Récupération automatique de la localisation GPS pendant l'enregistrement :
+ *    adresse affichée (et lue aux voice users) dans LocationConfirmationCard,
+ *    position ajustable sur la carte si le GPS échoue
  * 3. Sélection photo optionnelle (directement dans le formulaire)
+ *    + détection des doublons : si un signalement similaire existe à proximité,
+ *    le citoyen peut le soutenir (son message vocal y est rattaché) au lieu d'en créer un nouveau
  * 4. Soumission directe avec audio + infos citoyen depuis profil
+ *    (hors-ligne : mise en attente dans l'outbox, envoi automatique au retour du réseau)
+ * 
+ * Chaque étape a une consigne à écouter (bouton haut-parleur) : enregistrement
+ * du pack vocal de la langue (voix native wolof), sinon synthèse vocale.
  * 
  * Les informations du citoyen (nom, téléphone, commune, adresse, email) sont
  * automatiquement récupérées depuis le profil utilisateur connecté.
- * L'audio est envoyé directement à Supabase Storage sans transcription.
+ * L'audio est envoyé directement à Supabase Storage ; la transcription (si disponible)
+ * est enregistrée dans le signalement.
  * 
  * @param {string} [props.initialType] - Type pré-sélectionné depuis l'URL (ex: 'securite', 'eclairage', 'dechets')
  * 
@@ -29,14 +56,25 @@ import * as reportService from '@/services/reportService';
  * <SignalementForm initialType="securite" />
  */
 function SignalementForm({ initialType = null }) {
-  const { t } = useTranslation('common');
+  const { t, i18n } = useTranslation('common');
+  const language = i18n.language?.startsWith('wo') ? 'wo' : 'fr';
   const { user, getVoiceUser, isVoiceAuthenticated } = useAuth(); // Récupérer les infos du citoyen connecté
   const audioRecording = useAudioRecording({ maxDuration: 30 });
+  const {
+    isSupported: isAnalysisSupported,
+    result: audioAnalysisResult,
+    analyzeAudio,
+    resetAnalysis,
+  } = useAudioAnalysis({ language, communes: NO_COMMUNES });
+  const pendingAnalysisRef = useRef(null); // { audioBlob, promise } de l'analyse en cours
+  const voicePrompts = useVoicePrompts({ language });
   const geolocation = useGeolocation();
   const imageUpload = useImageUpload();
 
   const [step, setStep] = useState('idle'); // idle | recording | location | photo | submitting
   const [isManualPosition, setIsManualPosition] = useState(false);
+  const [isPickingLocation, setIsPickingLocation] = useState(false);
+  const [isLocationConfirmed, setIsLocationConfirmed] = useState(false);
   const [reportType, setReportType] = useState(initialType || ''); // Type choisi par le citoyen ou depuis l'URL
   const [position, setPosition] = useState(null);
 
@@ -45,6 +83,11 @@ function SignalementForm({ initialType = null }) {
   const [showSuccess, setShowSuccess] = useState(false);
   const [createdReport, setCreatedReport] = useState(null);
 
+  const [similarReport, setSimilarReport] = useState(null);
+  const [isSupporting, setIsSupporting] = useState(false);
+  const [isSimilarDismissed, setIsSimilarDismissed] = useState(false);
+  const [playingPromptId, setPlayingPromptId] = useState(null);
+
   // Mettre à jour le type si initialType change
   useEffect(() => {
     if (initialType) {
@@ -95,6 +138,68 @@ function SignalementForm({ initialType = null }) {
     return { valid: true };
   };
 
+  /**
+   * Convertir l'enregistrement en File (type MIME normalisé pour Supabase Storage)
+   */
+  const getAudioFile = () => {
+    const audioBlob = audioRecording.audioBlob;
+    
+    // Normaliser le type MIME (enlever les paramètres comme codecs=opus)
+    let normalizedMimeType = audioBlob.type || 'audio/webm';
+    // Si le type contient des paramètres (ex: "audio/webm;codecs=opus"), prendre seulement la partie principale
+    if (normalizedMimeType.includes(';')) {
+      normalizedMimeType = normalizedMimeType.split(';')[0];
+    }
+    
+    // S'assurer que le type est dans la liste autorisée
+    const allowedTypes = ['audio/webm', 'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg'];
+    if (!allowedTypes.includes(normalizedMimeType)) {
+      // Fallback vers audio/webm si le type n'est pas reconnu
+      normalizedMimeType = 'audio/webm';
+    }
+    
+    console.log('🎤 Type MIME audio normalisé:', {
+      original: audioBlob.type,
+      normalized: normalizedMimeType,
+      size: audioBlob.size,
+    });
+
+    return new File([audioBlob], `audio-${Date.now()}.webm`, {
+      type: normalizedMimeType,
+    });
+  };
+
+  /**
+   * Analyse IA du message vocal actuel : si le citoyen envoie avant la fin
+   * de l'analyse lancée en arrière-plan, elle est attendue pour ne pas être perdue
+   * @returns {Promise<Object|null>}
+   */
+  const getAudioAnalysis = async () => {
+    const pending = pendingAnalysisRef.current;
+    if (!pending || pending.audioBlob !== audioRecording.audioBlob) {
+      return audioAnalysisResult;
+    }
+
+    let timeoutId;
+    const timeout = new Promise((resolve) => {
+      timeoutId = setTimeout(() => resolve({ success: false }), ANALYSIS_WAIT_MS);
+    });
+
+    try {
+      const { success, data } = await Promise.race([pending.promise, timeout]);
+      return success ? data : null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+
+  /**
+   * ID du citoyen connecté (voice user prioritaire, sinon user Supabase)
+   */
+  const getCitizenUserId = () => {
+    return isVoiceAuthenticated() ? getVoiceUser()?.id : (user?.id || null);
+  };
+
   /**
    * Soumettre le signalement
    * @param {File|null} photoFile - Fichier photo passé directement (pour éviter problème setState async)
@@ -123,38 +228,15 @@ function SignalementForm({ initialType = null }) {
       console.log('📤 Soumission du signalement...');
 
       // Convertir le Blob audio en File pour l'upload
-      const audioBlob = audioRecording.audioBlob;
-      
-      // Normaliser le type MIME (enlever les paramètres comme codecs=opus)
-      let normalizedMimeType = audioBlob.type || 'audio/webm';
-      // Si le type contient des paramètres (ex: "audio/webm;codecs=opus"), prendre seulement la partie principale
-      if (normalizedMimeType.includes(';')) {
-        normalizedMimeType = normalizedMimeType.split(';')[0];
-      }
-      
-      // S'assurer que le type est dans la liste autorisée
-      const allowedTypes = ['audio/webm', 'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg'];
-      if (!allowedTypes.includes(normalizedMimeType)) {
-        // Fallback vers audio/webm si le type n'est pas reconnu
-        normalizedMimeType = 'audio/webm';
-      }
-      
-      const audioFile = new File([audioBlob], `audio-${Date.now()}.webm`, {
-        type: normalizedMimeType,
-      });
-      
-      console.log('🎤 Type MIME audio normalisé:', {
-        original: audioBlob.type,
-        normalized: normalizedMimeType,
-        size: audioBlob.size,
-      });
+      const audioFile = getAudioFile();
 
       // Déterminer les infos citoyen (Supabase user OU voice user)
       const voiceUser = getVoiceUser();
       const isVoice = isVoiceAuthenticated();
+      const audioAnalysis = await getAudioAnalysis();
 
       const submitData = {
-        type: reportType || 'autre', // Utiliser le type choisi, fallback ultime "autre"
+        type: reportType || audioAnalysis?.category || 'autre', // Type choisi, sinon suggestion IA, fallback ultime "autre"
         description: null, // Pas de description textuelle, l'audio contient tout
         latitude: position.lat,
         longitude: position.lng,
@@ -165,9 +247,10 @@ function SignalementForm({ initialType = null }) {
           ? `${voiceUser?.prenom || ''} ${voiceUser?.name || ''}`.trim() 
           : (user?.name || null),
         email: user?.email || null,
-        citizen_user_id: isVoice ? voiceUser?.id : (user?.id || null), // Lier au voice_user ou user Supabase
+        citizen_user_id: getCitizenUserId(), // Lier au voice_user ou user Supabase
         imageFile: finalPhotoFile || null,
         audioBlob: audioFile, // Audio envoyé directement
+        audioAnalysis, // Transcription + suggestion IA (null si indisponible)
       };
 
       const result = await reportService.submitReport(submitData);
@@ -184,6 +267,17 @@ function SignalementForm({ initialType = null }) {
         return;
       }
 
+      if (result.queued) {
+        // Hors-ligne : le signalement (audio + photo) est conservé et sera envoyé au retour du réseau
+        toast.info(t('outbox.queued_title', { defaultValue: 'Signalement enregistré hors-ligne' }), {
+          description: t('outbox.queued_desc', {
+            defaultValue: 'Il sera envoyé automatiquement dès que la connexion sera rétablie.',
+          }),
+        });
+        resetForm();
+        return;
+      }
+
       console.log('✅ Signalement créé:', result.report.id);
       setCreatedReport(result.report);
       setShowSuccess(true);
@@ -199,16 +293,87 @@ function SignalementForm({ initialType = null }) {
     }
   };
 
+  /**
+   * Soutenir le signalement similaire au lieu d'en créer un nouveau
+   * (le message vocal enregistré y est rattaché)
+   */
+  const handleSupportSimilar = async () => {
+    if (!similarReport || isSupporting) {
+      return;
+    }
+
+    setIsSupporting(true);
+    setSubmitError(null);
+
+    try {
+      const { error } = await reportService.supportReport({
+        reportId: similarReport.id,
+        citizenUserId: getCitizenUserId(),
+        audioFile: audioRecording.audioBlob ? getAudioFile() : null,
+      });
+
+      if (error && error.code !== 'ALREADY_SUPPORTED') {
+        setSubmitError(error.message);
+        return;
+      }
+
+      toast.success(t('duplicate.supported_title', { defaultValue: 'Merci, votre voix a été ajoutée' }), {
+        description: t('duplicate.supported_desc', {
+          defaultValue: 'Vous serez notifié de l\'avancement de ce signalement.',
+        }),
+      });
+      resetForm();
+    } finally {
+      setIsSupporting(false);
+    }
+  };
+
   const resetForm = () => {
     setPosition(null);
+    setSimilarReport(null);
+    setIsSimilarDismissed(false);
     setSubmitError(null);
     setStep('idle');
     setIsManualPosition(false);
+    setIsPickingLocation(false);
+    setIsLocationConfirmed(false);
     audioRecording.resetRecording();
+    resetAnalysis();
     imageUpload.removeImage();
   };
 
+  /**
+   * Écouter (ou arrêter) la consigne d'une étape
+   */
+  const handlePlayPrompt = (promptId) => {
+    if (playingPromptId === promptId) {
+      voicePrompts.stop();
+      setPlayingPromptId(null);
+      return;
+    }
+
+    const prompt = getTranslatedPrompt(promptId);
+    setPlayingPromptId(promptId);
+    voicePrompts.say(
+      promptId,
+      t(prompt.i18nKey, { defaultValue: prompt.defaultValue }),
+      () => setPlayingPromptId(null)
+    );
+  };
+
+  const renderPromptButton = (promptId) => (
+    <VoicePromptButton
+      onClick={() => handlePlayPrompt(promptId)}
+      isPlaying={playingPromptId === promptId && voicePrompts.isSpeaking}
+      isLoading={playingPromptId === promptId && voicePrompts.isGenerating}
+    />
+  );
+
   const handleStartRecording = async () => {
+    // Ne pas enregistrer la consigne en cours de lecture
+    voicePrompts.stop();
+    setPlayingPromptId(null);
+
     const permissionState = await audioRecording.requestPermission();
     if (permissionState === 'denied') {
       return;
@@ -237,6 +402,31 @@ function SignalementForm({ initialType = null }) {
     resetForm();
   };
 
+  /**
+   * Position choisie sur la carte (GPS refusé, trop long ou imprécis)
+   */
+  const handleManualPosition = (newPosition) => {
+    geolocation.cancelAutoCapture();
+    setIsManualPosition(true);
+    setIsLocationConfirmed(false);
+    setPosition(newPosition);
+    if (step === 'location') {
+      setStep('photo');
+    }
+  };
+
+  const handleRetryLocation = () => {
+    setIsManualPosition(false);
+    setIsPickingLocation(false);
+    setIsLocationConfirmed(false);
+    geolocation.startAutoCapture();
+  };
+
+  const handleConfirmLocation = () => {
+    setIsLocationConfirmed(true);
+    setIsPickingLocation(false);
+  };
+
   // Mettre à jour la position quand le GPS capture une position
   useEffect(() => {
     if (geolocation.position && !isManualPosition) {
@@ -253,6 +443,45 @@ function SignalementForm({ initialType = null }) {
     }
   }, [geolocation.position, isManualPosition, step, audioRecording.audioBlob, audioRecording.isRecording]);
 
+  // Analyse IA du message vocal dès la fin de l'enregistrement (en arrière-plan)
+  useEffect(() => {
+    if (!audioRecording.audioBlob || audioRecording.isRecording || !isAnalysisSupported) {
+      return;
+    }
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return;
+    }
+
+    const promise = analyzeAudio({ audioBlob: audioRecording.audioBlob });
+    pendingAnalysisRef.current = { audioBlob: audioRecording.audioBlob, promise };
+
+    promise.then(({ success, error }) => {
+      if (!success) {
+        console.warn('⚠️ Analyse audio indisponible, signalement envoyé sans transcription:', error?.message);
+      }
+    });
+  }, [audioRecording.audioBlob, audioRecording.isRecording, isAnalysisSupported, analyzeAudio]);
+
+  // Détection des doublons dès que le type, l'audio et la position sont connus
+  useEffect(() => {
+    if (step !== 'photo' || !reportType || !position || isSimilarDismissed) {
+      return;
+    }
+
+    let cancelled = false;
+    reportService
+      .findSimilarReport({ type: reportType, latitude: position.lat, longitude: position.lng })
+      .then(({ similarReport: found }) => {
+        if (!cancelled) {
+          setSimilarReport(found);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [step, reportType, position, isSimilarDismissed]);
+
   const recordingProgress = audioRecording.maxDuration
     ? Math.min(100, Math.round((audioRecording.duration / audioRecording.maxDuration) * 100))
     : 0;
@@ -263,9 +492,12 @@ function SignalementForm({ initialType = null }) {
         <section className="rounded-2xl border border-neutral-200 bg-white p-6 shadow-sm space-y-4">
           <div className="flex flex-col gap-2">
             <div className="flex items-center justify-between">
-              <h3 className="text-lg font-semibold text-neutral-900">
-                {t('voice.recording_title', { defaultValue: 'Enregistrement vocal' })}
-              </h3>
+              <div className="flex items-center gap-2">
+                <h3 className="text-lg font-semibold text-neutral-900">
+                  {t('voice.recording_title', { defaultValue: 'Enregistrement vocal' })}
+                </h3>
+                {renderPromptButton('report.record')}
+              </div>
               <div className="text-right">
                 <p className="text-2xl font-mono text-primary-700">{audioRecording.duration}s</p>
                 <p className="text-xs text-neutral-500">/ {audioRecording.maxDuration}s</p>
@@ -328,19 +560,10 @@ function SignalementForm({ initialType = null }) {
             <h3 className="text-lg font-semibold text-neutral-900">
               {t('report.type_section_title', { defaultValue: 'Quel type de problème signalez-vous ?' })}
             </h3>
+            {renderPromptButton('report.type')}
           </div>
           <div className="flex flex-wrap gap-2">
-            {[
-              { value: 'voirie', label: t('report_types.voirie', { defaultValue: 'Route / chaussée' }) },
-              { value: 'eclairage', label: t('report_types.eclairage', { defaultValue: 'Éclairage public' }) },
-              { value: 'eau', label: t('report_types.eau', { defaultValue: 'Eau' }) },
-              { value: 'dechets', label: t('report_types.dechets', { defaultValue: 'Déchets / Propreté' }) },
-              { value: 'securite', label: t('report_types.securite', { defaultValue: 'Sécurité' }) },
-              { value: 'assainissement', label: t('report_types.assainissement', { defaultValue: 'Assainissement' }) },
-              { value: 'espaces_verts', label: t('report_types.espaces_verts', { defaultValue: 'Espaces verts' }) },
-              { value: 'transport', label: t('report_types.transport', { defaultValue: 'Transport' }) },
-              { value: 'autre', label: t('report_types.autre', { defaultValue: 'Autre' }) },
-            ].map((type) => (
+            {REPORT_TYPE_OPTIONS.map((type) => (
               <button
                 key={type.value}
                 type="button"
@@ -354,7 +577,7 @@ function SignalementForm({ initialType = null }) {
                 {reportType === type.value && (
                   <Check className="w-4 h-4" />
                 )}
-                {type.label}
+                {t(`report_types.${type.value}`, { defaultValue: type.label })}
               </button>
             ))}
           </div>
@@ -375,15 +598,39 @@ function SignalementForm({ initialType = null }) {
           </section>
         )}
 
-        {/* La localisation est récupérée automatiquement en arrière-plan, pas d'affichage */}
+        {/* Localisation capturée pendant l'enregistrement : adresse affichée, et lue aux voice users */}
+        {(step === 'location' || step === 'photo') && audioRecording.audioBlob && (
+          <section className="space-y-4">
+            <LocationConfirmationCard
+              status={isManualPosition ? 'success' : geolocation.autoCaptureStatus}
+              elapsed={geolocation.autoCaptureElapsed}
+              position={position}
+              accuracy={isManualPosition ? null : geolocation.position?.accuracy}
+              error={isManualPosition ? null : geolocation.autoCaptureError}
+              isConfirmed={isLocationConfirmed}
+              onConfirm={handleConfirmLocation}
+              onRetry={handleRetryLocation}
+              onManualSelect={() => setIsPickingLocation(true)}
+              speakAddress={isVoiceAuthenticated()}
+            />
+            {isPickingLocation && (
+              <div className="rounded-2xl border border-neutral-200 bg-white p-6 shadow-sm">
+                <LocationPicker value={position} onChange={handleManualPosition} />
+              </div>
+            )}
+          </section>
+        )}
 
         {/* Section photo optionnelle - affichée après l'enregistrement audio */}
         {step === 'photo' && audioRecording.audioBlob && position && (
           <section className="rounded-2xl border border-neutral-200 bg-white p-6 shadow-sm space-y-4">
             <div className="flex items-center justify-between">
-              <h3 className="text-lg font-semibold text-neutral-900">
-                {t('photo_sheet.title', { defaultValue: 'Ajouter une photo' })}
-              </h3>
+              <div className="flex items-center gap-2">
+                <h3 className="text-lg font-semibold text-neutral-900">
+                  {t('photo_sheet.title', { defaultValue: 'Ajouter une photo' })}
+                </h3>
+                {renderPromptButton('report.photo')}
+              </div>
               <span className="text-xs text-neutral-500 font-normal">
                 {t('form.optional', { defaultValue: 'Optionnel' })}
               </span>
@@ -394,6 +641,69 @@ function SignalementForm({ initialType = null }) {
               })}
             </p>
 
+            {/* Signalement similaire à proximité : proposer de le soutenir */}
+            {similarReport && !isSimilarDismissed && (
+              <div className="rounded-xl border border-amber-200 bg-amber-50 p-4 space-y-3">
+                <div className="flex items-start gap-3">
+                  {similarReport.image_url ? (
+                    <img
+                      src={similarReport.image_url}
+                      alt=""
+                      className="w-16 h-16 rounded-lg object-cover border border-amber-200 flex-shrink-0"
+                    />
+                  ) : (
+                    <div className="w-10 h-10 rounded-full bg-amber-100 flex items-center justify-center flex-shrink-0">
+                      <Users className="w-5 h-5 text-amber-700" />
+                    </div>
+                  )}
+                  <div className="flex-1 space-y-1">
+                    <p className="text-sm font-semibold text-amber-900">
+                      {t('duplicate.title', {
+                        distance: Math.max(1, Math.round(similarReport.distance_m)),
+                        defaultValue: 'Un signalement similaire existe à {{distance}} m',
+                      })}
+                    </p>
+                    <p className="text-sm text-amber-800">
+                      {t('duplicate.question', { defaultValue: 'Voulez-vous y ajouter votre voix ?' })}
+                    </p>
+                    {similarReport.supporters_count > 0 && (
+                      <p className="text-xs text-amber-700">
+                        {t('duplicate.supporters', {
+                          count: similarReport.supporters_count,
+                          defaultValue: '{{count}} citoyen(s) l\'ont déjà soutenu',
+                        })}
+                      </p>
+                    )}
+                  </div>
+                  {renderPromptButton('report.duplicate')}
+                </div>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <Button
+                    type="button"
+                    onClick={handleSupportSimilar}
+                    disabled={isSupporting || isSubmitting}
+                    className="flex-1"
+                  >
+                    {isSupporting ? (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <Users className="mr-2 h-4 w-4" />
+                    )}
+                    {t('duplicate.support', { defaultValue: 'Ajouter ma voix' })}
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    onClick={() => setIsSimilarDismissed(true)}
+                    disabled={isSupporting || isSubmitting}
+                    className="flex-1"
+                  >
+                    {t('duplicate.dismiss', { defaultValue: 'Non, c\'est un autre problème' })}
+                  </Button>
+                </div>
+              </div>
+            )}
+
             {/* Zone de sélection de photo */}
             {!imageUpload.imagePreview ? (
               <label
@@ -459,11 +769,12 @@ function SignalementForm({ initialType = null }) {
             )}
 
             {/* Bouton de soumission */}
-            <div className="flex flex-col gap-3 pt-2">
+            <div className="flex items-center gap-3 pt-2">
+              {renderPromptButton('report.submit')}
               <Button
                 onClick={() => handleSubmit()}
-                className="w-full"
-                disabled={isSubmitting || imageUpload.isCompressing}
+                className="flex-1"
+                disabled={isSubmitting || isSupporting || imageUpload.isCompressing}
               >
                 {isSubmitting ? (
                   <>
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Play, Pause } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+/**
+ * Délai entre deux semaines en lecture automatique (ms)
+ */
+const PLAY_INTERVAL_MS = 1200;
+
+/**
+ * Composant MapTimeSlider - Curseur temporel par semaine pour MapView
+ *
+ * La dernière position du curseur affiche toutes les semaines ; la lecture
+ * fait défiler les semaines une à une pour voir les points chauds évoluer.
+ *
+ * @param {Object} props
+ * @param {Array<number>} props.weeks - Débuts de semaine (getReportWeeks), du plus ancien au plus récent
+ * @param {number|null} props.value - Semaine sélectionnée (null = toutes)
+ * @param {Function} props.onChange - (weekStart|null) => void
+ * @param {number} [props.count] - Nombre de signalements affichés
+ *
+ * @example
+ * <MapTimeSlider weeks={weeks} value={selectedWeek} onChange={setSelectedWeek} count={12} />
+ */
+function MapTimeSlider({ weeks, value, onChange, count }) {
+  const { t } = useTranslation('common');
+  const [playing, setPlaying] = useState(false);
+
+  // Index du curseur : weeks.length = toutes les semaines
+  const index = value === null ? weeks.length : Math.max(0, weeks.indexOf(value));
+
+  useEffect(() => {
+    if (!playing) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      const next = index >= weeks.length - 1 ? null : weeks[index + 1];
+      onChange(next);
+      if (next === null) {
+        setPlaying(false);
+      }
+    }, PLAY_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [playing, index, weeks, onChange]);
+
+  const handleTogglePlay = () => {
+    if (!playing && value === null) {
+      // Repartir de la semaine la plus ancienne
+      onChange(weeks[0]);
+    }
+    setPlaying(!playing);
+  };
+
+  const label = value === null
+    ? t('map.time.all', { defaultValue: 'Toutes les semaines' })
+    : t('map.time.week', {
+        defaultValue: 'Semaine du {{date}}',
+        date: new Date(value).toLocaleDateString('fr-FR', { day: 'numeric', month: 'short', year: 'numeric' }),
+      });
+
+  return (
+    <div className="flex items-center gap-3 rounded-lg border border-neutral-200 bg-white px-3 py-2">
+      <Button
+        type="button"
+        variant="outline"
+        size="icon"
+        onClick={handleTogglePlay}
+        aria-label={playing
+          ? t('map.time.pause', { defaultValue: 'Pause' })
+          : t('map.time.play', { defaultValue: 'Lecture' })}
+      >
+        {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+      </Button>
+
+      <input
+        type="range"
+        min={0}
+        max={weeks.length}
+        step={1}
+        value={index}
+        onChange={(e) => {
+          const next = Number(e.target.value);
+          onChange(next >= weeks.length ? null : weeks[next]);
+        }}
+        className="flex-1 accent-primary-600"
+        aria-label={t('map.time.slider', { defaultValue: 'Période affichée' })}
+      />
+
+      <div className="min-w-[140px] text-right">
+        <p className="text-sm font-medium text-neutral-900">{label}</p>
+        {typeof count === 'number' && (
+          <p className="text-xs text-neutral-500">
+            {t('map.count', { defaultValue: '{{count}} signalement(s) affichés', count })}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MapTimeSlider;
@@ -1,14 +1,33 @@
 
-import { MapContainer, TileLayer, Marker, Popup, useMapEvents } from 'react-leaflet';
+import { useState, useMemo, useEffect, useCallback } from 'react';
+import { MapContainer, Marker, Popup, CircleMarker, Tooltip, useMap, useMapEvents } from 'react-leaflet';
 import { useTranslation } from 'react-i18next';
-import L from 'leaflet';
+import MapTimeSlider from './MapTimeSlider';
+import OfflineTileLayer from './OfflineTileLayer';
+import { selectedIcon, createReportIcon, createClusterIcon } from './markerIcons';
+import {
+  STATUS_COLORS,
+  PRIORITY_COLORS,
+  getReportColor,
+  getClusterColor,
+  clusterReports,
+  buildHeatCells,
+  getHeatColor,
+  getReportWeeks,
+  filterReportsByWeek
+} from '@/utils/mapClustering';
 
 /**
  * Composant MapView - Carte Leaflet interactive
  * 
  * Fonctionnalités :
  * - Affichage carte OpenStreetMap
- * - Markers pour signalements
+ * - Markers pour signalements, regroupés avec leur nombre quand ils sont
+ *   proches (couleur selon le statut ou la priorité)
+ * - Couche de densité (heatmap) activable
+ * - Curseur temporel par semaine (évolution des points chauds)
+ * - Chargement par zone affichée : emprise et zoom remontés à chaque
+ *   déplacement (onViewportChange), agrégats serveur aux petits zooms
  * - Popups avec détails
  * - Click sur la carte pour sélectionner une position
  * - Centrage automatique sur une position
@@ -21,6 +40,14 @@ import L from 'leaflet';
  * @param {Object} selectedPosition - Position sélectionnée { lat, lng }
  * @param {string} height - Hauteur de la carte (default: '400px')
  * @param {boolean} scrollWheelZoom - Autoriser le zoom avec la molette (default: true)
+ * @param {boolean} clustering - Regrouper les signalements proches (default: true)
+ * @param {string} colorBy - Couleur initiale des markers : 'status' | 'priority' (default: 'status')
+ * @param {boolean} enableHeatmap - Proposer la couche de densité (default: false)
+ * @param {boolean} enableTimeSlider - Afficher le curseur par semaine (default: false)
+ * @param {function} onViewportChange - Callback ({ bounds: { south, west, north, east }, zoom })
+ *   au montage puis après chaque déplacement / zoom
+ * @param {Array} aggregates - Agrégats serveur à afficher à la place des signalements
+ *   ({ id, latitude, longitude, count, counts: { pending, ... } })
  * 
  * @example
  * <MapView
@@ -31,35 +58,17 @@ import L from 'leaflet';
  *   selectedPosition={position}
  *   height="600px"
  * />
+ *
+ * // Carte d'analyse : densité + évolution semaine par semaine
+ * <MapView reports={reports} enableHeatmap enableTimeSlider colorBy="priority" />
+ *
+ * // Carte chargée par zone affichée (useViewportReports)
+ * <MapView reports={reports} aggregates={clusters} onViewportChange={onViewportChange} />
  */
 
-// Fix des icônes Leaflet par défaut (problème connu avec Webpack/Vite)
-delete L.Icon.Default.prototype._getIconUrl;
-L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon-2x.png',
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
-});
-
-// Icône personnalisée pour le marker de sélection (bleu)
-const selectedIcon = new L.Icon({
-  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-blue.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
-  iconSize: [25, 41],
-  iconAnchor: [12, 41],
-  popupAnchor: [1, -34],
-  shadowSize: [41, 41]
-});
-
-// Icône personnalisée pour les signalements (rouge)
-const reportIcon = new L.Icon({
-  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-red.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
-  iconSize: [25, 41],
-  iconAnchor: [12, 41],
-  popupAnchor: [1, -34],
-  shadowSize: [41, 41]
-});
+// Taille (px) des cases de regroupement et de densité
+const CLUSTER_RADIUS = 60;
+const HEAT_CELL_SIZE = 40;
 
 /**
  * Composant interne pour gérer les clics sur la carte
@@ -75,6 +84,251 @@ function MapClickHandler({ onMapClick }) {
   return null;
 }
 
+/**
+ * Composant interne : remonte l'emprise visible et le zoom de la carte
+ */
+function ViewportWatcher({ onViewportChange }) {
+  const map = useMap();
+
+  const notify = useCallback(() => {
+    const bounds = map.getBounds();
+    onViewportChange({
+      bounds: {
+        south: bounds.getSouth(),
+        west: bounds.getWest(),
+        north: bounds.getNorth(),
+        east: bounds.getEast(),
+      },
+      zoom: map.getZoom(),
+    });
+  }, [map, onViewportChange]);
+
+  // moveend est aussi émis après un zoom
+  useMapEvents({ moveend: notify });
+
+  useEffect(() => {
+    notify();
+  }, [notify]);
+
+  return null;
+}
+
+/**
+ * Zoom courant de la carte (les regroupements sont recalculés à chaque zoom)
+ */
+function useMapZoom() {
+  const map = useMap();
+  const [zoom, setZoom] = useState(map.getZoom());
+
+  useMapEvents({
+    zoomend() {
+      setZoom(map.getZoom());
+    },
+  });
+
+  return { map, zoom };
+}
+
+/**
+ * Popup de détail d'un signalement
+ */
+function ReportPopup({ report, t }) {
+  return (
+    <Popup>
+      <div className="text-sm space-y-2 min-w-[200px]">
+        {/* Type */}
+        <div>
+          <p className="font-semibold text-neutral-900">
+            {report.type}
+          </p>
+        </div>
+
+        {/* Description */}
+        {report.description && (
+          <div>
+            <p className="text-neutral-600 text-xs">
+              {report.description.length > 100
+                ? `${report.description.substring(0, 100)}...`
+                : report.description
+              }
+            </p>
+          </div>
+        )}
+
+        {/* Statut */}
+        <div className="flex items-center gap-2">
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+            report.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
+            report.status === 'in_progress' ? 'bg-blue-100 text-blue-800' :
+            report.status === 'resolved' ? 'bg-green-100 text-green-800' :
+            'bg-red-100 text-red-800'
+          }`}>
+            {t(`status.${report.status}`, { defaultValue: report.status })}
+          </span>
+        </div>
+
+        {/* Commune */}
+        {report.commune?.name && (
+          <div>
+            <p className="text-neutral-500 text-xs">
+              📍 {report.commune.name}
+            </p>
+          </div>
+        )}
+
+        {/* Image */}
+        {report.image_url && (
+          <div className="mt-2">
+            <img
+              src={report.image_url}
+              alt="Signalement"
+              className="w-full h-32 object-cover rounded"
+              loading="lazy"
+            />
+          </div>
+        )}
+
+        {/* Date */}
+        <div>
+          <p className="text-neutral-400 text-xs">
+            {new Date(report.created_at).toLocaleDateString('fr-FR', {
+              day: 'numeric',
+              month: 'short',
+              year: 'numeric',
+              hour: '2-digit',
+              minute: '2-digit'
+            })}
+          </p>
+        </div>
+      </div>
+    </Popup>
+  );
+}
+
+/**
+ * Couche des signalements : markers isolés et groupes avec leur nombre
+ */
+function ReportMarkersLayer({ reports, colorBy, clustering, t }) {
+  const { map, zoom } = useMapZoom();
+
+  const clusters = useMemo(
+    () => clusterReports(
+      reports,
+      (lat, lng) => map.project([lat, lng], zoom),
+      // Sans regroupement : une case par pixel (chaque signalement isolé)
+      { radius: clustering ? CLUSTER_RADIUS : 1, colorBy }
+    ),
+    [reports, map, zoom, clustering, colorBy]
+  );
+
+  return clusters.map((cluster) => {
+    if (cluster.reports.length === 1) {
+      const [report] = cluster.reports;
+      return (
+        <Marker
+          key={report.id}
+          position={[report.latitude, report.longitude]}
+          icon={createReportIcon(getReportColor(report, colorBy))}
+        >
+          <ReportPopup report={report} t={t} />
+        </Marker>
+      );
+    }
+
+    const [[south, west], [north, east]] = cluster.bounds;
+    const samePosition = south === north && west === east;
+
+    return (
+      <Marker
+        key={cluster.id}
+        position={[cluster.latitude, cluster.longitude]}
+        icon={createClusterIcon(cluster.reports.length, getClusterColor(cluster.counts, colorBy))}
+        eventHandlers={samePosition ? undefined : {
+          click: () => map.fitBounds(cluster.bounds, { padding: [40, 40] }),
+        }}
+      >
+        {/* Signalements au même endroit : liste dans une popup */}
+        {samePosition && (
+          <Popup>
+            <div className="text-sm space-y-1 min-w-[200px]">
+              <p className="font-semibold text-neutral-900">
+                {t('map.cluster_count', {
+                  defaultValue: '{{count}} signalements',
+                  count: cluster.reports.length,
+                })}
+              </p>
+              {cluster.reports.map((report) => (
+                <p key={report.id} className="text-xs text-neutral-600 flex items-center gap-1">
+                  <span
+                    className="inline-block w-2 h-2 rounded-full"
+                    style={{ background: getReportColor(report, colorBy) }}
+                  />
+                  {report.type} · {t(`status.${report.status}`, { defaultValue: report.status })}
+                </p>
+              ))}
+            </div>
+          </Popup>
+        )}
+      </Marker>
+    );
+  });
+}
+
+/**
+ * Couche des agrégats serveur (petits zooms) : un clic zoome sur la zone
+ */
+function AggregatesLayer({ aggregates, t }) {
+  const map = useMap();
+
+  return aggregates.map((aggregate) => (
+    <Marker
+      key={aggregate.id}
+      position={[aggregate.latitude, aggregate.longitude]}
+      icon={aggregate.count === 1
+        ? createReportIcon(getClusterColor(aggregate.counts, 'status'))
+        : createClusterIcon(aggregate.count, getClusterColor(aggregate.counts, 'status'))}
+      eventHandlers={{
+        click: () => map.setView([aggregate.latitude, aggregate.longitude], map.getZoom() + 2),
+      }}
+      title={t('map.cluster_count', { defaultValue: '{{count}} signalements', count: aggregate.count })}
+    />
+  ));
+}
+
+/**
+ * Couche de densité : cercles dont la couleur et l'opacité suivent
+ * le nombre de signalements de la zone
+ */
+function HeatmapLayer({ reports, t }) {
+  const { map, zoom } = useMapZoom();
+
+  const cells = useMemo(
+    () => buildHeatCells(
+      reports,
+      (lat, lng) => map.project([lat, lng], zoom),
+      { cellSize: HEAT_CELL_SIZE }
+    ),
+    [reports, map, zoom]
+  );
+
+  return cells.map((cell) => (
+    <CircleMarker
+      key={cell.id}
+      center={[cell.latitude, cell.longitude]}
+      radius={(HEAT_CELL_SIZE / 2) * (0.6 + 0.6 * cell.intensity)}
+      pathOptions={{
+        stroke: false,
+        fillColor: getHeatColor(cell.intensity),
+        fillOpacity: 0.25 + 0.45 * cell.intensity,
+      }}
+    >
+      <Tooltip>
+        {t('map.cluster_count', { defaultValue: '{{count}} signalements', count: cell.count })}
+      </Tooltip>
+    </CircleMarker>
+  ));
+}
+
 /**
  * Composant principal MapView
  */
@@ -85,124 +339,133 @@ function MapView({
   onMapClick = null,
   selectedPosition = null,
   height = '400px',
-  scrollWheelZoom = true
+  scrollWheelZoom = true,
+  clustering = true,
+  colorBy: initialColorBy = 'status',
+  enableHeatmap = false,
+  enableTimeSlider = false,
+  onViewportChange = null,
+  aggregates = []
 }) {
   const { t } = useTranslation('common');
 
+  const [colorBy, setColorBy] = useState(initialColorBy);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  // Semaine affichée (null = toutes)
+  const [selectedWeek, setSelectedWeek] = useState(null);
+
+  const weeks = useMemo(
+    () => (enableTimeSlider ? getReportWeeks(reports) : []),
+    [enableTimeSlider, reports]
+  );
+
+  const visibleReports = useMemo(
+    () => (enableTimeSlider && selectedWeek !== null
+      ? filterReportsByWeek(reports, selectedWeek)
+      : reports),
+    [enableTimeSlider, selectedWeek, reports]
+  );
+
+  const showAggregates = aggregates.length > 0;
+  const hasReports = reports.length > 0 || showAggregates;
+  // Les agrégats serveur ne sont répartis que par statut
+  const legendBy = showAggregates ? 'status' : colorBy;
+  const palette = legendBy === 'priority' ? PRIORITY_COLORS : STATUS_COLORS;
+
   return (
-    <div style={{ height, width: '100%' }} className="rounded-lg overflow-hidden border-2 border-neutral-200">
-      <MapContainer
-        center={[center.lat, center.lng]}
-        zoom={zoom}
-        scrollWheelZoom={scrollWheelZoom}
-        style={{ height: '100%', width: '100%' }}
-      >
-        {/* Tuiles OpenStreetMap */}
-        <TileLayer
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-        />
+    <div className="space-y-3">
+      <div style={{ height, width: '100%' }} className="relative rounded-lg overflow-hidden border-2 border-neutral-200">
+        {/* Contrôles : couche et couleur (au-dessus de la carte) */}
+        {hasReports && (
+          <div className="absolute top-2 right-2 z-[1000] flex flex-col items-end gap-2">
+            <div className="flex rounded-md bg-white shadow border border-neutral-200 text-xs overflow-hidden">
+              {enableHeatmap && !showAggregates && (
+                <button
+                  type="button"
+                  onClick={() => setShowHeatmap(!showHeatmap)}
+                  className={`px-2 py-1 font-medium ${showHeatmap ? 'bg-primary-600 text-white' : 'text-neutral-700 hover:bg-neutral-50'}`}
+                >
+                  {t('map.layers.heatmap', { defaultValue: 'Densité' })}
+                </button>
+              )}
+              {!showHeatmap && !showAggregates && ['status', 'priority'].map((key) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setColorBy(key)}
+                  className={`px-2 py-1 font-medium ${colorBy === key ? 'bg-neutral-800 text-white' : 'text-neutral-700 hover:bg-neutral-50'}`}
+                >
+                  {t(`map.color_by.${key}`, { defaultValue: key === 'status' ? 'Statut' : 'Priorité' })}
+                </button>
+              ))}
+            </div>
 
-        {/* Handler de click sur la carte */}
-        {onMapClick && <MapClickHandler onMapClick={onMapClick} />}
-
-        {/* Marker de position sélectionnée (bleu) */}
-        {selectedPosition && (
-          <Marker
-            position={[selectedPosition.lat, selectedPosition.lng]}
-            icon={selectedIcon}
-          >
-            <Popup>
-              <div className="text-sm">
-                <p className="font-semibold text-primary-600">
-                  {t('map.selected_position', { defaultValue: 'Position sélectionnée' })}
-                </p>
-                <p className="text-neutral-600 mt-1">
-                  {selectedPosition.lat.toFixed(6)}, {selectedPosition.lng.toFixed(6)}
-                </p>
+            {/* Légende */}
+            {!showHeatmap && (
+              <div className="rounded-md bg-white/95 shadow border border-neutral-200 px-2 py-1 space-y-0.5">
+                {Object.entries(palette).map(([key, color]) => (
+                  <p key={key} className="flex items-center gap-1 text-[11px] text-neutral-700">
+                    <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ background: color }} />
+                    {t(`${legendBy}.${key}`, { defaultValue: key })}
+                  </p>
+                ))}
               </div>
-            </Popup>
-          </Marker>
+            )}
+          </div>
         )}
 
-        {/* Markers des signalements (rouge) */}
-        {reports.map((report) => (
-          <Marker
-            key={report.id}
-            position={[report.latitude, report.longitude]}
-            icon={reportIcon}
-          >
-            <Popup>
-              <div className="text-sm space-y-2 min-w-[200px]">
-                {/* Type */}
-                <div>
-                  <p className="font-semibold text-neutral-900">
-                    {report.type}
-                  </p>
-                </div>
+        <MapContainer
+          center={[center.lat, center.lng]}
+          zoom={zoom}
+          scrollWheelZoom={scrollWheelZoom}
+          style={{ height: '100%', width: '100%' }}
+        >
+          {/* Tuiles OpenStreetMap (packs hors-ligne en priorité) */}
+          <OfflineTileLayer />
 
-                {/* Description */}
-                {report.description && (
-                  <div>
-                    <p className="text-neutral-600 text-xs">
-                      {report.description.length > 100
-                        ? `${report.description.substring(0, 100)}...`
-                        : report.description
-                      }
-                    </p>
-                  </div>
-                )}
-
-                {/* Statut */}
-                <div className="flex items-center gap-2">
-                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
-                    report.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
-                    report.status === 'in_progress' ? 'bg-blue-100 text-blue-800' :
-                    report.status === 'resolved' ? 'bg-green-100 text-green-800' :
-                    'bg-red-100 text-red-800'
-                  }`}>
-                    {t(`status.${report.status}`, { defaultValue: report.status })}
-                  </span>
-                </div>
+          {/* Handler de click sur la carte */}
+          {onMapClick && <MapClickHandler onMapClick={onMapClick} />}
 
-                {/* Commune */}
-                {report.commune?.name && (
-                  <div>
-                    <p className="text-neutral-500 text-xs">
-                      📍 {report.commune.name}
-                    </p>
-                  </div>
-                )}
-
-                {/* Image */}
-                {report.image_url && (
-                  <div className="mt-2">
-                    <img
-                      src={report.image_url}
-                      alt="Signalement"
-                      className="w-full h-32 object-cover rounded"
-                      loading="lazy"
-                    />
-                  </div>
-                )}
-
-                {/* Date */}
-                <div>
-                  <p className="text-neutral-400 text-xs">
-                    {new Date(report.created_at).toLocaleDateString('fr-FR', {
-                      day: 'numeric',
-                      month: 'short',
-                      year: 'numeric',
-                      hour: '2-digit',
-                      minute: '2-digit'
-                    })}
+          {/* Emprise visible (chargement par zone) */}
+          {onViewportChange && <ViewportWatcher onViewportChange={onViewportChange} />}
+
+          {/* Marker de position sélectionnée (bleu) */}
+          {selectedPosition && (
+            <Marker
+              position={[selectedPosition.lat, selectedPosition.lng]}
+              icon={selectedIcon}
+            >
+              <Popup>
+                <div className="text-sm">
+                  <p className="font-semibold text-primary-600">
+                    {t('map.selected_position', { defaultValue: 'Position sélectionnée' })}
+                  </p>
+                  <p className="text-neutral-600 mt-1">
+                    {selectedPosition.lat.toFixed(6)}, {selectedPosition.lng.toFixed(6)}
                   </p>
                 </div>
-              </div>
-            </Popup>
-          </Marker>
-        ))}
-      </MapContainer>
+              </Popup>
+            </Marker>
+          )}
+
+          {/* Signalements : agrégats serveur, densité ou markers regroupés */}
+          {showAggregates
+            ? <AggregatesLayer aggregates={aggregates} t={t} />
+            : showHeatmap
+              ? <HeatmapLayer reports={visibleReports} t={t} />
+              : <ReportMarkersLayer reports={visibleReports} colorBy={colorBy} clustering={clustering} t={t} />}
+        </MapContainer>
+      </div>
+
+      {/* Curseur temporel : une semaine à la fois */}
+      {enableTimeSlider && weeks.length > 1 && (
+        <MapTimeSlider
+          weeks={weeks}
+          value={selectedWeek}
+          onChange={setSelectedWeek}
+          count={visibleReports.length}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,77 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import tilesConfig from '@/config/tiles';
+import { getCachedTile } from '@/utils/tilePacks';
+
+/**
+ * Couche Leaflet qui lit d'abord les packs de tuiles hors-ligne
+ * (utils/tilePacks), puis le réseau
+ */
+const PackAwareTileLayer = L.TileLayer.extend({
+  createTile(coords, done) {
+    const tile = document.createElement('img');
+
+    L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+    L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+    tile.alt = '';
+    tile.setAttribute('role', 'presentation');
+
+    const url = this.getTileUrl(coords);
+
+    getCachedTile(url)
+      .then((response) => (response ? response.blob() : null))
+      .then((blob) => {
+        if (!blob) {
+          tile.src = url;
+          return;
+        }
+        const objectUrl = URL.createObjectURL(blob);
+        tile.addEventListener('load', () => URL.revokeObjectURL(objectUrl), { once: true });
+        tile.src = objectUrl;
+      })
+      .catch(() => {
+        tile.src = url;
+      });
+
+    return tile;
+  },
+});
+
+/**
+ * Composant OfflineTileLayer - Tuiles de carte compatibles hors-ligne
+ *
+ * Remplace <TileLayer> dans les cartes : les tuiles pré-téléchargées pour la
+ * commune de l'agent (OfflineMapCard) sont affichées sans réseau, les autres
+ * viennent du réseau (et du cache opportuniste du service worker).
+ * Le fournisseur par défaut est celui de config/tiles : celui des packs
+ * quand il est configuré.
+ *
+ * @param {Object} props
+ * @param {string} [props.url] - Modèle d'URL des tuiles (default: tilesConfig.url)
+ * @param {string} [props.attribution] - Attribution affichée (default: tilesConfig.attribution)
+ *
+ * @example
+ * <MapContainer center={[14.69, -17.44]} zoom={13}>
+ *   <OfflineTileLayer />
+ * </MapContainer>
+ */
+function OfflineTileLayer({
+  url = tilesConfig.url,
+  attribution = tilesConfig.attribution,
+}) {
+  const map = useMap();
+
+  useEffect(() => {
+    const layer = new PackAwareTileLayer(url, { attribution, maxZoom: 19 });
+    layer.addTo(map);
+
+    return () => {
+      layer.remove();
+    };
+  }, [map, url, attribution]);
+
+  return null;
+}
+
+export default OfflineTileLayer;
@@ -0,0 +1,63 @@
+import L from 'leaflet';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+
+/**
+ * Icônes des cartes Leaflet, servies par l'application (aucun CDN)
+ *
+ * - Icône par défaut de Leaflet : images du paquet leaflet, copiées dans le
+ *   build par Vite et précachées par le service worker
+ * - Signalements et groupes : SVG / HTML générés (couleur du statut ou de
+ *   la priorité), donc disponibles hors connexion
+ *
+ * L'import de ce module corrige aussi L.Icon.Default (chemins d'images
+ * cassés par le bundler).
+ */
+
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl: markerIcon2x,
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
+});
+
+/**
+ * Marker de position sélectionnée (épingle bleue de Leaflet)
+ */
+export const selectedIcon = new L.Icon.Default();
+
+/**
+ * Icône d'un signalement : épingle de la couleur du statut / de la priorité
+ *
+ * @param {string} color - Couleur hexadécimale (voir utils/mapClustering)
+ * @returns {L.DivIcon}
+ */
+export const createReportIcon = (color) => L.divIcon({
+  className: '',
+  html: `<svg xmlns="http://www.w3.org/2000/svg" width="26" height="36" viewBox="0 0 26 36" style="filter:drop-shadow(0 1px 2px rgba(0,0,0,.45))">`
+    + `<path d="M13 1C6.4 1 1 6.3 1 12.9 1 21.8 13 35 13 35s12-13.2 12-22.1C25 6.3 19.6 1 13 1z" fill="${color}" stroke="#fff" stroke-width="2"/>`
+    + '<circle cx="13" cy="13" r="4.5" fill="#fff"/>'
+    + '</svg>',
+  iconSize: [26, 36],
+  iconAnchor: [13, 35],
+  popupAnchor: [0, -32],
+});
+
+/**
+ * Icône d'un groupe : cercle avec le nombre de signalements
+ *
+ * @param {number} count - Nombre de signalements du groupe
+ * @param {string} color - Couleur hexadécimale
+ * @returns {L.DivIcon}
+ */
+export const createClusterIcon = (count, color) => {
+  const size = count < 10 ? 34 : count < 100 ? 42 : 50;
+  return L.divIcon({
+    className: '',
+    html: `<span style="display:flex;align-items:center;justify-content:center;width:${size}px;height:${size}px;border-radius:9999px;background:${color};color:#fff;font-weight:700;font-size:13px;border:3px solid rgba(255,255,255,.85);box-shadow:0 1px 6px rgba(0,0,0,.35)">${count}</span>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+    popupAnchor: [0, -size / 2],
+  });
+};
@@ -0,0 +1,176 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Loader2, UserCheck, UserMinus, UserPlus } from 'lucide-react';
+
+/**
+ * Formulaire d'affectation d'un signalement à un agent
+ *
+ * Fonctionnalités :
+ * - Affiche l'agent affecté (ou "Non affecté")
+ * - Agent : "Me l'affecter" sur un signalement libre, "Me retirer" sur le sien
+ * - Superviseur / admin : réaffectation à un agent de la commune, avec la
+ *   charge de travail de chacun et un commentaire pour l'historique
+ *
+ * Les règles sont aussi vérifiées par PostgreSQL (voir reportApi.assignReport).
+ *
+ * @param {Object} props
+ * @param {string|null} props.assignedTo - UUID de l'agent affecté (report.assigned_to)
+ * @param {Array} props.agents - Agents de la commune (useAgentWorkload)
+ * @param {Object} props.currentUser - Utilisateur connecté ({ id, role, is_supervisor })
+ * @param {Function} props.onSubmit - Callback (agentId | null, { comment })
+ * @param {boolean} [props.loading] - Affiche un spinner pendant l'update
+ * @param {string} [props.className] - Classes CSS additionnelles
+ *
+ * @example
+ * <AssignmentForm
+ *   assignedTo={report.assigned_to}
+ *   agents={agents}
+ *   currentUser={user}
+ *   onSubmit={handleAssign}
+ *   loading={updating}
+ * />
+ */
+function AssignmentForm({
+  assignedTo,
+  agents = [],
+  currentUser,
+  onSubmit,
+  loading = false,
+  className = ''
+}) {
+  const [selectedAgent, setSelectedAgent] = useState('');
+  const [comment, setComment] = useState('');
+
+  const canReassign = currentUser?.role === 'admin' || Boolean(currentUser?.is_supervisor);
+  const isMine = Boolean(assignedTo) && assignedTo === currentUser?.id;
+  const assignee = agents.find((agent) => agent.agent_id === assignedTo);
+
+  /**
+   * Réaffecter à l'agent sélectionné (superviseur / admin)
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!selectedAgent || selectedAgent === assignedTo) {
+      return;
+    }
+
+    onSubmit(selectedAgent === 'none' ? null : selectedAgent, { comment });
+    setSelectedAgent('');
+    setComment('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={`space-y-4 ${className}`}>
+      {/* Affectation actuelle */}
+      <div>
+        <Label className="text-sm font-medium text-neutral-700">
+          Agent affecté
+        </Label>
+        <p className="mt-2 text-sm font-medium text-neutral-900 flex items-center gap-2">
+          <UserCheck className="w-4 h-4 text-neutral-500" />
+          {assignedTo ? (assignee?.name || 'Agent') : 'Non affecté'}
+          {isMine && <span className="text-xs text-primary-600">(vous)</span>}
+        </p>
+      </div>
+
+      {/* Prise en charge / retrait par l'agent lui-même */}
+      {currentUser?.role === 'agent' && !assignedTo && (
+        <Button
+          type="button"
+          variant="outline"
+          className="w-full"
+          onClick={() => onSubmit(currentUser.id)}
+          disabled={loading}
+        >
+          <UserPlus className="w-4 h-4 mr-2" />
+          Me l'affecter
+        </Button>
+      )}
+      {isMine && (
+        <Button
+          type="button"
+          variant="outline"
+          className="w-full"
+          onClick={() => onSubmit(null)}
+          disabled={loading}
+        >
+          <UserMinus className="w-4 h-4 mr-2" />
+          Me retirer
+        </Button>
+      )}
+
+      {/* Réaffectation (superviseur / admin) */}
+      {canReassign && (
+        <>
+          <div>
+            <Label htmlFor="new-assignee" className="text-sm font-medium text-neutral-700">
+              Réaffecter à
+            </Label>
+            <Select
+              value={selectedAgent}
+              onValueChange={setSelectedAgent}
+              disabled={loading}
+            >
+              <SelectTrigger id="new-assignee" className="mt-2">
+                <SelectValue placeholder="Sélectionnez un agent" />
+              </SelectTrigger>
+              <SelectContent>
+                {assignedTo && (
+                  <SelectItem value="none">📥 Remettre dans la file commune</SelectItem>
+                )}
+                {agents.map((agent) => (
+                  <SelectItem key={agent.agent_id} value={agent.agent_id}>
+                    {agent.name} · {agent.pending + agent.in_progress} ouvert{agent.pending + agent.in_progress > 1 ? 's' : ''}
+                    {agent.overdue > 0 && ` · ${agent.overdue} en retard`}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div>
+            <Label htmlFor="assignment-comment" className="text-sm font-medium text-neutral-700">
+              Commentaire (optionnel)
+            </Label>
+            <Textarea
+              id="assignment-comment"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="Ex : secteur de l'agent, compétence électricité..."
+              rows={2}
+              className="mt-2"
+              disabled={loading}
+            />
+          </div>
+
+          <Button
+            type="submit"
+            disabled={!selectedAgent || loading || selectedAgent === assignedTo}
+            className="w-full"
+          >
+            {loading ? (
+              <>
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Mise à jour en cours...
+              </>
+            ) : (
+              'Réaffecter'
+            )}
+          </Button>
+        </>
+      )}
+    </form>
+  );
+}
+
+export default AssignmentForm;
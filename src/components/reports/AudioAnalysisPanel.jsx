@@ -0,0 +1,125 @@
+import { useTranslation } from 'react-i18next';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Loader2, Sparkles, AlertTriangle, CheckCircle2 } from 'lucide-react';
+
+/**
+ * Libellés de gravité estimée par l'IA
+ */
+const SEVERITY_LABELS = {
+  low: { label: 'Faible', className: 'bg-neutral-100 text-neutral-700 border-neutral-200' },
+  medium: { label: 'Moyenne', className: 'bg-amber-50 text-amber-800 border-amber-200' },
+  high: { label: 'Élevée', className: 'bg-error-50 text-error-700 border-error-200' },
+};
+
+/**
+ * Panneau d'analyse IA du message vocal (agents / admins)
+ *
+ * Affiche la catégorie suggérée par l'IA face au type actuel du signalement,
+ * la gravité estimée, la confiance, le résumé et les mots-clés.
+ * Si la suggestion diffère du type, l'agent peut l'appliquer en un clic.
+ *
+ * @param {Object} props
+ * @param {Object} props.report - Signalement (ai_category, ai_severity, ai_confidence, audio_analysis, type)
+ * @param {Function} [props.onApplyCategory] - Callback (category) pour adopter la suggestion
+ * @param {boolean} [props.loading] - Mise à jour du type en cours
+ * @param {string} [props.className] - Classes CSS additionnelles
+ *
+ * @example
+ * <AudioAnalysisPanel
+ *   report={report}
+ *   onApplyCategory={handleUpdateType}
+ *   loading={updating}
+ * />
+ */
+function AudioAnalysisPanel({ report, onApplyCategory, loading = false, className = '' }) {
+  const { t } = useTranslation('agent');
+
+  if (!report?.ai_category && !report?.audio_analysis) {
+    return null;
+  }
+
+  const analysis = report.audio_analysis || {};
+  const isMismatch = Boolean(report.ai_category) && report.ai_category !== report.type;
+  const severity = SEVERITY_LABELS[report.ai_severity];
+
+  const formatType = (type) => {
+    return t(`report.types.${type}`, { defaultValue: type?.replace('_', ' ') || '' });
+  };
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      {/* Suggestion vs type actuel */}
+      <div className="grid grid-cols-2 gap-3">
+        <div className="p-3 rounded-lg border border-neutral-200 bg-white">
+          <p className="text-xs text-neutral-500">Type actuel</p>
+          <p className="font-medium text-neutral-900 capitalize">{formatType(report.type)}</p>
+        </div>
+        <div className={`p-3 rounded-lg border ${isMismatch ? 'border-amber-300 bg-amber-50' : 'border-success-200 bg-success-50'}`}>
+          <p className="text-xs text-neutral-500 flex items-center gap-1">
+            <Sparkles className="w-3 h-3" />
+            Suggestion IA
+          </p>
+          <p className="font-medium text-neutral-900 capitalize">
+            {report.ai_category ? formatType(report.ai_category) : '—'}
+          </p>
+        </div>
+      </div>
+
+      {isMismatch ? (
+        <div className="flex items-center justify-between gap-3 text-sm text-amber-800">
+          <span className="flex items-center gap-1">
+            <AlertTriangle className="w-4 h-4" />
+            La catégorie suggérée diffère du type actuel
+          </span>
+          {onApplyCategory && (
+            <Button
+              type="button"
+              size="sm"
+              variant="outline"
+              onClick={() => onApplyCategory(report.ai_category)}
+              disabled={loading}
+            >
+              {loading ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Appliquer'}
+            </Button>
+          )}
+        </div>
+      ) : report.ai_category && (
+        <p className="text-sm text-success-700 flex items-center gap-1">
+          <CheckCircle2 className="w-4 h-4" />
+          Le type correspond à la suggestion de l'IA
+        </p>
+      )}
+
+      {/* Gravité + confiance */}
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {severity && (
+          <Badge variant="outline" className={severity.className}>
+            Gravité : {severity.label}
+          </Badge>
+        )}
+        {typeof report.ai_confidence === 'number' && (
+          <Badge variant="outline">
+            Confiance : {Math.round(report.ai_confidence * 100)} %
+          </Badge>
+        )}
+      </div>
+
+      {/* Résumé + mots-clés */}
+      {analysis.summary && (
+        <p className="text-sm text-neutral-700">{analysis.summary}</p>
+      )}
+      {analysis.keywords?.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {analysis.keywords.map((keyword) => (
+            <Badge key={keyword} variant="secondary" className="font-normal">
+              {keyword}
+            </Badge>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AudioAnalysisPanel;
@@ -0,0 +1,231 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Loader2, X, FileDown, Play, AlertTriangle } from 'lucide-react';
+import * as reportApi from '@/api/reportApi';
+import {
+  REPORT_PRIORITY_OPTIONS,
+  REPORT_STATUS_OPTIONS,
+  REPORT_TYPE_OPTIONS,
+} from '@/config/reportOptions';
+
+/**
+ * Actions disponibles et leurs valeurs (mêmes listes que les formulaires unitaires)
+ */
+const withEmoji = (option) => ({ value: option.value, label: `${option.emoji} ${option.label}` });
+
+const STATUS_OPTIONS = REPORT_STATUS_OPTIONS.map(withEmoji);
+const PRIORITY_OPTIONS = REPORT_PRIORITY_OPTIONS.map(withEmoji);
+const TYPE_OPTIONS = REPORT_TYPE_OPTIONS;
+
+/**
+ * Barre d'actions groupées sur les signalements sélectionnés
+ *
+ * Fonctionnalités :
+ * - Changement de statut (justification obligatoire pour résolu / rejeté),
+ *   de priorité, reclassement de type, affectation
+ * - Export CSV de la sélection
+ * - Résultat ligne par ligne : les échecs (droits, validation) sont listés
+ *   sans bloquer les autres signalements (voir reportApi, ACTIONS GROUPÉES)
+ *
+ * @param {Object} props
+ * @param {Object} props.selection - Sélection (useReportSelection)
+ * @param {Function} props.onExport - Export CSV (selectedReports)
+ * @param {Function} [props.onCompleted] - Après une action (rafraîchir la liste)
+ * @param {Array} [props.agents] - Agents proposés pour l'affectation (useAgentWorkload) ;
+ *   sans agents, l'affectation se limite au retrait
+ * @param {string} [props.className] - Classes CSS additionnelles
+ *
+ * @example
+ * const selection = useReportSelection();
+ *
+ * <BulkActionsBar
+ *   selection={selection}
+ *   agents={agents}
+ *   onExport={(reports) => reportService.downloadCSV(reports, 'selection.csv')}
+ *   onCompleted={refetch}
+ * />
+ */
+function BulkActionsBar({
+  selection,
+  onExport,
+  onCompleted,
+  agents = [],
+  className = ''
+}) {
+  const [action, setAction] = useState('');
+  const [value, setValue] = useState('');
+  const [comment, setComment] = useState('');
+  const [running, setRunning] = useState(false);
+  const [failures, setFailures] = useState([]);
+
+  if (selection.count === 0) {
+    return null;
+  }
+
+  const assignOptions = [
+    { value: 'none', label: '📥 Remettre dans la file commune' },
+    ...agents.map((agent) => ({ value: agent.agent_id, label: agent.name })),
+  ];
+
+  const valueOptions = {
+    status: STATUS_OPTIONS,
+    priority: PRIORITY_OPTIONS,
+    type: TYPE_OPTIONS,
+    assign: assignOptions,
+  }[action] || [];
+
+  const needsComment = action === 'status' && reportApi.CLOSING_STATUSES.includes(value);
+
+  const handleActionChange = (newAction) => {
+    setAction(newAction);
+    setValue('');
+  };
+
+  /**
+   * Appliquer l'action à toute la sélection
+   */
+  const handleApply = async () => {
+    const ids = selection.selectedIds;
+    const options = { comment };
+
+    setRunning(true);
+    setFailures([]);
+
+    let result;
+    if (action === 'status') {
+      result = await reportApi.bulkUpdateReportStatus(ids, value, options);
+    } else if (action === 'priority') {
+      result = await reportApi.bulkUpdateReportPriority(ids, value, options);
+    } else if (action === 'type') {
+      result = await reportApi.bulkUpdateReportType(ids, value, options);
+    } else {
+      result = await reportApi.bulkAssignReports(ids, value === 'none' ? null : value, { comment });
+    }
+
+    setRunning(false);
+
+    if (result.error) {
+      toast.error('Action impossible', { description: result.error.message });
+      return;
+    }
+
+    const { succeeded, failed } = result.data;
+    selection.replaceReports(succeeded);
+    setFailures(failed);
+
+    if (failed.length === 0) {
+      toast.success(`${succeeded.length} signalement${succeeded.length > 1 ? 's' : ''} mis à jour`);
+      setComment('');
+    } else {
+      toast.warning(`${succeeded.length} mis à jour, ${failed.length} en échec`);
+    }
+
+    onCompleted?.();
+  };
+
+  return (
+    <div className={`bg-white border-2 border-primary-200 rounded-lg p-4 space-y-3 shadow-sm ${className}`}>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-semibold text-primary-900 mr-2">
+          {selection.count} sélectionné{selection.count > 1 ? 's' : ''}
+        </span>
+
+        <Select value={action} onValueChange={handleActionChange} disabled={running}>
+          <SelectTrigger className="w-44">
+            <SelectValue placeholder="Action groupée" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="status">Changer le statut</SelectItem>
+            <SelectItem value="priority">Changer la priorité</SelectItem>
+            <SelectItem value="type">Reclasser le type</SelectItem>
+            <SelectItem value="assign">Affecter</SelectItem>
+          </SelectContent>
+        </Select>
+
+        {action && (
+          <Select value={value} onValueChange={setValue} disabled={running}>
+            <SelectTrigger className="w-56">
+              <SelectValue placeholder="Nouvelle valeur" />
+            </SelectTrigger>
+            <SelectContent>
+              {valueOptions.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+
+        <Button
+          size="sm"
+          onClick={handleApply}
+          disabled={!action || !value || running || (needsComment && !comment.trim())}
+        >
+          {running ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Play className="w-4 h-4 mr-1" />}
+          Appliquer
+        </Button>
+
+        <div className="flex items-center gap-2 ml-auto">
+          <Button size="sm" variant="outline" onClick={() => onExport(selection.selectedReports)} disabled={running}>
+            <FileDown className="w-4 h-4 mr-1" />
+            Exporter la sélection
+          </Button>
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={() => {
+              selection.clear();
+              setFailures([]);
+            }}
+            disabled={running}
+          >
+            <X className="w-4 h-4 mr-1" />
+            Désélectionner
+          </Button>
+        </div>
+      </div>
+
+      {/* Commentaire (justification obligatoire pour une clôture) */}
+      {action && (
+        <Textarea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder={needsComment
+            ? 'Justification (obligatoire pour résoudre ou rejeter)'
+            : 'Commentaire pour l\'historique (optionnel)'}
+          rows={2}
+          disabled={running}
+        />
+      )}
+
+      {/* Échecs ligne par ligne */}
+      {failures.length > 0 && (
+        <div className="rounded-lg border border-amber-300 bg-amber-50 p-3">
+          <p className="text-sm font-medium text-amber-900 flex items-center gap-1 mb-1">
+            <AlertTriangle className="w-4 h-4" />
+            {failures.length} signalement{failures.length > 1 ? 's' : ''} non modifié{failures.length > 1 ? 's' : ''}
+          </p>
+          <ul className="text-xs text-amber-900 space-y-0.5 max-h-32 overflow-y-auto">
+            {failures.map((failure) => (
+              <li key={failure.id}>
+                <span className="font-mono">#{failure.id.slice(0, 8)}</span> : {failure.error.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BulkActionsBar;
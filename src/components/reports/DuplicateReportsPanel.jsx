@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import StatusBadge from './StatusBadge';
+import { Loader2, GitMerge, Users, MapPin, ExternalLink } from 'lucide-react';
+
+/**
+ * Panneau de gestion des doublons d'un signalement (agents / admins)
+ *
+ * Fonctionnalités :
+ * - Nombre de citoyens qui soutiennent le signalement
+ * - Si le signalement est un doublon fusionné : lien vers le canonique
+ * - Sinon : liste des doublons potentiels (même type, proches, récents)
+ *   avec une action "Fusionner ici" (confirmation requise)
+ *
+ * @param {Object} props
+ * @param {Object} props.report - Signalement affiché (canonique de la fusion)
+ * @param {Array} props.similarReports - Candidats renvoyés par reportApi.findSimilarReports
+ * @param {boolean} [props.loading] - Chargement des candidats
+ * @param {boolean} [props.merging] - Fusion en cours
+ * @param {Function} props.onMerge - Callback (duplicateId) à la confirmation
+ * @param {string} props.basePath - Préfixe des liens ('/agent' ou '/admin')
+ * @param {string} [props.className] - Classes CSS additionnelles
+ *
+ * @example
+ * <DuplicateReportsPanel
+ *   report={report}
+ *   similarReports={similarReports}
+ *   onMerge={(duplicateId) => handleMerge(duplicateId)}
+ *   basePath="/agent"
+ * />
+ */
+function DuplicateReportsPanel({
+  report,
+  similarReports = [],
+  loading = false,
+  merging = false,
+  onMerge,
+  basePath,
+  className = ''
+}) {
+  const [pendingMerge, setPendingMerge] = useState(null);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('fr-FR', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  /**
+   * Confirmer la fusion du candidat sélectionné
+   */
+  const handleConfirmMerge = () => {
+    const duplicateId = pendingMerge?.id;
+    setPendingMerge(null);
+    if (duplicateId) {
+      onMerge(duplicateId);
+    }
+  };
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      {/* Dialog de confirmation de fusion */}
+      <AlertDialog open={Boolean(pendingMerge)} onOpenChange={(open) => !open && setPendingMerge(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Fusionner ce doublon ?</AlertDialogTitle>
+          </AlertDialogHeader>
+          <AlertDialogDescription className="text-neutral-600 leading-relaxed">
+            Le signalement <strong>#{pendingMerge?.id.slice(0, 8)}</strong> sera rattaché à celui-ci
+            et disparaîtra des listes. Son auteur deviendra soutien de ce signalement
+            et continuera de recevoir les notifications de changement de statut.
+          </AlertDialogDescription>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Annuler</AlertDialogCancel>
+            <AlertDialogAction onClick={handleConfirmMerge}>
+              Fusionner
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      <div className="flex items-center gap-2 text-sm text-neutral-700">
+        <Users className="w-4 h-4 text-neutral-500" />
+        {report.supporters_count > 0
+          ? `${report.supporters_count} citoyen(s) soutiennent ce signalement`
+          : 'Aucun soutien pour le moment'}
+      </div>
+
+      {report.duplicate_of ? (
+        <div className="p-3 bg-neutral-50 rounded-lg border border-neutral-200 text-sm text-neutral-700">
+          Ce signalement a été fusionné dans{' '}
+          <Link
+            to={`${basePath}/reports/${report.duplicate_of}`}
+            className="font-medium text-primary-600 hover:underline inline-flex items-center gap-1"
+          >
+            #{report.duplicate_of.slice(0, 8)}
+            <ExternalLink className="w-3 h-3" />
+          </Link>
+        </div>
+      ) : loading ? (
+        <div className="flex items-center justify-center py-4">
+          <Loader2 className="w-5 h-5 animate-spin text-primary-600" />
+        </div>
+      ) : similarReports.length === 0 ? (
+        <p className="text-sm text-neutral-500">Aucun doublon potentiel à proximité.</p>
+      ) : (
+        <ul className="space-y-3">
+          {similarReports.map((candidate) => (
+            <li
+              key={candidate.id}
+              className="flex items-center gap-3 p-3 rounded-lg border border-neutral-200"
+            >
+              {candidate.image_url && (
+                <img
+                  src={candidate.image_url}
+                  alt=""
+                  className="w-12 h-12 rounded-md object-cover flex-shrink-0"
+                />
+              )}
+              <div className="flex-1 min-w-0 space-y-1">
+                <Link
+                  to={`${basePath}/reports/${candidate.id}`}
+                  className="text-sm font-medium text-primary-600 hover:underline"
+                >
+                  #{candidate.id.slice(0, 8)}
+                </Link>
+                <p className="text-xs text-neutral-600 flex items-center gap-1">
+                  <MapPin className="w-3 h-3" />
+                  à {Math.round(candidate.distance_m)} m • {formatDate(candidate.created_at)}
+                </p>
+                <StatusBadge status={candidate.status} />
+              </div>
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => setPendingMerge(candidate)}
+                disabled={merging}
+              >
+                {merging ? (
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                ) : (
+                  <>
+                    <GitMerge className="w-4 h-4 mr-1" />
+                    Fusionner ici
+                  </>
+                )}
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DuplicateReportsPanel;
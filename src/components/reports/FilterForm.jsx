@@ -1,6 +1,8 @@
 
+import { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
 import {
   Select,
   SelectContent,
@@ -9,21 +11,28 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import { Badge } from '@/components/ui/badge';
-import { X } from 'lucide-react';
+import { X, Search } from 'lucide-react';
+import { REPORT_TYPE_OPTIONS } from '@/config/reportOptions';
 
 /**
  * Formulaire de filtres pour la liste des signalements
  * 
  * Filtres disponibles :
+ * - Recherche plein texte (description, transcription, citoyen, téléphone, commune),
+ *   transmise après une courte pause de saisie
  * - Type de signalement
  * - Statut
  * - Priorité
+ * - Analyse IA de l'audio (catégorie suggérée, ou suggestion différente du type)
+ * - Échéance (signalements dont le délai de traitement est dépassé)
+ * - Affectation (mes signalements, non affectés, ou un agent de la commune)
  * 
  * @param {Object} props
  * @param {Object} props.filters - État actuel des filtres
  * @param {Function} props.onFilterChange - Callback quand un filtre change
  * @param {Function} props.onReset - Callback pour réinitialiser les filtres
  * @param {number} [props.activeFiltersCount] - Nombre de filtres actifs
+ * @param {Array} [props.agents] - Agents de la commune (useAgentWorkload) pour le filtre Affectation
  * @param {string} [props.className] - Classes CSS additionnelles
  * 
  * @example
@@ -41,24 +50,31 @@ function FilterForm({
   onFilterChange,
   onReset,
   activeFiltersCount = 0,
+  agents = [],
   className = ''
 }) {
   const { t } = useTranslation('common');
 
+  // Saisie locale : le filtre `search` n'est mis à jour qu'après 300 ms sans frappe
+  const [searchInput, setSearchInput] = useState(filters.search || '');
+
+  useEffect(() => {
+    setSearchInput(filters.search || '');
+  }, [filters.search]);
+
+  useEffect(() => {
+    if (searchInput === (filters.search || '')) {
+      return;
+    }
+
+    const timer = setTimeout(() => onFilterChange('search', searchInput), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput, filters.search, onFilterChange]);
+
   /**
    * Types de signalements disponibles
    */
-  const reportTypes = [
-    { value: 'voirie', label: 'Voirie' },
-    { value: 'eclairage', label: 'Éclairage public' },
-    { value: 'eau', label: 'Eau' },
-    { value: 'dechets', label: 'Déchets/Salubrité' },
-    { value: 'securite', label: 'Sécurité' },
-    { value: 'espaces_verts', label: 'Espaces verts' },
-    { value: 'assainissement', label: 'Assainissement' },
-    { value: 'transport', label: 'Transport' },
-    { value: 'autre', label: 'Autre' }
-  ];
+  const reportTypes = REPORT_TYPE_OPTIONS;
 
   return (
     <div className={`bg-white rounded-lg border border-neutral-200 p-4 space-y-4 ${className}`}>
@@ -85,8 +101,22 @@ function FilterForm({
         )}
       </div>
 
+      {/* Recherche */}
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-neutral-400" />
+        <Input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder={t('filters.search_placeholder', {
+            defaultValue: 'Rechercher (description, transcription, citoyen, téléphone, commune)'
+          })}
+          className="pl-9"
+        />
+      </div>
+
       {/* Grille de filtres */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-4">
         {/* Filtre Type */}
         <div className="space-y-2">
           <label className="text-sm font-medium text-neutral-700">
@@ -196,6 +226,109 @@ function FilterForm({
             </Button>
           )}
         </div>
+
+        {/* Filtre Analyse IA */}
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-neutral-700">
+            Analyse IA
+          </label>
+          <Select
+            value={filters.aiCategory || ''}
+            onValueChange={(value) => onFilterChange('aiCategory', value)}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Toutes les suggestions" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="mismatch">
+                ⚠️ Suggestion ≠ type actuel
+              </SelectItem>
+              {reportTypes.map((type) => (
+                <SelectItem key={type.value} value={type.value}>
+                  Suggéré : {type.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {filters.aiCategory && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => onFilterChange('aiCategory', '')}
+              className="w-full h-8 text-xs"
+            >
+              Effacer
+            </Button>
+          )}
+        </div>
+
+        {/* Filtre Échéance */}
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-neutral-700">
+            Échéance
+          </label>
+          <Select
+            value={filters.deadline || ''}
+            onValueChange={(value) => onFilterChange('deadline', value)}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Toutes les échéances" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="overdue">
+                ⏰ En retard
+              </SelectItem>
+            </SelectContent>
+          </Select>
+          {filters.deadline && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => onFilterChange('deadline', '')}
+              className="w-full h-8 text-xs"
+            >
+              Effacer
+            </Button>
+          )}
+        </div>
+
+        {/* Filtre Affectation */}
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-neutral-700">
+            Affectation
+          </label>
+          <Select
+            value={filters.assignee || ''}
+            onValueChange={(value) => onFilterChange('assignee', value)}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Tous les agents" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="mine">
+                👤 Mes signalements
+              </SelectItem>
+              <SelectItem value="none">
+                📥 Non affectés
+              </SelectItem>
+              {agents.map((agent) => (
+                <SelectItem key={agent.agent_id} value={agent.agent_id}>
+                  {agent.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {filters.assignee && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => onFilterChange('assignee', '')}
+              className="w-full h-8 text-xs"
+            >
+              Effacer
+            </Button>
+          )}
+        </div>
       </div>
     </div>
   );
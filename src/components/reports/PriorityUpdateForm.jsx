@@ -11,7 +11,8 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import PriorityBadge from './PriorityBadge';
-import { Loader2 } from 'lucide-react';
+import { Loader2, Sparkles, CheckCircle2 } from 'lucide-react';
+import { REPORT_PRIORITY_OPTIONS } from '@/config/reportOptions';
 
 /**
  * Formulaire pour mettre à jour la priorité d'un signalement
@@ -20,10 +21,12 @@ import { Loader2 } from 'lucide-react';
  * - Affiche la priorité actuelle (badge)
  * - Dropdown pour sélectionner la nouvelle priorité
  * - Bouton de soumission
+ * - Suggestion des règles de triage acceptable en un clic (si fournie)
  * 
  * @param {Object} props
  * @param {string} props.currentPriority - Priorité actuelle du signalement (low, normal, high, urgent)
- * @param {Function} props.onSubmit - Callback à la soumission (newPriority)
+ * @param {Function} props.onSubmit - Callback à la soumission (newPriority, { comment })
+ * @param {Object} [props.suggestion] - Suggestion de triage ({ priority, reasons }, voir triageService.suggestPriority)
  * @param {boolean} [props.loading] - Affiche un spinner pendant l'update
  * @param {string} [props.className] - Classes CSS additionnelles
  * 
@@ -33,10 +36,18 @@ import { Loader2 } from 'lucide-react';
  *   onSubmit={(newPriority) => updatePriority(reportId, newPriority)}
  *   loading={updating}
  * />
+ *
+ * @example
+ * <PriorityUpdateForm
+ *   currentPriority={report.priority}
+ *   suggestion={suggestion}
+ *   onSubmit={handleUpdatePriority}
+ * />
  */
 function PriorityUpdateForm({
   currentPriority,
   onSubmit,
+  suggestion = null,
   loading = false,
   className = ''
 }) {
@@ -46,28 +57,10 @@ function PriorityUpdateForm({
   /**
    * Configuration des priorités
    */
-  const priorityOptions = [
-    { 
-      value: 'urgent', 
-      label: t('priority.urgent', { defaultValue: 'Urgent' }),
-      emoji: '🔴'
-    },
-    { 
-      value: 'high', 
-      label: t('priority.high', { defaultValue: 'Élevée' }),
-      emoji: '🟠'
-    },
-    { 
-      value: 'normal', 
-      label: t('priority.normal', { defaultValue: 'Normal' }),
-      emoji: '🔵'
-    },
-    { 
-      value: 'low', 
-      label: t('priority.low', { defaultValue: 'Faible' }),
-      emoji: '⚪'
-    }
-  ];
+  const priorityOptions = REPORT_PRIORITY_OPTIONS.map((option) => ({
+    ...option,
+    label: t(`priority.${option.value}`, { defaultValue: option.label })
+  }));
 
   /**
    * Gérer la soumission du formulaire
@@ -88,6 +81,15 @@ function PriorityUpdateForm({
     onSubmit(selectedPriority);
   };
 
+  /**
+   * Accepter la priorité suggérée par les règles de triage
+   */
+  const handleAcceptSuggestion = () => {
+    onSubmit(suggestion.priority, {
+      comment: `Suggestion de triage acceptée : ${suggestion.reasons.join(' ; ')}`
+    });
+  };
+
   return (
     <form onSubmit={handleSubmit} className={`space-y-4 ${className}`}>
       {/* Priorité actuelle */}
@@ -100,6 +102,41 @@ function PriorityUpdateForm({
         </div>
       </div>
 
+      {/* Suggestion de triage */}
+      {suggestion && (
+        suggestion.priority === currentPriority ? (
+          <p className="text-sm text-success-700 flex items-center gap-1">
+            <CheckCircle2 className="w-4 h-4" />
+            La priorité correspond à la suggestion de triage
+          </p>
+        ) : (
+          <div className="p-3 rounded-lg border border-amber-300 bg-amber-50 space-y-2">
+            <div className="flex items-center justify-between gap-3">
+              <span className="text-sm text-neutral-700 flex items-center gap-1">
+                <Sparkles className="w-4 h-4 text-amber-600" />
+                Priorité suggérée
+              </span>
+              <PriorityBadge priority={suggestion.priority} />
+            </div>
+            <ul className="text-xs text-neutral-600 list-disc pl-4">
+              {suggestion.reasons.map((reason) => (
+                <li key={reason}>{reason}</li>
+              ))}
+            </ul>
+            <Button
+              type="button"
+              size="sm"
+              variant="outline"
+              className="w-full"
+              onClick={handleAcceptSuggestion}
+              disabled={loading}
+            >
+              {loading ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Accepter la suggestion'}
+            </Button>
+          </div>
+        )
+      )}
+
       {/* Nouvelle priorité */}
       <div>
         <Label htmlFor="new-priority" className="text-sm font-medium text-neutral-700">
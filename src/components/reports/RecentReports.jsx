@@ -18,6 +18,9 @@ import { Calendar, ArrowRight, Inbox } from 'lucide-react';
  * @param {boolean} [props.loading] - État de chargement
  * @param {string} [props.error] - Message d'erreur
  * @param {number} [props.limit] - Nombre de signalements à afficher (default: 5)
+ * @param {string} [props.title] - Titre de la carte (default: 'Signalements récents')
+ * @param {string} [props.emptyMessage] - Message si la liste est vide
+ * @param {string} [props.viewAllPath] - Lien "Voir tous" (default: '/agent/reports')
  * @param {string} [props.className] - Classes CSS additionnelles
  * 
  * @example
@@ -35,6 +38,9 @@ function RecentReports({
   loading = false,
   error = null,
   limit = 5,
+  title = 'Signalements récents',
+  emptyMessage = 'Aucun signalement récent',
+  viewAllPath = '/agent/reports',
   className = ''
 }) {
   const { t } = useTranslation('common');
@@ -70,8 +76,8 @@ function RecentReports({
     <Card className={className}>
       <CardHeader>
         <div className="flex items-center justify-between">
-          <CardTitle className="text-lg">Signalements récents</CardTitle>
-          <Link to="/agent/reports">
+          <CardTitle className="text-lg">{title}</CardTitle>
+          <Link to={viewAllPath}>
             <Button variant="ghost" size="sm">
               Voir tous
               <ArrowRight className="w-4 h-4 ml-1" />
@@ -114,7 +120,7 @@ function RecentReports({
           <div className="text-center py-8 space-y-2">
             <Inbox className="w-10 h-10 text-neutral-400 mx-auto" />
             <p className="text-sm text-neutral-600">
-              Aucun signalement récent
+              {emptyMessage}
             </p>
           </div>
         )}
@@ -161,7 +167,7 @@ function RecentReports({
         {/* Indicateur si plus de signalements disponibles */}
         {!loading && !error && reports.length > limit && (
           <div className="mt-4 pt-4 border-t border-neutral-200">
-            <Link to="/agent/reports">
+            <Link to={viewAllPath}>
               <Button variant="outline" className="w-full" size="sm">
                 Voir les {reports.length - limit} autres signalements
               </Button>
@@ -1,9 +1,13 @@
 
 import { Card, CardContent, CardHeader } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
+import HighlightedText from '@/components/shared/HighlightedText';
 import StatusBadge from './StatusBadge';
 import PriorityBadge from './PriorityBadge';
-import { MapPin, Calendar, User, Image as ImageIcon } from 'lucide-react';
+import SlaBadge from './SlaBadge';
+import { MapPin, Calendar, User, UserCheck, Image as ImageIcon, Mic, Phone } from 'lucide-react';
+import { findMatchingReportField } from '@/utils/searchText';
+import { getReportAddress } from '@/services/geocodingService';
 import { useNavigate } from 'react-router-dom';
 
 /**
@@ -12,24 +16,35 @@ import { useNavigate } from 'react-router-dom';
  * Affiche :
  * - Photo miniature (si disponible)
  * - Type et description (extrait)
- * - Badges statut et priorité
+ * - Badges statut et priorité, échéance (SLA) si dépassée ou proche
  * - Date de création
  * - Nom du citoyen
+ * - Adresse (quartier, axe, repère), à défaut les coordonnées GPS
+ * - Agent affecté (si `assigneeName` est fourni)
  * - Bouton "Voir détails"
+ * - Correspondances de la recherche surlignées (si `highlight` est fourni),
+ *   avec un extrait de la transcription ou du téléphone quand c'est là que ça correspond
  * 
  * @param {Object} props
  * @param {Object} props.report - Signalement à afficher
  * @param {Function} [props.onViewDetails] - Callback au clic sur "Voir détails"
+ * @param {string} [props.highlight] - Recherche en cours (correspondances surlignées)
+ * @param {string} [props.assigneeName] - Nom de l'agent affecté (report.assigned_to)
+ * @param {boolean} [props.selected] - Signalement coché (actions groupées)
+ * @param {Function} [props.onToggleSelect] - Affiche une case à cocher ; appelé avec le signalement
  * @param {string} [props.className] - Classes CSS additionnelles
  * 
  * @example
  * <ReportCard
  *   report={report}
+ *   highlight={filters.search}
  *   onViewDetails={(id) => navigate(`/agent/reports/${id}`)}
  * />
  */
-function ReportCard({ report, onViewDetails, className = '' }) {
+function ReportCard({ report, onViewDetails, highlight = '', assigneeName, selected = false, onToggleSelect, className = '' }) {
   const navigate = useNavigate();
+  const searchMatch = findMatchingReportField(report, highlight);
+  const address = getReportAddress(report);
 
   /**
    * Gérer le clic sur "Voir détails"
@@ -56,19 +71,21 @@ function ReportCard({ report, onViewDetails, className = '' }) {
     });
   };
 
-  /**
-   * Tronquer la description (max 100 caractères)
-   */
-  const truncateDescription = (text, maxLength = 100) => {
-    if (!text) return null;
-    if (text.length <= maxLength) return text;
-    return `${text.substring(0, maxLength)}...`;
-  };
-
   return (
-    <Card className={`hover:shadow-md transition-shadow duration-200 ${className}`}>
+    <Card className={`hover:shadow-md transition-shadow duration-200 ${selected ? 'ring-2 ring-primary-300' : ''} ${className}`}>
       <CardHeader className="pb-3">
         <div className="flex gap-4">
+          {/* Sélection (actions groupées) */}
+          {onToggleSelect && (
+            <input
+              type="checkbox"
+              checked={selected}
+              onChange={() => onToggleSelect(report)}
+              aria-label={`Sélectionner le signalement ${report.id.slice(0, 8)}`}
+              className="accent-primary-600 self-start mt-1"
+            />
+          )}
+
           {/* Photo miniature */}
           <div className="flex-shrink-0">
             {report.image_url ? (
@@ -108,9 +125,18 @@ function ReportCard({ report, onViewDetails, className = '' }) {
                 <h3 className="font-semibold text-lg text-neutral-900 capitalize">
                   {report.type?.replace('_', ' ') || 'Type inconnu'}
                 </h3>
-                {truncateDescription(report.description) && (
+                {report.description && (
                   <p className="text-sm text-neutral-600 line-clamp-2">
-                    {truncateDescription(report.description)}
+                    <HighlightedText text={report.description} query={highlight} maxLength={100} />
+                  </p>
+                )}
+                {/* Correspondance hors description (transcription audio, téléphone) */}
+                {(searchMatch?.field === 'audio_transcription' || searchMatch?.field === 'phone') && (
+                  <p className="text-xs text-neutral-500 flex items-start gap-1">
+                    {searchMatch.field === 'phone'
+                      ? <Phone className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                      : <Mic className="w-3 h-3 mt-0.5 flex-shrink-0" />}
+                    <HighlightedText text={searchMatch.text} query={highlight} maxLength={100} />
                   </p>
                 )}
               </div>
@@ -119,6 +145,7 @@ function ReportCard({ report, onViewDetails, className = '' }) {
               <div className="flex flex-col gap-2 items-end flex-shrink-0">
                 <StatusBadge status={report.status} />
                 <PriorityBadge priority={report.priority} />
+                <SlaBadge report={report} />
               </div>
             </div>
           </div>
@@ -140,13 +167,26 @@ function ReportCard({ report, onViewDetails, className = '' }) {
               <div className="flex items-center gap-1">
                 <User className="w-4 h-4" />
                 <span className="truncate max-w-[150px]">
-                  {report.citizen_name}
+                  <HighlightedText text={report.citizen_name} query={highlight} />
                 </span>
               </div>
             )}
 
-            {/* Position GPS (optionnel) */}
-            {report.latitude && report.longitude && (
+            {/* Agent affecté */}
+            {assigneeName && (
+              <div className="flex items-center gap-1 text-primary-700">
+                <UserCheck className="w-4 h-4" />
+                <span className="truncate max-w-[150px]">{assigneeName}</span>
+              </div>
+            )}
+
+            {/* Adresse, à défaut position GPS (optionnel) */}
+            {address ? (
+              <div className="flex items-center gap-1 min-w-0">
+                <MapPin className="w-4 h-4 flex-shrink-0" />
+                <span className="truncate max-w-[220px]" title={address}>{address}</span>
+              </div>
+            ) : report.latitude && report.longitude && (
               <div className="hidden md:flex items-center gap-1">
                 <MapPin className="w-4 h-4" />
                 <span>
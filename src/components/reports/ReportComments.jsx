@@ -0,0 +1,309 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { Loader2, Mic, Square, Send, Trash2, Reply, Lock, Globe } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import AudioPlayer from '@/components/shared/AudioPlayer';
+import { useReportComments } from '@/hooks/useReportComments';
+import { useAudioRecording } from '@/hooks/useAudioRecording';
+import { COMMENT_VISIBILITY } from '@/api/commentApi';
+
+/**
+ * Zone de saisie d'un message : texte et / ou message vocal
+ */
+function CommentComposer({ onSend, sending, placeholder, visibility, onVisibilityChange, onCancel }) {
+  const { t } = useTranslation('common');
+  const [body, setBody] = useState('');
+  const recording = useAudioRecording({ maxDuration: 60 });
+
+  const canSend = !sending && !recording.isRecording && (body.trim() || recording.audioBlob);
+
+  const handleSend = async () => {
+    const sent = await onSend({
+      body,
+      audioBlob: recording.audioBlob,
+      duration: recording.duration
+    });
+
+    if (sent) {
+      setBody('');
+      recording.resetRecording();
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <Textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder={placeholder}
+        rows={2}
+        disabled={sending}
+      />
+
+      {recording.audioUrl && !recording.isRecording && (
+        <div className="flex items-center gap-2">
+          <AudioPlayer audioUrl={recording.audioUrl} className="flex-1" />
+          <Button
+            type="button"
+            size="sm"
+            variant="ghost"
+            onClick={recording.resetRecording}
+            aria-label={t('comments.remove_voice', { defaultValue: 'Supprimer le message vocal' })}
+          >
+            <Trash2 className="w-4 h-4" />
+          </Button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        {recording.isSupported && (
+          recording.isRecording ? (
+            <Button type="button" size="sm" variant="destructive" onClick={recording.stopRecording}>
+              <Square className="w-4 h-4 mr-1" />
+              {t('comments.stop_recording', { defaultValue: 'Arrêter' })} ({recording.duration}s / {recording.maxDuration}s)
+            </Button>
+          ) : (
+            <Button
+              type="button"
+              size="sm"
+              variant="outline"
+              onClick={recording.startRecording}
+              disabled={sending}
+            >
+              <Mic className="w-4 h-4 mr-1" />
+              {recording.audioBlob
+                ? t('comments.record_again', { defaultValue: 'Réenregistrer' })
+                : t('comments.record', { defaultValue: 'Message vocal' })}
+            </Button>
+          )
+        )}
+
+        {/* Visibilité (agents / admins, message racine uniquement) */}
+        {onVisibilityChange && (
+          <Button
+            type="button"
+            size="sm"
+            variant="ghost"
+            onClick={() => onVisibilityChange(
+              visibility === COMMENT_VISIBILITY.PUBLIC ? COMMENT_VISIBILITY.INTERNAL : COMMENT_VISIBILITY.PUBLIC
+            )}
+            disabled={sending}
+          >
+            {visibility === COMMENT_VISIBILITY.PUBLIC ? (
+              <><Globe className="w-4 h-4 mr-1" />{t('comments.visibility.public', { defaultValue: 'Visible par le citoyen' })}</>
+            ) : (
+              <><Lock className="w-4 h-4 mr-1" />{t('comments.visibility.internal', { defaultValue: 'Note interne' })}</>
+            )}
+          </Button>
+        )}
+
+        <div className="flex items-center gap-2 ml-auto">
+          {onCancel && (
+            <Button type="button" size="sm" variant="ghost" onClick={onCancel} disabled={sending}>
+              {t('buttons.cancel', { defaultValue: 'Annuler' })}
+            </Button>
+          )}
+          <Button type="button" size="sm" onClick={handleSend} disabled={!canSend}>
+            {sending ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Send className="w-4 h-4 mr-1" />}
+            {t('comments.send', { defaultValue: 'Envoyer' })}
+          </Button>
+        </div>
+      </div>
+
+      {recording.error && recording.error.code !== 'NOT_SUPPORTED' && (
+        <p className="text-xs text-error-600">{recording.error.message}</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Messages d'un signalement : notes internes et échange avec le citoyen
+ *
+ * - Agents / admins : toutes les notes ; un nouveau fil est interne par
+ *   défaut et peut être rendu visible par le citoyen
+ * - Citoyen auteur du signalement : échange public uniquement
+ * - Fils de discussion : les réponses gardent la visibilité du fil
+ * - Messages texte et / ou vocaux (useAudioRecording, bucket report-audio)
+ * - Nouveaux messages en temps réel
+ *
+ * Utilisé dans :
+ * - ReportDetail (agents / admins)
+ * - ReportDetailBottomSheet (citoyens)
+ *
+ * @param {Object} props
+ * @param {string} props.reportId - UUID du signalement
+ * @param {Object} props.currentUser - { id, role, name } ('citizen' | 'agent' | 'admin')
+ * @param {string} [props.className] - Classes CSS additionnelles
+ *
+ * @example
+ * <ReportComments
+ *   reportId={report.id}
+ *   currentUser={{ id: user.id, role: user.role, name: user.name }}
+ * />
+ */
+function ReportComments({ reportId, currentUser, className = '' }) {
+  const { t } = useTranslation('common');
+  const isStaff = currentUser?.role === 'agent' || currentUser?.role === 'admin';
+
+  const { threads, loading, sending, error, addComment } = useReportComments(reportId, {
+    visibility: isStaff ? undefined : COMMENT_VISIBILITY.PUBLIC
+  });
+
+  const [visibility, setVisibility] = useState(COMMENT_VISIBILITY.INTERNAL);
+  const [replyTo, setReplyTo] = useState(null);
+
+  const formatDate = (dateString) => new Intl.DateTimeFormat('fr-FR', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(new Date(dateString));
+
+  const getAuthorLabel = (comment) => {
+    if (comment.author_id === currentUser?.id) {
+      return t('comments.author.me', { defaultValue: 'Vous' });
+    }
+    if (comment.author_role === 'citizen') {
+      return t('timeline.actor.citizen', { defaultValue: 'Citoyen' });
+    }
+    // Le citoyen voit la mairie, pas le nom de l'agent
+    if (isStaff && comment.author_name) {
+      return comment.author_name;
+    }
+    return comment.author_role === 'admin'
+      ? t('timeline.actor.admin', { defaultValue: 'Administrateur' })
+      : t('timeline.actor.agent', { defaultValue: 'Agent municipal' });
+  };
+
+  /**
+   * Envoyer un message (nouveau fil ou réponse)
+   *
+   * @returns {Promise<boolean>} true si le message est publié
+   */
+  const handleSend = async (message, parentId = null) => {
+    const { error: sendError } = await addComment({
+      ...message,
+      parentId,
+      visibility: isStaff ? visibility : COMMENT_VISIBILITY.PUBLIC,
+      author: currentUser
+    });
+
+    if (sendError) {
+      toast.error(t('comments.send_error', { defaultValue: 'Message non envoyé' }), {
+        description: sendError.message
+      });
+      return false;
+    }
+
+    if (parentId) {
+      setReplyTo(null);
+    }
+    return true;
+  };
+
+  const renderComment = (comment) => (
+    <div
+      className={`rounded-lg p-3 text-sm ${
+        comment.visibility === COMMENT_VISIBILITY.INTERNAL
+          ? 'bg-amber-50 border border-amber-200'
+          : comment.author_role === 'citizen'
+            ? 'bg-neutral-50 border border-neutral-200'
+            : 'bg-primary-50 border border-primary-100'
+      }`}
+    >
+      <div className="flex flex-wrap items-center gap-2 mb-1">
+        <span className="font-medium text-neutral-900">{getAuthorLabel(comment)}</span>
+        <span className="text-xs text-neutral-500">{formatDate(comment.created_at)}</span>
+        {isStaff && comment.visibility === COMMENT_VISIBILITY.INTERNAL && (
+          <Badge variant="outline" className="text-xs border-amber-300 text-amber-800">
+            <Lock className="w-3 h-3 mr-1" />
+            {t('comments.visibility.internal', { defaultValue: 'Note interne' })}
+          </Badge>
+        )}
+      </div>
+      {comment.body && (
+        <p className="text-neutral-700 whitespace-pre-line">{comment.body}</p>
+      )}
+      {comment.audio_url && (
+        <AudioPlayer audioUrl={comment.audio_url} className="mt-2" />
+      )}
+    </div>
+  );
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      {loading && (
+        <div className="flex justify-center py-4">
+          <Loader2 className="w-5 h-5 animate-spin text-primary-600" />
+        </div>
+      )}
+
+      {error && !loading && (
+        <p className="text-sm text-error-600">{error.message}</p>
+      )}
+
+      {!loading && !error && threads.length === 0 && (
+        <p className="text-sm text-neutral-500">
+          {isStaff
+            ? t('comments.empty_staff', { defaultValue: 'Aucune note ni message pour ce signalement.' })
+            : t('comments.empty_citizen', { defaultValue: 'Aucun message de la mairie pour le moment.' })}
+        </p>
+      )}
+
+      {threads.map(({ comment, replies }) => (
+        <div key={comment.id} className="space-y-2">
+          {renderComment(comment)}
+
+          {replies.length > 0 && (
+            <div className="ml-6 space-y-2 border-l-2 border-neutral-200 pl-3">
+              {replies.map((reply) => (
+                <div key={reply.id}>{renderComment(reply)}</div>
+              ))}
+            </div>
+          )}
+
+          {replyTo === comment.id ? (
+            <div className="ml-6">
+              <CommentComposer
+                onSend={(message) => handleSend(message, comment.id)}
+                sending={sending}
+                placeholder={t('comments.reply_placeholder', { defaultValue: 'Votre réponse…' })}
+                onCancel={() => setReplyTo(null)}
+              />
+            </div>
+          ) : (
+            <Button
+              type="button"
+              size="sm"
+              variant="ghost"
+              className="ml-6 h-7 text-xs"
+              onClick={() => setReplyTo(comment.id)}
+            >
+              <Reply className="w-3 h-3 mr-1" />
+              {t('comments.reply', { defaultValue: 'Répondre' })}
+            </Button>
+          )}
+        </div>
+      ))}
+
+      {/* Nouveau fil (citoyen : nouveau message à la mairie) */}
+      <div className="pt-3 border-t border-neutral-200">
+        <CommentComposer
+          onSend={(message) => handleSend(message)}
+          sending={sending && !replyTo}
+          placeholder={isStaff
+            ? t('comments.placeholder_staff', { defaultValue: 'Ajouter une note ou un message…' })
+            : t('comments.placeholder_citizen', { defaultValue: 'Écrire à la mairie…' })}
+          visibility={visibility}
+          onVisibilityChange={isStaff ? setVisibility : undefined}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default ReportComments;
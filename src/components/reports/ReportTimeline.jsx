@@ -0,0 +1,170 @@
+import { useTranslation } from 'react-i18next';
+import { Loader2, FilePlus, RefreshCcw, Flag, Tag, MessageSquare, GitMerge, AlarmClock, UserCheck } from 'lucide-react';
+
+/**
+ * Timeline de l'historique d'un signalement
+ * 
+ * Affiche la création du signalement puis chaque événement de report_events
+ * (changement de statut, de priorité, de type, fusion de doublons, délai dépassé,
+ * affectation à un agent) avec l'auteur (rôle), la date
+ * et le commentaire éventuel.
+ * 
+ * Utilisé dans :
+ * - ReportDetail (agents / admins)
+ * - ReportDetailBottomSheet (citoyens)
+ * 
+ * @param {Object} props
+ * @param {Object} props.report - Signalement (pour l'événement de création)
+ * @param {Array} props.events - Événements renvoyés par reportApi.getReportEvents
+ * @param {Object} [props.agentNames] - Noms des agents par UUID (affectations) ;
+ *   sans ce dictionnaire (citoyens), l'agent n'est pas nommé
+ * @param {boolean} [props.loading] - Chargement en cours
+ * @param {Object} [props.error] - Erreur de chargement
+ * @param {string} [props.className] - Classes CSS additionnelles
+ * 
+ * @example
+ * <ReportTimeline report={report} events={events} loading={loading} />
+ */
+function ReportTimeline({ report, events = [], agentNames = {}, loading = false, error = null, className = '' }) {
+  const { t } = useTranslation('common');
+
+  const eventIcons = {
+    created: FilePlus,
+    status_change: RefreshCcw,
+    priority_change: Flag,
+    type_change: Tag,
+    merge: GitMerge,
+    sla_escalation: AlarmClock,
+    assignment: UserCheck,
+  };
+
+  /**
+   * Libellé lisible d'une valeur selon le champ modifié
+   */
+  const formatValue = (field, value) => {
+    if (field === 'assigned_to' && !value) return t('timeline.assignment.none', { defaultValue: 'File commune' });
+    if (!value) return '—';
+    if (field === 'status') return t(`status.${value}`, { defaultValue: value });
+    if (field === 'priority') return t(`priority.${value}`, { defaultValue: value });
+    if (field === 'type') return t(`report.type.${value}`, { defaultValue: value.replace('_', ' ') });
+    if (field === 'assigned_to') return agentNames[value] || t('timeline.actor.agent', { defaultValue: 'Agent municipal' });
+    return value;
+  };
+
+  const getActorLabel = (role) => {
+    const labels = {
+      citizen: t('timeline.actor.citizen', { defaultValue: 'Citoyen' }),
+      agent: t('timeline.actor.agent', { defaultValue: 'Agent municipal' }),
+      admin: t('timeline.actor.admin', { defaultValue: 'Administrateur' }),
+      system: t('timeline.actor.system', { defaultValue: 'Système' }),
+    };
+    return labels[role] || labels.system;
+  };
+
+  const getEventTitle = (event) => {
+    const titles = {
+      created: t('timeline.event.created', { defaultValue: 'Signalement créé' }),
+      status_change: t('timeline.event.status_change', { defaultValue: 'Statut modifié' }),
+      priority_change: t('timeline.event.priority_change', { defaultValue: 'Priorité modifiée' }),
+      type_change: t('timeline.event.type_change', { defaultValue: 'Type modifié' }),
+      merge: t('timeline.event.merge', { defaultValue: 'Doublons fusionnés' }),
+      sla_escalation: t('timeline.event.sla_escalation', { defaultValue: 'Délai dépassé' }),
+      assignment: t('timeline.event.assignment', { defaultValue: 'Affectation modifiée' }),
+    };
+    return titles[event.event_type] || event.event_type;
+  };
+
+  /**
+   * Détail d'une fusion : vu depuis le doublon (new_value = canonique)
+   * ou depuis le canonique (old_value = doublon rattaché)
+   */
+  const getMergeDetail = (event) => {
+    if (event.new_value) {
+      return t('timeline.merge.into', {
+        id: event.new_value.slice(0, 8),
+        defaultValue: 'Fusionné dans le signalement #{{id}}',
+      });
+    }
+    return t('timeline.merge.from', {
+      id: (event.old_value || '').slice(0, 8),
+      defaultValue: 'Doublon #{{id}} rattaché à ce signalement',
+    });
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '';
+    return new Intl.DateTimeFormat('fr-FR', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).format(new Date(dateString));
+  };
+
+  // La création n'est pas stockée dans report_events : on la reconstruit depuis le signalement
+  const items = [
+    ...(report?.created_at
+      ? [{ id: 'created', event_type: 'created', actor_role: 'citizen', created_at: report.created_at }]
+      : []),
+    ...events,
+  ];
+
+  if (loading) {
+    return (
+      <div className={`flex items-center justify-center py-6 ${className}`}>
+        <Loader2 className="w-5 h-5 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <p className={`text-sm text-red-700 ${className}`}>
+        {t('timeline.load_error', { defaultValue: 'Impossible de charger l\'historique' })}
+      </p>
+    );
+  }
+
+  return (
+    <ol className={`relative border-l-2 border-neutral-200 ml-2 space-y-5 ${className}`}>
+      {items.map((event) => {
+        const Icon = eventIcons[event.event_type] || RefreshCcw;
+
+        return (
+          <li key={event.id} className="ml-5">
+            <span className="absolute -left-[13px] flex items-center justify-center w-6 h-6 rounded-full bg-white border-2 border-primary-300">
+              <Icon className="w-3 h-3 text-primary-600" />
+            </span>
+            <div className="flex flex-wrap items-baseline justify-between gap-x-3">
+              <p className="text-sm font-semibold text-neutral-900">{getEventTitle(event)}</p>
+              <time className="text-xs text-neutral-500">{formatDate(event.created_at)}</time>
+            </div>
+            {event.event_type === 'merge' ? (
+              <p className="text-sm text-neutral-700">{getMergeDetail(event)}</p>
+            ) : event.event_type === 'sla_escalation' ? (
+              <p className="text-sm text-neutral-700">
+                {t('timeline.sla.due', { defaultValue: 'Échéance' })} : {formatDate(event.new_value)}
+              </p>
+            ) : event.field && (
+              <p className="text-sm text-neutral-700">
+                {formatValue(event.field, event.old_value)} → <strong>{formatValue(event.field, event.new_value)}</strong>
+              </p>
+            )}
+            <p className="text-xs text-neutral-500">
+              {t('timeline.by', { defaultValue: 'Par' })} {getActorLabel(event.actor_role)}
+            </p>
+            {event.comment && (
+              <p className="mt-1 text-sm text-neutral-700 bg-neutral-50 border border-neutral-200 rounded-lg px-3 py-2 flex gap-2">
+                <MessageSquare className="w-4 h-4 text-neutral-400 flex-shrink-0 mt-0.5" />
+                <span>{event.comment}</span>
+              </p>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+export default ReportTimeline;
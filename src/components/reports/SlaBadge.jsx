@@ -0,0 +1,62 @@
+import { Badge } from '@/components/ui/badge';
+import { Clock, AlertTriangle } from 'lucide-react';
+import { getSlaState, formatSlaDuration } from '@/utils/sla';
+
+/**
+ * Badge d'échéance (SLA) d'un signalement ouvert
+ *
+ * Couleurs :
+ * - overdue (échéance dépassée) → Rouge (error), toujours affiché
+ * - due_soon (moins d'un quart du délai restant) → Orange (warning)
+ * - on_time → Gris, seulement si `showOnTime`
+ *
+ * N'affiche rien pour un signalement clôturé ou sans échéance.
+ *
+ * @param {Object} props
+ * @param {Object} props.report - Signalement (status, created_at, due_at)
+ * @param {boolean} [props.showOnTime] - Afficher aussi l'échéance quand elle n'est pas proche
+ * @param {string} [props.className] - Classes CSS additionnelles
+ *
+ * @example
+ * <SlaBadge report={report} />
+ * <SlaBadge report={report} showOnTime />
+ */
+function SlaBadge({ report, showOnTime = false, className = '' }) {
+  const sla = getSlaState(report);
+
+  if (!sla || (sla.state === 'on_time' && !showOnTime)) {
+    return null;
+  }
+
+  const config = {
+    overdue: {
+      label: `En retard de ${formatSlaDuration(sla.remainingMs)}`,
+      color: 'bg-error-100 text-error-800 border-error-300',
+      Icon: AlertTriangle
+    },
+    due_soon: {
+      label: `Échéance dans ${formatSlaDuration(sla.remainingMs)}`,
+      color: 'bg-warning-100 text-warning-800 border-warning-300',
+      Icon: Clock
+    },
+    on_time: {
+      label: `Échéance dans ${formatSlaDuration(sla.remainingMs)}`,
+      color: 'bg-neutral-100 text-neutral-700 border-neutral-300',
+      Icon: Clock
+    }
+  }[sla.state];
+
+  const { Icon } = config;
+
+  return (
+    <Badge
+      className={`${config.color} border font-medium gap-1 whitespace-nowrap ${className}`}
+      title={sla.dueAt.toLocaleString('fr-FR')}
+    >
+      <Icon className="w-3 h-3" />
+      {config.label}
+    </Badge>
+  );
+}
+
+export default SlaBadge;
@@ -3,6 +3,9 @@ import { useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { Button } from '@/components/ui/button';
 import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { useImageUpload } from '@/hooks/useImageUpload';
+import { REPORT_STATUS_OPTIONS } from '@/config/reportOptions';
 import {
   Select,
   SelectContent,
@@ -20,8 +23,9 @@ import {
   AlertDialogHeader,
   AlertDialogTitle,
 } from '@/components/ui/alert-dialog';
+import * as reportApi from '@/api/reportApi';
 import StatusBadge from './StatusBadge';
-import { Loader2, AlertTriangle } from 'lucide-react';
+import { Loader2, AlertTriangle, Camera, X } from 'lucide-react';
 
 /**
  * Formulaire pour mettre à jour le statut d'un signalement
@@ -30,18 +34,21 @@ import { Loader2, AlertTriangle } from 'lucide-react';
  * - Affiche le statut actuel (badge)
  * - Dropdown pour sélectionner le nouveau statut
  * - Validation des transitions autorisées
+ * - Commentaire optionnel (enregistré dans l'historique du signalement)
+ * - Résolu / Rejeté : justification obligatoire (visible par le citoyen)
+ *   et photo "après" optionnelle comme preuve de l'intervention
  * - Bouton de soumission
  * 
  * @param {Object} props
  * @param {string} props.currentStatus - Statut actuel du signalement
- * @param {Function} props.onSubmit - Callback à la soumission (newStatus)
+ * @param {Function} props.onSubmit - Callback à la soumission (newStatus, { comment, proofImageFile })
  * @param {boolean} [props.loading] - Affiche un spinner pendant l'update
  * @param {string} [props.className] - Classes CSS additionnelles
  * 
  * @example
  * <StatusUpdateForm
  *   currentStatus="pending"
- *   onSubmit={(newStatus) => updateStatus(reportId, newStatus)}
+ *   onSubmit={(newStatus, { comment, proofImageFile }) => handleUpdateStatus(newStatus, { comment, proofImageFile })}
  *   loading={updating}
  * />
  */
@@ -53,7 +60,19 @@ function StatusUpdateForm({
 }) {
   const { t } = useTranslation('common');
   const [selectedStatus, setSelectedStatus] = useState('');
+  const [comment, setComment] = useState('');
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
+  const {
+    imageFile: proofImageFile,
+    imagePreview: proofImagePreview,
+    isCompressing,
+    error: proofImageError,
+    selectImage: selectProofImage,
+    removeImage: removeProofImage
+  } = useImageUpload();
+
+  const isClosing = reportApi.CLOSING_STATUSES.includes(selectedStatus);
+  const isJustificationMissing = isClosing && !comment.trim();
 
   /**
    * Transitions de statut autorisées
@@ -75,12 +94,12 @@ function StatusUpdateForm({
   /**
    * Configuration des statuts
    */
-  const statusOptions = {
-    pending: { label: t('status.pending', { defaultValue: 'En attente' }) },
-    in_progress: { label: t('status.in_progress', { defaultValue: 'En cours' }) },
-    resolved: { label: t('status.resolved', { defaultValue: 'Résolu' }) },
-    rejected: { label: t('status.rejected', { defaultValue: 'Rejeté' }) }
-  };
+  const statusOptions = Object.fromEntries(
+    REPORT_STATUS_OPTIONS.map((option) => [
+      option.value,
+      { label: t(`status.${option.value}`, { defaultValue: option.label }) }
+    ])
+  );
 
   /**
    * Gérer la soumission du formulaire
@@ -98,6 +117,11 @@ function StatusUpdateForm({
       return;
     }
 
+    if (isJustificationMissing) {
+      console.warn('⚠️ Justification obligatoire pour résoudre ou rejeter');
+      return;
+    }
+
     // Si le nouveau statut est "rejected", demander confirmation
     if (selectedStatus === 'rejected') {
       setShowConfirmDialog(true);
@@ -105,7 +129,20 @@ function StatusUpdateForm({
     }
 
     // Sinon, soumettre directement
-    onSubmit(selectedStatus);
+    submitStatus();
+  };
+
+  /**
+   * Transmettre le nouveau statut (+ commentaire, + photo "après") puis réinitialiser le formulaire
+   */
+  const submitStatus = () => {
+    onSubmit(selectedStatus, {
+      comment: comment.trim() || null,
+      proofImageFile: isClosing ? proofImageFile : null
+    });
+    setSelectedStatus('');
+    setComment('');
+    removeProofImage();
   };
 
   /**
@@ -113,7 +150,7 @@ function StatusUpdateForm({
    */
   const handleConfirmReject = () => {
     setShowConfirmDialog(false);
-    onSubmit(selectedStatus);
+    submitStatus();
   };
 
   const availableStatuses = getAvailableStatuses();
@@ -155,7 +192,7 @@ function StatusUpdateForm({
             Vous êtes sur le point de <strong className="text-error-600">rejeter</strong> ce signalement. 
             Cette action marque le signalement comme <strong>hors périmètre ou invalide</strong>.
             <br /><br />
-            Le citoyen ne recevra aucune notification, mais le signalement restera archivé dans le système.
+            Le citoyen sera notifié et verra votre justification. Le signalement restera archivé dans le système.
             <br /><br />
             Êtes-vous sûr de vouloir continuer ?
           </AlertDialogDescription>
@@ -210,10 +247,87 @@ function StatusUpdateForm({
         )}
       </div>
 
+      {/* Commentaire (obligatoire pour résolu / rejeté) */}
+      <div>
+        <Label htmlFor="status-comment" className="text-sm font-medium text-neutral-700">
+          {isClosing ? (
+            <>Justification <span className="text-error-500">*</span></>
+          ) : (
+            <>Commentaire <span className="text-xs font-normal text-neutral-500">(optionnel)</span></>
+          )}
+        </Label>
+        <Textarea
+          id="status-comment"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder={
+            isClosing
+              ? "Expliquez l'intervention réalisée ou le motif du rejet (visible par le citoyen)"
+              : "Précisez la raison du changement (visible dans l'historique)"
+          }
+          maxLength={1000}
+          disabled={loading}
+          required={isClosing}
+          className="mt-2"
+        />
+      </div>
+
+      {/* Photo "après" (résolu / rejeté uniquement) */}
+      {isClosing && (
+        <div>
+          <Label htmlFor="status-proof-image" className="text-sm font-medium text-neutral-700">
+            Photo après intervention <span className="text-xs font-normal text-neutral-500">(optionnel)</span>
+          </Label>
+          {proofImagePreview ? (
+            <div className="relative mt-2">
+              <img
+                src={proofImagePreview}
+                alt="Photo après intervention"
+                className="w-full h-40 object-cover rounded-lg border border-neutral-200"
+              />
+              <Button
+                type="button"
+                variant="secondary"
+                size="icon"
+                onClick={removeProofImage}
+                disabled={loading}
+                className="absolute top-2 right-2 h-8 w-8"
+              >
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          ) : (
+            <label
+              htmlFor="status-proof-image"
+              className="mt-2 flex items-center justify-center gap-2 p-4 border-2 border-dashed border-neutral-300 rounded-lg text-sm text-neutral-600 cursor-pointer hover:bg-neutral-50"
+            >
+              {isCompressing ? (
+                <Loader2 className="w-4 h-4 animate-spin" />
+              ) : (
+                <Camera className="w-4 h-4" />
+              )}
+              {isCompressing ? 'Compression...' : 'Ajouter une photo'}
+            </label>
+          )}
+          <input
+            id="status-proof-image"
+            type="file"
+            accept="image/jpeg,image/png,image/webp"
+            capture="environment"
+            onChange={selectProofImage}
+            disabled={loading || isCompressing}
+            className="hidden"
+          />
+          {proofImageError && (
+            <p className="text-xs text-error-600 mt-1">{proofImageError.message}</p>
+          )}
+        </div>
+      )}
+
       {/* Bouton de soumission */}
       <Button
         type="submit"
-        disabled={!selectedStatus || loading || selectedStatus === currentStatus}
+        disabled={!selectedStatus || loading || isCompressing || isJustificationMissing || selectedStatus === currentStatus}
         className="w-full"
       >
         {loading ? (
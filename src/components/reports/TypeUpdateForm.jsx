@@ -5,6 +5,7 @@ import { useTranslation } from 'react-i18next';
 import { Button } from '@/components/ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Loader2 } from 'lucide-react';
+import { REPORT_TYPE_OPTIONS } from '@/config/reportOptions';
 
 /**
  * Composant TypeUpdateForm - Formulaire de mise à jour du type de signalement
@@ -30,18 +31,10 @@ function TypeUpdateForm({ currentType, onSubmit, loading = false }) {
   /**
    * Types de signalements disponibles
    */
-  const reportTypes = [
-    { value: 'voirie', label: t('report.types.voirie', { defaultValue: 'Voirie' }) },
-    { value: 'eclairage', label: t('report.types.eclairage', { defaultValue: 'Éclairage public' }) },
-    { value: 'eau', label: t('report.types.eau', { defaultValue: 'Eau' }) },
-    { value: 'proprete', label: t('report.types.proprete', { defaultValue: 'Propreté / Déchets' }) },
-    { value: 'securite', label: t('report.types.securite', { defaultValue: 'Sécurité' }) },
-    { value: 'sante', label: t('report.types.sante', { defaultValue: 'Santé' }) },
-    { value: 'electricite', label: t('report.types.electricite', { defaultValue: 'Électricité' }) },
-    { value: 'assainissement', label: t('report.types.assainissement', { defaultValue: 'Assainissement' }) },
-    { value: 'espaces_verts', label: t('report.types.espaces_verts', { defaultValue: 'Espaces verts' }) },
-    { value: 'autre', label: t('report.types.autre', { defaultValue: 'Autre' }) },
-  ];
+  const reportTypes = REPORT_TYPE_OPTIONS.map((option) => ({
+    value: option.value,
+    label: t(`report.types.${option.value}`, { defaultValue: option.label }),
+  }));
 
   /**
    * Gérer la soumission
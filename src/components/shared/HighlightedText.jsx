@@ -0,0 +1,40 @@
+import { splitSearchHighlights, getSearchExcerpt } from '@/utils/searchText';
+
+/**
+ * Texte avec les correspondances d'une recherche surlignées
+ *
+ * La comparaison ignore accents, casse et variantes de graphie wolof
+ * (voir src/utils/searchText.js) : "thies" surligne "Thiès".
+ *
+ * @param {Object} props
+ * @param {string} props.text - Texte à afficher
+ * @param {string} [props.query] - Recherche en cours (rien n'est surligné si vide)
+ * @param {number} [props.maxLength] - Tronquer autour de la première correspondance
+ * @param {string} [props.className] - Classes CSS additionnelles
+ *
+ * @example
+ * <HighlightedText text={report.description} query={filters.search} maxLength={100} />
+ */
+function HighlightedText({ text, query = '', maxLength, className = '' }) {
+  if (!text) {
+    return null;
+  }
+
+  const displayed = maxLength ? getSearchExcerpt(text, query, maxLength) : text;
+
+  return (
+    <span className={className}>
+      {splitSearchHighlights(displayed, query).map((segment, index) =>
+        segment.match ? (
+          <mark key={index} className="bg-yellow-200 text-inherit rounded-sm px-0.5">
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </span>
+  );
+}
+
+export default HighlightedText;
@@ -1,8 +1,12 @@
 // @generated by Cursor AI (Claude) — verified by Kevin
 
-import { MapPin, CheckCircle2, AlertCircle, Loader2, RefreshCcw } from 'lucide-react';
+import { useEffect, useMemo, useRef } from 'react';
+import { MapPin, CheckCircle2, AlertCircle, Loader2, RefreshCcw, Landmark, Volume2 } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { Button } from '@/components/ui/button';
+import { useCommuneFromLocation } from '@/hooks/useCommuneFromLocation';
+import { useTextToSpeech } from '@/hooks/useTextToSpeech';
+import { reverseGeocode } from '@/services/geocodingService';
 
 function LocationConfirmationCard({
   status = 'idle',
@@ -14,8 +18,9 @@ function LocationConfirmationCard({
   onConfirm,
   onRetry,
   onManualSelect,
+  speakAddress = false,
 }) {
-  const { t } = useTranslation('common');
+  const { t, i18n } = useTranslation('common');
   const label = t(`locationCard.status.${status}.label`, {
     defaultValue: {
       idle: 'Localisation automatique prête',
@@ -40,6 +45,36 @@ function LocationConfirmationCard({
 
   const hasPosition = Boolean(position);
 
+  // Commune dont le contour contient la position (routage vers ses agents)
+  const { commune, loading: communeLoading } = useCommuneFromLocation(position);
+
+  // Adresse lisible (gazetteer local, disponible hors connexion), dans la langue de l'interface
+  const address = useMemo(
+    () => reverseGeocode(position?.lat, position?.lng, { t }),
+    [position?.lat, position?.lng, t]
+  );
+
+  // Utilisateurs vocaux : l'adresse détectée est lue à voix haute
+  const { speak, isSupported: canSpeak } = useTextToSpeech({
+    language: i18n.language?.startsWith('wo') ? 'wo-SN' : 'fr-FR',
+  });
+  const spokenAddressRef = useRef(null);
+
+  const spokenAddress = address
+    ? t('locationCard.address.spoken', {
+        defaultValue: 'Vous êtes à {{address}}',
+        address: address.label,
+      })
+    : null;
+
+  useEffect(() => {
+    if (!speakAddress || !canSpeak || !spokenAddress || spokenAddressRef.current === spokenAddress) {
+      return;
+    }
+    spokenAddressRef.current = spokenAddress;
+    speak(spokenAddress);
+  }, [speakAddress, canSpeak, spokenAddress, speak]);
+
   return (
     <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-5 space-y-4">
       <div className="flex items-start gap-3">
@@ -82,6 +117,22 @@ function LocationConfirmationCard({
                         lng: position.lng?.toFixed(5),
                       })}
               </p>
+              {address && (
+                <p className="text-sm text-neutral-800 flex items-center gap-1">
+                  <MapPin className="h-3.5 w-3.5" />
+                  {address.label}
+                  {canSpeak && (
+                    <button
+                      type="button"
+                      onClick={() => speak(spokenAddress)}
+                      className="ml-1 rounded-full p-1 text-primary-600 hover:bg-primary-50"
+                      aria-label={t('locationCard.address.listen', { defaultValue: 'Écouter l’adresse' })}
+                    >
+                      <Volume2 className="h-3.5 w-3.5" />
+                    </button>
+                  )}
+                </p>
+              )}
               {accuracy && (
                 <p className="text-xs text-neutral-500">
                         {t('locationCard.accuracy', {
@@ -90,6 +141,18 @@ function LocationConfirmationCard({
                         })}
                 </p>
               )}
+              <p className="text-xs text-neutral-600 flex items-center gap-1 mt-1">
+                <Landmark className="h-3.5 w-3.5" />
+                {communeLoading
+                  ? t('locationCard.commune.loading', { defaultValue: 'Recherche de la commune…' })
+                  : commune
+                    ? t('locationCard.commune.found', {
+                        defaultValue: 'Commune : {{name}} ({{region}})',
+                        name: commune.name,
+                        region: commune.region,
+                      })
+                    : t('locationCard.commune.unknown', { defaultValue: 'Commune déterminée à l’envoi' })}
+              </p>
             </div>
             {isConfirmed && (
               <span className="inline-flex items-center rounded-full bg-success-50 px-3 py-1 text-xs font-medium text-success-700">
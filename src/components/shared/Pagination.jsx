@@ -14,6 +14,10 @@ import { ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight } from 'lucide-r
  * @param {Function} onPageChange - Callback appelé lors du changement de page
  * @param {Function} onItemsPerPageChange - Callback appelé lors du changement d'items par page
  * @param {Array<number>} pageSizeOptions - Options pour le nombre d'items par page (default: [10, 25, 50, 100])
+ * @param {boolean} canJumpToPage - Afficher les numéros de pages (default: true).
+ *   À désactiver pour une pagination serveur par curseur : seules les pages
+ *   première / précédente / suivante / dernière sont atteignables.
+ * @param {boolean} disabled - Désactiver la navigation (ex: page en cours de chargement)
  * 
  * @example
  * <Pagination
@@ -32,7 +36,9 @@ function Pagination({
   itemsPerPage,
   onPageChange,
   onItemsPerPageChange,
-  pageSizeOptions = [10, 25, 50, 100]
+  pageSizeOptions = [10, 25, 50, 100],
+  canJumpToPage = true,
+  disabled = false
 }) {
   // Calculer les items affichés
   const startItem = (currentPage - 1) * itemsPerPage + 1;
@@ -101,6 +107,7 @@ function Pagination({
           <span className="text-sm text-neutral-600">Par page:</span>
           <Select
             value={String(itemsPerPage)}
+            disabled={disabled}
             onValueChange={(value) => onItemsPerPageChange(Number(value))}
           >
             <SelectTrigger className="w-20">
@@ -126,7 +133,7 @@ function Pagination({
             size="icon"
             variant="outline"
             onClick={() => onPageChange(1)}
-            disabled={currentPage === 1}
+            disabled={disabled || currentPage === 1}
             className="h-8 w-8"
           >
             <ChevronsLeft className="h-4 w-4" />
@@ -137,14 +144,14 @@ function Pagination({
             size="icon"
             variant="outline"
             onClick={() => onPageChange(currentPage - 1)}
-            disabled={currentPage === 1}
+            disabled={disabled || currentPage === 1}
             className="h-8 w-8"
           >
             <ChevronLeft className="h-4 w-4" />
           </Button>
 
           {/* Numéros de pages */}
-          <div className="hidden sm:flex items-center gap-1">
+          <div className={canJumpToPage ? 'hidden sm:flex items-center gap-1' : 'hidden'}>
             {visiblePages.map((page, index) => {
               if (page === '...') {
                 return (
@@ -160,6 +167,7 @@ function Pagination({
                   size="icon"
                   variant={currentPage === page ? 'default' : 'outline'}
                   onClick={() => onPageChange(page)}
+                  disabled={disabled}
                   className="h-8 w-8"
                 >
                   {page}
@@ -168,8 +176,8 @@ function Pagination({
             })}
           </div>
 
-          {/* Page actuelle (mobile) */}
-          <div className="sm:hidden px-3 py-1 text-sm font-medium text-neutral-700">
+          {/* Page actuelle (mobile, ou toujours sans numéros de pages) */}
+          <div className={`${canJumpToPage ? 'sm:hidden ' : ''}px-3 py-1 text-sm font-medium text-neutral-700`}>
             {currentPage} / {totalPages}
           </div>
 
@@ -178,7 +186,7 @@ function Pagination({
             size="icon"
             variant="outline"
             onClick={() => onPageChange(currentPage + 1)}
-            disabled={currentPage === totalPages}
+            disabled={disabled || currentPage === totalPages}
             className="h-8 w-8"
           >
             <ChevronRight className="h-4 w-4" />
@@ -189,7 +197,7 @@ function Pagination({
             size="icon"
             variant="outline"
             onClick={() => onPageChange(totalPages)}
-            disabled={currentPage === totalPages}
+            disabled={disabled || currentPage === totalPages}
             className="h-8 w-8"
           >
             <ChevronsRight className="h-4 w-4" />
@@ -0,0 +1,42 @@
+import { useTranslation } from 'react-i18next';
+import { Loader2, Volume2, VolumeX } from 'lucide-react';
+
+/**
+ * Bouton « écouter la consigne »
+ *
+ * Pour les citoyens qui ne lisent pas (ou peu) : la consigne est jouée depuis
+ * le pack vocal de la langue, ou par synthèse vocale (voir useVoicePrompts).
+ *
+ * @param {Object} props
+ * @param {Function} props.onClick - Lancer (ou arrêter) la consigne
+ * @param {boolean} [props.isPlaying=false] - Consigne en cours de lecture
+ * @param {boolean} [props.isLoading=false] - Synthèse en cours de génération
+ * @param {boolean} [props.disabled=false]
+ * @param {string} [props.className] - Classes CSS additionnelles
+ *
+ * @example
+ * <VoicePromptButton onClick={() => playPrompt('report.type')} isPlaying={playingPromptId === 'report.type'} />
+ */
+function VoicePromptButton({ onClick, isPlaying = false, isLoading = false, disabled = false, className = '' }) {
+  const { t } = useTranslation('common');
+  const Icon = isPlaying ? VolumeX : Volume2;
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      aria-label={t('voicePrompts.listen', { defaultValue: 'Écouter la consigne' })}
+      aria-pressed={isPlaying}
+      className={`inline-flex h-9 w-9 flex-shrink-0 items-center justify-center rounded-full border transition-colors disabled:opacity-50 ${
+        isPlaying
+          ? 'border-primary-600 bg-primary-50 text-primary-700'
+          : 'border-neutral-300 bg-white text-neutral-700 hover:bg-neutral-100'
+      } ${className}`}
+    >
+      {isLoading ? <Loader2 className="h-4 w-4 animate-spin" /> : <Icon className="h-4 w-4" />}
+    </button>
+  );
+}
+
+export default VoicePromptButton;
@@ -0,0 +1,28 @@
+/**
+ * Configuration IA (analyse audio, synthèse vocale, extraction)
+ *
+ * Les appels IA passent par l'Edge Function ai-gateway : la clé du
+ * fournisseur (GEMINI_API_KEY) reste côté serveur.
+ *
+ * VITE_AI_PROVIDER :
+ * - 'gateway' (défaut) : Edge Function ai-gateway
+ * - 'mock' : fournisseur de test déterministe exécuté dans le navigateur
+ *   (développement hors-ligne, sans Supabase)
+ * - 'off' : IA désactivée (repli sur la reconnaissance / synthèse du navigateur)
+ */
+
+const AI_PROVIDERS = ['gateway', 'mock', 'off'];
+
+const provider = AI_PROVIDERS.includes(import.meta.env.VITE_AI_PROVIDER)
+  ? import.meta.env.VITE_AI_PROVIDER
+  : 'gateway';
+
+if (provider === 'off') {
+  console.warn('⚠️ VITE_AI_PROVIDER=off. L\'analyse et la synthèse IA sont désactivées.');
+}
+
+export default {
+  provider,
+  functionName: 'ai-gateway',
+  enabled: provider !== 'off',
+};
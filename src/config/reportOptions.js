@@ -0,0 +1,40 @@
+/**
+ * Valeurs des signalements partagées par les formulaires
+ *
+ * - REPORT_TYPE_OPTIONS : types réels utilisés dans la base de données
+ *   (formulaire citoyen, requalification agent, actions groupées, analyse IA)
+ * - REPORT_STATUS_OPTIONS / REPORT_PRIORITY_OPTIONS : statuts et priorités
+ *
+ * Les libellés sont les valeurs par défaut en français : les composants
+ * traduits les passent en defaultValue de t().
+ */
+
+export const REPORT_TYPE_OPTIONS = [
+  { value: 'voirie', label: 'Voirie' },
+  { value: 'eclairage', label: 'Éclairage public' },
+  { value: 'eau', label: 'Eau' },
+  { value: 'dechets', label: 'Déchets / Propreté' },
+  { value: 'securite', label: 'Sécurité' },
+  { value: 'assainissement', label: 'Assainissement' },
+  { value: 'espaces_verts', label: 'Espaces verts' },
+  { value: 'transport', label: 'Transport' },
+  { value: 'autre', label: 'Autre' },
+];
+
+export const REPORT_STATUS_OPTIONS = [
+  { value: 'pending', label: 'En attente', emoji: '⏳' },
+  { value: 'in_progress', label: 'En cours', emoji: '🔧' },
+  { value: 'resolved', label: 'Résolu', emoji: '✅' },
+  { value: 'rejected', label: 'Rejeté', emoji: '❌' },
+];
+
+export const REPORT_PRIORITY_OPTIONS = [
+  { value: 'urgent', label: 'Urgent', emoji: '🔴' },
+  { value: 'high', label: 'Élevée', emoji: '🟠' },
+  { value: 'normal', label: 'Normal', emoji: '🔵' },
+  { value: 'low', label: 'Faible', emoji: '⚪' },
+];
+
+export const REPORT_TYPES = REPORT_TYPE_OPTIONS.map((option) => option.value);
+export const REPORT_STATUSES = REPORT_STATUS_OPTIONS.map((option) => option.value);
+export const REPORT_PRIORITIES = REPORT_PRIORITY_OPTIONS.map((option) => option.value);
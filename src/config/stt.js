@@ -0,0 +1,32 @@
+/**
+ * Configuration de la reconnaissance vocale (Speech-to-Text)
+ *
+ * Fournisseurs (voir src/services/sttService.js) :
+ * - 'web-speech' : SpeechRecognition du navigateur (temps réel, rarement disponible en wolof)
+ * - 'gemini' : transcription via la passerelle IA (Edge Function ai-gateway)
+ * - 'self-hosted' : serveur de transcription auto-hébergé (Whisper / wav2vec,
+ *   modèles adaptés au wolof), activé par VITE_STT_SERVER_URL
+ *
+ * Ordre de préférence par langue (premier fournisseur disponible retenu) :
+ * - VITE_STT_PROVIDERS_FR (défaut : web-speech,gemini,self-hosted)
+ * - VITE_STT_PROVIDERS_WO (défaut : self-hosted,gemini,web-speech)
+ */
+
+const STT_PROVIDER_NAMES = ['web-speech', 'gemini', 'self-hosted'];
+
+function parseOrder(value, fallback) {
+  const order = (value || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name) => STT_PROVIDER_NAMES.includes(name));
+
+  return order.length > 0 ? order : fallback;
+}
+
+export default {
+  serverUrl: (import.meta.env.VITE_STT_SERVER_URL || '').replace(/\/+$/, ''),
+  providers: {
+    fr: parseOrder(import.meta.env.VITE_STT_PROVIDERS_FR, ['web-speech', 'gemini', 'self-hosted']),
+    wo: parseOrder(import.meta.env.VITE_STT_PROVIDERS_WO, ['self-hosted', 'gemini', 'web-speech']),
+  },
+};
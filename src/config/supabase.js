@@ -1,4 +1,3 @@
-
 import { createClient } from '@supabase/supabase-js';
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
@@ -8,12 +7,42 @@ if (!supabaseUrl || !supabaseAnonKey) {
   throw new Error('Missing Supabase environment variables. Please check your .env.local file.');
 }
 
+/**
+ * Jeton de session du voice user connecté (Edge Function voice-session)
+ */
+function getVoiceSessionToken() {
+  try {
+    return JSON.parse(localStorage.getItem('voiceUser') || 'null')?.sessionToken || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Les voice users n'ont pas de session Supabase Auth : leur jeton est envoyé
+ * dans x-voice-session à chaque requête (PostgREST, RPC, Edge Functions) et
+ * vérifié côté serveur (public.current_voice_user_id()).
+ */
+function fetchWithVoiceSession(input, init = {}) {
+  const token = getVoiceSessionToken();
+  if (!token) {
+    return fetch(input, init);
+  }
+
+  const headers = new Headers(init.headers);
+  headers.set('x-voice-session', token);
+  return fetch(input, { ...init, headers });
+}
+
 export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
   auth: {
     autoRefreshToken: true,
     persistSession: true,
     detectSessionInUrl: true,
   },
+  global: {
+    fetch: fetchWithVoiceSession,
+  },
   realtime: {
     params: {
       eventsPerSecond: 10,
@@ -22,4 +51,3 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
 });
 
 export default supabase;
-
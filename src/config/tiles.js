@@ -0,0 +1,26 @@
+/**
+ * Configuration des tuiles de carte
+ *
+ * - VITE_TILE_URL : tuiles affichées par les cartes (défaut : OpenStreetMap)
+ * - VITE_TILE_PACK_URL : fournisseur autorisant le téléchargement en masse,
+ *   utilisé pour les packs hors-ligne des agents (src/utils/tilePacks.js).
+ *   Sans cette variable, la carte hors-ligne est désactivée : la politique
+ *   d'usage des serveurs OSM interdit le pré-téléchargement. Quand elle est
+ *   définie, les cartes affichent aussi ce fournisseur pour que les tuiles
+ *   du pack correspondent à celles demandées par Leaflet.
+ * - VITE_TILE_ATTRIBUTION : attribution affichée (HTML)
+ *
+ * Modèles d'URL sans sous-domaine ({z}, {x}, {y}) : une seule URL par
+ * tuile, donc une seule entrée de cache.
+ */
+
+const OSM_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+const packUrl = import.meta.env.VITE_TILE_PACK_URL || '';
+
+export default {
+  url: packUrl || import.meta.env.VITE_TILE_URL || OSM_TILE_URL,
+  packUrl,
+  attribution: import.meta.env.VITE_TILE_ATTRIBUTION || OSM_ATTRIBUTION,
+};
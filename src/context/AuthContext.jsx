@@ -3,6 +3,7 @@ import { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { authService } from '@/services/authService';
 import { authApi } from '@/api/authApi';
+import { voiceAuthApi } from '@/api/voiceAuthApi';
 
 /**
  * Context pour la gestion globale de l'authentification
@@ -322,7 +323,7 @@ export function AuthProvider({ children }) {
 
   /**
    * Récupère l'utilisateur vocal depuis localStorage
-   * @returns {Object|null} - { id, name, prenom, authenticated, enrolledAt, lastVerifiedAt }
+   * @returns {Object|null} - { id, name, prenom, authenticated, sessionToken, sessionExpiresAt, enrolledAt, lastVerifiedAt }
    */
   const getVoiceUser = () => {
     try {
@@ -335,11 +336,14 @@ export function AuthProvider({ children }) {
 
   /**
    * Vérifie si un utilisateur vocal est authentifié
+   * (vérification vocale réussie et session serveur non expirée)
    * @returns {boolean}
    */
   const isVoiceAuthenticated = () => {
     const voiceUser = getVoiceUser();
-    return voiceUser?.authenticated === true;
+    return voiceUser?.authenticated === true
+      && Boolean(voiceUser.sessionToken)
+      && new Date(voiceUser.sessionExpiresAt) > new Date();
   };
 
   /**
@@ -352,9 +356,10 @@ export function AuthProvider({ children }) {
   };
 
   /**
-   * Déconnexion de l'utilisateur vocal
+   * Déconnexion de l'utilisateur vocal (la session serveur est révoquée)
    */
   const logoutVoiceUser = () => {
+    voiceAuthApi.endVoiceSession(getVoiceUser()?.sessionToken);
     localStorage.removeItem('voiceUser');
     localStorage.removeItem('pendingVoiceUser');
   };
@@ -3,9 +3,13 @@
 import { useState, useEffect, useCallback } from 'react';
 import * as reportApi from '@/api/reportApi';
 import * as reportService from '@/services/reportService';
+import { REPORT_TYPES, REPORT_STATUSES } from '@/config/reportOptions';
+
+const REPORT_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
 
 /**
- * Hook pour récupérer et calculer les analytics globales pour l'admin
+ * Hook pour récupérer les analytics globales pour l'admin
+ * (agrégats calculés côté serveur, voir reportApi.getReportStatistics)
  * 
  * @param {number} [periodDays=30] - Nombre de jours pour la période (7, 30, 90, ou null pour tout)
  * 
@@ -37,13 +41,13 @@ export function useAdminAnalytics(periodDays = 30) {
   const getStartDate = useCallback((days) => {
     if (!days) return null; // Toutes les données
     const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
+    startDate.setDate(startDate.getDate() - (days - 1)); // même fenêtre que les trends
     startDate.setHours(0, 0, 0, 0);
     return startDate;
   }, []);
 
   /**
-   * Charger et calculer les analytics
+   * Charger les analytics (agrégats calculés côté serveur)
    */
   const fetchAnalytics = useCallback(async () => {
     try {
@@ -51,20 +55,23 @@ export function useAdminAnalytics(periodDays = 30) {
       setError(null);
 
       const startDate = getStartDate(periodDays);
-      
-      // Récupérer tous les signalements (admin voit tout)
-      const { data: reports, error: fetchError } = await reportApi.getAdminReports({
-        limit: 10000,
-        // Note: On filtre par date côté client pour plus de flexibilité
-      });
 
+      const [aggregatesResult, communesResult] = await Promise.all([
+        reportService.getReportAggregates({ periodDays }),
+        // +1 : la ligne "sans commune" éventuelle est écartée ci-dessous
+        reportApi.getCommuneReportCounts({ dateFrom: startDate, limit: 11 })
+      ]);
+
+      const fetchError = aggregatesResult.error || communesResult.error;
       if (fetchError) {
         setError(fetchError);
         setLoading(false);
         return;
       }
 
-      if (!reports || reports.length === 0) {
+      const { aggregates } = aggregatesResult;
+
+      if (aggregates.total === 0) {
         setTrends([]);
         setByType({});
         setByStatus({});
@@ -74,36 +81,20 @@ export function useAdminAnalytics(periodDays = 30) {
         return;
       }
 
-      // Filtrer par date si nécessaire
-      let filteredReports = reports;
-      if (startDate) {
-        filteredReports = reports.filter(r => {
-          const createdAt = new Date(r.created_at);
-          return createdAt >= startDate;
-        });
-      }
-
-      // Calculer les tendances (évolution dans le temps)
-      const daysToAnalyze = periodDays || 30; // Par défaut 30 jours si periodDays est null
-      const calculatedTrends = calculateTrends(filteredReports, daysToAnalyze);
-
-      // Calculer répartition par type
-      const typeDistribution = calculateByType(filteredReports);
-
-      // Calculer répartition par statut
-      const statusDistribution = calculateByStatus(filteredReports);
-
-      // Calculer répartition par priorité
-      const priorityDistribution = calculateByPriority(filteredReports);
-
-      // Calculer répartition par commune (top 10)
-      const communeDistribution = calculateByCommune(filteredReports, 10);
-
-      setTrends(calculatedTrends);
-      setByType(typeDistribution);
-      setByStatus(statusDistribution);
-      setByPriority(priorityDistribution);
-      setByCommune(communeDistribution);
+      setTrends(aggregates.trends);
+      setByType(reportService.pickCounts(aggregates.by_type, REPORT_TYPES));
+      setByStatus(reportService.pickCounts(aggregates.by_status, REPORT_STATUSES));
+      setByPriority(reportService.pickCounts(aggregates.by_priority, REPORT_PRIORITIES));
+      setByCommune(
+        communesResult.data
+          .filter((row) => row.commune_id)
+          .slice(0, 10)
+          .map((row) => ({
+            commune_id: row.commune_id,
+            commune_name: row.commune_name || 'Commune inconnue',
+            count: row.total_reports
+          }))
+      );
 
     } catch (err) {
       console.error('❌ Erreur calcul analytics admin:', err);
@@ -133,116 +124,5 @@ export function useAdminAnalytics(periodDays = 30) {
   };
 }
 
-/**
- * Calculer les trends (évolution dans le temps)
- */
-function calculateTrends(reports, days = 30) {
-  const now = new Date();
-  const trends = [];
-
-  for (let i = days - 1; i >= 0; i--) {
-    const targetDate = new Date(now);
-    targetDate.setDate(targetDate.getDate() - i);
-    targetDate.setHours(0, 0, 0, 0);
-
-    const nextDate = new Date(targetDate);
-    nextDate.setDate(nextDate.getDate() + 1);
-
-    const count = reports.filter(r => {
-      const createdAt = new Date(r.created_at);
-      return createdAt >= targetDate && createdAt < nextDate;
-    }).length;
-
-    trends.push({
-      date: targetDate.toISOString().split('T')[0], // Format: 2025-10-25
-      count: count
-    });
-  }
-
-  return trends;
-}
-
-/**
- * Calculer la répartition par type
- */
-function calculateByType(reports) {
-  // Types réels utilisés dans la base de données
-  const types = [
-    'voirie',
-    'eclairage',
-    'eau',
-    'dechets',
-    'securite',
-    'assainissement',
-    'espaces_verts',
-    'transport',
-    'autre'
-  ];
-
-  const distribution = {};
-  types.forEach(type => {
-    distribution[type] = reports.filter(r => r.type === type).length;
-  });
-
-  return distribution;
-}
-
-/**
- * Calculer la répartition par statut
- */
-function calculateByStatus(reports) {
-  const statuses = ['pending', 'in_progress', 'resolved', 'rejected'];
-  const distribution = {};
-
-  statuses.forEach(status => {
-    distribution[status] = reports.filter(r => r.status === status).length;
-  });
-
-  return distribution;
-}
-
-/**
- * Calculer la répartition par priorité
- */
-function calculateByPriority(reports) {
-  const priorities = ['low', 'normal', 'high', 'urgent'];
-  const distribution = {};
-
-  priorities.forEach(priority => {
-    distribution[priority] = reports.filter(r => r.priority === priority).length;
-  });
-
-  return distribution;
-}
-
-/**
- * Calculer la répartition par commune (top N)
- */
-function calculateByCommune(reports, limit = 10) {
-  // Grouper par commune_id
-  const communeMap = {};
-  
-  reports.forEach(report => {
-    if (report.commune_id) {
-      const communeId = report.commune_id;
-      if (!communeMap[communeId]) {
-        communeMap[communeId] = {
-          commune_id: communeId,
-          commune_name: report.commune?.name || 'Commune inconnue',
-          count: 0
-        };
-      }
-      communeMap[communeId].count++;
-    }
-  });
-
-  // Convertir en array et trier par count décroissant
-  const communeArray = Object.values(communeMap)
-    .sort((a, b) => b.count - a.count)
-    .slice(0, limit);
-
-  return communeArray;
-}
-
 export default useAdminAnalytics;
 
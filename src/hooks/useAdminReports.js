@@ -2,24 +2,44 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import * as reportApi from '@/api/reportApi';
+import useReportPagination from './useReportPagination';
 
 /**
  * Hook pour gérer les signalements admin (TOUS signalements, toutes communes)
  * 
- * @param {Object} filters - Filtres à appliquer (commune_ids, types, statuses, priority, date_from, date_to)
- * @returns {Object} - { reports, loading, error, refetch, updateStatus, updatePriority }
+ * Les signalements sont lus page par page côté serveur (pagination par curseur,
+ * voir useReportPagination) : `reports` ne contient que la page courante.
+ * 
+ * @param {Object} filters - Filtres à appliquer (commune_ids, types, statuses, priority, date_from, date_to, search, overdue)
+ * @param {Object} [paginationOptions] - Options initiales (pageSize, sortBy, sortOrder)
+ * @returns {Object} - { reports, loading, error, pagination, refetch, updateStatus, updatePriority }
  * 
  * @example
- * const { reports, loading, refetch } = useAdminReports({ 
+ * const { reports, loading, pagination } = useAdminReports({ 
  *   commune_ids: ['uuid-dakar', 'uuid-stlouis'],
  *   statuses: ['pending', 'in_progress']
  * });
+ * // <ReportTable reports={reports} loading={loading} pagination={pagination} />
  */
-export function useAdminReports(filters = {}) {
+export function useAdminReports(filters = {}, paginationOptions = {}) {
   const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  const { query, receivePage, pagination } = useReportPagination({
+    ...paginationOptions,
+    resetKey: JSON.stringify([
+      filters.commune_ids,
+      filters.types,
+      filters.statuses,
+      filters.priority,
+      filters.date_from,
+      filters.date_to,
+      filters.search,
+      filters.overdue
+    ])
+  });
+
   /**
    * Récupérer tous les signalements avec filtres
    */
@@ -28,7 +48,10 @@ export function useAdminReports(filters = {}) {
       setLoading(true);
       setError(null);
 
-      const { data, error: fetchError } = await reportApi.getAdminReports(filters);
+      const { data, pageInfo, error: fetchError } = await reportApi.getAdminReports({
+        ...filters,
+        ...query
+      });
 
       if (fetchError) {
         console.error('❌ Erreur récupération signalements admin:', fetchError);
@@ -36,6 +59,7 @@ export function useAdminReports(filters = {}) {
         setReports([]);
       } else {
         setReports(data || []);
+        receivePage(pageInfo);
         console.log(`✅ ${data?.length || 0} signalements récupérés`);
       }
     } catch (err) {
@@ -45,20 +69,21 @@ export function useAdminReports(filters = {}) {
     } finally {
       setLoading(false);
     }
-  }, [filters.commune_ids, filters.types, filters.statuses, filters.priority, filters.date_from, filters.date_to]);
+  }, [filters.commune_ids, filters.types, filters.statuses, filters.priority, filters.date_from, filters.date_to, filters.search, filters.overdue, query, receivePage]);
 
   /**
    * Mettre à jour le statut d'un signalement
    * 
    * @param {string} reportId - UUID du signalement
    * @param {string} newStatus - Nouveau statut
+   * @param {Object} [options] - { comment, resolutionImageUrl } (voir reportApi.updateReportStatus)
    * @returns {Promise<{success: boolean, error: Object|null}>}
    */
-  const updateStatus = async (reportId, newStatus) => {
+  const updateStatus = async (reportId, newStatus, options = {}) => {
     try {
       console.log(`🔄 Mise à jour statut: ${reportId} → ${newStatus}`);
 
-      const { data, error: updateError } = await reportApi.updateReportStatus(reportId, newStatus);
+      const { data, error: updateError } = await reportApi.updateReportStatus(reportId, newStatus, options);
 
       if (updateError) {
         console.error('❌ Erreur mise à jour statut:', updateError);
@@ -115,7 +140,7 @@ export function useAdminReports(filters = {}) {
     }
   };
 
-  // Fetch initial et à chaque changement de filtres
+  // Fetch initial, à chaque changement de filtres et de page
   useEffect(() => {
     fetchReports();
   }, [fetchReports]);
@@ -124,6 +149,7 @@ export function useAdminReports(filters = {}) {
     reports,
     loading,
     error,
+    pagination,
     refetch: fetchReports,
     updateStatus,
     updatePriority
@@ -1,32 +1,45 @@
 
 import { useState, useEffect, useCallback } from 'react';
-import * as reportService from '@/services/reportService';
 import * as reportApi from '@/api/reportApi';
+import useReportPagination from './useReportPagination';
 
 /**
  * Hook personnalisé pour gérer les signalements d'un agent
  * 
  * Fonctionnalités :
  * - Récupérer les signalements de la commune de l'agent (via RLS)
- * - Appliquer des filtres (status, type, priority)
+ * - Pagination serveur par curseur + tri (voir useReportPagination)
+ * - Appliquer des filtres (status, type, priority, dates, recherche plein texte)
  * - Mettre à jour le statut d'un signalement
  * - Mettre à jour la priorité d'un signalement
+ * - Affecter un signalement à un agent (file personnelle)
  * - Rafraîchir la liste
  * 
  * @param {string} communeId - UUID de la commune de l'agent
  * @param {Object} [filters={}] - Filtres optionnels
  * @param {string} [filters.status] - Filtrer par statut
+ * @param {Array<string>} [filters.statuses] - Filtrer par plusieurs statuts (ex: file de travail ouverte)
  * @param {string} [filters.type] - Filtrer par type
  * @param {string} [filters.priority] - Filtrer par priorité
+ * @param {string} [filters.date_from] - Date de début (ISO string)
+ * @param {string} [filters.date_to] - Date de fin (ISO string)
+ * @param {string} [filters.search] - Recherche plein texte (voir reportApi.searchReports)
+ * @param {string} [filters.ai_category] - Catégorie suggérée par l'analyse IA de l'audio
+ * @param {boolean} [filters.ai_type_mismatch] - Suggestion IA différente du type actuel
+ * @param {boolean} [filters.overdue] - Seulement les signalements en retard (SLA dépassé)
+ * @param {string} [filters.assigned_to] - UUID de l'agent affecté, ou 'none' (non affectés)
+ * @param {Object} [paginationOptions] - Options initiales (pageSize, sortBy, sortOrder)
  * 
  * @returns {{
  *   reports: Array,
  *   loading: boolean,
  *   error: string|null,
+ *   pagination: Object,
  *   updateStatus: Function,
  *   updatePriority: Function,
+ *   assign: Function,
  *   refetch: Function
- * }}
+ * }} pagination = { page, pageSize, totalCount, totalPages, sortBy, sortOrder, goToPage, setPageSize, toggleSort }
  * 
  * @example
  * function ReportList() {
@@ -47,11 +60,19 @@ import * as reportApi from '@/api/reportApi';
  *   );
  * }
  */
-export function useAgentReports(communeId, filters = {}) {
+export function useAgentReports(communeId, filters = {}, paginationOptions = {}) {
   const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  const { status, type, priority, date_from, date_to, search, ai_category, ai_type_mismatch, overdue, assigned_to } = filters;
+  // Clé stable : un nouveau tableau à chaque rendu ne doit pas relancer la requête
+  const statusesKey = filters.statuses?.join(',') || '';
+  const { query, receivePage, pagination } = useReportPagination({
+    ...paginationOptions,
+    resetKey: [communeId, status, type, priority, date_from, date_to, search, ai_category, ai_type_mismatch, overdue, assigned_to, statusesKey].join('|')
+  });
+
   /**
    * Récupérer les signalements de la commune avec filtres
    */
@@ -66,32 +87,27 @@ export function useAgentReports(communeId, filters = {}) {
       setLoading(true);
       setError(null);
 
-      // Options de requête
-      const options = {
-        commune_id: communeId,
-        limit: 100,
-        orderBy: 'created_at',
-        ascending: false // Plus récents en premier
-      };
-
-      // Appliquer les filtres
-      if (filters.status) {
-        options.status = filters.status;
-      }
-      if (filters.type) {
-        options.type = filters.type;
-      }
-      if (filters.priority) {
-        options.priority = filters.priority;
-      }
-
-      const { data, error: fetchError } = await reportService.getAllReports(options);
+      const { data, pageInfo, error: fetchError } = await reportApi.getReportsByCommune(communeId, {
+        status,
+        statuses: statusesKey ? statusesKey.split(',') : undefined,
+        type,
+        priority,
+        date_from,
+        date_to,
+        search,
+        ai_category,
+        ai_type_mismatch,
+        overdue,
+        assigned_to,
+        ...query
+      });
 
       if (fetchError) {
         setError(fetchError.message || 'Erreur lors de la récupération des signalements');
         setReports([]);
       } else {
         setReports(data || []);
+        receivePage(pageInfo);
         setError(null);
       }
 
@@ -102,20 +118,21 @@ export function useAgentReports(communeId, filters = {}) {
     } finally {
       setLoading(false);
     }
-  }, [communeId, filters.status, filters.type, filters.priority]);
+  }, [communeId, status, type, priority, date_from, date_to, search, ai_category, ai_type_mismatch, overdue, assigned_to, statusesKey, query, receivePage]);
 
   /**
    * Mettre à jour le statut d'un signalement
    * 
    * @param {string} reportId - UUID du signalement
    * @param {string} newStatus - Nouveau statut (pending, in_progress, resolved, rejected)
+   * @param {Object} [options] - { comment, resolutionImageUrl } (voir reportApi.updateReportStatus)
    * @returns {Promise<{success: boolean, error: Object|null}>}
    */
-  const updateStatus = useCallback(async (reportId, newStatus) => {
+  const updateStatus = useCallback(async (reportId, newStatus, options = {}) => {
     try {
       console.log(`🔄 Mise à jour du statut: ${reportId} → ${newStatus}`);
 
-      const { data, error: updateError } = await reportApi.updateReportStatus(reportId, newStatus);
+      const { data, error: updateError } = await reportApi.updateReportStatus(reportId, newStatus, options);
 
       if (updateError) {
         console.error('❌ Erreur mise à jour statut:', updateError);
@@ -179,7 +196,28 @@ export function useAgentReports(communeId, filters = {}) {
   }, [fetchReports]);
 
   /**
-   * Charger les signalements au montage du composant et quand les filtres changent
+   * Affecter un signalement à un agent (null = remettre dans la file commune)
+   * 
+   * @param {string} reportId - UUID du signalement
+   * @param {string|null} agentId - UUID de l'agent
+   * @param {Object} [options] - { comment } (voir reportApi.assignReport)
+   * @returns {Promise<{success: boolean, error: Object|null}>}
+   */
+  const assign = useCallback(async (reportId, agentId, options = {}) => {
+    const { error: assignError } = await reportApi.assignReport(reportId, agentId, options);
+
+    if (assignError) {
+      return { success: false, error: assignError };
+    }
+
+    // Rafraîchir la liste (le signalement peut sortir de la file affichée)
+    await fetchReports();
+
+    return { success: true, error: null };
+  }, [fetchReports]);
+
+  /**
+   * Charger les signalements au montage du composant, quand les filtres ou la page changent
    */
   useEffect(() => {
     fetchReports();
@@ -189,8 +227,10 @@ export function useAgentReports(communeId, filters = {}) {
     reports,
     loading,
     error,
+    pagination,
     updateStatus,
     updatePriority,
+    assign,
     refetch: fetchReports
   };
 }
@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as reportApi from '@/api/reportApi';
+
+/**
+ * Hook personnalisé pour la charge de travail des agents d'une commune
+ *
+ * Fonctionnalités :
+ * - Liste des agents de la commune (nom, superviseur)
+ * - Signalements affectés par agent : en attente, en cours, en retard,
+ *   résolus sur 7 jours
+ * - Sert aussi de liste de choix pour la réaffectation (AssignmentPanel)
+ *
+ * @param {string} communeId - UUID de la commune
+ *
+ * @returns {{
+ *   agents: Array,
+ *   loading: boolean,
+ *   error: string|null,
+ *   refetch: Function
+ * }}
+ *
+ * @example
+ * const { agents, loading } = useAgentWorkload(user.commune_id);
+ *
+ * {agents.map(agent => (
+ *   <p key={agent.agent_id}>{agent.name} : {agent.pending + agent.in_progress} ouverts</p>
+ * ))}
+ */
+export function useAgentWorkload(communeId) {
+  const [agents, setAgents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Récupérer la charge de travail des agents
+   */
+  const fetchWorkload = useCallback(async () => {
+    if (!communeId) {
+      setAgents([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const { data, error: fetchError } = await reportApi.getAgentWorkload(communeId);
+
+      if (fetchError) {
+        setError(fetchError.message || 'Erreur lors du calcul de la charge de travail');
+        setAgents([]);
+      } else {
+        setAgents(data);
+      }
+
+    } catch (err) {
+      console.error('❌ Erreur useAgentWorkload:', err);
+      setError(err.message || 'Une erreur est survenue');
+      setAgents([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [communeId]);
+
+  useEffect(() => {
+    fetchWorkload();
+  }, [fetchWorkload]);
+
+  return {
+    agents,
+    loading,
+    error,
+    refetch: fetchWorkload
+  };
+}
+
+export default useAgentWorkload;
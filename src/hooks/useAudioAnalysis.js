@@ -1,21 +1,14 @@
 // @generated by Cursor AI (Claude) — verified by Kevin
 
-import { useState, useCallback, useRef } from 'react';
-import { GoogleGenAI } from '@google/genai';
-import geminiConfig from '@/config/gemini';
+import { useState, useCallback } from 'react';
+import aiConfig from '@/config/ai';
+import sttConfig from '@/config/stt';
+import * as aiApi from '@/api/aiApi';
+import { STT_MODES, blobToBase64, selectSttProvider, transcribeAudio } from '@/services/sttService';
 import { parseFieldValue } from '@/utils/voiceDataParser';
+import { REPORT_TYPES } from '@/config/reportOptions';
 
-const VALID_CATEGORIES = [
-  'voirie',
-  'eclairage',
-  'eau',
-  'dechets',
-  'securite',
-  'espaces_verts',
-  'assainissement',
-  'transport',
-  'autre',
-];
+const VALID_CATEGORIES = REPORT_TYPES;
 
 const CATEGORY_KEYWORDS = [
   { value: 'voirie', keywords: ['route', 'chaussée', 'nid de poule', 'trou', 'pavage', 'pont', 'trottoir', 'voirie'] },
@@ -83,37 +76,6 @@ function detectSeverity(text) {
   return 'medium';
 }
 
-async function blobToBase64(blob) {
-  const buffer = await blob.arrayBuffer();
-  let binary = '';
-  const bytes = new Uint8Array(buffer);
-  const chunkSize = 0x8000;
-
-  for (let i = 0; i < bytes.length; i += chunkSize) {
-    const chunk = bytes.subarray(i, i + chunkSize);
-    binary += String.fromCharCode.apply(null, chunk);
-  }
-
-  return btoa(binary);
-}
-
-function safeJsonParse(text) {
-  if (!text) {
-    return null;
-  }
-
-  const trimmed = text.trim();
-  const jsonMatch = trimmed.match(/\{[\s\S]*\}/);
-  const jsonString = jsonMatch ? jsonMatch[0] : trimmed;
-
-  try {
-    return JSON.parse(jsonString);
-  } catch (err) {
-    console.warn('⚠️ Impossible de parser la réponse Gemini en JSON:', err, jsonString);
-    return null;
-  }
-}
-
 export function useAudioAnalysis(options = {}) {
   const {
     language = 'fr',
@@ -123,23 +85,7 @@ export function useAudioAnalysis(options = {}) {
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [error, setError] = useState(null);
   const [result, setResult] = useState(null);
-  const [isSupported] = useState(Boolean(geminiConfig.enabled && geminiConfig.apiKey));
-  const geminiClientRef = useRef(null);
-
-  const ensureClient = useCallback(() => {
-    if (!isSupported) {
-      return null;
-    }
-    if (!geminiClientRef.current) {
-      try {
-        geminiClientRef.current = new GoogleGenAI({ apiKey: geminiConfig.apiKey });
-      } catch (err) {
-        console.error(' Erreur initialisation Gemini STT:', err);
-        return null;
-      }
-    }
-    return geminiClientRef.current;
-  }, [isSupported]);
+  const [isSupported] = useState(aiConfig.enabled || Boolean(sttConfig.serverUrl));
 
   const resetAnalysis = useCallback(() => {
     setIsAnalyzing(false);
@@ -158,11 +104,10 @@ export function useAudioAnalysis(options = {}) {
         return { success: false, error: noBlobError };
       }
 
-      const client = ensureClient();
-      if (!client) {
+      if (!isSupported) {
         const notSupportedError = {
           code: 'NOT_SUPPORTED',
-          message: 'Gemini STT n’est pas disponible. Configurez VITE_GEMINI_API_KEY.',
+          message: 'L’analyse IA est désactivée (VITE_AI_PROVIDER=off) et aucun serveur de transcription n’est configuré.',
         };
         setError(notSupportedError);
         return { success: false, error: notSupportedError };
@@ -172,42 +117,39 @@ export function useAudioAnalysis(options = {}) {
         setIsAnalyzing(true);
         setError(null);
 
-        const base64Audio = await blobToBase64(audioBlob);
-        const prompt = `Tu es un agent qui aide les citoyens à signaler des incidents urbains (voirie, éclairage, eau, déchets, sécurité, espaces verts, assainissement, transport ou autre).
-
-Analyse l'audio fourni (langue principale: ${language}) et retourne STRICTEMENT un JSON avec la structure :
-{
-  "transcription": "transcription fidèle en ${language}",
-  "summary": "résumé très court (max 20 mots)",
-  "keywords": ["mot1","mot2"],
-  "category": "voirie|eclairage|eau|dechets|securite|espaces_verts|assainissement|transport|autre",
-  "severity": "low|medium|high",
-  "actions": ["suggestion optionnelle"],
-  "confidence": 0.0-1.0
-}
+        // Gemini transcrit et classe en un seul appel ; avec un autre fournisseur
+        // (serveur auto-hébergé pour le wolof), la classification est locale
+        const sttProvider = await selectSttProvider(language, { mode: STT_MODES.BATCH });
+        let parsed = {};
+        let words = [];
+
+        if (!sttProvider || sttProvider.name === 'gemini') {
+          const { data: analysis, error: gatewayError } = await aiApi.analyzeAudio({
+            audioBase64: await blobToBase64(audioBlob),
+            mimeType: audioBlob.type || 'audio/webm',
+            language,
+          });
+
+          if (gatewayError) {
+            setError(gatewayError);
+            setIsAnalyzing(false);
+            return { success: false, error: gatewayError };
+          }
+
+          parsed = analysis || {};
+        } else {
+          const { data: stt, error: sttError } = await transcribeAudio(audioBlob, { language });
+
+          if (sttError) {
+            setError(sttError);
+            setIsAnalyzing(false);
+            return { success: false, error: sttError };
+          }
+
+          parsed = { transcription: stt.text };
+          words = stt.words;
+        }
 
-Ne renvoie aucune explication autour du JSON.`;
-
-        const response = await client.models.generateContent({
-          model: geminiConfig.model,
-          contents: [
-            {
-              role: 'user',
-              parts: [
-                {
-                  inlineData: {
-                    mimeType: audioBlob.type || 'audio/webm',
-                    data: base64Audio,
-                  },
-                },
-                { text: prompt },
-              ],
-            },
-          ],
-        });
-
-        const textResponse = response.candidates?.[0]?.content?.parts?.map((part) => part.text).join('\n');
-        const parsed = safeJsonParse(textResponse) || {};
         const transcription = parsed.transcription?.trim() || '';
         const fallbackCategory = detectCategory(transcription);
 
@@ -242,7 +184,11 @@ Ne renvoie aucune explication autour du JSON.`;
           severity,
           confidence,
           actions: parsed.actions || [],
+          words, // Temps par mot (fournisseur STT auto-hébergé)
+          sttProvider: sttProvider?.name || 'gemini',
           structuredFields,
+          language,
+          analyzedAt: new Date().toISOString(),
           metadata,
         };
 
@@ -254,7 +200,7 @@ Ne renvoie aucune explication autour du JSON.`;
           data: analysisResult,
         };
       } catch (err) {
-        console.error('❌ Erreur analyse audio Gemini:', err);
+        console.error('❌ Erreur analyse audio IA:', err);
         const analysisError = {
           code: 'ANALYSIS_ERROR',
           message: err.message || 'Impossible d’analyser l’audio',
@@ -265,7 +211,7 @@ Ne renvoie aucune explication autour du JSON.`;
         return { success: false, error: analysisError };
       }
     },
-    [communes, ensureClient, language]
+    [communes, isSupported, language]
   );
 
   return {
@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+import * as communeService from '@/services/communeService';
+
+/**
+ * Hook useCommuneFromLocation - Commune qui contient une position GPS
+ *
+ * Résout la commune via les contours importés (communeService.resolveCommune)
+ * à chaque nouvelle position. Hors connexion ou hors de tout contour,
+ * `commune` vaut null (le rattachement se fera à l'envoi du signalement).
+ *
+ * @param {{lat: number, lng: number}|null} position - Position GPS
+ *
+ * @returns {{ commune: Object|null, loading: boolean, error: Object|null }}
+ *
+ * @example
+ * const { commune, loading } = useCommuneFromLocation(position);
+ * // commune = { id, name: 'Médina', region: 'Dakar' }
+ */
+export function useCommuneFromLocation(position) {
+  const [commune, setCommune] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const lat = position?.lat;
+  const lng = position?.lng;
+
+  useEffect(() => {
+    if (typeof lat !== 'number' || typeof lng !== 'number') {
+      setCommune(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+
+    communeService.resolveCommune(lat, lng).then(({ data, error: resolveError }) => {
+      if (cancelled) {
+        return;
+      }
+      setCommune(data);
+      setError(resolveError);
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [lat, lng]);
+
+  return {
+    commune,
+    loading,
+    error
+  };
+}
+
+export default useCommuneFromLocation;
@@ -1,14 +1,17 @@
 // @generated by Cursor AI (Claude) — verified by Kevin
 
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { GoogleGenAI } from '@google/genai';
-import geminiConfig from '@/config/gemini';
+import aiConfig from '@/config/ai';
+import { getSpeechAudio } from '@/services/ttsService';
 
 /**
  * Custom Hook pour la synthèse vocale avec Gemini TTS
  * 
  * Utilise l'API Gemini TTS pour convertir du texte en parole avec des voix naturelles.
  * Remplace le Web Speech API par Gemini pour une meilleure qualité vocale.
+ * La synthèse passe par la passerelle IA (src/api/aiApi.js) : aucune clé côté client.
+ * Les phrases déjà prononcées (et les questions fixes pré-générées) sont rejouées
+ * depuis le cache, sans nouvel appel (voir src/services/ttsService.js).
  * 
  * Fonctionnalités :
  * - Parler un texte avec une voix Gemini configurée
@@ -23,7 +26,7 @@ import geminiConfig from '@/config/gemini';
  * 
  * @returns {Object} État et fonctions de synthèse vocale
  * @property {boolean} isSpeaking - true si la synthèse vocale est en cours
- * @property {boolean} isSupported - true si Gemini TTS est disponible
+ * @property {boolean} isSupported - true si la synthèse IA est activée (VITE_AI_PROVIDER ≠ off)
  * @property {Object|null} error - Erreur éventuelle
  * @property {function} speak - Parler un texte
  * @property {function} stop - Arrêter la parole en cours
@@ -54,46 +57,23 @@ export function useGeminiTextToSpeech(options = {}) {
   const audioSourceRef = useRef(null);
   const onEndCallbackRef = useRef(null);
   const onStartCallbackRef = useRef(null);
-  const geminiClientRef = useRef(null);
 
   /**
-   * Initialiser le client Gemini et vérifier la disponibilité
+   * Vérifier la disponibilité de la synthèse IA
    */
   useEffect(() => {
-    console.log('🔧 Initialisation Gemini TTS...', {
-      enabled: geminiConfig.enabled,
-      hasApiKey: !!geminiConfig.apiKey,
-      apiKeyLength: geminiConfig.apiKey?.length || 0,
-    });
-
-    if (!geminiConfig.enabled || !geminiConfig.apiKey) {
-      console.warn('⚠️ Gemini TTS non configuré:', {
-        enabled: geminiConfig.enabled,
-        hasApiKey: !!geminiConfig.apiKey,
-      });
+    if (!aiConfig.enabled) {
+      console.warn('⚠️ Synthèse vocale IA désactivée (VITE_AI_PROVIDER=off)');
       setIsSupported(false);
       setError({
         code: 'NOT_SUPPORTED',
-        message: 'Gemini TTS n\'est pas configuré. Vérifiez VITE_GEMINI_API_KEY dans .env.local',
+        message: 'La synthèse vocale IA est désactivée (VITE_AI_PROVIDER=off)',
       });
       return;
     }
 
-    try {
-      // Dans le navigateur, GoogleGenAI attend un objet avec apiKey
-      geminiClientRef.current = new GoogleGenAI({ apiKey: geminiConfig.apiKey });
-      setIsSupported(true);
-      setError(null);
-      console.log('✅ Gemini TTS initialisé avec succès');
-    } catch (err) {
-      console.error('❌ Erreur initialisation Gemini TTS:', err);
-      setIsSupported(false);
-      setError({
-        code: 'INIT_ERROR',
-        message: 'Erreur lors de l\'initialisation de Gemini TTS',
-        originalError: err,
-      });
-    }
+    setIsSupported(true);
+    setError(null);
   }, []);
 
   /**
@@ -112,15 +92,14 @@ export function useGeminiTextToSpeech(options = {}) {
   /**
    * Convertir les données PCM en AudioBuffer et les jouer
    */
-  const playAudioBuffer = useCallback(async (pcmData, onEnd, onStart) => {
+  const playAudioBuffer = useCallback(async (pcmData, sampleRate = 24000) => {
     try {
       const audioContext = getAudioContext();
       if (!audioContext) {
         throw new Error('AudioContext non disponible');
       }
 
-      // Les données PCM de Gemini sont en format 24kHz, 16-bit, mono
-      const sampleRate = 24000;
+      // Données PCM 16-bit mono (24kHz pour Gemini, fréquence renvoyée par la passerelle)
       const channels = 1;
       const sampleWidth = 2; // 16-bit = 2 bytes
 
@@ -204,14 +183,10 @@ export function useGeminiTextToSpeech(options = {}) {
     console.log('📢 Appel speak()', {
       text: text?.substring(0, 50) + '...',
       isSupported,
-      hasClient: !!geminiClientRef.current,
     });
 
-    if (!isSupported || !geminiClientRef.current) {
-      console.error('❌ Gemini TTS non disponible:', {
-        isSupported,
-        hasClient: !!geminiClientRef.current,
-      });
+    if (!isSupported) {
+      console.error('❌ Gemini TTS non disponible');
       setError({
         code: 'NOT_SUPPORTED',
         message: 'Gemini TTS n\'est pas disponible',
@@ -237,7 +212,6 @@ export function useGeminiTextToSpeech(options = {}) {
 
       setError(null);
 
-      const client = geminiClientRef.current;
       const finalVoiceName = overrides.voiceName || voiceName;
       const finalLanguage = overrides.language || language;
 
@@ -251,50 +225,32 @@ export function useGeminiTextToSpeech(options = {}) {
       setIsGenerating(true);
       const generationStartTime = Date.now();
 
-      // Appeler Gemini TTS API
-      const response = await client.models.generateContent({
-        model: 'gemini-2.5-flash-preview-tts', // Modèle TTS Gemini
-        contents: [{ parts: [{ text: text }] }],
-        config: {
-          responseModalities: ['AUDIO'],
-          speechConfig: {
-            voiceConfig: {
-              prebuiltVoiceConfig: { voiceName: finalVoiceName },
-            },
-          },
-        },
+      // Audio pré-généré, en cache, ou généré par la passerelle IA
+      const { data: speech, error: speechError } = await getSpeechAudio(text, {
+        voiceName: finalVoiceName,
+        language: finalLanguage,
       });
 
       // Calculer le temps de génération
       const generationTime = Date.now() - generationStartTime;
       console.log(`⏱️ Génération audio terminée en ${generationTime}ms`);
 
-      // Extraire les données audio
-      const audioData = response.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
-      
-      if (!audioData) {
-        console.error('❌ Structure de réponse inattendue:', JSON.stringify(response, null, 2));
+      if (speechError) {
         setIsGenerating(false);
-        throw new Error('Aucune donnée audio retournée par Gemini TTS. Vérifiez la structure de la réponse.');
+        throw new Error(speechError.message);
       }
-      
+
       console.log('✅ Données audio reçues:', {
-        dataLength: audioData.length,
+        source: speech.source,
+        dataLength: speech.pcm.byteLength,
         generationTime: `${generationTime}ms`,
       });
 
       // La génération est terminée, on va maintenant jouer l'audio
       setIsGenerating(false);
 
-      // Convertir les données base64 en ArrayBuffer (navigateur)
-      const binaryString = atob(audioData);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
-
       // Jouer l'audio
-      await playAudioBuffer(bytes, onEnd, onStart);
+      await playAudioBuffer(new Uint8Array(speech.pcm), speech.sampleRate);
 
     } catch (err) {
       console.error('❌ Erreur synthèse vocale Gemini:', err);
@@ -4,46 +4,64 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import { toast } from 'sonner';
 import { useTranslation } from 'react-i18next';
 import supabase from '@/config/supabase';
+import * as notificationApi from '@/api/notificationApi';
 
 /**
- * Hook useNotifications - Gestion des notifications pour les citoyens
+ * Intervalle de rafraîchissement sans Realtime (voice users)
+ */
+const POLL_INTERVAL_MS = 30000;
+
+/**
+ * Hook useNotifications - Boîte de notifications des citoyens
  * 
  * Fonctionnalités :
- * - Abonnement Realtime aux changements de statut des signalements
- * - Affichage de toasts lors des changements
- * - Historique des notifications
- * - Préférences de notification (opt-in/opt-out)
+ * - Notifications stockées côté serveur (table notifications) : générées par
+ *   PostgreSQL pour les changements de statut et de priorité, les fusions,
+ *   les photos de résolution et les messages de la mairie, y compris pendant
+ *   que le citoyen est hors-ligne
+ * - Pagination (« charger plus »)
+ * - État lu / non lu et suppressions synchronisés avec le serveur
+ * - Abonnement Realtime aux nouvelles notifications, avec toasts
+ * - Sans Realtime (voice users : leur session vocale n'est pas transmise à
+ *   Realtime), rafraîchissement périodique et au retour sur l'onglet, avec
+ *   les mêmes toasts
  * 
- * @param {string} userId - ID de l'utilisateur connecté
+ * @param {string} userId - ID du citoyen (Supabase user OU voice user)
  * @param {Object} options - Options de configuration
  * @param {boolean} options.enableRealtime - Activer les mises à jour en temps réel (default: true)
  * @param {boolean} options.showToasts - Afficher les toasts (default: true)
+ * @param {boolean} options.enablePolling - Rafraîchir périodiquement (default: false)
  * 
- * @returns {Object} - { notifications, unreadCount, markAsRead, clearAll, isSubscribed }
+ * @returns {Object} - { notifications, unreadCount, loading, error, hasMore, loadMore,
+ *   markAsRead, markAllAsRead, removeNotification, clearAll, refetch, isSubscribed }
  * 
  * @example
- * const { notifications, unreadCount, markAsRead } = useNotifications(user?.id);
+ * const { notifications, unreadCount, markAsRead, hasMore, loadMore } = useNotifications(userId);
  */
 export function useNotifications(userId, options = {}) {
   const { t } = useTranslation('common');
-  const { enableRealtime = true, showToasts = true } = options;
+  const { enableRealtime = true, showToasts = true, enablePolling = false } = options;
 
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
   const [isSubscribed, setIsSubscribed] = useState(false);
   
   const channelRef = useRef(null);
-  const notificationsRef = useRef([]);
+  const knownIdsRef = useRef(new Set());
 
-  // Synchroniser notifications avec ref pour éviter les problèmes de closure
   useEffect(() => {
-    notificationsRef.current = notifications;
+    knownIdsRef.current = new Set(notifications.map((notif) => notif.id));
   }, [notifications]);
 
   /**
-   * Créer une notification à partir d'un changement de statut
+   * Transformer une ligne de la table notifications en notification affichable
    */
-  const createNotification = useCallback((report, oldStatus, newStatus) => {
+  const toNotification = useCallback((row) => {
+    const data = row.data || {};
+
     const statusLabels = {
       pending: t('notifications.status.pending', { defaultValue: 'En attente' }),
       in_progress: t('notifications.status.in_progress', { defaultValue: 'En cours' }),
@@ -66,35 +84,150 @@ export function useNotifications(userId, options = {}) {
       }),
     };
 
-    return {
-      id: `${report.id}-${Date.now()}`,
-      reportId: report.id,
-      type: 'status_change',
-      title: t('notifications.title.statusChange', { 
-        defaultValue: 'Statut mis à jour' 
-      }),
-      message: statusMessages[newStatus] || t('notifications.message.unknown', { 
-        defaultValue: 'Le statut de votre signalement a changé.' 
-      }),
-      oldStatus,
-      newStatus,
-      statusLabel: statusLabels[newStatus] || newStatus,
-      read: false,
-      createdAt: new Date().toISOString(),
-      reportType: report.type || 'autre',
-      commune: report.commune?.name || report.commune_name || 'Inconnu',
+    const base = {
+      id: row.id,
+      reportId: row.report_id,
+      type: row.type,
+      statusLabel: null,
+      read: Boolean(row.read_at),
+      createdAt: row.created_at,
+      reportType: data.report_type || 'autre',
+      commune: data.commune_name || null,
+      resolutionComment: data.resolution_comment || null,
+      resolutionImageUrl: data.resolution_image_url || null,
     };
+
+    switch (row.type) {
+      case 'status_change':
+        return {
+          ...base,
+          title: t('notifications.title.statusChange', { 
+            defaultValue: 'Statut mis à jour' 
+          }),
+          message: statusMessages[data.new_value] || t('notifications.message.unknown', { 
+            defaultValue: 'Le statut de votre signalement a changé.' 
+          }),
+          oldStatus: data.old_value,
+          newStatus: data.new_value,
+          statusLabel: statusLabels[data.new_value] || data.new_value,
+        };
+      case 'priority_change':
+        return {
+          ...base,
+          title: t('notifications.type.priority_change', { defaultValue: 'Priorité mise à jour' }),
+          message: t('notifications.message.priority_change', {
+            defaultValue: 'La mairie a classé votre signalement en priorité « {{priority}} ».',
+            priority: t(`priority.${data.new_value}`, { defaultValue: data.new_value }),
+          }),
+        };
+      case 'merge':
+        return {
+          ...base,
+          title: t('notifications.type.merge', { defaultValue: 'Signalement regroupé' }),
+          message: t('notifications.message.merge', {
+            defaultValue: 'Votre signalement a été regroupé avec un signalement similaire. Vous serez notifié de son avancement.',
+          }),
+        };
+      case 'resolution':
+        return {
+          ...base,
+          title: t('notifications.type.resolution', { defaultValue: 'Preuve de résolution' }),
+          message: t('notifications.message.resolution', {
+            defaultValue: 'La mairie a ajouté une photo de l\'intervention.',
+          }),
+        };
+      case 'comment':
+        return {
+          ...base,
+          commentId: data.comment_id,
+          title: t('notifications.newMessage', { defaultValue: 'Nouveau message de la mairie' }),
+          message: data.body || t('notifications.message.voice', { defaultValue: 'Message vocal' }),
+        };
+      default:
+        return {
+          ...base,
+          title: t('notifications.title', { defaultValue: 'Notifications' }),
+          message: t('notifications.message.unknown', { 
+            defaultValue: 'Le statut de votre signalement a changé.' 
+          }),
+        };
+    }
   }, [t]);
 
   /**
-   * Ajouter une notification et afficher un toast
+   * Charger la première page et le nombre de non lues
    */
-  const addNotification = useCallback((notification) => {
+  const fetchNotifications = useCallback(async () => {
+    if (!userId) {
+      setNotifications([]);
+      setUnreadCount(0);
+      setTotal(0);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const [pageResult, unreadResult] = await Promise.all([
+      notificationApi.getNotifications(userId),
+      notificationApi.getUnreadNotificationsCount(userId),
+    ]);
+
+    if (pageResult.error) {
+      setError(pageResult.error);
+    } else {
+      setNotifications(pageResult.data.map(toNotification));
+      setTotal(pageResult.count);
+    }
+
+    if (!unreadResult.error) {
+      setUnreadCount(unreadResult.data);
+    }
+
+    setLoading(false);
+  }, [userId, toNotification]);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  /**
+   * Charger la page suivante
+   */
+  const loadMore = useCallback(async () => {
+    if (!userId || loading) {
+      return;
+    }
+
+    setLoading(true);
+    const { data, count, error: fetchError } = await notificationApi.getNotifications(userId, {
+      offset: notifications.length,
+    });
+    setLoading(false);
+
+    if (fetchError) {
+      setError(fetchError);
+      return;
+    }
+
     setNotifications((prev) => {
-      const updated = [notification, ...prev].slice(0, 50); // Garder max 50 notifications
-      return updated;
+      const known = new Set(prev.map((notif) => notif.id));
+      return [...prev, ...data.filter((row) => !known.has(row.id)).map(toNotification)];
     });
+    setTotal(count);
+  }, [userId, loading, notifications.length, toNotification]);
+
+  /**
+   * Ajouter une notification reçue en temps réel et afficher un toast
+   */
+  const handleNotificationInsert = useCallback((payload) => {
+    const notification = toNotification(payload.new);
+
+    setNotifications((prev) => (
+      prev.some((notif) => notif.id === notification.id) ? prev : [notification, ...prev]
+    ));
     setUnreadCount((prev) => prev + 1);
+    setTotal((prev) => prev + 1);
 
     // Afficher un toast si activé
     if (showToasts) {
@@ -107,53 +240,78 @@ export function useNotifications(userId, options = {}) {
         duration: 5000,
       });
     }
-  }, [showToasts]);
+  }, [toNotification, showToasts]);
 
   /**
    * Marquer une notification comme lue
    */
-  const markAsRead = useCallback((notificationId) => {
+  const markAsRead = useCallback(async (notificationId) => {
+    const notif = notifications.find((n) => n.id === notificationId);
+    if (!notif || notif.read) {
+      return;
+    }
+
     setNotifications((prev) =>
-      prev.map((notif) =>
-        notif.id === notificationId ? { ...notif, read: true } : notif
+      prev.map((n) =>
+        n.id === notificationId ? { ...n, read: true } : n
       )
     );
     setUnreadCount((prev) => Math.max(0, prev - 1));
-  }, []);
+
+    const { error: updateError } = await notificationApi.markNotificationsAsRead(userId, [notificationId]);
+    if (updateError) {
+      fetchNotifications();
+    }
+  }, [userId, notifications, fetchNotifications]);
 
   /**
    * Marquer toutes les notifications comme lues
    */
-  const markAllAsRead = useCallback(() => {
+  const markAllAsRead = useCallback(async () => {
     setNotifications((prev) =>
       prev.map((notif) => ({ ...notif, read: true }))
     );
     setUnreadCount(0);
-  }, []);
+
+    const { error: updateError } = await notificationApi.markNotificationsAsRead(userId);
+    if (updateError) {
+      fetchNotifications();
+    }
+  }, [userId, fetchNotifications]);
 
   /**
    * Supprimer une notification
    */
-  const removeNotification = useCallback((notificationId) => {
-    setNotifications((prev) => {
-      const notif = prev.find((n) => n.id === notificationId);
-      if (notif && !notif.read) {
-        setUnreadCount((count) => Math.max(0, count - 1));
-      }
-      return prev.filter((n) => n.id !== notificationId);
-    });
-  }, []);
+  const removeNotification = useCallback(async (notificationId) => {
+    const notif = notifications.find((n) => n.id === notificationId);
+    if (notif && !notif.read) {
+      setUnreadCount((count) => Math.max(0, count - 1));
+    }
+    setNotifications((prev) => prev.filter((n) => n.id !== notificationId));
+    setTotal((prev) => Math.max(0, prev - 1));
+
+    const { error: deleteError } = await notificationApi.deleteNotifications(userId, [notificationId]);
+    if (deleteError) {
+      fetchNotifications();
+    }
+  }, [userId, notifications, fetchNotifications]);
 
   /**
    * Supprimer toutes les notifications
    */
-  const clearAll = useCallback(() => {
+  const clearAll = useCallback(async () => {
     setNotifications([]);
     setUnreadCount(0);
-  }, []);
+    setTotal(0);
+
+    const { error: deleteError } = await notificationApi.deleteNotifications(userId);
+    if (deleteError) {
+      fetchNotifications();
+    }
+  }, [userId, fetchNotifications]);
 
   /**
-   * S'abonner aux changements de statut des signalements via Realtime
+   * S'abonner aux nouvelles notifications via Realtime
    */
   useEffect(() => {
     if (!userId || !enableRealtime) {
@@ -161,35 +319,19 @@ export function useNotifications(userId, options = {}) {
       return;
     }
 
-    console.log('🔔 Abonnement Realtime aux signalements pour:', userId);
+    console.log('🔔 Abonnement Realtime aux notifications pour:', userId);
 
-    // Créer un canal pour écouter les changements sur la table reports
     const channel = supabase
-      .channel(`reports:${userId}`)
+      .channel(`notifications:${userId}`)
       .on(
         'postgres_changes',
         {
-          event: 'UPDATE',
+          event: 'INSERT',
           schema: 'public',
-          table: 'reports',
-          filter: `citizen_user_id=eq.${userId}`, // Seulement les signalements de cet utilisateur
+          table: 'notifications',
+          filter: `recipient_id=eq.${userId}`,
         },
-        (payload) => {
-          console.log('📢 Changement détecté:', payload);
-          
-          const report = payload.new;
-          const oldStatus = payload.old?.status;
-          const newStatus = report.status;
-
-          // Ignorer si le statut n'a pas changé
-          if (oldStatus === newStatus) {
-            return;
-          }
-
-          // Créer et ajouter la notification
-          const notification = createNotification(report, oldStatus, newStatus);
-          addNotification(notification);
-        }
+        handleNotificationInsert
       )
       .subscribe((status) => {
         console.log('📡 Statut abonnement Realtime:', status);
@@ -213,16 +355,67 @@ export function useNotifications(userId, options = {}) {
       }
       setIsSubscribed(false);
     };
-  }, [userId, enableRealtime, createNotification, addNotification]);
+  }, [userId, enableRealtime, handleNotificationInsert]);
+
+  /**
+   * Rafraîchir sans Realtime : nouvelles notifications de la première page
+   * (avec toast) et nombre de non lues
+   */
+  useEffect(() => {
+    if (!userId || !enablePolling) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const poll = async () => {
+      if (document.visibilityState !== 'visible') {
+        return;
+      }
+
+      const [pageResult, unreadResult] = await Promise.all([
+        notificationApi.getNotifications(userId),
+        notificationApi.getUnreadNotificationsCount(userId),
+      ]);
+      if (cancelled || pageResult.error) {
+        return;
+      }
+
+      pageResult.data
+        .filter((row) => !knownIdsRef.current.has(row.id))
+        .reverse()
+        .forEach((row) => handleNotificationInsert({ new: row }));
+
+      setTotal(pageResult.count);
+      if (!unreadResult.error) {
+        setUnreadCount(unreadResult.data);
+      }
+    };
+
+    const timer = setInterval(poll, POLL_INTERVAL_MS);
+    document.addEventListener('visibilitychange', poll);
+    window.addEventListener('focus', poll);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', poll);
+      window.removeEventListener('focus', poll);
+    };
+  }, [userId, enablePolling, handleNotificationInsert]);
 
   return {
     notifications,
     unreadCount,
+    loading,
+    error,
+    hasMore: notifications.length < total,
+    loadMore,
     isSubscribed,
     markAsRead,
     markAllAsRead,
     removeNotification,
     clearAll,
+    refetch: fetchNotifications,
   };
 }
-
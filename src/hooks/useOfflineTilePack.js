@@ -0,0 +1,143 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import * as communeApi from '@/api/communeApi';
+import * as tilePacks from '@/utils/tilePacks';
+
+/**
+ * Hook useOfflineTilePack - Carte hors-ligne de la commune d'un agent
+ *
+ * Charge l'emprise de la commune (communeApi.getCommuneExtent), estime le
+ * pack de tuiles, et pilote son téléchargement dans le cache hors-ligne
+ * (utils/tilePacks) avec progression, annulation et suppression.
+ *
+ * @param {Object|null} commune - Commune de l'agent ({ id, name })
+ *
+ * @returns {{
+ *   isSupported: boolean,
+ *   pack: Object|null,
+ *   estimate: Object|null,
+ *   loading: boolean,
+ *   downloading: boolean,
+ *   progress: {done: number, total: number}|null,
+ *   error: Object|null,
+ *   download: Function,
+ *   cancel: Function,
+ *   remove: Function
+ * }}
+ *
+ * @example
+ * const { pack, estimate, download, progress } = useOfflineTilePack({ id: user.commune_id, name: 'Médina' });
+ */
+export function useOfflineTilePack(commune) {
+  const [bounds, setBounds] = useState(null);
+  const [pack, setPack] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const abortRef = useRef(null);
+  const isSupported = tilePacks.isTilePackSupported();
+
+  const communeId = commune?.id;
+  const communeName = commune?.name;
+
+  useEffect(() => {
+    if (!communeId || !isSupported) {
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+
+    Promise.all([
+      communeApi.getCommuneExtent(communeId),
+      tilePacks.getTilePack(communeId)
+    ]).then(([{ data: extent, error: extentError }, existingPack]) => {
+      if (cancelled) {
+        return;
+      }
+      setBounds(extent);
+      setPack(existingPack);
+      // Hors connexion : le pack existant reste utilisable même sans emprise
+      setError(existingPack ? null : extentError);
+      setLoading(false);
+    }).catch((err) => {
+      console.error('❌ Erreur chargement carte hors-ligne:', err);
+      if (cancelled) {
+        return;
+      }
+      setError({ message: err.message, code: 'LOAD_ERROR' });
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [communeId, isSupported]);
+
+  // Abandonner un téléchargement en cours au démontage
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const estimate = bounds ? tilePacks.estimateTilePack(bounds) : null;
+
+  /**
+   * Télécharger (ou compléter) le pack de la commune
+   */
+  const download = useCallback(async () => {
+    const packBounds = bounds || pack?.bounds;
+    if (!packBounds) {
+      return { data: null, error: { message: 'Emprise de la commune inconnue', code: 'MISSING_EXTENT' } };
+    }
+
+    abortRef.current = new AbortController();
+    setDownloading(true);
+    setError(null);
+    setProgress({ done: 0, total: 0 });
+
+    const result = await tilePacks.downloadTilePack(
+      { id: communeId, name: communeName, bounds: packBounds },
+      { onProgress: setProgress, signal: abortRef.current.signal }
+    );
+
+    setDownloading(false);
+    setProgress(null);
+    if (result.error) {
+      if (result.error.code !== 'ABORTED') {
+        setError(result.error);
+      }
+    } else {
+      setPack(result.data);
+    }
+    return result;
+  }, [bounds, pack, communeId, communeName]);
+
+  /**
+   * Annuler le téléchargement en cours
+   */
+  const cancel = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  /**
+   * Supprimer le pack de la commune
+   */
+  const remove = useCallback(async () => {
+    await tilePacks.deleteTilePack(communeId);
+    setPack(null);
+  }, [communeId]);
+
+  return {
+    isSupported,
+    pack,
+    estimate,
+    loading,
+    downloading,
+    progress,
+    error,
+    download,
+    cancel,
+    remove
+  };
+}
+
+export default useOfflineTilePack;
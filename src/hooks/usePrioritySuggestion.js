@@ -0,0 +1,57 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import * as triageService from '@/services/triageService';
+
+/**
+ * Hook usePrioritySuggestion - Priorité suggérée par les règles de triage
+ *
+ * Charge une fois les règles actives (triage_rules, repli sur les règles
+ * par défaut) puis recalcule la suggestion à chaque mise à jour du
+ * signalement (analyse IA, soutiens, description). Les raisons sont
+ * traduites dans la langue de l'interface.
+ *
+ * @param {Object|null} report - Signalement affiché
+ *
+ * @returns {{
+ *   suggestion: {priority: string, rule: Object, matchedRules: Array, reasons: Array<string>}|null,
+ *   loading: boolean
+ * }}
+ *
+ * @example
+ * const { suggestion } = usePrioritySuggestion(report);
+ * <PriorityUpdateForm currentPriority={report.priority} suggestion={suggestion} ... />
+ */
+export function usePrioritySuggestion(report) {
+  const { t } = useTranslation('common');
+  const [rules, setRules] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    triageService.getActiveTriageRules().then(({ data }) => {
+      if (!cancelled) {
+        setRules(data);
+        setLoading(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const suggestion = useMemo(() => {
+    if (!report || !rules) {
+      return null;
+    }
+    return triageService.suggestPriority(report, rules, { t });
+  }, [report, rules, t]);
+
+  return {
+    suggestion,
+    loading
+  };
+}
+
+export default usePrioritySuggestion;
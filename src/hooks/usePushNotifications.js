@@ -0,0 +1,173 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import * as pushApi from '@/api/pushApi';
+import {
+  isWebPushSupported,
+  isWebPushConfigured,
+  getPushSubscription,
+  subscribeToPush,
+  unsubscribeFromPush,
+  showTestNotification
+} from '@/utils/webPush';
+
+/**
+ * Hook usePushNotifications - Notifications Web Push de cet appareil
+ *
+ * Fonctionnalités :
+ * - Activer / désactiver les notifications push (permission, abonnement
+ *   navigateur, enregistrement dans push_subscriptions)
+ * - Langue des notifications synchronisée avec la langue de l'interface
+ * - Notification de test via le service worker (sans serveur push)
+ *
+ * @param {string} userId - ID du citoyen connecté (Supabase user OU voice user) ;
+ *   l'abonnement est rattaché à sa session, pas à cet identifiant
+ *
+ * @returns {{
+ *   isSupported: boolean,
+ *   isConfigured: boolean,
+ *   permission: string,
+ *   isSubscribed: boolean,
+ *   loading: boolean,
+ *   error: Object|null,
+ *   subscribe: Function,
+ *   unsubscribe: Function,
+ *   sendTest: Function
+ * }}
+ *
+ * @example
+ * const push = usePushNotifications(userId);
+ * <Switch checked={push.isSubscribed} onChange={push.isSubscribed ? push.unsubscribe : push.subscribe} />
+ */
+export function usePushNotifications(userId) {
+  const { i18n } = useTranslation();
+  const locale = i18n.language?.startsWith('wo') ? 'wo' : 'fr';
+
+  const isSupported = isWebPushSupported();
+  const isConfigured = isWebPushConfigured();
+
+  const [permission, setPermission] = useState(
+    isSupported ? Notification.permission : 'denied'
+  );
+  const [isSubscribed, setIsSubscribed] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * État actuel de l'appareil ; l'abonnement existant est ré-enregistré
+   * (langue à jour, appareil rattaché au citoyen connecté)
+   */
+  useEffect(() => {
+    if (!isSupported || !userId) {
+      return;
+    }
+
+    let cancelled = false;
+
+    getPushSubscription()
+      .then(async (subscription) => {
+        if (cancelled) return;
+        setIsSubscribed(Boolean(subscription));
+        if (subscription) {
+          await pushApi.savePushSubscription(subscription, { locale });
+        }
+      })
+      .catch((err) => {
+        console.error('❌ Erreur lecture abonnement push:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isSupported, userId, locale]);
+
+  /**
+   * Activer les notifications push sur cet appareil
+   *
+   * @returns {Promise<boolean>}
+   */
+  const subscribe = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const subscription = await subscribeToPush();
+      const { error: saveError } = await pushApi.savePushSubscription(subscription, { locale });
+
+      if (saveError) {
+        setError(saveError);
+        return false;
+      }
+
+      setIsSubscribed(true);
+      return true;
+    } catch (err) {
+      console.error('❌ Erreur abonnement push:', err);
+      setError({ message: err.message, code: err.code || 'UNEXPECTED_ERROR' });
+      return false;
+    } finally {
+      setPermission(isSupported ? Notification.permission : 'denied');
+      setLoading(false);
+    }
+  }, [locale, isSupported]);
+
+  /**
+   * Désactiver les notifications push sur cet appareil
+   *
+   * @returns {Promise<boolean>}
+   */
+  const unsubscribe = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const endpoint = await unsubscribeFromPush();
+      const { error: deleteError } = await pushApi.deletePushSubscription(endpoint);
+
+      if (deleteError) {
+        setError(deleteError);
+      }
+
+      setIsSubscribed(false);
+      return true;
+    } catch (err) {
+      console.error('❌ Erreur désabonnement push:', err);
+      setError({ message: err.message, code: err.code || 'UNEXPECTED_ERROR' });
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Afficher une notification de test (fonctionne sans clé VAPID)
+   *
+   * @returns {Promise<boolean>}
+   */
+  const sendTest = useCallback(async () => {
+    setError(null);
+
+    try {
+      await showTestNotification(locale);
+      return true;
+    } catch (err) {
+      setError({ message: err.message, code: err.code || 'UNEXPECTED_ERROR' });
+      return false;
+    } finally {
+      setPermission(isSupported ? Notification.permission : 'denied');
+    }
+  }, [locale, isSupported]);
+
+  return {
+    isSupported,
+    isConfigured,
+    permission,
+    isSubscribed,
+    loading,
+    error,
+    subscribe,
+    unsubscribe,
+    sendTest
+  };
+}
+
+export default usePushNotifications;
@@ -0,0 +1,191 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/config/supabase';
+import * as commentApi from '@/api/commentApi';
+import { uploadReportAudio } from '@/api/storageApi';
+
+/**
+ * Hook useReportComments - Messages d'un signalement (notes internes et
+ * échange avec le citoyen)
+ *
+ * Fonctionnalités :
+ * - Chargement du fil, puis nouveaux messages en temps réel (Realtime INSERT)
+ * - Envoi d'un message texte et / ou vocal (upload dans le bucket report-audio)
+ * - Regroupement en fils : message racine + réponses
+ *
+ * @param {string} reportId - UUID du signalement
+ * @param {Object} [options]
+ * @param {string} [options.visibility] - 'public' côté citoyen (les notes
+ *   internes sont de toute façon masquées par la RLS)
+ *
+ * @returns {{
+ *   comments: Array,
+ *   threads: Array<{comment: Object, replies: Array}>,
+ *   loading: boolean,
+ *   sending: boolean,
+ *   error: Object|null,
+ *   addComment: Function,
+ *   refetch: Function
+ * }}
+ *
+ * @example
+ * const { threads, addComment } = useReportComments(report.id);
+ *
+ * await addComment({
+ *   body: 'Intervention prévue jeudi',
+ *   visibility: 'public',
+ *   author: { id: user.id, role: user.role, name: user.name }
+ * });
+ */
+export function useReportComments(reportId, options = {}) {
+  const { visibility } = options;
+
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Ajouter un message à la liste (ignore les doublons Realtime / envoi local)
+   */
+  const mergeComment = useCallback((comment) => {
+    setComments((prev) => (
+      prev.some((existing) => existing.id === comment.id) ? prev : [...prev, comment]
+    ));
+  }, []);
+
+  const fetchComments = useCallback(async () => {
+    if (!reportId) {
+      setComments([]);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const { data, error: fetchError } = await commentApi.getReportComments(reportId, { visibility });
+
+      if (fetchError) {
+        setError(fetchError);
+        setComments([]);
+      } else {
+        setComments(data || []);
+      }
+    } catch (err) {
+      console.error('❌ Erreur useReportComments:', err);
+      setError({ message: err.message || 'Une erreur est survenue' });
+      setComments([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [reportId, visibility]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  /**
+   * Nouveaux messages publiés par les autres participants
+   */
+  useEffect(() => {
+    if (!reportId) {
+      return;
+    }
+
+    const channel = supabase
+      .channel(`report-comments:${reportId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'report_comments',
+          filter: `report_id=eq.${reportId}`,
+        },
+        (payload) => {
+          if (visibility && payload.new.visibility !== visibility) {
+            return;
+          }
+          mergeComment(payload.new);
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [reportId, visibility, mergeComment]);
+
+  /**
+   * Envoyer un message
+   *
+   * @param {Object} message
+   * @param {string} [message.body] - Texte
+   * @param {Blob} [message.audioBlob] - Message vocal (useAudioRecording)
+   * @param {number} [message.duration] - Durée du message vocal (secondes)
+   * @param {string} [message.visibility] - 'internal' | 'public'
+   * @param {string} [message.parentId] - Message auquel on répond
+   * @param {Object} message.author - { id, role, name }
+   *
+   * @returns {Promise<{data: Object|null, error: Object|null}>}
+   */
+  const addComment = useCallback(async (message = {}) => {
+    setSending(true);
+
+    try {
+      let audioUrl = null;
+
+      if (message.audioBlob) {
+        const file = new File(
+          [message.audioBlob],
+          `message-${Date.now()}.webm`,
+          { type: message.audioBlob.type || 'audio/webm' }
+        );
+        const { url, error: uploadError } = await uploadReportAudio(file, reportId);
+
+        if (uploadError) {
+          return { data: null, error: uploadError };
+        }
+        audioUrl = url;
+      }
+
+      const result = await commentApi.addReportComment({
+        reportId,
+        body: message.body,
+        audioUrl,
+        audioDuration: message.duration,
+        visibility: message.visibility,
+        parentId: message.parentId,
+        author: message.author
+      });
+
+      if (result.data) {
+        mergeComment(result.data);
+      }
+
+      return result;
+    } finally {
+      setSending(false);
+    }
+  }, [reportId, mergeComment]);
+
+  // Fils : messages racines dans l'ordre, réponses rattachées à leur racine
+  const threads = comments
+    .filter((comment) => !comment.parent_id)
+    .map((comment) => ({
+      comment,
+      replies: comments.filter((reply) => reply.parent_id === comment.id)
+    }));
+
+  return {
+    comments,
+    threads,
+    loading,
+    sending,
+    error,
+    addComment,
+    refetch: fetchComments
+  };
+}
+
+export default useReportComments;
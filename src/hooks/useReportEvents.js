@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as reportApi from '@/api/reportApi';
+
+/**
+ * Hook useReportEvents - Historique (timeline) d'un signalement
+ * 
+ * @param {string} reportId - UUID du signalement
+ * 
+ * @returns {{
+ *   events: Array,
+ *   loading: boolean,
+ *   error: Object|null,
+ *   refetch: Function
+ * }}
+ * 
+ * @example
+ * const { events, loading, refetch } = useReportEvents(report.id);
+ * <ReportTimeline report={report} events={events} loading={loading} />
+ */
+export function useReportEvents(reportId) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchEvents = useCallback(async () => {
+    if (!reportId) {
+      setEvents([]);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const { data, error: fetchError } = await reportApi.getReportEvents(reportId);
+
+      if (fetchError) {
+        setError(fetchError);
+        setEvents([]);
+      } else {
+        setEvents(data || []);
+      }
+    } catch (err) {
+      console.error('❌ Erreur useReportEvents:', err);
+      setError({ message: err.message || 'Une erreur est survenue' });
+      setEvents([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [reportId]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  return {
+    events,
+    loading,
+    error,
+    refetch: fetchEvents
+  };
+}
+
+export default useReportEvents;
@@ -48,7 +48,10 @@ export function useReportFilters() {
     dateFrom: null,     // Date de début (format ISO ou Date)
     dateTo: null,       // Date de fin (format ISO ou Date)
     commune: '',        // Commune (UUID) - utile pour admin
-    search: ''          // Recherche textuelle (description, citoyen)
+    aiCategory: '',     // Analyse IA de l'audio : catégorie suggérée, ou 'mismatch' (≠ type actuel)
+    deadline: '',       // Échéance SLA : 'overdue' (dépassée)
+    assignee: '',       // Affectation : 'mine' (mes signalements), 'none' (non affectés) ou UUID d'agent
+    search: ''          // Recherche textuelle (description, transcription, citoyen)
   };
 
   const [filters, setFilters] = useState(initialFilters);
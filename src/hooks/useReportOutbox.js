@@ -0,0 +1,198 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { toast } from 'sonner';
+import { useTranslation } from 'react-i18next';
+import * as reportService from '@/services/reportService';
+import * as outbox from '@/utils/reportOutbox';
+
+/**
+ * Hook useReportOutbox - Signalements en attente d'envoi (hors-ligne)
+ *
+ * Fonctionnalités :
+ * - Liste des signalements stockés dans l'outbox IndexedDB pour ce citoyen
+ * - Rejeu automatique au retour de la connexion (événement `online`)
+ *   et à l'échéance du backoff de chaque élément
+ * - Relance / abandon manuel d'un élément
+ * - Toasts de succès / échec par élément (optionnel)
+ *
+ * @param {string} citizenUserId - ID du citoyen (Supabase user OU voice user)
+ * @param {Object} options - Options de configuration
+ * @param {boolean} options.autoSync - Rejouer automatiquement l'outbox (default: true)
+ * @param {boolean} options.showToasts - Afficher les toasts de rejeu (default: false)
+ * @param {Function} options.onReportSent - Callback appelé avec chaque signalement envoyé
+ *
+ * @returns {Object} - { pendingReports, pendingCount, isSyncing, sync, retry, discard }
+ *
+ * @example
+ * const { pendingReports, retry, discard } = useReportOutbox(userId, {
+ *   onReportSent: () => loadDashboardData(),
+ * });
+ */
+export function useReportOutbox(citizenUserId, options = {}) {
+  const { t } = useTranslation('common');
+  const { autoSync = true, showToasts = false, onReportSent } = options;
+
+  const [pendingReports, setPendingReports] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const onReportSentRef = useRef(onReportSent);
+  const retryTimerRef = useRef(null);
+
+  useEffect(() => {
+    onReportSentRef.current = onReportSent;
+  }, [onReportSent]);
+
+  /**
+   * Recharger la liste depuis IndexedDB
+   */
+  const loadPendingReports = useCallback(async () => {
+    if (!citizenUserId || !outbox.isOutboxSupported()) {
+      setPendingReports([]);
+      return;
+    }
+
+    try {
+      const items = await outbox.getOutboxItems(citizenUserId);
+      setPendingReports(items);
+    } catch (err) {
+      console.error('❌ Erreur lecture outbox:', err);
+    }
+  }, [citizenUserId]);
+
+  /**
+   * Afficher le résultat d'un rejeu
+   */
+  const reportSyncResult = useCallback((result) => {
+    if (!showToasts) {
+      return;
+    }
+
+    if (result.sent.length > 0) {
+      toast.success(t('outbox.sent_title', { defaultValue: 'Signalement envoyé' }), {
+        description: t('outbox.sent_desc', {
+          count: result.sent.length,
+          defaultValue: '{{count}} signalement(s) en attente ont été envoyés.',
+        }),
+      });
+    }
+
+    result.failed
+      .filter((failure) => failure.status === outbox.OUTBOX_STATUS.FAILED)
+      .forEach((failure) => {
+        toast.error(t('outbox.failed_title', { defaultValue: 'Échec de l\'envoi' }), {
+          description: failure.error?.message,
+        });
+      });
+  }, [showToasts, t]);
+
+  /**
+   * Rejouer l'outbox maintenant
+   */
+  const sync = useCallback(async ({ force = false } = {}) => {
+    if (!citizenUserId) {
+      return null;
+    }
+
+    setIsSyncing(true);
+    try {
+      const result = await reportService.syncOfflineReports({ citizenUserId, force });
+      reportSyncResult(result);
+      return result;
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [citizenUserId, reportSyncResult]);
+
+  /**
+   * Relancer un élément (remet son compteur de tentatives à zéro)
+   */
+  const retry = useCallback(async (outboxId) => {
+    setIsSyncing(true);
+    try {
+      const result = await reportService.retryOfflineReport(outboxId);
+      reportSyncResult(result);
+      return result;
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [reportSyncResult]);
+
+  /**
+   * Abandonner un élément (supprimé sans envoi)
+   */
+  const discard = useCallback(async (outboxId) => {
+    await reportService.discardOfflineReport(outboxId);
+  }, []);
+
+  /**
+   * Charger la liste et suivre les modifications de l'outbox
+   */
+  useEffect(() => {
+    loadPendingReports();
+
+    const unsubscribe = outbox.subscribeToOutbox((event) => {
+      loadPendingReports();
+
+      if (event?.type === 'removed' && event.report && onReportSentRef.current) {
+        onReportSentRef.current(event.report);
+      }
+    });
+
+    return unsubscribe;
+  }, [loadPendingReports]);
+
+  /**
+   * Rejouer au montage et au retour de la connexion
+   */
+  useEffect(() => {
+    if (!autoSync || !citizenUserId) {
+      return;
+    }
+
+    const handleOnline = () => {
+      console.log('📶 Connexion rétablie, rejeu de l\'outbox...');
+      sync({ force: true });
+    };
+
+    sync();
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+    };
+  }, [autoSync, citizenUserId, sync]);
+
+  /**
+   * Programmer la prochaine tentative selon le backoff des éléments en attente
+   */
+  useEffect(() => {
+    if (!autoSync) {
+      return;
+    }
+
+    const nextAttempts = pendingReports
+      .filter((item) => item.status === outbox.OUTBOX_STATUS.PENDING)
+      .map((item) => new Date(item.nextAttemptAt).getTime());
+
+    if (nextAttempts.length === 0) {
+      return;
+    }
+
+    const delay = Math.max(5000, Math.min(...nextAttempts) - Date.now());
+    retryTimerRef.current = setTimeout(() => sync(), delay);
+
+    return () => {
+      clearTimeout(retryTimerRef.current);
+    };
+  }, [autoSync, pendingReports, sync]);
+
+  return {
+    pendingReports,
+    pendingCount: pendingReports.length,
+    isSyncing,
+    sync,
+    retry,
+    discard,
+  };
+}
+
+export default useReportOutbox;
@@ -0,0 +1,162 @@
+import { useState, useCallback, useMemo } from 'react';
+
+/**
+ * Hook useReportPagination - État de pagination par curseur des listes de signalements
+ *
+ * Utilisé par useAgentReports et useAdminReports. La navigation se fait
+ * page par page (première, précédente, suivante, dernière) : une page
+ * arbitraire ne peut pas être atteinte sans OFFSET avec un curseur keyset.
+ *
+ * Fonctionnalités :
+ * - Paramètres de requête pour reportApi (pageSize, sortBy, sortOrder, cursor, direction)
+ * - Numéro de page courant et nombre total de pages (à partir de totalCount)
+ * - Tri par colonne (même colonne = inversion de l'ordre)
+ * - Retour à la première page quand `resetKey` change (filtres modifiés)
+ *
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] - Taille de page initiale (default: 25)
+ * @param {string} [options.sortBy] - Colonne de tri initiale (default: 'created_at')
+ * @param {'asc'|'desc'} [options.sortOrder] - Ordre initial (default: 'desc')
+ * @param {string} [options.resetKey] - Clé des filtres : tout changement ramène à la page 1
+ *
+ * @returns {{
+ *   query: Object,
+ *   receivePage: Function,
+ *   pagination: Object
+ * }} query = options à passer à reportApi, receivePage(pageInfo) après chaque lecture,
+ *   pagination = état et actions exposés aux composants (ReportTable, Pagination)
+ *
+ * @example
+ * const { query, receivePage, pagination } = useReportPagination({ resetKey: JSON.stringify(filters) });
+ * const { data, pageInfo } = await reportApi.getAdminReports({ ...filters, ...query });
+ * receivePage(pageInfo);
+ */
+export function useReportPagination(options = {}) {
+  const {
+    pageSize: initialPageSize = 25,
+    sortBy: initialSortBy = 'created_at',
+    sortOrder: initialSortOrder = 'desc',
+    resetKey = ''
+  } = options;
+
+  const [state, setState] = useState({
+    page: 1,
+    pageSize: initialPageSize,
+    sortBy: initialSortBy,
+    sortOrder: initialSortOrder,
+    cursor: null,
+    direction: 'after'
+  });
+  const [pageInfo, setPageInfo] = useState({
+    totalCount: 0,
+    hasNextPage: false,
+    hasPreviousPage: false,
+    startCursor: null,
+    endCursor: null
+  });
+
+  // Filtres modifiés → première page (ajusté pendant le rendu pour éviter une requête inutile)
+  const [currentResetKey, setCurrentResetKey] = useState(resetKey);
+  if (resetKey !== currentResetKey) {
+    setCurrentResetKey(resetKey);
+    setState((prev) => ({ ...prev, page: 1, cursor: null, direction: 'after' }));
+  }
+
+  const totalPages = Math.max(1, Math.ceil(pageInfo.totalCount / state.pageSize));
+
+  /**
+   * Enregistrer le pageInfo renvoyé par reportApi
+   * Si la page courante n'existe plus (signalements supprimés / filtrés), aller à la dernière.
+   */
+  const receivePage = useCallback((nextPageInfo) => {
+    if (!nextPageInfo) {
+      return;
+    }
+
+    setPageInfo(nextPageInfo);
+    setState((prev) => {
+      const lastPage = Math.max(1, Math.ceil(nextPageInfo.totalCount / prev.pageSize));
+      if (prev.page > lastPage) {
+        return { ...prev, page: lastPage, cursor: null, direction: 'last' };
+      }
+      return prev;
+    });
+  }, []);
+
+  /**
+   * Aller à une page (première, précédente, suivante ou dernière)
+   *
+   * @param {number} target - Numéro de page (1-indexed)
+   */
+  const goToPage = useCallback((target) => {
+    setState((prev) => {
+      if (target === prev.page) {
+        return prev;
+      }
+      if (target <= 1) {
+        return { ...prev, page: 1, cursor: null, direction: 'after' };
+      }
+      if (target >= totalPages) {
+        return { ...prev, page: totalPages, cursor: null, direction: 'last' };
+      }
+      if (target === prev.page + 1 && pageInfo.endCursor) {
+        return { ...prev, page: target, cursor: pageInfo.endCursor, direction: 'after' };
+      }
+      if (target === prev.page - 1 && pageInfo.startCursor) {
+        return { ...prev, page: target, cursor: pageInfo.startCursor, direction: 'before' };
+      }
+
+      console.warn(`⚠️ Page ${target} inaccessible depuis la page ${prev.page} (pagination par curseur)`);
+      return prev;
+    });
+  }, [totalPages, pageInfo.startCursor, pageInfo.endCursor]);
+
+  /**
+   * Changer la taille de page (retour à la première page)
+   */
+  const setPageSize = useCallback((pageSize) => {
+    setState((prev) => ({ ...prev, pageSize, page: 1, cursor: null, direction: 'after' }));
+  }, []);
+
+  /**
+   * Trier par une colonne : même colonne = inversion, nouvelle colonne = DESC
+   */
+  const toggleSort = useCallback((column) => {
+    setState((prev) => ({
+      ...prev,
+      sortBy: column,
+      sortOrder: prev.sortBy === column && prev.sortOrder === 'desc' ? 'asc' : 'desc',
+      page: 1,
+      cursor: null,
+      direction: 'after'
+    }));
+  }, []);
+
+  const query = useMemo(() => ({
+    pageSize: state.pageSize,
+    sortBy: state.sortBy,
+    sortOrder: state.sortOrder,
+    cursor: state.cursor,
+    direction: state.direction
+  }), [state.pageSize, state.sortBy, state.sortOrder, state.cursor, state.direction]);
+
+  const pagination = useMemo(() => ({
+    page: state.page,
+    pageSize: state.pageSize,
+    totalCount: pageInfo.totalCount,
+    totalPages,
+    sortBy: state.sortBy,
+    sortOrder: state.sortOrder,
+    goToPage,
+    setPageSize,
+    toggleSort
+  }), [state.page, state.pageSize, state.sortBy, state.sortOrder, pageInfo.totalCount, totalPages, goToPage, setPageSize, toggleSort]);
+
+  return {
+    query,
+    receivePage,
+    pagination
+  };
+}
+
+export default useReportPagination;
@@ -0,0 +1,112 @@
+import { useState, useCallback, useMemo } from 'react';
+
+/**
+ * Hook personnalisé pour la sélection multiple de signalements
+ *
+ * Fonctionnalités :
+ * - Cocher / décocher un signalement, ou toute la page affichée
+ * - La sélection est conservée en changeant de page (pagination serveur) :
+ *   les signalements cochés sont gardés en mémoire pour l'export
+ * - Mise à jour des signalements sélectionnés après une action groupée
+ *
+ * @returns {{
+ *   selectedIds: Array<string>,
+ *   selectedReports: Array<Object>,
+ *   count: number,
+ *   isSelected: Function,
+ *   toggle: Function,
+ *   togglePage: Function,
+ *   isPageSelected: Function,
+ *   replaceReports: Function,
+ *   clear: Function
+ * }}
+ *
+ * @example
+ * const selection = useReportSelection();
+ *
+ * <input type="checkbox" checked={selection.isSelected(report.id)} onChange={() => selection.toggle(report)} />
+ * <input type="checkbox" checked={selection.isPageSelected(reports)} onChange={() => selection.togglePage(reports)} />
+ */
+export function useReportSelection() {
+  // id → signalement (dernière version connue)
+  const [selected, setSelected] = useState(() => new Map());
+
+  const isSelected = useCallback((reportId) => selected.has(reportId), [selected]);
+
+  /**
+   * Cocher / décocher un signalement
+   */
+  const toggle = useCallback((report) => {
+    setSelected((prev) => {
+      const next = new Map(prev);
+      if (next.has(report.id)) {
+        next.delete(report.id);
+      } else {
+        next.set(report.id, report);
+      }
+      return next;
+    });
+  }, []);
+
+  /**
+   * Toute la page est-elle cochée ?
+   */
+  const isPageSelected = useCallback(
+    (reports = []) => reports.length > 0 && reports.every((report) => selected.has(report.id)),
+    [selected]
+  );
+
+  /**
+   * Cocher toute la page, ou la décocher si elle l'est déjà
+   */
+  const togglePage = useCallback((reports = []) => {
+    setSelected((prev) => {
+      const next = new Map(prev);
+      const allSelected = reports.length > 0 && reports.every((report) => next.has(report.id));
+      reports.forEach((report) => {
+        if (allSelected) {
+          next.delete(report.id);
+        } else {
+          next.set(report.id, report);
+        }
+      });
+      return next;
+    });
+  }, []);
+
+  /**
+   * Remplacer les signalements sélectionnés par leur version mise à jour
+   *
+   * @param {Array<Object>} reports - Signalements renvoyés par l'action groupée
+   */
+  const replaceReports = useCallback((reports = []) => {
+    setSelected((prev) => {
+      const next = new Map(prev);
+      reports.forEach((report) => {
+        if (report?.id && next.has(report.id)) {
+          next.set(report.id, { ...next.get(report.id), ...report });
+        }
+      });
+      return next;
+    });
+  }, []);
+
+  const clear = useCallback(() => setSelected(new Map()), []);
+
+  const selectedReports = useMemo(() => Array.from(selected.values()), [selected]);
+  const selectedIds = useMemo(() => Array.from(selected.keys()), [selected]);
+
+  return {
+    selectedIds,
+    selectedReports,
+    count: selected.size,
+    isSelected,
+    toggle,
+    togglePage,
+    isPageSelected,
+    replaceReports,
+    clear
+  };
+}
+
+export default useReportSelection;
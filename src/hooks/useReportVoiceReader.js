@@ -0,0 +1,417 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import useVoicePrompts from './useVoicePrompts';
+import useSpeechToText from './useSpeechToText';
+import useReportComments from './useReportComments';
+import * as commentApi from '@/api/commentApi';
+import { recordUtterance } from '@/utils/utteranceRecorder';
+import { getTranslatedPrompt } from '@/utils/voicePrompts';
+import {
+  READER_COMMANDS,
+  parseReaderCommand,
+  getLatestMunicipalComment,
+  buildReportReadout
+} from '@/utils/reportVoiceReader';
+
+/**
+ * Étapes du suivi vocal
+ */
+export const READER_PHASES = {
+  IDLE: 'idle',
+  READING: 'reading',
+  LISTENING: 'listening',
+  RECORDING: 'recording',
+  SENDING: 'sending',
+};
+
+/**
+ * Custom Hook de suivi vocal des signalements (« où en sont mes signalements ? »)
+ *
+ * Pour les citoyens inscrits à la voix, qui ne lisent pas forcément l'écran :
+ * - Lit chaque signalement (type, commune, statut, dernier message de la
+ *   mairie ; un message vocal de la mairie est joué tel quel)
+ * - Écoute ensuite la commande : « suivant », « précédent », « répéter »,
+ *   « message » (enregistre un message vocal pour la mairie) ou « arrêter »
+ * - Consignes fixes jouées depuis le pack vocal de la langue si enregistrées
+ *   (identifiants status.*, voir src/utils/voicePrompts.js)
+ * Sans reconnaissance vocale, les signalements sont lus à la suite.
+ *
+ * @param {Array} reports - Signalements du citoyen (reportApi.getCitizenReports)
+ * @param {Object} [options] - Options du hook
+ * @param {string} [options.language='fr'] - Langue ('fr' | 'wo')
+ * @param {Object} [options.author] - Auteur des messages envoyés { id, role: 'citizen', name }
+ * @param {number} [options.maxRetries=2] - Réponses incomprises d'affilée avant l'arrêt
+ *
+ * @returns {Object} État et fonctions du suivi vocal
+ * @property {string} phase - Étape en cours (READER_PHASES)
+ * @property {boolean} isActive - true tant que le suivi vocal est en cours
+ * @property {number} currentIndex - Index du signalement lu
+ * @property {Object|null} currentReport - Signalement lu
+ * @property {string} heard - Dernière réponse entendue
+ * @property {boolean} isRecognitionSupported - true si les commandes vocales sont disponibles
+ * @property {Object|null} error - Erreur éventuelle
+ * @property {Function} start - Démarrer la lecture
+ * @property {Function} stop - Arrêter
+ *
+ * @example
+ * const { start, stop, isActive, currentReport } = useReportVoiceReader(reports, {
+ *   language: 'wo',
+ *   author: { id: voiceUser.id, role: 'citizen', name: voiceUser.prenom },
+ * });
+ *
+ * start();
+ */
+export function useReportVoiceReader(reports = [], options = {}) {
+  const {
+    language = 'fr',
+    author = null,
+    maxRetries = 2,
+  } = options;
+
+  const { t } = useTranslation('common');
+  const { say, stop: stopSpeaking } = useVoicePrompts({ language });
+  const {
+    startListening,
+    abort: abortListening,
+    transcript,
+    isListening,
+    isSupported: isRecognitionSupported,
+    error: recognitionError,
+    clearTranscript,
+    transcribe,
+  } = useSpeechToText({ language, continuous: false, interimResults: false });
+
+  const [phase, setPhase] = useState(READER_PHASES.IDLE);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [heard, setHeard] = useState('');
+  const [error, setError] = useState(null);
+
+  const isActive = phase !== READER_PHASES.IDLE;
+  const currentReport = isActive ? reports[currentIndex] || null : null;
+
+  // Envoi des messages sur le signalement lu
+  const { addComment } = useReportComments(currentReport?.id, { visibility: 'public' });
+
+  const sessionRef = useRef(0); // Incrémenté à chaque arrêt : les étapes en attente sont abandonnées
+  const indexRef = useRef(0);
+  const retriesRef = useRef(0);
+  const wasListeningRef = useRef(false);
+  const utteranceRef = useRef(null);
+  const audioRef = useRef(null);
+  const staleErrorRef = useRef(null); // Erreur de reconnaissance antérieure à l'écoute en cours
+  const latestRef = useRef({}); // Dernières valeurs, lues par les étapes asynchrones
+  const stepsRef = useRef({});
+
+  latestRef.current = {
+    reports,
+    author,
+    t,
+    say,
+    addComment,
+    startListening,
+    clearTranscript,
+    transcribe,
+    isRecognitionSupported,
+    recognitionError,
+  };
+
+  const isCurrent = (session) => session === sessionRef.current;
+
+  /**
+   * Prononcer un texte et attendre la fin
+   */
+  const sayAndWait = useCallback((promptId, text) => new Promise((resolve) => {
+    latestRef.current.say(promptId, text, resolve);
+  }), []);
+
+  /**
+   * Prononcer une phrase fixe (status.*)
+   */
+  const sayPrompt = useCallback((promptId) => {
+    const prompt = getTranslatedPrompt(promptId);
+    return sayAndWait(promptId, latestRef.current.t(prompt.i18nKey, { defaultValue: prompt.defaultValue }));
+  }, [sayAndWait]);
+
+  /**
+   * Jouer le message vocal d'un agent (erreur de lecture ignorée)
+   */
+  const playRecording = useCallback((url) => new Promise((resolve) => {
+    const audio = new Audio(url);
+    audioRef.current = audio;
+    audio.onended = resolve;
+    audio.onerror = resolve;
+    audio.play().catch(resolve);
+  }), []);
+
+  /**
+   * Arrêter
+   */
+  const stop = useCallback(() => {
+    sessionRef.current += 1;
+    stopSpeaking();
+    abortListening();
+    utteranceRef.current?.abort();
+    utteranceRef.current = null;
+    audioRef.current?.pause();
+    audioRef.current = null;
+    setPhase(READER_PHASES.IDLE);
+  }, [stopSpeaking, abortListening]);
+
+  /**
+   * Dire au revoir puis arrêter
+   */
+  const finish = useCallback(async (session) => {
+    setPhase(READER_PHASES.READING);
+    await sayPrompt('status.goodbye');
+    if (isCurrent(session)) {
+      stop();
+    }
+  }, [sayPrompt, stop]);
+
+  /**
+   * Lire un signalement
+   */
+  const readReport = async (index, session) => {
+    const { reports: currentReports, t: translate } = latestRef.current;
+    const report = currentReports[index];
+
+    indexRef.current = index;
+    setCurrentIndex(index);
+    setPhase(READER_PHASES.READING);
+
+    const { data: comments } = await commentApi.getReportComments(report.id, { visibility: 'public' });
+    if (!isCurrent(session)) return;
+
+    const latestComment = getLatestMunicipalComment(comments || []);
+    await sayAndWait(null, buildReportReadout(report, {
+      t: translate,
+      position: index + 1,
+      total: currentReports.length,
+      latestComment,
+    }));
+    if (!isCurrent(session)) return;
+
+    if (comments && !latestComment) {
+      await sayPrompt('status.noComment');
+    } else if (latestComment && !latestComment.body && latestComment.audio_url) {
+      await sayPrompt('status.voiceComment');
+      if (!isCurrent(session)) return;
+      await playRecording(latestComment.audio_url);
+    }
+    if (!isCurrent(session)) return;
+
+    listen(session);
+  };
+
+  /**
+   * Écouter la commande du citoyen
+   * (sans reconnaissance vocale : signalement suivant, puis fin)
+   */
+  const listen = (session) => {
+    const { reports: currentReports, isRecognitionSupported: canListen } = latestRef.current;
+
+    if (!canListen) {
+      if (indexRef.current + 1 < currentReports.length) {
+        readReport(indexRef.current + 1, session);
+      } else {
+        finish(session);
+      }
+      return;
+    }
+
+    latestRef.current.clearTranscript();
+    staleErrorRef.current = latestRef.current.recognitionError;
+    wasListeningRef.current = false;
+    setPhase(READER_PHASES.LISTENING);
+    latestRef.current.startListening();
+  };
+
+  /**
+   * Enregistrer et envoyer un message vocal à la mairie
+   */
+  const recordComment = async (session) => {
+    setPhase(READER_PHASES.RECORDING);
+    await sayPrompt('status.commentRecord');
+    if (!isCurrent(session)) return;
+
+    let audioBlob = null;
+    const startedAt = Date.now();
+
+    try {
+      const utterance = await recordUtterance({ maxDuration: 60, silenceTimeout: 2500 });
+      utteranceRef.current = utterance;
+      audioBlob = await utterance.result;
+      utteranceRef.current = null;
+    } catch (err) {
+      console.error('❌ Enregistrement du message impossible:', err);
+      setError({ code: 'RECORDING_ERROR', message: err.message || 'Enregistrement impossible' });
+    }
+    if (!isCurrent(session)) return;
+
+    if (!audioBlob) {
+      await sayPrompt('status.help');
+      if (isCurrent(session)) listen(session);
+      return;
+    }
+
+    setPhase(READER_PHASES.SENDING);
+    const duration = (Date.now() - startedAt) / 1000;
+
+    // Transcription jointe au message vocal (lecture plus rapide côté agent)
+    const { data: transcription } = await latestRef.current.transcribe(audioBlob);
+    if (!isCurrent(session)) return;
+
+    const { error: sendError } = await latestRef.current.addComment({
+      body: transcription?.text,
+      audioBlob,
+      duration,
+      author: latestRef.current.author,
+    });
+    if (!isCurrent(session)) return;
+
+    if (sendError) {
+      console.error('❌ Envoi du message impossible:', sendError);
+      setError(sendError);
+      await sayPrompt('status.commentFailed');
+    } else {
+      console.log('✅ Message vocal envoyé à la mairie');
+      await sayPrompt('status.commentSent');
+    }
+    if (isCurrent(session)) listen(session);
+  };
+
+  /**
+   * Traiter la réponse entendue
+   */
+  const handleAnswer = async (text) => {
+    const session = sessionRef.current;
+    const index = indexRef.current;
+    const total = latestRef.current.reports.length;
+    const command = parseReaderCommand(text);
+
+    setHeard(text || '');
+    console.log('🎤 Commande suivi vocal:', { text, command });
+
+    if (command) {
+      retriesRef.current = 0;
+    }
+
+    switch (command) {
+      case READER_COMMANDS.STOP:
+        finish(session);
+        return;
+
+      case READER_COMMANDS.NEXT:
+        if (index + 1 < total) {
+          readReport(index + 1, session);
+          return;
+        }
+        setPhase(READER_PHASES.READING);
+        await sayPrompt('status.last');
+        break;
+
+      case READER_COMMANDS.PREVIOUS:
+        if (index > 0) {
+          readReport(index - 1, session);
+          return;
+        }
+        setPhase(READER_PHASES.READING);
+        await sayPrompt('status.first');
+        break;
+
+      case READER_COMMANDS.REPEAT:
+        readReport(index, session);
+        return;
+
+      case READER_COMMANDS.COMMENT:
+        recordComment(session);
+        return;
+
+      default:
+        retriesRef.current += 1;
+        if (retriesRef.current > maxRetries) {
+          finish(session);
+          return;
+        }
+        setPhase(READER_PHASES.READING);
+        await sayPrompt('status.help');
+    }
+
+    if (isCurrent(session)) listen(session);
+  };
+
+  stepsRef.current = { readReport, handleAnswer };
+
+  /**
+   * Fin de l'écoute : traiter la réponse (vide si rien n'a été entendu)
+   */
+  useEffect(() => {
+    if (phase !== READER_PHASES.LISTENING) return;
+
+    if (isListening) {
+      wasListeningRef.current = true;
+      return;
+    }
+
+    if (wasListeningRef.current) {
+      wasListeningRef.current = false;
+      stepsRef.current.handleAnswer(transcript);
+    }
+  }, [phase, isListening, transcript]);
+
+  /**
+   * Erreur de reconnaissance (micro refusé, etc.) : arrêter
+   */
+  useEffect(() => {
+    if (recognitionError && recognitionError !== staleErrorRef.current && phase === READER_PHASES.LISTENING) {
+      console.error('❌ Erreur reconnaissance suivi vocal:', recognitionError);
+      setError(recognitionError);
+      stop();
+    }
+  }, [recognitionError, phase, stop]);
+
+  /**
+   * Démarrer la lecture
+   */
+  const start = useCallback(async () => {
+    stop();
+    const session = sessionRef.current;
+
+    setError(null);
+    setHeard('');
+    retriesRef.current = 0;
+    setPhase(READER_PHASES.READING);
+
+    if (latestRef.current.reports.length === 0) {
+      await sayPrompt('status.empty');
+      if (isCurrent(session)) stop();
+      return;
+    }
+
+    await sayPrompt('status.intro');
+    if (isCurrent(session)) {
+      stepsRef.current.readReport(0, session);
+    }
+  }, [stop, sayPrompt]);
+
+  // Arrêter lors du démontage
+  useEffect(() => () => {
+    sessionRef.current += 1;
+    utteranceRef.current?.abort();
+    audioRef.current?.pause();
+  }, []);
+
+  return {
+    phase,
+    isActive,
+    currentIndex,
+    currentReport,
+    heard,
+    isRecognitionSupported,
+    error,
+    start,
+    stop,
+  };
+}
+
+export default useReportVoiceReader;
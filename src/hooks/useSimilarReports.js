@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as reportApi from '@/api/reportApi';
+
+/**
+ * Paramètres de recherche des doublons côté agent
+ * (plus larges que côté citoyen : l'agent décide de la fusion)
+ */
+const AGENT_SEARCH_OPTIONS = {
+  radiusMeters: 200,
+  withinDays: 30
+};
+
+/**
+ * Hook useSimilarReports - Doublons potentiels d'un signalement (fusion agent)
+ * 
+ * Ne cherche que pour un signalement canonique ouvert : un doublon déjà
+ * fusionné ou un signalement clôturé n'a pas de candidats.
+ * 
+ * @param {Object|null} report - Signalement affiché
+ * 
+ * @returns {{
+ *   similarReports: Array,
+ *   loading: boolean,
+ *   error: Object|null,
+ *   refetch: Function
+ * }}
+ * 
+ * @example
+ * const { similarReports, refetch } = useSimilarReports(report);
+ */
+export function useSimilarReports(report) {
+  const [similarReports, setSimilarReports] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { id: reportId, type, latitude, longitude } = report || {};
+  const isSearchable = Boolean(
+    report &&
+    !report.duplicate_of &&
+    ['pending', 'in_progress'].includes(report.status)
+  );
+
+  const fetchSimilarReports = useCallback(async () => {
+    if (!isSearchable) {
+      setSimilarReports([]);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const { data, error: fetchError } = await reportApi.findSimilarReports({
+        type,
+        latitude,
+        longitude,
+        excludeId: reportId,
+        ...AGENT_SEARCH_OPTIONS
+      });
+
+      if (fetchError) {
+        setError(fetchError);
+        setSimilarReports([]);
+      } else {
+        setSimilarReports(data || []);
+      }
+    } catch (err) {
+      console.error('❌ Erreur useSimilarReports:', err);
+      setError({ message: err.message || 'Une erreur est survenue' });
+      setSimilarReports([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [reportId, isSearchable, type, latitude, longitude]);
+
+  useEffect(() => {
+    fetchSimilarReports();
+  }, [fetchSimilarReports]);
+
+  return {
+    similarReports,
+    loading,
+    error,
+    refetch: fetchSimilarReports
+  };
+}
+
+export default useSimilarReports;
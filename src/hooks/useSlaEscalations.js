@@ -0,0 +1,114 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import supabase from '@/config/supabase';
+import * as reportApi from '@/api/reportApi';
+
+/**
+ * Intervalle de relance de l'escalade côté client (si pg_cron est absent)
+ */
+const ESCALATION_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Hook useSlaEscalations - Alertes de dépassement des délais (agents / admins)
+ *
+ * Fonctionnalités :
+ * - Abonnement Realtime aux événements sla_escalation de report_events
+ *   (la RLS limite un agent aux signalements de sa commune)
+ * - Toast avec lien vers le signalement en retard
+ * - Déclenche escalate_overdue_reports() à l'ouverture puis toutes les 15 min,
+ *   au cas où la planification pg_cron n'est pas disponible
+ *
+ * @param {Object|null} user - Utilisateur connecté (role agent ou admin)
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Préfixe des routes de détail (default: '/agent')
+ *
+ * @returns {{ escalations: Array, isSubscribed: boolean }} Escalades reçues depuis l'ouverture
+ *
+ * @example
+ * // Dans AgentLayout
+ * useSlaEscalations(user, { basePath: '/agent' });
+ */
+export function useSlaEscalations(user, options = {}) {
+  const { basePath = '/agent' } = options;
+  const navigate = useNavigate();
+
+  const [escalations, setEscalations] = useState([]);
+  const [isSubscribed, setIsSubscribed] = useState(false);
+  const channelRef = useRef(null);
+
+  const isStaff = user?.role === 'agent' || user?.role === 'admin';
+  const userId = user?.id;
+
+  /**
+   * S'abonner aux escalades
+   */
+  useEffect(() => {
+    if (!userId || !isStaff) {
+      return;
+    }
+
+    const channel = supabase
+      .channel(`sla-escalations:${userId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'report_events',
+          filter: `event_type=eq.${reportApi.REPORT_EVENT_TYPES.SLA_ESCALATION}`,
+        },
+        (payload) => {
+          const event = payload.new;
+          console.log('⏰ Signalement en retard:', event.report_id);
+
+          setEscalations((prev) => [event, ...prev]);
+          toast.warning(event.comment || 'Délai de traitement dépassé', {
+            description: `Signalement #${event.report_id.slice(0, 8)}`,
+            duration: 10000,
+            action: {
+              label: 'Voir',
+              onClick: () => navigate(`${basePath}/reports/${event.report_id}`),
+            },
+          });
+        }
+      )
+      .subscribe((status) => {
+        setIsSubscribed(status === 'SUBSCRIBED');
+        if (status === 'CHANNEL_ERROR') {
+          console.error('❌ Erreur abonnement Realtime escalades');
+        }
+      });
+
+    channelRef.current = channel;
+
+    return () => {
+      if (channelRef.current) {
+        supabase.removeChannel(channelRef.current);
+        channelRef.current = null;
+      }
+      setIsSubscribed(false);
+    };
+  }, [userId, isStaff, basePath, navigate]);
+
+  /**
+   * Relancer l'escalade périodiquement (idempotent côté SQL)
+   */
+  useEffect(() => {
+    if (!userId || !isStaff) {
+      return;
+    }
+
+    reportApi.escalateOverdueReports();
+    const timer = setInterval(() => reportApi.escalateOverdueReports(), ESCALATION_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [userId, isStaff]);
+
+  return {
+    escalations,
+    isSubscribed
+  };
+}
+
+export default useSlaEscalations;
@@ -0,0 +1,105 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as slaApi from '@/api/slaApi';
+import { useAuth } from '@/context/AuthContext';
+
+/**
+ * Hook useSlaPolicies - Gestion des délais de traitement (page admin)
+ *
+ * Fonctionnalités :
+ * - Liste des politiques SLA (type × priorité)
+ * - Création, modification, suppression
+ * - La liste est relue après chaque mutation (l'ordre dépend du type et de la priorité)
+ *
+ * @returns {{
+ *   policies: Array,
+ *   loading: boolean,
+ *   error: Object|null,
+ *   saving: boolean,
+ *   createPolicy: Function,
+ *   updatePolicy: Function,
+ *   deletePolicy: Function,
+ *   refetch: Function
+ * }} Les mutations renvoient { data, error } / { error }
+ *
+ * @example
+ * const { policies, updatePolicy } = useSlaPolicies();
+ * await updatePolicy(policy.id, { resolution_hours: 48 });
+ */
+export function useSlaPolicies() {
+  const { user } = useAuth();
+  const [policies, setPolicies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const actorId = user?.id;
+
+  const fetchPolicies = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const { data, error: fetchError } = await slaApi.getSlaPolicies();
+
+      if (fetchError) {
+        setError(fetchError);
+        setPolicies([]);
+      } else {
+        setPolicies(data || []);
+      }
+    } catch (err) {
+      console.error('❌ Erreur useSlaPolicies:', err);
+      setError({ message: err.message || 'Une erreur est survenue' });
+      setPolicies([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPolicies();
+  }, [fetchPolicies]);
+
+  const createPolicy = useCallback(async (policy) => {
+    setSaving(true);
+    const result = await slaApi.createSlaPolicy(policy, { actorId });
+    setSaving(false);
+    if (!result.error) {
+      fetchPolicies();
+    }
+    return result;
+  }, [actorId, fetchPolicies]);
+
+  const updatePolicy = useCallback(async (policyId, changes) => {
+    setSaving(true);
+    const result = await slaApi.updateSlaPolicy(policyId, changes, { actorId });
+    setSaving(false);
+    if (!result.error) {
+      fetchPolicies();
+    }
+    return result;
+  }, [actorId, fetchPolicies]);
+
+  const deletePolicy = useCallback(async (policyId) => {
+    setSaving(true);
+    const result = await slaApi.deleteSlaPolicy(policyId);
+    setSaving(false);
+    if (!result.error) {
+      setPolicies((prev) => prev.filter((policy) => policy.id !== policyId));
+    }
+    return result;
+  }, []);
+
+  return {
+    policies,
+    loading,
+    error,
+    saving,
+    createPolicy,
+    updatePolicy,
+    deletePolicy,
+    refetch: fetchPolicies
+  };
+}
+
+export default useSlaPolicies;
@@ -0,0 +1,263 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  STT_MODES,
+  toSttLanguage,
+  selectSttProvider,
+  transcribeAudio
+} from '@/services/sttService';
+import { recordUtterance } from '@/utils/utteranceRecorder';
+
+/**
+ * Custom Hook de reconnaissance vocale (Speech-to-Text) multi-fournisseurs
+ *
+ * Le fournisseur est choisi selon la langue et la disponibilité
+ * (src/services/sttService.js) :
+ * - Web Speech : écoute en direct, fin automatique à la pause
+ * - Gemini / serveur auto-hébergé (wolof) : la réponse est enregistrée
+ *   (fin au silence) puis transcrite ; isListening reste vrai pendant la
+ *   transcription
+ * Hors-ligne : reconnaissance embarquée du navigateur si disponible.
+ *
+ * @param {Object} [options] - Options du hook
+ * @param {string} [options.language='fr'] - Langue ('fr' | 'wo', ou 'fr-FR' | 'wo-SN')
+ * @param {boolean} [options.continuous=false] - Continuer l'écoute après une pause (Web Speech)
+ * @param {boolean} [options.interimResults=true] - Afficher les résultats intermédiaires (Web Speech)
+ * @param {number} [options.maxDuration=15] - Durée maximale d'une réponse enregistrée (secondes)
+ *
+ * @returns {Object} État et fonctions de reconnaissance vocale
+ * @property {string} transcript - Texte transcrit
+ * @property {Object|null} result - Résultat complet { text, confidence, words, language, provider }
+ * @property {boolean} isListening - true pendant l'écoute (et la transcription)
+ * @property {boolean} isTranscribing - true pendant la transcription d'un enregistrement
+ * @property {boolean} isSupported - true si un fournisseur est disponible pour la langue
+ * @property {string|null} provider - Fournisseur retenu ('web-speech' | 'gemini' | 'self-hosted')
+ * @property {Object|null} error - Erreur éventuelle
+ * @property {function} startListening - Démarrer l'écoute
+ * @property {function} stopListening - Arrêter l'écoute
+ * @property {function} abort - Abandonner l'écoute
+ * @property {function} clearTranscript - Effacer le transcript
+ * @property {function} transcribe - Transcrire un enregistrement existant (Blob)
+ *
+ * @example
+ * const { startListening, transcript, result, isListening } = useSpeechToText({ language: 'wo' });
+ *
+ * startListening();
+ * // ... à la fin de la réponse
+ * console.log(transcript, result.words); // "Amadou", [{ word: 'Amadou', start: 0.2, end: 0.7 }]
+ */
+export function useSpeechToText(options = {}) {
+  const {
+    language = 'fr',
+    continuous = false,
+    interimResults = true,
+    maxDuration = 15,
+  } = options;
+
+  const sttLanguage = toSttLanguage(language);
+
+  const [transcript, setTranscript] = useState('');
+  const [result, setResult] = useState(null);
+  const [isListening, setIsListening] = useState(false);
+  const [isTranscribing, setIsTranscribing] = useState(false);
+  const [provider, setProvider] = useState(null);
+  const [error, setError] = useState(null);
+
+  const sessionRef = useRef(null);
+  const utteranceRef = useRef(null);
+
+  /**
+   * Sélectionner le fournisseur (changement de langue, retour / perte du réseau)
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const refresh = () => {
+      selectSttProvider(sttLanguage).then((selected) => {
+        if (cancelled) return;
+        setProvider(selected?.name || null);
+        if (!selected) {
+          console.warn(`⚠️ Aucune reconnaissance vocale disponible (${sttLanguage})`);
+        }
+      });
+    };
+
+    refresh();
+    window.addEventListener('online', refresh);
+    window.addEventListener('offline', refresh);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener('online', refresh);
+      window.removeEventListener('offline', refresh);
+    };
+  }, [sttLanguage]);
+
+  /**
+   * Transcrire un enregistrement (premier fournisseur « batch » disponible)
+   *
+   * @param {Blob} audioBlob
+   * @returns {Promise<{data: Object|null, error: Object|null}>}
+   */
+  const transcribe = useCallback(async (audioBlob) => {
+    setIsTranscribing(true);
+    setError(null);
+
+    const { data, error: transcribeError } = await transcribeAudio(audioBlob, { language: sttLanguage });
+
+    if (transcribeError) {
+      setError(transcribeError);
+    } else {
+      setResult(data);
+      setTranscript(data.text);
+    }
+
+    setIsTranscribing(false);
+    return { data, error: transcribeError };
+  }, [sttLanguage]);
+
+  /**
+   * Démarrer l'écoute
+   *
+   * @returns {Promise<void>}
+   */
+  const startListening = useCallback(async () => {
+    const selected = await selectSttProvider(sttLanguage);
+
+    if (!selected) {
+      setError({
+        code: 'NOT_SUPPORTED',
+        message: navigator.onLine === false
+          ? 'La reconnaissance vocale n\'est pas disponible hors-ligne'
+          : 'La reconnaissance vocale n\'est pas supportée',
+      });
+      return;
+    }
+
+    setProvider(selected.name);
+    setError(null);
+    setTranscript('');
+    setResult(null);
+
+    try {
+      if (selected.mode === STT_MODES.STREAMING) {
+        // Vérifier la permission microphone (libérée immédiatement)
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        stream.getTracks().forEach(track => track.stop());
+
+        const session = selected.createSession({
+          language: sttLanguage,
+          continuous,
+          interimResults,
+          onStart: () => {
+            setIsListening(true);
+            console.log('🎤 Écoute démarrée (web-speech)');
+          },
+          onResult: (nextResult, { isFinal }) => {
+            if (isFinal || interimResults) {
+              setResult(nextResult);
+              setTranscript(nextResult.text);
+            }
+          },
+          onError: (sessionError) => {
+            setIsListening(false);
+            setError(sessionError);
+          },
+          onEnd: () => {
+            sessionRef.current = null;
+            setIsListening(false);
+            console.log('⏹️ Écoute terminée');
+          },
+        });
+
+        sessionRef.current = session;
+        session.start();
+        return;
+      }
+
+      // Fournisseur « batch » : enregistrer la réponse puis la transcrire
+      const utterance = await recordUtterance({ maxDuration });
+      utteranceRef.current = utterance;
+      setIsListening(true);
+      console.log(`🎤 Écoute démarrée (${selected.name})`);
+
+      const audioBlob = await utterance.result;
+      utteranceRef.current = null;
+
+      if (!audioBlob) {
+        setIsListening(false);
+        return;
+      }
+
+      await transcribe(audioBlob);
+      setIsListening(false);
+      console.log('⏹️ Écoute terminée');
+    } catch (err) {
+      setIsListening(false);
+
+      if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
+        setError({
+          code: 'PERMISSION_DENIED',
+          message: 'L\'accès au microphone a été refusé. Veuillez autoriser l\'accès dans les paramètres de votre navigateur.',
+          originalError: err,
+        });
+        return;
+      }
+
+      setError({
+        code: 'UNEXPECTED_ERROR',
+        message: err.message || 'Une erreur inattendue est survenue',
+        originalError: err,
+      });
+      console.error('❌ Erreur inattendue startListening:', err);
+    }
+  }, [sttLanguage, continuous, interimResults, maxDuration, transcribe]);
+
+  /**
+   * Arrêter l'écoute (la réponse en cours est transcrite)
+   */
+  const stopListening = useCallback(() => {
+    sessionRef.current?.stop();
+    utteranceRef.current?.stop();
+  }, []);
+
+  /**
+   * Abandonner l'écoute (arrêt immédiat, sans transcription)
+   */
+  const abort = useCallback(() => {
+    sessionRef.current?.abort();
+    utteranceRef.current?.abort();
+    sessionRef.current = null;
+    utteranceRef.current = null;
+    setIsListening(false);
+  }, []);
+
+  /**
+   * Effacer le transcript
+   */
+  const clearTranscript = useCallback(() => {
+    setTranscript('');
+    setResult(null);
+  }, []);
+
+  /**
+   * Nettoyer lors du démontage
+   */
+  useEffect(() => abort, [abort]);
+
+  return {
+    transcript,
+    result,
+    isListening,
+    isTranscribing,
+    isSupported: Boolean(provider),
+    provider,
+    error,
+    startListening,
+    stopListening,
+    abort,
+    clearTranscript,
+    transcribe,
+  };
+}
+
+export default useSpeechToText;
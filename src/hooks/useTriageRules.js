@@ -0,0 +1,108 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as triageApi from '@/api/triageApi';
+import { useAuth } from '@/context/AuthContext';
+
+/**
+ * Hook useTriageRules - Gestion des règles de triage (page admin)
+ *
+ * Fonctionnalités :
+ * - Liste de toutes les règles (actives et désactivées), par position
+ * - Création, modification, activation / désactivation, suppression
+ * - La liste locale est mise à jour sans relire la table
+ *
+ * @returns {{
+ *   rules: Array,
+ *   loading: boolean,
+ *   error: Object|null,
+ *   saving: boolean,
+ *   createRule: Function,
+ *   updateRule: Function,
+ *   deleteRule: Function,
+ *   refetch: Function
+ * }} Les mutations renvoient { data, error } / { error }
+ *
+ * @example
+ * const { rules, updateRule } = useTriageRules();
+ * await updateRule(rule.id, { enabled: false });
+ */
+export function useTriageRules() {
+  const { user } = useAuth();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const actorId = user?.id;
+
+  const sortRules = (list) =>
+    [...list].sort((a, b) => a.position - b.position || a.created_at?.localeCompare(b.created_at));
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const { data, error: fetchError } = await triageApi.getTriageRules();
+
+      if (fetchError) {
+        setError(fetchError);
+        setRules([]);
+      } else {
+        setRules(data || []);
+      }
+    } catch (err) {
+      console.error('❌ Erreur useTriageRules:', err);
+      setError({ message: err.message || 'Une erreur est survenue' });
+      setRules([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const createRule = useCallback(async (rule) => {
+    setSaving(true);
+    const result = await triageApi.createTriageRule(rule, { actorId });
+    if (!result.error) {
+      setRules((prev) => sortRules([...prev, result.data]));
+    }
+    setSaving(false);
+    return result;
+  }, [actorId]);
+
+  const updateRule = useCallback(async (ruleId, changes) => {
+    setSaving(true);
+    const result = await triageApi.updateTriageRule(ruleId, changes, { actorId });
+    if (!result.error) {
+      setRules((prev) => sortRules(prev.map((rule) => (rule.id === ruleId ? result.data : rule))));
+    }
+    setSaving(false);
+    return result;
+  }, [actorId]);
+
+  const deleteRule = useCallback(async (ruleId) => {
+    setSaving(true);
+    const result = await triageApi.deleteTriageRule(ruleId);
+    if (!result.error) {
+      setRules((prev) => prev.filter((rule) => rule.id !== ruleId));
+    }
+    setSaving(false);
+    return result;
+  }, []);
+
+  return {
+    rules,
+    loading,
+    error,
+    saving,
+    createRule,
+    updateRule,
+    deleteRule,
+    refetch: fetchRules
+  };
+}
+
+export default useTriageRules;
@@ -0,0 +1,102 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import * as reportService from '@/services/reportService';
+
+/**
+ * Délai avant de charger une nouvelle emprise (ms) : un glissement de carte
+ * déclenche plusieurs moveend, seul le dernier donne lieu à une requête
+ */
+const VIEWPORT_DEBOUNCE_MS = 300;
+
+/**
+ * Hook useViewportReports - Signalements de la zone affichée sur la carte
+ *
+ * À brancher sur MapView (prop onViewportChange) : chaque déplacement ou
+ * zoom recharge uniquement l'emprise visible. Aux petits zooms, le serveur
+ * renvoie des agrégats (`clusters`) au lieu des signalements.
+ * Les réponses arrivées après une requête plus récente sont ignorées.
+ *
+ * @param {Object} [filters] - { status, commune_id, citizen_user_id }
+ *
+ * @returns {{
+ *   reports: Array,
+ *   clusters: Array,
+ *   hasMore: boolean,
+ *   loading: boolean,
+ *   error: Object|null,
+ *   onViewportChange: Function,
+ *   refetch: Function
+ * }}
+ *
+ * @example
+ * const { reports, clusters, onViewportChange } = useViewportReports({ status: 'pending' });
+ * <MapView reports={reports} aggregates={clusters} onViewportChange={onViewportChange} />
+ */
+export function useViewportReports(filters = {}) {
+  const [reports, setReports] = useState([]);
+  const [clusters, setClusters] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [viewport, setViewport] = useState(null);
+
+  const requestIdRef = useRef(0);
+  const debounceRef = useRef(null);
+
+  const { status, commune_id, citizen_user_id } = filters;
+
+  const fetchViewport = useCallback(async () => {
+    if (!viewport) {
+      return;
+    }
+
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+
+    const result = await reportService.getMapReports(viewport.bounds, viewport.zoom, {
+      status: status || undefined,
+      commune_id: commune_id || undefined,
+      citizen_user_id: citizen_user_id || undefined
+    });
+
+    // Une requête plus récente a été lancée entre-temps
+    if (requestId !== requestIdRef.current) {
+      return;
+    }
+
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setError(null);
+      setReports(result.mode === 'reports' ? result.data : []);
+      setClusters(result.mode === 'clusters' ? result.data : []);
+      setHasMore(result.hasMore);
+    }
+    setLoading(false);
+  }, [viewport, status, commune_id, citizen_user_id]);
+
+  useEffect(() => {
+    fetchViewport();
+  }, [fetchViewport]);
+
+  useEffect(() => () => clearTimeout(debounceRef.current), []);
+
+  /**
+   * Nouvelle emprise de carte ({ bounds, zoom }), chargée après un court délai
+   */
+  const onViewportChange = useCallback((nextViewport) => {
+    clearTimeout(debounceRef.current);
+    debounceRef.current = setTimeout(() => setViewport(nextViewport), VIEWPORT_DEBOUNCE_MS);
+  }, []);
+
+  return {
+    reports,
+    clusters,
+    hasMore,
+    loading,
+    error,
+    onViewportChange,
+    refetch: fetchViewport
+  };
+}
+
+export default useViewportReports;
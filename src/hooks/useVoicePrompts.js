@@ -0,0 +1,197 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import useGeminiTextToSpeech from './useGeminiTextToSpeech';
+import useTextToSpeech from './useTextToSpeech';
+import { loadVoicePack, getPromptClipUrl } from '@/services/voicePackService';
+
+/**
+ * Custom Hook pour prononcer les consignes de l'application
+ *
+ * Une consigne enregistrée dans le pack vocal de la langue
+ * (public/voice-packs/<langue>/, voir src/services/voicePackService.js) est
+ * jouée telle quelle ; sinon, le texte est prononcé par synthèse vocale
+ * (Gemini TTS, ou Web Speech API si la synthèse IA est désactivée).
+ *
+ * @param {Object} [options] - Options du hook
+ * @param {string} [options.language='fr'] - Langue ('fr' | 'wo'), détermine le pack vocal
+ * @param {Object} [options.speechOptions] - Voix de synthèse ({ language: 'fr-FR', voiceName: 'Kore' })
+ *
+ * @returns {Object} État et fonctions
+ * @property {boolean} isSpeaking - true pendant la lecture (enregistrement ou synthèse)
+ * @property {boolean} isGenerating - true pendant la génération de la synthèse
+ * @property {boolean} isSupported - true si la synthèse vocale est disponible
+ * @property {Object|null} pack - Pack vocal de la langue (null si aucun)
+ * @property {Object|null} error - Erreur éventuelle de la synthèse
+ * @property {function} say - Prononcer une consigne (promptId, text, onEnd, onStart)
+ * @property {function} hasRecording - true si la consigne est enregistrée dans le pack
+ * @property {function} stop - Arrêter la lecture en cours
+ *
+ * @example
+ * const { say, isSpeaking } = useVoicePrompts({ language: 'wo' });
+ *
+ * // Enregistrement du pack wolof si présent, synthèse sinon
+ * say('signup.age', 'Jërëjëf. Ñaata at nga am ?', () => startListening());
+ */
+export function useVoicePrompts(options = {}) {
+  const {
+    language = 'fr',
+    speechOptions = {
+      language: language === 'fr' ? 'fr-FR' : 'wo-SN',
+      voiceName: 'Kore',
+    },
+  } = options;
+
+  const geminiTTS = useGeminiTextToSpeech(speechOptions);
+  const webTTS = useTextToSpeech({ language: speechOptions.language });
+
+  // Utiliser Gemini si disponible, sinon Web Speech API
+  const {
+    speak,
+    stop: stopSpeaking,
+    isSpeaking: isSynthesizing,
+    isGenerating = false,
+    isSupported,
+    error,
+  } = geminiTTS.isSupported ? geminiTTS : webTTS;
+
+  const [pack, setPack] = useState(null);
+  const [isPlayingClip, setIsPlayingClip] = useState(false);
+
+  const audioRef = useRef(null);
+  const requestIdRef = useRef(0);
+
+  // Logger l'état
+  useEffect(() => {
+    if (geminiTTS.isSupported) {
+      console.log('✅ Utilisation de Gemini TTS');
+    } else {
+      console.warn('⚠️ Gemini TTS non disponible, utilisation de Web Speech API:', geminiTTS.error);
+    }
+  }, [geminiTTS.isSupported, geminiTTS.error]);
+
+  /**
+   * Charger le pack vocal de la langue
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    loadVoicePack(language).then(({ data }) => {
+      if (cancelled) return;
+      setPack(data);
+      if (data) {
+        console.log(`🎙️ Pack vocal ${data.language} : ${Object.keys(data.clips).length} enregistrements`);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [language]);
+
+  /**
+   * Arrêter l'enregistrement en cours (sans déclencher onEnd)
+   */
+  const stopClip = useCallback(() => {
+    const audio = audioRef.current;
+    if (audio) {
+      audio.onplay = null;
+      audio.onended = null;
+      audio.onerror = null;
+      audio.pause();
+      audioRef.current = null;
+    }
+    setIsPlayingClip(false);
+  }, []);
+
+  /**
+   * Arrêter la lecture en cours
+   */
+  const stop = useCallback(() => {
+    requestIdRef.current += 1;
+    stopClip();
+    stopSpeaking();
+  }, [stopClip, stopSpeaking]);
+
+  /**
+   * Prononcer une consigne
+   *
+   * @param {string|null} promptId - Identifiant de la consigne (voir src/utils/voicePrompts.js)
+   * @param {string} text - Texte prononcé par synthèse si la consigne n'est pas enregistrée
+   * @param {Function} [onEnd] - Callback appelé quand la lecture est terminée
+   * @param {Function} [onStart] - Callback appelé quand la lecture commence
+   *
+   * @returns {Promise<void>}
+   */
+  const say = useCallback(async (promptId, text, onEnd = null, onStart = null) => {
+    stop();
+    const requestId = requestIdRef.current;
+
+    const { data: voicePack } = await loadVoicePack(language);
+    if (requestId !== requestIdRef.current) {
+      return; // Arrêtée ou remplacée pendant le chargement du pack
+    }
+
+    const clipUrl = getPromptClipUrl(voicePack, promptId);
+    if (!clipUrl) {
+      speak(text, {}, onEnd, onStart);
+      return;
+    }
+
+    const audio = new Audio(clipUrl);
+    let hasStarted = false;
+    audioRef.current = audio;
+
+    // Enregistrement illisible (fichier absent, format non supporté) : synthèse
+    const fallback = (err) => {
+      if (audioRef.current !== audio) return;
+      stopClip();
+
+      if (hasStarted) {
+        onEnd?.();
+        return;
+      }
+      console.warn(`⚠️ Enregistrement ${promptId} illisible, synthèse vocale:`, err);
+      speak(text, {}, onEnd, onStart);
+    };
+
+    audio.onplay = () => {
+      if (hasStarted) return;
+      hasStarted = true;
+      setIsPlayingClip(true);
+      console.log(`🔊 Consigne enregistrée ${promptId}`);
+      onStart?.();
+    };
+    audio.onended = () => {
+      if (audioRef.current !== audio) return;
+      audioRef.current = null;
+      setIsPlayingClip(false);
+      onEnd?.();
+    };
+    audio.onerror = () => fallback(audio.error);
+
+    audio.play().catch(fallback);
+  }, [language, speak, stop, stopClip]);
+
+  /**
+   * Vérifier si une consigne est enregistrée dans le pack de la langue
+   *
+   * @param {string} promptId
+   * @returns {boolean}
+   */
+  const hasRecording = useCallback((promptId) => Boolean(getPromptClipUrl(pack, promptId)), [pack]);
+
+  // Arrêter l'enregistrement lors du démontage
+  useEffect(() => stopClip, [stopClip]);
+
+  return {
+    isSpeaking: isPlayingClip || isSynthesizing,
+    isGenerating,
+    isSupported,
+    pack,
+    error,
+    say,
+    hasRecording,
+    stop,
+  };
+}
+
+export default useVoicePrompts;
@@ -1,15 +1,15 @@
 // @generated by Cursor AI (Claude) — verified by Kevin
 
 import { useState, useEffect, useCallback, useRef } from 'react';
-import useGeminiTextToSpeech from './useGeminiTextToSpeech'; // Utiliser Gemini TTS au lieu de Web Speech API
-import useTextToSpeech from './useTextToSpeech'; // Fallback vers Web Speech API
-import useSpeechRecognition from './useSpeechRecognition';
+import useVoicePrompts from './useVoicePrompts'; // Pack vocal enregistré, sinon Gemini TTS / Web Speech API
+import useSpeechToText from './useSpeechToText';
+import { getSignupSpeechOptions } from '@/utils/voiceSignupQuestions';
 
 /**
  * Custom Hook pour gérer le flux d'inscription vocale
  * 
  * Orchestre la conversation entre l'agent IA et l'utilisateur :
- * - Pose les questions via synthèse vocale
+ * - Pose les questions (enregistrement du pack vocal ou synthèse vocale)
  * - Écoute les réponses via reconnaissance vocale
  * - Valide et stocke les données collectées
  * - Gère la navigation entre les questions
@@ -54,29 +54,14 @@ export function useVoiceSignupFlow(questions = [], options = {}) {
     onComplete = null,
   } = options;
 
-  // Hooks de base - Utiliser Gemini TTS pour une meilleure qualité vocale
-  // Fallback vers Web Speech API si Gemini n'est pas disponible
-  const geminiTTS = useGeminiTextToSpeech({ 
-    language: language === 'fr' ? 'fr-FR' : 'wo-SN',
-    voiceName: 'Kore', // Voix professionnelle et claire
+  // Hooks de base - Enregistrement du pack vocal de la langue si disponible,
+  // sinon Gemini TTS (fallback vers Web Speech API si Gemini n'est pas disponible)
+  // (questions fixes rejouées depuis le cache / les audios pré-générés)
+  const { say, stop: stopSpeaking, isSpeaking, isGenerating, error: ttsError } = useVoicePrompts({
+    language,
+    speechOptions: getSignupSpeechOptions(language),
   });
-  
-  // Fallback vers Web Speech API si Gemini n'est pas disponible
-  const webTTS = useTextToSpeech({ language: language === 'fr' ? 'fr-FR' : 'wo-SN' });
-  
-  // Utiliser Gemini si disponible, sinon Web Speech API
-  const { speak, stop: stopSpeaking, isSpeaking, isGenerating = false, error: ttsError } = geminiTTS.isSupported 
-    ? geminiTTS 
-    : webTTS;
-  
-  // Logger l'état
-  useEffect(() => {
-    if (geminiTTS.isSupported) {
-      console.log('✅ Utilisation de Gemini TTS');
-    } else {
-      console.warn('⚠️ Gemini TTS non disponible, utilisation de Web Speech API:', geminiTTS.error);
-    }
-  }, [geminiTTS.isSupported, geminiTTS.error]);
+
   const {
     startListening,
     stopListening,
@@ -84,7 +69,7 @@ export function useVoiceSignupFlow(questions = [], options = {}) {
     isListening,
     error: recognitionError,
     clearTranscript,
-  } = useSpeechRecognition({ language: language === 'fr' ? 'fr-FR' : 'wo-SN', continuous: false, interimResults: false });
+  } = useSpeechToText({ language, continuous: false, interimResults: false }); // Fournisseur selon la langue (wolof : serveur auto-hébergé)
 
   // État du flux
   const [currentStep, setCurrentStep] = useState(0);
@@ -279,9 +264,9 @@ export function useVoiceSignupFlow(questions = [], options = {}) {
     setShowQuestionText(false);
 
     // Parler la question avec callbacks
-    speak(
+    say(
+      question.promptId,
       questionText, 
-      {}, 
       () => {
         // Quand la question est terminée, démarrer l'écoute
         setTimeout(() => {
@@ -293,7 +278,7 @@ export function useVoiceSignupFlow(questions = [], options = {}) {
         setShowQuestionText(true);
       }
     );
-  }, [getCurrentQuestion, collectedData, speak, startListening, setShowQuestionText]);
+  }, [getCurrentQuestion, collectedData, say, startListening, setShowQuestionText]);
   
   // Mettre à jour la ref
   useEffect(() => {
@@ -411,9 +396,9 @@ export function useVoiceSignupFlow(questions = [], options = {}) {
             ? question.question({})
             : question.question;
           setShowQuestionText(false);
-          speak(
+          say(
+            question.promptId,
             questionText,
-            {},
             () => {
               setTimeout(() => {
                 startListening();
@@ -426,7 +411,7 @@ export function useVoiceSignupFlow(questions = [], options = {}) {
         }
       }
     }, 500);
-  }, [questions, clearTranscript, speak, startListening]);
+  }, [questions, clearTranscript, say, startListening]);
 
   /**
    * Réinitialiser le flux
@@ -2,6 +2,7 @@
 
 import { Outlet, NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '@/context/AuthContext';
+import { useSlaEscalations } from '@/hooks/useSlaEscalations';
 import { useTranslation } from 'react-i18next';
 import { Button } from '@/components/ui/button';
 import Logo from '@/components/shared/Logo';
@@ -9,6 +10,10 @@ import {
   LayoutDashboard, 
   FileText, 
   BarChart3, 
+  SlidersHorizontal,
+  Timer,
+  Map as MapIcon,
+  MapPinned,
   Download, 
   LogOut, 
   User, 
@@ -20,6 +25,7 @@ import { useState } from 'react';
 /**
  * Layout Admin
  * Sidebar avec navigation pour Dashboard, Signalements, Analytiques, Export
+ * Alertes des signalements en retard (escalade SLA)
  */
 function AdminLayout() {
   const { user, logout } = useAuth();
@@ -27,6 +33,8 @@ function AdminLayout() {
   const navigate = useNavigate();
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
+  useSlaEscalations(user, { basePath: '/admin' });
+
   const handleLogout = async () => {
     await logout();
     navigate('/login');
@@ -43,11 +51,31 @@ function AdminLayout() {
       icon: FileText,
       label: t('nav.reports', { defaultValue: 'Signalements' })
     },
+    {
+      to: '/admin/map',
+      icon: MapPinned,
+      label: t('nav.map', { defaultValue: 'Carte' })
+    },
     {
       to: '/admin/analytics',
       icon: BarChart3,
       label: t('nav.analytics', { defaultValue: 'Analytics' })
     },
+    {
+      to: '/admin/triage',
+      icon: SlidersHorizontal,
+      label: t('nav.triage', { defaultValue: 'Règles de triage' })
+    },
+    {
+      to: '/admin/sla',
+      icon: Timer,
+      label: t('nav.sla', { defaultValue: 'Délais de traitement' })
+    },
+    {
+      to: '/admin/communes',
+      icon: MapIcon,
+      label: t('nav.communes', { defaultValue: 'Limites des communes' })
+    },
     // Note: Export sera implémenté plus tard (post-MVP)
     // {
     //   to: '/admin/export',
@@ -1,6 +1,7 @@
 
 import { Outlet, NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '@/context/AuthContext';
+import { useSlaEscalations } from '@/hooks/useSlaEscalations';
 import { Button } from '@/components/ui/button';
 import Logo from '@/components/shared/Logo';
 import { LayoutDashboard, FileText, LogOut, Menu, X, BarChart3 } from 'lucide-react';
@@ -13,6 +14,7 @@ import { useState } from 'react';
  * - Sidebar avec navigation
  * - Header avec nom de l'agent + logout
  * - Responsive (sidebar collapsible sur mobile)
+ * - Alertes des signalements en retard (escalade SLA)
  * - Français uniquement (forcé par App.jsx)
  * 
  * Navigation :
@@ -34,6 +36,8 @@ function AgentLayout() {
   const navigate = useNavigate();
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
+  useSlaEscalations(user, { basePath: '/agent' });
+
   // ═══════════════════════════════════════════════════════════
   // HANDLERS
   // ═══════════════════════════════════════════════════════════
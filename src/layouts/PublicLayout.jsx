@@ -6,6 +6,7 @@ import { useLanguage } from '@/context/LangContext';
 import { useAuth } from '@/context/AuthContext';
 import Logo from '@/components/shared/Logo';
 import BottomNavigation from '@/components/shared/BottomNavigation';
+import { useReportOutbox } from '@/hooks/useReportOutbox';
 
 /**
  * Layout pour les pages publiques (CITOYENS)
@@ -14,6 +15,7 @@ import BottomNavigation from '@/components/shared/BottomNavigation';
  * - Wrapper commun pour toutes les pages accessibles sans authentification
  * - Affiche le header avec logo et bouton de déconnexion
  * - Restaure la langue sauvegardée du citoyen (si vient d'une page forcée en FR)
+ * - Rejoue les signalements créés hors-ligne dès que la connexion revient
  * 
  * Utilisé pour :
  * - HomePage (/)
@@ -37,9 +39,13 @@ function PublicLayout() {
   
   const { t } = useTranslation();
   const { restoreLanguage } = useLanguage();
-  const { logout } = useAuth();
+  const { user, logout, getVoiceUser, isVoiceAuthenticated } = useAuth();
   const navigate = useNavigate();
 
+  // Rejeu de l'outbox hors-ligne sur toutes les pages citoyennes
+  const citizenUserId = isVoiceAuthenticated() ? getVoiceUser()?.id : user?.id;
+  useReportOutbox(citizenUserId, { showToasts: true });
+
   // ═══════════════════════════════════════════════════════════
   // EFFETS
   // ═══════════════════════════════════════════════════════════
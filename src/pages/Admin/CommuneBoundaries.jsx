@@ -0,0 +1,253 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import * as communeApi from '@/api/communeApi';
+import { matchBoundaryFeatures } from '@/services/communeService';
+import { Upload, Loader2, CheckCircle2, AlertTriangle, RefreshCw } from 'lucide-react';
+
+/**
+ * Nombre max d'entités non reconnues affichées
+ */
+const MAX_UNMATCHED_SHOWN = 30;
+
+/**
+ * Page d'import des contours des communes (admins)
+ *
+ * Les contours permettent de rattacher automatiquement chaque signalement
+ * à la commune qui contient son point GPS (fonction SQL resolve_commune),
+ * même si le citoyen ne précise pas où il se trouve.
+ *
+ * Affiche :
+ * - Import d'un GeoJSON (FeatureCollection de Polygon / MultiPolygon, WGS84)
+ *   avec aperçu du rapprochement par nom avant enregistrement
+ * - Couverture : communes avec / sans contour
+ *
+ * @example
+ * <Route path="/admin/communes" element={<CommuneBoundaries />} />
+ */
+function CommuneBoundaries() {
+  const { t } = useTranslation('admin');
+
+  const [communes, setCommunes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [geojson, setGeojson] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [nameProperty, setNameProperty] = useState('');
+  const [importing, setImporting] = useState(false);
+
+  const fetchCommunes = useCallback(async () => {
+    setLoading(true);
+    const { data, error: fetchError } = await communeApi.getCommunesBoundaryStatus();
+    setCommunes(data || []);
+    setError(fetchError);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    fetchCommunes();
+  }, [fetchCommunes]);
+
+  // Rapprochement recalculé quand le fichier ou la propriété du nom change
+  const preview = geojson
+    ? matchBoundaryFeatures(geojson, communes, { nameProperty: nameProperty || undefined })
+    : null;
+  const propertyKeys = Object.keys(geojson?.features?.[0]?.properties || {});
+
+  const withBoundary = communes.filter((commune) => commune.has_boundary);
+  const withoutBoundary = communes.filter((commune) => !commune.has_boundary);
+
+  /**
+   * Lire le fichier GeoJSON choisi
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      setGeojson(parsed);
+      setFileName(file.name);
+      setNameProperty('');
+    } catch (err) {
+      console.error('❌ GeoJSON illisible:', err);
+      toast.error('Fichier illisible : un GeoJSON valide est attendu');
+      setGeojson(null);
+      setFileName('');
+    }
+  };
+
+  /**
+   * Enregistrer les contours reconnus
+   */
+  const handleImport = async () => {
+    setImporting(true);
+    const { data: updated, error: importError } = await communeApi.importCommuneBoundaries(preview.boundaries);
+    setImporting(false);
+
+    if (importError) {
+      toast.error(`Erreur: ${importError.message}`);
+      return;
+    }
+
+    toast.success(`Contours enregistrés pour ${updated} commune(s)`);
+    setGeojson(null);
+    setFileName('');
+    fetchCommunes();
+  };
+
+  return (
+    <div className="space-y-6 bg-gradient-to-br from-neutral-50 via-white to-neutral-50/50 -m-6 lg:-m-8 p-6 lg:p-8 rounded-2xl">
+      {/* ═══════════════════════════════════════════════════════════
+          HEADER
+          ═══════════════════════════════════════════════════════════ */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-neutral-900">
+            {t('nav.communes', { defaultValue: 'Limites des communes' })}
+          </h1>
+          <p className="text-neutral-600 mt-1">
+            Les signalements sont rattachés à la commune qui contient leur position GPS
+          </p>
+        </div>
+
+        <Button variant="outline" size="icon" onClick={fetchCommunes} disabled={loading}>
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </Button>
+      </div>
+
+      {error && (
+        <Card className="border-red-200 bg-red-50">
+          <CardContent className="p-6">
+            <p className="text-red-700">{error.message || 'Erreur lors du chargement des communes'}</p>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* ═══════════════════════════════════════════════════════════
+          IMPORT GEOJSON
+          ═══════════════════════════════════════════════════════════ */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-lg">Importer des contours</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div>
+            <Label htmlFor="boundaries-file">Fichier GeoJSON (FeatureCollection, WGS84)</Label>
+            <Input
+              id="boundaries-file"
+              type="file"
+              accept=".geojson,.json,application/geo+json,application/json"
+              className="mt-2"
+              onChange={handleFileChange}
+            />
+            <p className="text-xs text-neutral-500 mt-1">
+              Les entités sont associées aux communes par leur nom (accents et majuscules ignorés).
+            </p>
+          </div>
+
+          {geojson && (
+            <div className="space-y-4">
+              {propertyKeys.length > 0 && (
+                <div className="max-w-xs">
+                  <Label>Propriété du nom de commune</Label>
+                  <Select
+                    value={nameProperty || preview?.nameProperty || ''}
+                    onValueChange={setNameProperty}
+                  >
+                    <SelectTrigger className="mt-2">
+                      <SelectValue placeholder="Choisir une propriété" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {propertyKeys.map((key) => (
+                        <SelectItem key={key} value={key}>{key}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              {preview?.error ? (
+                <p className="text-sm text-error-700 flex items-center gap-1">
+                  <AlertTriangle className="w-4 h-4" />
+                  {preview.error.message}
+                </p>
+              ) : (
+                <>
+                  <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="text-neutral-600">{fileName} :</span>
+                    <Badge className="bg-success-100 text-success-800 border border-success-300">
+                      {preview.boundaries.length} commune(s) reconnue(s)
+                    </Badge>
+                    {preview.unmatched.length > 0 && (
+                      <Badge className="bg-warning-100 text-warning-800 border border-warning-300">
+                        {preview.unmatched.length} entité(s) non reconnue(s)
+                      </Badge>
+                    )}
+                  </div>
+
+                  {preview.unmatched.length > 0 && (
+                    <p className="text-xs text-neutral-600">
+                      Non reconnues : {preview.unmatched.slice(0, MAX_UNMATCHED_SHOWN).join(', ')}
+                      {preview.unmatched.length > MAX_UNMATCHED_SHOWN && '…'}
+                    </p>
+                  )}
+
+                  <Button onClick={handleImport} disabled={importing || preview.boundaries.length === 0}>
+                    {importing
+                      ? <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                      : <Upload className="w-4 h-4 mr-2" />}
+                    Enregistrer {preview.boundaries.length} contour(s)
+                  </Button>
+                </>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* ═══════════════════════════════════════════════════════════
+          COUVERTURE
+          ═══════════════════════════════════════════════════════════ */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-lg">Couverture</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {loading && communes.length === 0 ? (
+            <Skeleton className="h-12 w-full" />
+          ) : (
+            <>
+              <p className="text-sm text-neutral-700 flex items-center gap-1">
+                <CheckCircle2 className="w-4 h-4 text-success-600" />
+                {withBoundary.length} / {communes.length} communes ont un contour
+              </p>
+              {withoutBoundary.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {withoutBoundary.map((commune) => (
+                    <Badge key={commune.id} variant="outline" className="font-normal">
+                      {commune.name}
+                      <span className="text-neutral-400 ml-1">({commune.region})</span>
+                    </Badge>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default CommuneBoundaries;
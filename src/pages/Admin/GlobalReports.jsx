@@ -1,45 +1,95 @@
 
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { toast } from 'sonner';
 import { Button } from '@/components/ui/button';
-import { Download, Filter } from 'lucide-react';
+import { Input } from '@/components/ui/input';
+import { Download, Filter, Search, AlarmClock } from 'lucide-react';
 import ReportTable from '@/components/admin/ReportTable';
+import BulkActionsBar from '@/components/reports/BulkActionsBar';
 import { useAdminReports } from '@/hooks/useAdminReports';
+import { useReportSelection } from '@/hooks/useReportSelection';
+import { useAgentWorkload } from '@/hooks/useAgentWorkload';
+import * as reportApi from '@/api/reportApi';
 import * as exportService from '@/services/exportService';
 
 /**
  * Page GlobalReports
  * Affiche TOUS les signalements (toutes communes)
+ * - Recherche plein texte (description, transcription, citoyen, téléphone, commune)
+ * - Filtre des signalements en retard (échéance SLA dépassée)
  * - Filtres avancés (TODO: à implémenter)
- * - Table tri-able
- * - Pagination
+ * - Table tri-able (tri et pagination côté serveur)
+ * - Pagination par curseur
  * - Export CSV
+ * - Sélection multiple : statut, priorité, type, affectation et export groupés
  */
+
+/**
+ * Colonnes de l'export CSV
+ */
+const EXPORT_COLUMNS = ['id', 'commune_name', 'type', 'description', 'status', 'priority', 'created_at', 'citizen_name', 'address', 'latitude', 'longitude'];
 function GlobalReports() {
   const { t } = useTranslation('admin');
 
-  // Filtres (pour l'instant vide, sera amélioré)
-  const [filters] = useState({});
+  // Filtres (pour l'instant la recherche et les retards, sera amélioré)
+  const [filters, setFilters] = useState({});
+  const [searchInput, setSearchInput] = useState('');
+
+  // Recherche transmise après 300 ms sans frappe
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters((prev) => (prev.search === (searchInput || undefined)
+        ? prev
+        : { ...prev, search: searchInput || undefined }));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
 
   // Récupérer tous les signalements
-  const { reports, loading, error } = useAdminReports(filters);
+  const { reports, loading, error, pagination, refetch } = useAdminReports(filters);
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Sélection multiple (actions groupées)
+  const selection = useReportSelection();
+
+  // Affectation groupée : seulement si la sélection est dans une seule commune
+  const selectedCommunes = new Set(selection.selectedReports.map((report) => report.commune_id));
+  const { agents } = useAgentWorkload(selectedCommunes.size === 1 ? [...selectedCommunes][0] : null);
+
+  /**
+   * Exporter les signalements sélectionnés
+   */
+  const handleExportSelection = (selectedReports) => {
+    const csv = exportService.exportToCSVCustom(selectedReports, EXPORT_COLUMNS);
+
+    if (csv) {
+      exportService.downloadCSV(csv, `signalements-selection-${new Date().toISOString().split('T')[0]}.csv`);
+      console.log(`✅ Export CSV de ${selectedReports.length} signalements sélectionnés`);
+    }
+  };
 
   /**
-   * Exporter en CSV
+   * Exporter en CSV (tous les signalements filtrés, pas seulement la page affichée)
    */
-  const handleExport = () => {
-    if (!reports || reports.length === 0) {
+  const handleExport = async () => {
+    if (pagination.totalCount === 0) {
       toast.warning('Aucun signalement à exporter');
       return;
     }
 
-    // Colonnes par défaut
-    const selectedColumns = ['id', 'commune_name', 'type', 'description', 'status', 'priority', 'created_at', 'citizen_name', 'latitude', 'longitude'];
+    setIsExporting(true);
+    const { data: allReports, error: exportError } = await reportApi.getReportsForExport(filters);
+    setIsExporting(false);
+
+    if (exportError) {
+      toast.error('Erreur lors de l\'export', { description: exportError.message });
+      return;
+    }
 
     // Générer CSV
-    const csv = exportService.exportToCSVCustom(reports, selectedColumns);
+    const csv = exportService.exportToCSVCustom(allReports, EXPORT_COLUMNS);
 
     if (csv) {
       // Télécharger
@@ -71,7 +121,7 @@ function GlobalReports() {
           {/* Bouton export */}
           <Button
             onClick={handleExport}
-            disabled={loading || !reports || reports.length === 0}
+            disabled={loading || isExporting || pagination.totalCount === 0}
             className="flex items-center gap-2"
           >
             <Download className="w-4 h-4" />
@@ -80,11 +130,35 @@ function GlobalReports() {
         </div>
       </div>
 
+      {/* Recherche + retards */}
+      <div className="flex flex-col sm:flex-row gap-2">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-neutral-400" />
+          <Input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder={t('reports.search_placeholder', {
+              defaultValue: 'Rechercher (description, transcription, citoyen, téléphone, commune)'
+            })}
+            className="pl-9 bg-white"
+          />
+        </div>
+        <Button
+          variant={filters.overdue ? 'default' : 'outline'}
+          onClick={() => setFilters((prev) => ({ ...prev, overdue: prev.overdue ? undefined : true }))}
+          className="flex items-center gap-2"
+        >
+          <AlarmClock className="w-4 h-4" />
+          {t('reports.overdue_only', { defaultValue: 'En retard' })}
+        </Button>
+      </div>
+
       {/* Compteur signalements */}
       {!loading && reports && (
         <div className="bg-primary-50 border-2 border-primary-200 rounded-lg p-4">
           <p className="text-primary-900 font-medium">
-            {reports.length} signalement{reports.length > 1 ? 's' : ''} trouvé{reports.length > 1 ? 's' : ''}
+            {pagination.totalCount} signalement{pagination.totalCount > 1 ? 's' : ''} trouvé{pagination.totalCount > 1 ? 's' : ''}
           </p>
         </div>
       )}
@@ -96,8 +170,23 @@ function GlobalReports() {
         </div>
       )}
 
+      {/* Actions groupées */}
+      <BulkActionsBar
+        selection={selection}
+        agents={agents}
+        onExport={handleExportSelection}
+        onCompleted={refetch}
+        className="sticky top-2 z-20"
+      />
+
       {/* Table */}
-      <ReportTable reports={reports} loading={loading} />
+      <ReportTable
+        reports={reports}
+        loading={loading}
+        pagination={pagination}
+        search={filters.search}
+        selection={selection}
+      />
     </div>
   );
 }
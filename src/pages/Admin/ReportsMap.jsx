@@ -0,0 +1,122 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Loader2, RefreshCw } from 'lucide-react';
+import MapView from '@/components/maps/MapView';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import * as reportApi from '@/api/reportApi';
+
+/**
+ * Périodes proposées (en semaines)
+ */
+const PERIOD_OPTIONS = [4, 12, 26, 52];
+
+/**
+ * Nombre max de signalements chargés sur la carte
+ */
+const MAP_REPORTS_LIMIT = 5000;
+
+/**
+ * Page ReportsMap - Carte nationale des signalements (admins)
+ *
+ * Contenu :
+ * - Signalements regroupés par zone, colorés par statut ou priorité
+ * - Couche de densité (points chauds)
+ * - Curseur par semaine pour suivre l'évolution des points chauds
+ *
+ * @example
+ * <Route path="/admin/map" element={<ReportsMap />} />
+ */
+function ReportsMap() {
+  const { t } = useTranslation('admin');
+
+  const [weeks, setWeeks] = useState(12);
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchReports = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const dateFrom = new Date();
+    dateFrom.setDate(dateFrom.getDate() - weeks * 7);
+
+    const { data, error: fetchError } = await reportApi.getAdminReports({
+      date_from: dateFrom.toISOString(),
+      limit: MAP_REPORTS_LIMIT
+    });
+
+    if (fetchError) {
+      setError(fetchError.message || 'Erreur de chargement');
+    }
+    setReports((data || []).filter((report) => report.latitude && report.longitude));
+    setLoading(false);
+  }, [weeks]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  return (
+    <div className="space-y-6">
+      {/* ═══════════════════════════════════════════════════════════
+          HEADER
+          ═══════════════════════════════════════════════════════════ */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-neutral-900">
+            {t('nav.map', { defaultValue: 'Carte' })}
+          </h1>
+          <p className="text-neutral-600 mt-1">
+            {loading ? 'Chargement…' : `${reports.length} signalement(s) géolocalisé(s)`}
+          </p>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Select value={String(weeks)} onValueChange={(value) => setWeeks(Number(value))}>
+            <SelectTrigger className="w-[180px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {PERIOD_OPTIONS.map((option) => (
+                <SelectItem key={option} value={String(option)}>
+                  {option} dernières semaines
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" size="icon" onClick={fetchReports} disabled={loading}>
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <Card className="border-red-200 bg-red-50">
+          <CardContent className="p-6">
+            <p className="text-red-700">{error}</p>
+          </CardContent>
+        </Card>
+      )}
+
+      {loading && reports.length === 0 ? (
+        <div className="flex items-center justify-center h-96 bg-neutral-100 rounded-lg">
+          <Loader2 className="w-8 h-8 text-primary-600 animate-spin" />
+        </div>
+      ) : (
+        <MapView
+          center={{ lat: 14.4974, lng: -14.4524 }}
+          zoom={7}
+          reports={reports}
+          height="calc(100vh - 320px)"
+          enableHeatmap
+          enableTimeSlider
+        />
+      )}
+    </div>
+  );
+}
+
+export default ReportsMap;
@@ -0,0 +1,366 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import PriorityBadge from '@/components/reports/PriorityBadge';
+import { useSlaPolicies } from '@/hooks/useSlaPolicies';
+import { formatSlaDuration } from '@/utils/sla';
+import { REPORT_PRIORITY_OPTIONS, REPORT_TYPE_OPTIONS } from '@/config/reportOptions';
+import { Plus, Pencil, Trash2, Loader2, RefreshCw } from 'lucide-react';
+
+const PRIORITY_OPTIONS = REPORT_PRIORITY_OPTIONS.map((option) => ({
+  value: option.value,
+  label: `${option.emoji} ${option.label}`,
+}));
+
+/**
+ * Valeur des Select pour « tous » (Radix n'accepte pas '')
+ */
+const ANY = 'any';
+
+const EMPTY_FORM = {
+  type: ANY,
+  priority: ANY,
+  response_hours: '',
+  resolution_hours: '',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Page de configuration des délais de traitement (admins)
+ *
+ * Chaque politique fixe, pour un type et/ou une priorité, le délai maximal
+ * de prise en charge (statut « en attente ») et de résolution (depuis la
+ * création). La politique la plus précise s'applique ; les échéances des
+ * signalements ouverts sont recalculées par PostgreSQL à chaque modification.
+ *
+ * @example
+ * <Route path="/admin/sla" element={<SlaPolicies />} />
+ */
+function SlaPolicies() {
+  const { t } = useTranslation('admin');
+  const { t: tAgent } = useTranslation('agent');
+  const { policies, loading, error, saving, createPolicy, updatePolicy, deletePolicy, refetch } = useSlaPolicies();
+
+  const [editingPolicy, setEditingPolicy] = useState(null); // null = fermé, {} = création
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const formatType = (type) => {
+    const option = REPORT_TYPE_OPTIONS.find((item) => item.value === type);
+    return tAgent(`report.types.${type}`, { defaultValue: option?.label || type.replace('_', ' ') });
+  };
+
+  const isCatchAll = (policy) => !policy.type && !policy.priority;
+
+  const openCreate = () => {
+    setForm(EMPTY_FORM);
+    setEditingPolicy({});
+  };
+
+  const openEdit = (policy) => {
+    setForm({
+      type: policy.type || ANY,
+      priority: policy.priority || ANY,
+      response_hours: String(policy.response_hours),
+      resolution_hours: String(policy.resolution_hours),
+    });
+    setEditingPolicy(policy);
+  };
+
+  const setField = (field) => (value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  /**
+   * Enregistrer la politique (création ou modification)
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const responseHours = Number(form.response_hours);
+    const resolutionHours = Number(form.resolution_hours);
+
+    if (!(responseHours > 0) || !(resolutionHours > 0)) {
+      toast.error('Les délais doivent être supérieurs à 0');
+      return;
+    }
+    if (resolutionHours < responseHours) {
+      toast.error('Le délai de résolution doit être supérieur au délai de prise en charge');
+      return;
+    }
+
+    const policy = {
+      type: form.type === ANY ? null : form.type,
+      priority: form.priority === ANY ? null : form.priority,
+      response_hours: responseHours,
+      resolution_hours: resolutionHours,
+    };
+
+    const { error: saveError } = editingPolicy.id
+      ? await updatePolicy(editingPolicy.id, policy)
+      : await createPolicy(policy);
+
+    if (saveError) {
+      toast.error(
+        saveError.code === '23505'
+          ? 'Une politique existe déjà pour ce type et cette priorité'
+          : `Erreur: ${saveError.message}`
+      );
+      return;
+    }
+
+    toast.success(editingPolicy.id ? 'Délais mis à jour' : 'Politique créée');
+    setEditingPolicy(null);
+  };
+
+  const handleConfirmDelete = async () => {
+    const { error: deleteError } = await deletePolicy(pendingDelete.id);
+    if (deleteError) {
+      toast.error(`Erreur: ${deleteError.message}`);
+    } else {
+      toast.success('Politique supprimée');
+    }
+    setPendingDelete(null);
+  };
+
+  return (
+    <div className="space-y-6 bg-gradient-to-br from-neutral-50 via-white to-neutral-50/50 -m-6 lg:-m-8 p-6 lg:p-8 rounded-2xl">
+      {/* ═══════════════════════════════════════════════════════════
+          HEADER
+          ═══════════════════════════════════════════════════════════ */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-neutral-900">
+            {t('nav.sla', { defaultValue: 'Délais de traitement' })}
+          </h1>
+          <p className="text-neutral-600 mt-1">
+            Délais maximum de prise en charge et de résolution ; la politique la plus précise s'applique
+          </p>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <Button variant="outline" size="icon" onClick={refetch} disabled={loading}>
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+          <Button onClick={openCreate}>
+            <Plus className="w-4 h-4 mr-2" />
+            Nouvelle politique
+          </Button>
+        </div>
+      </div>
+
+      {/* ═══════════════════════════════════════════════════════════
+          ERREUR
+          ═══════════════════════════════════════════════════════════ */}
+      {error && (
+        <Card className="border-red-200 bg-red-50">
+          <CardContent className="p-6">
+            <p className="text-red-700">{error.message || 'Erreur lors du chargement des délais'}</p>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* ═══════════════════════════════════════════════════════════
+          TABLEAU DES POLITIQUES
+          ═══════════════════════════════════════════════════════════ */}
+      <Card>
+        <CardContent className="p-0 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-neutral-50 border-b border-neutral-200 text-left text-neutral-700">
+              <tr>
+                <th className="px-4 py-3 font-medium">Type</th>
+                <th className="px-4 py-3 font-medium">Priorité</th>
+                <th className="px-4 py-3 font-medium">Prise en charge</th>
+                <th className="px-4 py-3 font-medium">Résolution</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-neutral-100">
+              {loading && policies.length === 0 && [1, 2, 3].map((i) => (
+                <tr key={i}>
+                  <td colSpan={5} className="px-4 py-3"><Skeleton className="h-6 w-full" /></td>
+                </tr>
+              ))}
+
+              {!loading && !error && policies.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-6 text-center text-neutral-600">
+                    Aucune politique : les signalements n'ont pas d'échéance.
+                  </td>
+                </tr>
+              )}
+
+              {policies.map((policy) => (
+                <tr key={policy.id}>
+                  <td className="px-4 py-3 capitalize">
+                    {policy.type ? formatType(policy.type) : <span className="text-neutral-500">Tous</span>}
+                  </td>
+                  <td className="px-4 py-3">
+                    {policy.priority
+                      ? <PriorityBadge priority={policy.priority} />
+                      : <span className="text-neutral-500">Toutes</span>}
+                  </td>
+                  <td className="px-4 py-3">{formatSlaDuration(policy.response_hours * HOUR_MS)}</td>
+                  <td className="px-4 py-3">{formatSlaDuration(policy.resolution_hours * HOUR_MS)}</td>
+                  <td className="px-4 py-3">
+                    <div className="flex justify-end gap-1">
+                      <Button variant="ghost" size="icon" onClick={() => openEdit(policy)} aria-label="Modifier">
+                        <Pencil className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => setPendingDelete(policy)}
+                        disabled={isCatchAll(policy)}
+                        title={isCatchAll(policy) ? 'La politique par défaut ne peut pas être supprimée' : undefined}
+                        aria-label="Supprimer"
+                      >
+                        <Trash2 className="w-4 h-4 text-error-600" />
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+
+      {/* ═══════════════════════════════════════════════════════════
+          CRÉATION / MODIFICATION
+          ═══════════════════════════════════════════════════════════ */}
+      <Dialog open={Boolean(editingPolicy)} onOpenChange={(open) => !open && setEditingPolicy(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingPolicy?.id ? 'Modifier les délais' : 'Nouvelle politique'}</DialogTitle>
+          </DialogHeader>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <Label>Type</Label>
+                <Select
+                  value={form.type}
+                  onValueChange={setField('type')}
+                  disabled={Boolean(editingPolicy?.id) && isCatchAll(editingPolicy)}
+                >
+                  <SelectTrigger className="mt-2">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={ANY}>Tous</SelectItem>
+                    {REPORT_TYPE_OPTIONS.map((option) => (
+                      <SelectItem key={option.value} value={option.value} className="capitalize">
+                        {formatType(option.value)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div>
+                <Label>Priorité</Label>
+                <Select
+                  value={form.priority}
+                  onValueChange={setField('priority')}
+                  disabled={Boolean(editingPolicy?.id) && isCatchAll(editingPolicy)}
+                >
+                  <SelectTrigger className="mt-2">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={ANY}>Toutes</SelectItem>
+                    {PRIORITY_OPTIONS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <Label htmlFor="sla-response">Prise en charge (heures) <span className="text-error-500">*</span></Label>
+                <Input
+                  id="sla-response"
+                  type="number"
+                  min="0.25"
+                  step="0.25"
+                  className="mt-2"
+                  value={form.response_hours}
+                  onChange={(e) => setField('response_hours')(e.target.value)}
+                />
+              </div>
+
+              <div>
+                <Label htmlFor="sla-resolution">Résolution (heures) <span className="text-error-500">*</span></Label>
+                <Input
+                  id="sla-resolution"
+                  type="number"
+                  min="0.25"
+                  step="0.25"
+                  className="mt-2"
+                  value={form.resolution_hours}
+                  onChange={(e) => setField('resolution_hours')(e.target.value)}
+                />
+              </div>
+            </div>
+            <p className="text-xs text-neutral-500">
+              La résolution se compte depuis la création du signalement.
+            </p>
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setEditingPolicy(null)}>
+                Annuler
+              </Button>
+              <Button type="submit" disabled={saving}>
+                {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Enregistrer
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* ═══════════════════════════════════════════════════════════
+          SUPPRESSION
+          ═══════════════════════════════════════════════════════════ */}
+      <AlertDialog open={Boolean(pendingDelete)} onOpenChange={(open) => !open && setPendingDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Supprimer cette politique ?</AlertDialogTitle>
+          </AlertDialogHeader>
+          <AlertDialogDescription className="text-neutral-600 leading-relaxed">
+            Les signalements concernés prendront les délais de la politique plus générale suivante.
+          </AlertDialogDescription>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Annuler</AlertDialogCancel>
+            <AlertDialogAction onClick={handleConfirmDelete}>
+              Supprimer
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
+
+export default SlaPolicies;
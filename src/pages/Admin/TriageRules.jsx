@@ -0,0 +1,424 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import PriorityBadge from '@/components/reports/PriorityBadge';
+import { useTriageRules } from '@/hooks/useTriageRules';
+import { TRIAGE_CATEGORIES } from '@/services/triageService';
+import { REPORT_PRIORITY_OPTIONS } from '@/config/reportOptions';
+import { Plus, Pencil, Trash2, Loader2, RefreshCw } from 'lucide-react';
+
+/**
+ * Libellés des gravités estimées par l'IA
+ */
+const SEVERITY_OPTIONS = [
+  { value: 'high', label: 'Élevée' },
+  { value: 'medium', label: 'Moyenne' },
+  { value: 'low', label: 'Faible' },
+];
+
+/**
+ * Priorités proposées (de la plus haute à la plus faible)
+ */
+const PRIORITY_OPTIONS = REPORT_PRIORITY_OPTIONS.map((option) => ({
+  value: option.value,
+  label: `${option.emoji} ${option.label}`,
+}));
+
+/**
+ * Valeur des Select pour « aucune condition » (Radix n'accepte pas '')
+ */
+const ANY = 'any';
+
+const EMPTY_FORM = {
+  name: '',
+  category: ANY,
+  severity: ANY,
+  keywords: '',
+  min_supporters: '',
+  priority: 'high',
+  position: '',
+};
+
+/**
+ * Règle → valeurs du formulaire
+ */
+function toFormValues(rule) {
+  return {
+    name: rule.name,
+    category: rule.category || ANY,
+    severity: rule.severity || ANY,
+    keywords: (rule.keywords || []).join(', '),
+    min_supporters: rule.min_supporters ?? '',
+    priority: rule.priority,
+    position: rule.position ?? '',
+  };
+}
+
+/**
+ * Valeurs du formulaire → règle (mots-clés séparés par des virgules)
+ */
+function toRule(form) {
+  return {
+    name: form.name.trim(),
+    category: form.category === ANY ? null : form.category,
+    severity: form.severity === ANY ? null : form.severity,
+    keywords: form.keywords.split(',').map((keyword) => keyword.trim()).filter(Boolean),
+    min_supporters: form.min_supporters === '' ? null : Number(form.min_supporters),
+    priority: form.priority,
+    position: form.position === '' ? 0 : Number(form.position),
+  };
+}
+
+/**
+ * Page de configuration des règles de triage (admins)
+ *
+ * Les règles suggèrent une priorité aux agents (PriorityUpdateForm) à partir
+ * de la gravité estimée par l'IA, de la catégorie, de mots-clés et du nombre
+ * de soutiens. Toutes les conditions renseignées d'une règle doivent être
+ * vraies ; la priorité la plus haute parmi les règles qui s'appliquent l'emporte.
+ *
+ * Affiche :
+ * - Liste des règles (conditions, priorité suggérée, activation)
+ * - Dialog de création / modification
+ * - Confirmation de suppression
+ *
+ * @example
+ * <Route path="/admin/triage" element={<TriageRules />} />
+ */
+function TriageRules() {
+  const { t } = useTranslation('admin');
+  const { t: tAgent } = useTranslation('agent');
+  const { rules, loading, error, saving, createRule, updateRule, deleteRule, refetch } = useTriageRules();
+
+  const [editingRule, setEditingRule] = useState(null); // null = fermé, {} = création
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const formatCategory = (category) => {
+    return tAgent(`report.types.${category}`, { defaultValue: category.replace('_', ' ') });
+  };
+
+  const openCreate = () => {
+    setForm(EMPTY_FORM);
+    setEditingRule({});
+  };
+
+  const openEdit = (rule) => {
+    setForm(toFormValues(rule));
+    setEditingRule(rule);
+  };
+
+  const setField = (field) => (value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  /**
+   * Enregistrer la règle (création ou modification)
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const rule = toRule(form);
+    if (!rule.name) {
+      toast.error('Le nom de la règle est requis');
+      return;
+    }
+    if (!rule.category && !rule.severity && rule.keywords.length === 0 && rule.min_supporters == null) {
+      toast.error('Renseignez au moins une condition');
+      return;
+    }
+
+    const { error: saveError } = editingRule.id
+      ? await updateRule(editingRule.id, rule)
+      : await createRule(rule);
+
+    if (saveError) {
+      toast.error(`Erreur: ${saveError.message}`);
+      return;
+    }
+
+    toast.success(editingRule.id ? 'Règle mise à jour' : 'Règle créée');
+    setEditingRule(null);
+  };
+
+  const handleToggle = async (rule) => {
+    const { error: toggleError } = await updateRule(rule.id, { enabled: !rule.enabled });
+    if (toggleError) {
+      toast.error(`Erreur: ${toggleError.message}`);
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    const { error: deleteError } = await deleteRule(pendingDelete.id);
+    if (deleteError) {
+      toast.error(`Erreur: ${deleteError.message}`);
+    } else {
+      toast.success('Règle supprimée');
+    }
+    setPendingDelete(null);
+  };
+
+  return (
+    <div className="space-y-6 bg-gradient-to-br from-neutral-50 via-white to-neutral-50/50 -m-6 lg:-m-8 p-6 lg:p-8 rounded-2xl">
+      {/* ═══════════════════════════════════════════════════════════
+          HEADER
+          ═══════════════════════════════════════════════════════════ */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-neutral-900">
+            {t('nav.triage', { defaultValue: 'Règles de triage' })}
+          </h1>
+          <p className="text-neutral-600 mt-1">
+            Priorité suggérée aux agents selon la gravité IA, la catégorie, les mots-clés et les soutiens
+          </p>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <Button variant="outline" size="icon" onClick={refetch} disabled={loading}>
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+          <Button onClick={openCreate}>
+            <Plus className="w-4 h-4 mr-2" />
+            Nouvelle règle
+          </Button>
+        </div>
+      </div>
+
+      {/* ═══════════════════════════════════════════════════════════
+          ERREUR
+          ═══════════════════════════════════════════════════════════ */}
+      {error && (
+        <Card className="border-red-200 bg-red-50">
+          <CardContent className="p-6">
+            <p className="text-red-700">{error.message || 'Erreur lors du chargement des règles'}</p>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* ═══════════════════════════════════════════════════════════
+          LISTE DES RÈGLES
+          ═══════════════════════════════════════════════════════════ */}
+      <div className="space-y-3">
+        {loading && rules.length === 0 && [1, 2, 3].map((i) => (
+          <Skeleton key={i} className="h-20 w-full" />
+        ))}
+
+        {!loading && !error && rules.length === 0 && (
+          <Card>
+            <CardContent className="p-6 text-center text-neutral-600">
+              Aucune règle : aucune priorité ne sera suggérée aux agents.
+            </CardContent>
+          </Card>
+        )}
+
+        {rules.map((rule) => (
+          <Card key={rule.id} className={rule.enabled ? '' : 'opacity-60'}>
+            <CardContent className="p-4 flex flex-col md:flex-row md:items-center gap-4">
+              <div className="flex-1 space-y-2">
+                <div className="flex items-center gap-2">
+                  <span className="text-xs text-neutral-400">#{rule.position}</span>
+                  <span className="font-semibold text-neutral-900">{rule.name}</span>
+                  {!rule.enabled && <Badge variant="outline">Désactivée</Badge>}
+                </div>
+                <div className="flex flex-wrap gap-1 text-xs">
+                  <Badge variant="secondary" className="font-normal capitalize">
+                    {rule.category ? formatCategory(rule.category) : 'Toutes catégories'}
+                  </Badge>
+                  {rule.severity && (
+                    <Badge variant="secondary" className="font-normal">
+                      Gravité : {SEVERITY_OPTIONS.find((option) => option.value === rule.severity)?.label}
+                    </Badge>
+                  )}
+                  {rule.min_supporters != null && (
+                    <Badge variant="secondary" className="font-normal">
+                      ≥ {rule.min_supporters} soutiens
+                    </Badge>
+                  )}
+                  {rule.keywords?.map((keyword) => (
+                    <Badge key={keyword} variant="outline" className="font-normal">
+                      {keyword}
+                    </Badge>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <PriorityBadge priority={rule.priority} />
+                <Button variant="outline" size="sm" onClick={() => handleToggle(rule)} disabled={saving}>
+                  {rule.enabled ? 'Désactiver' : 'Activer'}
+                </Button>
+                <Button variant="ghost" size="icon" onClick={() => openEdit(rule)} aria-label="Modifier">
+                  <Pencil className="w-4 h-4" />
+                </Button>
+                <Button variant="ghost" size="icon" onClick={() => setPendingDelete(rule)} aria-label="Supprimer">
+                  <Trash2 className="w-4 h-4 text-error-600" />
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      {/* ═══════════════════════════════════════════════════════════
+          CRÉATION / MODIFICATION
+          ═══════════════════════════════════════════════════════════ */}
+      <Dialog open={Boolean(editingRule)} onOpenChange={(open) => !open && setEditingRule(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingRule?.id ? 'Modifier la règle' : 'Nouvelle règle'}</DialogTitle>
+          </DialogHeader>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <Label htmlFor="rule-name">Nom <span className="text-error-500">*</span></Label>
+              <Input
+                id="rule-name"
+                className="mt-2"
+                value={form.name}
+                onChange={(e) => setField('name')(e.target.value)}
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <Label>Catégorie</Label>
+                <Select value={form.category} onValueChange={setField('category')}>
+                  <SelectTrigger className="mt-2">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={ANY}>Toutes</SelectItem>
+                    {TRIAGE_CATEGORIES.map((category) => (
+                      <SelectItem key={category} value={category} className="capitalize">
+                        {formatCategory(category)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div>
+                <Label>Gravité IA</Label>
+                <Select value={form.severity} onValueChange={setField('severity')}>
+                  <SelectTrigger className="mt-2">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={ANY}>Toutes</SelectItem>
+                    {SEVERITY_OPTIONS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div>
+              <Label htmlFor="rule-keywords">Mots-clés</Label>
+              <Input
+                id="rule-keywords"
+                className="mt-2"
+                placeholder="blessé, incendie, fil électrique"
+                value={form.keywords}
+                onChange={(e) => setField('keywords')(e.target.value)}
+              />
+              <p className="text-xs text-neutral-500 mt-1">
+                Séparés par des virgules. Un mot-clé doit apparaître en mot entier (« feu » ne trouve pas « feuille ») ; terminé par « * », il trouve tous les mots qui commencent ainsi (« bless* » trouve « blessé », « blessées »). Accents et majuscules ignorés.
+              </p>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <Label htmlFor="rule-supporters">Soutiens min.</Label>
+                <Input
+                  id="rule-supporters"
+                  type="number"
+                  min="0"
+                  className="mt-2"
+                  value={form.min_supporters}
+                  onChange={(e) => setField('min_supporters')(e.target.value)}
+                />
+              </div>
+
+              <div>
+                <Label>Priorité <span className="text-error-500">*</span></Label>
+                <Select value={form.priority} onValueChange={setField('priority')}>
+                  <SelectTrigger className="mt-2">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {PRIORITY_OPTIONS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div>
+                <Label htmlFor="rule-position">Position</Label>
+                <Input
+                  id="rule-position"
+                  type="number"
+                  className="mt-2"
+                  value={form.position}
+                  onChange={(e) => setField('position')(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setEditingRule(null)}>
+                Annuler
+              </Button>
+              <Button type="submit" disabled={saving}>
+                {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Enregistrer
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* ═══════════════════════════════════════════════════════════
+          SUPPRESSION
+          ═══════════════════════════════════════════════════════════ */}
+      <AlertDialog open={Boolean(pendingDelete)} onOpenChange={(open) => !open && setPendingDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Supprimer cette règle ?</AlertDialogTitle>
+          </AlertDialogHeader>
+          <AlertDialogDescription className="text-neutral-600 leading-relaxed">
+            La règle <strong>{pendingDelete?.name}</strong> ne sera plus utilisée pour suggérer
+            une priorité. Pour la suspendre temporairement, désactivez-la plutôt.
+          </AlertDialogDescription>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Annuler</AlertDialogCancel>
+            <AlertDialogAction onClick={handleConfirmDelete}>
+              Supprimer
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
+
+export default TriageRules;
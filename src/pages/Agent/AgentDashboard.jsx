@@ -6,6 +6,10 @@ import { AlertCircle, Clock, CheckCircle, XCircle } from 'lucide-react';
 import useAgentStats from '@/hooks/useAgentStats';
 import useAgentReports from '@/hooks/useAgentReports';
 import RecentReports from '@/components/reports/RecentReports';
+import OfflineMapCard from '@/components/agent/OfflineMapCard';
+import AgentWorkloadCard from '@/components/agent/AgentWorkloadCard';
+import useAgentWorkload from '@/hooks/useAgentWorkload';
+import useCommunes from '@/hooks/useCommunes';
 
 /**
  * Dashboard principal pour les AGENTS
@@ -14,6 +18,9 @@ import RecentReports from '@/components/reports/RecentReports';
  * - Vue d'ensemble des signalements de la commune de l'agent
  * - Statistiques en temps réel
  * - Signalements récents
+ * - File personnelle : signalements ouverts affectés à l'agent
+ * - Charge de travail des agents de la commune
+ * - Carte hors-ligne de la commune (pack de tuiles)
  * - Français uniquement (forcé par DashboardLayout)
  * 
  * Accès :
@@ -37,9 +44,24 @@ function AgentDashboard() {
   // Récupérer les signalements récents (5 derniers)
   const { reports, loading: reportsLoading, error: reportsError } = useAgentReports(
     user?.commune_id,
-    { limit: 5 }
+    {},
+    { pageSize: 5 }
   );
 
+  // File personnelle : signalements ouverts affectés à l'agent
+  const { reports: myReports, loading: myReportsLoading, error: myReportsError } = useAgentReports(
+    user?.commune_id,
+    { assigned_to: user?.id, statuses: ['pending', 'in_progress'] },
+    { pageSize: 5 }
+  );
+
+  // Charge de travail des agents de la commune
+  const { agents, loading: agentsLoading, error: agentsError } = useAgentWorkload(user?.commune_id);
+
+  // Nom de la commune (carte hors-ligne)
+  const { communes } = useCommunes();
+  const communeName = communes.find((c) => c.id === user?.commune_id)?.name;
+
   // ═══════════════════════════════════════════════════════════
   // RENDER
   // ═══════════════════════════════════════════════════════════
@@ -164,6 +186,31 @@ function AgentDashboard() {
         </div>
       )}
 
+      {/* ═══════════════════════════════════════════════════════════
+          MES SIGNALEMENTS & CHARGE DE TRAVAIL
+          ═══════════════════════════════════════════════════════════ */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <RecentReports
+          reports={myReports}
+          loading={myReportsLoading}
+          error={myReportsError}
+          limit={5}
+          title="Affectés à moi"
+          emptyMessage="Aucun signalement ouvert ne vous est affecté"
+        />
+        <AgentWorkloadCard
+          agents={agents}
+          currentUserId={user?.id}
+          loading={agentsLoading}
+          error={agentsError}
+        />
+      </div>
+
+      {/* ═══════════════════════════════════════════════════════════
+          CARTE HORS-LIGNE
+          ═══════════════════════════════════════════════════════════ */}
+      <OfflineMapCard communeId={user?.commune_id} communeName={communeName} />
+
       {/* ═══════════════════════════════════════════════════════════
           SIGNALEMENTS RÉCENTS
           ═══════════════════════════════════════════════════════════ */}
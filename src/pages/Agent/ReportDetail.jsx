@@ -1,31 +1,37 @@
 
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
+import { MapContainer, Marker, Popup } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
-import L from 'leaflet';
+import OfflineTileLayer from '@/components/maps/OfflineTileLayer';
+import { createReportIcon } from '@/components/maps/markerIcons';
+import { STATUS_COLORS } from '@/utils/mapClustering';
 import { toast } from 'sonner';
 import { useAuth } from '@/context/AuthContext';
 import * as reportApi from '@/api/reportApi';
+import * as storageApi from '@/api/storageApi';
 import StatusBadge from '@/components/reports/StatusBadge';
 import PriorityBadge from '@/components/reports/PriorityBadge';
+import SlaBadge from '@/components/reports/SlaBadge';
 import StatusUpdateForm from '@/components/reports/StatusUpdateForm';
 import PriorityUpdateForm from '@/components/reports/PriorityUpdateForm';
 import TypeUpdateForm from '@/components/reports/TypeUpdateForm';
+import AssignmentForm from '@/components/reports/AssignmentForm';
+import ReportTimeline from '@/components/reports/ReportTimeline';
+import ReportComments from '@/components/reports/ReportComments';
+import DuplicateReportsPanel from '@/components/reports/DuplicateReportsPanel';
+import AudioAnalysisPanel from '@/components/reports/AudioAnalysisPanel';
+import { useReportEvents } from '@/hooks/useReportEvents';
+import { useSimilarReports } from '@/hooks/useSimilarReports';
+import { usePrioritySuggestion } from '@/hooks/usePrioritySuggestion';
+import { useAgentWorkload } from '@/hooks/useAgentWorkload';
+import { getReportAddress } from '@/services/geocodingService';
 import AudioPlayer from '@/components/shared/AudioPlayer';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Separator } from '@/components/ui/separator';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
-import { Loader2, ArrowLeft, MapPin, Calendar, User, Phone, Image as ImageIcon, Mic } from 'lucide-react';
-
-// Fix Leaflet default marker icon
-delete L.Icon.Default.prototype._getIconUrl;
-L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
-});
+import { Loader2, ArrowLeft, MapPin, Calendar, User, Phone, Image as ImageIcon, Mic, History, CheckCircle2, GitMerge, Sparkles, Timer, MessageSquare } from 'lucide-react';
 
 /**
  * Page de détail d'un signalement pour AGENTS et ADMINS
@@ -35,7 +41,10 @@ L.Icon.Default.mergeOptions({
  * - Carte interactive avec localisation
  * - Mise à jour du statut
  * - Mise à jour de la priorité
+ * - Affectation à un agent (prise en charge, réaffectation par un superviseur)
  * - Affichage des photos
+ * - Historique des modifications (qui, quoi, quand)
+ * - Doublons : candidats à proximité et fusion dans ce signalement
  * 
  * Accès :
  * - Agents (role='agent') : signalements de leur commune uniquement (RLS)
@@ -58,6 +67,12 @@ function ReportDetail() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [updating, setUpdating] = useState(false);
+  const [merging, setMerging] = useState(false);
+  const { events, loading: eventsLoading, error: eventsError, refetch: refetchEvents } = useReportEvents(id);
+  const { similarReports, loading: similarLoading, refetch: refetchSimilar } = useSimilarReports(report);
+  const { suggestion: prioritySuggestion } = usePrioritySuggestion(report);
+  const { agents, refetch: refetchAgents } = useAgentWorkload(report?.commune_id);
+  const agentNames = Object.fromEntries(agents.map((agent) => [agent.agent_id, agent.name]));
 
   // ═══════════════════════════════════════════════════════════
   // FETCH REPORT
@@ -112,20 +127,47 @@ function ReportDetail() {
 
   /**
    * Mettre à jour le statut
+   * (résolu / rejeté : justification obligatoire + upload de la photo "après" si fournie)
    */
-  const handleUpdateStatus = async (newStatus) => {
+  const handleUpdateStatus = async (newStatus, { comment, proofImageFile } = {}) => {
     try {
       setUpdating(true);
       console.log(`⚡ Mise à jour statut: ${newStatus}`);
 
-      const { data, error: updateError } = await reportApi.updateReportStatus(id, newStatus);
+      // Valider avant l'upload : pas de photo orpheline si la clôture est refusée
+      if (reportApi.CLOSING_STATUSES.includes(newStatus) && !comment?.trim()) {
+        toast.error('Une justification est obligatoire pour résoudre ou rejeter un signalement');
+        return;
+      }
+
+      let resolutionImageUrl = null;
+      let resolutionImagePath = null;
+      if (proofImageFile) {
+        const { url, path, error: uploadError } = await storageApi.uploadReportImage(proofImageFile, `${id}-after`);
+
+        if (uploadError) {
+          toast.error(`Erreur upload photo: ${uploadError.message}`);
+          return;
+        }
+        resolutionImageUrl = url;
+        resolutionImagePath = path;
+      }
+
+      const { data, error: updateError } = await reportApi.updateReportStatus(id, newStatus, {
+        comment,
+        resolutionImageUrl
+      });
 
       if (updateError) {
+        if (resolutionImagePath) {
+          await storageApi.deleteReportImage(resolutionImagePath);
+        }
         toast.error(`Erreur: ${updateError.message}`);
         return;
       }
 
       setReport(data);
+      refetchEvents();
       toast.success('Statut mis à jour avec succès !');
       console.log('✅ Statut mis à jour');
 
@@ -139,13 +181,14 @@ function ReportDetail() {
 
   /**
    * Mettre à jour la priorité
+   * (comment renseigné quand l'agent accepte la suggestion de triage)
    */
-  const handleUpdatePriority = async (newPriority) => {
+  const handleUpdatePriority = async (newPriority, { comment } = {}) => {
     try {
       setUpdating(true);
       console.log(`⚡ Mise à jour priorité: ${newPriority}`);
 
-      const { data, error: updateError } = await reportApi.updateReportPriority(id, newPriority);
+      const { data, error: updateError } = await reportApi.updateReportPriority(id, newPriority, { comment });
 
       if (updateError) {
         toast.error(`Erreur: ${updateError.message}`);
@@ -153,6 +196,7 @@ function ReportDetail() {
       }
 
       setReport(data);
+      refetchEvents();
       toast.success('Priorité mise à jour avec succès !');
       console.log('✅ Priorité mise à jour');
 
@@ -180,6 +224,7 @@ function ReportDetail() {
       }
 
       setReport(data);
+      refetchEvents();
       toast.success('Type mis à jour avec succès !');
       console.log('✅ Type mis à jour');
 
@@ -191,6 +236,62 @@ function ReportDetail() {
     }
   };
 
+  /**
+   * Affecter le signalement (null = remettre dans la file commune)
+   */
+  const handleAssign = async (agentId, { comment } = {}) => {
+    try {
+      setUpdating(true);
+      console.log(`⚡ Affectation: ${agentId || 'file commune'}`);
+
+      const { data, error: assignError } = await reportApi.assignReport(id, agentId, { comment });
+
+      if (assignError) {
+        toast.error(`Erreur: ${assignError.message}`);
+        return;
+      }
+
+      setReport((prev) => ({ ...prev, ...data }));
+      refetchEvents();
+      refetchAgents();
+      toast.success(agentId ? 'Signalement affecté !' : 'Signalement remis dans la file commune');
+
+    } catch (err) {
+      console.error('❌ Erreur affectation:', err);
+      toast.error('Erreur lors de l\'affectation');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  /**
+   * Fusionner un doublon dans ce signalement
+   */
+  const handleMergeDuplicate = async (duplicateId) => {
+    try {
+      setMerging(true);
+      console.log(`⚡ Fusion du doublon ${duplicateId} dans ${id}`);
+
+      const { data, error: mergeError } = await reportApi.mergeReports(id, [duplicateId]);
+
+      if (mergeError) {
+        toast.error(`Erreur: ${mergeError.message}`);
+        return;
+      }
+
+      setReport((prev) => ({ ...prev, ...data }));
+      refetchEvents();
+      refetchSimilar();
+      toast.success('Doublon fusionné avec succès !');
+
+    } catch (err) {
+      console.error('❌ Erreur fusion doublon:', err);
+      toast.error('Erreur lors de la fusion du doublon');
+    } finally {
+      setMerging(false);
+    }
+  };
+
   /**
    * Retour à la liste
    */
@@ -241,6 +342,8 @@ function ReportDetail() {
     );
   }
 
+  const address = getReportAddress(report);
+
   return (
     <div className="space-y-6">
       {/* ═══════════════════════════════════════════════════════════
@@ -264,6 +367,7 @@ function ReportDetail() {
           <div className="flex flex-col gap-2 items-end">
             <StatusBadge status={report.status} />
             <PriorityBadge priority={report.priority} />
+            <SlaBadge report={report} showOnTime />
           </div>
         </div>
       </div>
@@ -287,9 +391,20 @@ function ReportDetail() {
               </CardHeader>
               <CardContent className="pt-6">
                 <AudioPlayer audioUrl={report.audio_url} />
-                <p className="text-xs text-blue-700 mt-3 font-medium bg-blue-50/50 px-3 py-2 rounded-lg border border-blue-200/50">
-                  Écoutez l'enregistrement pour comprendre le problème signalé
-                </p>
+                {report.audio_transcription ? (
+                  <div className="mt-4 space-y-1">
+                    <p className="text-xs font-medium text-blue-900 uppercase tracking-wide">
+                      Transcription (automatique)
+                    </p>
+                    <p className="text-sm text-neutral-700 whitespace-pre-line bg-white px-3 py-2 rounded-lg border border-blue-200/50">
+                      {report.audio_transcription}
+                    </p>
+                  </div>
+                ) : (
+                  <p className="text-xs text-blue-700 mt-3 font-medium bg-blue-50/50 px-3 py-2 rounded-lg border border-blue-200/50">
+                    Écoutez l'enregistrement pour comprendre le problème signalé
+                  </p>
+                )}
               </CardContent>
             </Card>
           ) : report.description ? (
@@ -303,6 +418,41 @@ function ReportDetail() {
             </Card>
           ) : null}
 
+          {/* Analyse IA du message vocal */}
+          {(report.ai_category || report.audio_analysis) && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg flex items-center gap-2">
+                  <Sparkles className="w-5 h-5 text-primary-600" />
+                  Analyse IA
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <AudioAnalysisPanel
+                  report={report}
+                  onApplyCategory={handleUpdateType}
+                  loading={updating}
+                />
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Notes internes et échange avec le citoyen */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg flex items-center gap-2">
+                <MessageSquare className="w-5 h-5 text-primary-600" />
+                Messages
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <ReportComments
+                reportId={report.id}
+                currentUser={{ id: user?.id, role: user?.role, name: user?.name }}
+              />
+            </CardContent>
+          </Card>
+
           {/* Carte - Localisation (en haut maintenant) */}
           <Card className="bg-gradient-to-br from-green-50/50 via-white to-emerald-50/30 border-2 border-green-200/50 shadow-md">
             <CardHeader className="bg-gradient-to-r from-green-50 to-transparent border-b border-green-200/30">
@@ -318,17 +468,22 @@ function ReportDetail() {
                   zoom={15}
                   style={{ height: '100%', width: '100%' }}
                 >
-                  <TileLayer
-                    url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                    attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
-                  />
-                  <Marker position={[report.latitude, report.longitude]}>
+                  <OfflineTileLayer />
+                  <Marker
+                    position={[report.latitude, report.longitude]}
+                    icon={createReportIcon(STATUS_COLORS[report.status] || STATUS_COLORS.pending)}
+                  >
                     <Popup>
                       {report.type?.replace('_', ' ')}
                     </Popup>
                   </Marker>
                 </MapContainer>
               </div>
+              {address && (
+                <p className="text-sm text-green-900 mt-3 font-semibold">
+                  {address}
+                </p>
+              )}
               <p className="text-xs text-green-700 mt-3 font-medium bg-green-50/50 px-3 py-2 rounded-lg border border-green-200/50">
                 Coordonnées : {report.latitude.toFixed(6)}, {report.longitude.toFixed(6)}
               </p>
@@ -376,6 +531,62 @@ function ReportDetail() {
               </CardContent>
             </Card>
           )}
+
+          {/* Clôture : justification + photo "après" */}
+          {report.resolution_comment && (
+            <Card className="bg-gradient-to-br from-emerald-50/50 via-white to-teal-50/30 border-2 border-emerald-200/50 shadow-md">
+              <CardHeader className="bg-gradient-to-r from-emerald-50 to-transparent border-b border-emerald-200/30">
+                <CardTitle className="text-lg flex items-center gap-2 text-emerald-900">
+                  <CheckCircle2 className="w-5 h-5 text-emerald-600" />
+                  {report.status === 'rejected' ? 'Motif du rejet' : 'Résolution'}
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="pt-6 space-y-4">
+                <p className="text-neutral-700 whitespace-pre-line">{report.resolution_comment}</p>
+                {report.resolution_image_url && (
+                  <div className="grid grid-cols-2 gap-3">
+                    {report.image_url && (
+                      <div>
+                        <p className="text-xs font-medium text-neutral-600 mb-1">Avant</p>
+                        <img
+                          src={report.image_url}
+                          alt="Avant intervention"
+                          className="w-full h-40 object-cover rounded-lg border border-neutral-200"
+                        />
+                      </div>
+                    )}
+                    <div className={report.image_url ? '' : 'col-span-2'}>
+                      <p className="text-xs font-medium text-neutral-600 mb-1">Après</p>
+                      <img
+                        src={report.resolution_image_url}
+                        alt="Après intervention"
+                        className="w-full h-40 object-cover rounded-lg border border-neutral-200"
+                      />
+                    </div>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Historique du signalement */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg flex items-center gap-2">
+                <History className="w-5 h-5 text-neutral-600" />
+                Historique
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <ReportTimeline
+                report={report}
+                events={events}
+                agentNames={agentNames}
+                loading={eventsLoading}
+                error={eventsError}
+              />
+            </CardContent>
+          </Card>
         </div>
 
         {/* COLONNE DROITE : Informations & Actions */}
@@ -402,6 +613,27 @@ function ReportDetail() {
                 </div>
               </div>
 
+              {/* Échéances (SLA) : prise en charge puis résolution */}
+              {report.due_at && (
+                <div className="flex items-start gap-2">
+                  <Timer className="w-4 h-4 text-neutral-500 mt-0.5" />
+                  <div className="flex-1">
+                    <p className="text-xs text-neutral-600">
+                      {report.status === 'pending' ? 'Prise en charge attendue avant' : 'Résolution attendue avant'}
+                    </p>
+                    <p className="text-sm font-medium text-neutral-900">
+                      {new Date(report.due_at).toLocaleDateString('fr-FR', {
+                        day: 'numeric',
+                        month: 'long',
+                        year: 'numeric',
+                        hour: '2-digit',
+                        minute: '2-digit'
+                      })}
+                    </p>
+                  </div>
+                </div>
+              )}
+
               {report.citizen_name && (
                 <div className="flex items-start gap-2">
                   <User className="w-4 h-4 text-neutral-500 mt-0.5" />
@@ -429,6 +661,22 @@ function ReportDetail() {
             </CardContent>
           </Card>
 
+          {/* Affectation */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg">Affectation</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <AssignmentForm
+                assignedTo={report.assigned_to}
+                agents={agents}
+                currentUser={user}
+                onSubmit={handleAssign}
+                loading={updating}
+              />
+            </CardContent>
+          </Card>
+
           {/* Mise à jour du statut */}
           <Card>
             <CardHeader>
@@ -451,6 +699,7 @@ function ReportDetail() {
             <CardContent>
               <PriorityUpdateForm
                 currentPriority={report.priority}
+                suggestion={prioritySuggestion}
                 onSubmit={handleUpdatePriority}
                 loading={updating}
               />
@@ -470,6 +719,26 @@ function ReportDetail() {
               />
             </CardContent>
           </Card>
+
+          {/* Doublons */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg flex items-center gap-2">
+                <GitMerge className="w-5 h-5 text-neutral-600" />
+                Doublons
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <DuplicateReportsPanel
+                report={report}
+                similarReports={similarReports}
+                loading={similarLoading}
+                merging={merging}
+                onMerge={handleMergeDuplicate}
+                basePath={user?.role === 'admin' ? '/admin' : '/agent'}
+              />
+            </CardContent>
+          </Card>
         </div>
       </div>
     </div>
@@ -4,19 +4,26 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '@/context/AuthContext';
 import useAgentReports from '@/hooks/useAgentReports';
 import useReportFilters from '@/hooks/useReportFilters';
+import useAgentWorkload from '@/hooks/useAgentWorkload';
+import useReportSelection from '@/hooks/useReportSelection';
 import FilterForm from '@/components/reports/FilterForm';
 import ReportCard from '@/components/reports/ReportCard';
+import BulkActionsBar from '@/components/reports/BulkActionsBar';
+import Pagination from '@/components/shared/Pagination';
 import { Button } from '@/components/ui/button';
 import { Loader2, FileDown, Inbox } from 'lucide-react';
 import * as reportService from '@/services/reportService';
+import * as reportApi from '@/api/reportApi';
 
 /**
  * Page de liste complète des signalements pour AGENTS
  * 
  * Fonctionnalités :
- * - Affichage de tous les signalements de la commune
- * - Filtres (type, statut, priorité, date)
- * - Export CSV
+ * - Affichage de tous les signalements de la commune (pagination serveur par curseur)
+ * - Filtres (type, statut, priorité, date, affectation) et recherche plein texte surlignée
+ * - Files de travail : mes signalements, non affectés, ou ceux d'un collègue
+ * - Export CSV (liste filtrée ou sélection)
+ * - Sélection multiple : statut, priorité, type et affectation groupés
  * - Navigation vers détails
  * 
  * Accès :
@@ -34,15 +41,29 @@ function ReportList() {
   const navigate = useNavigate();
   const { user } = useAuth();
   const { filters, setFilter, resetFilters, activeFiltersCount } = useReportFilters();
+  const { agents } = useAgentWorkload(user?.commune_id);
+  const agentNames = Object.fromEntries(agents.map((agent) => [agent.agent_id, agent.name]));
   
   // Récupérer les signalements avec filtres appliqués
-  const { reports, loading, error } = useAgentReports(user?.commune_id, {
+  const listFilters = {
     type: filters.type || undefined,
     status: filters.status || undefined,
     priority: filters.priority || undefined,
     date_from: filters.dateFrom ? filters.dateFrom.toISOString() : undefined,
     date_to: filters.dateTo ? filters.dateTo.toISOString() : undefined,
-  });
+    search: filters.search || undefined,
+    ai_category: filters.aiCategory && filters.aiCategory !== 'mismatch' ? filters.aiCategory : undefined,
+    ai_type_mismatch: filters.aiCategory === 'mismatch' || undefined,
+    overdue: filters.deadline === 'overdue' || undefined,
+    assigned_to: filters.assignee === 'mine' ? user?.id : filters.assignee || undefined,
+  };
+  const { reports, loading, error, pagination, refetch } = useAgentReports(user?.commune_id, listFilters);
+
+  // Sélection multiple (actions groupées) ; un agent non superviseur ne peut affecter qu'à lui-même
+  const selection = useReportSelection();
+  const assignableAgents = user?.is_supervisor
+    ? agents
+    : agents.filter((agent) => agent.agent_id === user?.id);
 
   const [isExporting, setIsExporting] = useState(false);
 
@@ -58,15 +79,32 @@ function ReportList() {
   };
 
   /**
-   * Export CSV des signalements filtrés
+   * Export CSV des signalements sélectionnés
    */
-  const handleExportCSV = () => {
+  const handleExportSelection = (selectedReports) => {
+    const timestamp = new Date().toISOString().split('T')[0];
+    reportService.downloadCSV(selectedReports, `signalements_selection_${timestamp}.csv`);
+    console.log(`✅ Export CSV de la sélection: ${selectedReports.length} signalements`);
+  };
+
+  /**
+   * Export CSV des signalements filtrés (toutes les pages)
+   */
+  const handleExportCSV = async () => {
     try {
       setIsExporting(true);
+      const { data: allReports, error: exportError } = await reportApi.getReportsForExport({
+        ...listFilters,
+        commune_id: user.commune_id
+      });
+      if (exportError) {
+        throw new Error(exportError.message);
+      }
+
       const timestamp = new Date().toISOString().split('T')[0];
       const filename = `signalements_${timestamp}.csv`;
-      reportService.downloadCSV(reports, filename);
-      console.log(`✅ Export CSV réussi: ${reports.length} signalements`);
+      reportService.downloadCSV(allReports, filename);
+      console.log(`✅ Export CSV réussi: ${allReports.length} signalements`);
     } catch (err) {
       console.error('❌ Erreur export CSV:', err);
     } finally {
@@ -128,6 +166,18 @@ function ReportList() {
         filters={filters}
         onFilterChange={setFilter}
         onResetFilters={resetFilters}
+        agents={agents}
+      />
+
+      {/* ═══════════════════════════════════════════════════════════
+          ACTIONS GROUPÉES
+          ═══════════════════════════════════════════════════════════ */}
+      <BulkActionsBar
+        selection={selection}
+        agents={assignableAgents}
+        onExport={handleExportSelection}
+        onCompleted={refetch}
+        className="sticky top-2 z-20"
       />
 
       {/* ═══════════════════════════════════════════════════════════
@@ -174,9 +224,16 @@ function ReportList() {
       {!loading && !error && reports.length > 0 && (
         <div className="space-y-3">
           <div className="flex items-center justify-between">
-            <p className="text-sm text-neutral-600">
-              {reports.length} signalement{reports.length > 1 ? 's' : ''} trouvé{reports.length > 1 ? 's' : ''}
-            </p>
+            <label className="flex items-center gap-2 text-sm text-neutral-600">
+              <input
+                type="checkbox"
+                checked={selection.isPageSelected(reports)}
+                onChange={() => selection.togglePage(reports)}
+                aria-label="Sélectionner la page"
+                className="accent-primary-600"
+              />
+              {pagination.totalCount} signalement{pagination.totalCount > 1 ? 's' : ''} trouvé{pagination.totalCount > 1 ? 's' : ''}
+            </label>
             {/* Export mobile */}
             <Button
               onClick={handleExportCSV}
@@ -193,9 +250,23 @@ function ReportList() {
             <ReportCard
               key={report.id}
               report={report}
+              highlight={filters.search}
+              assigneeName={report.assigned_to ? agentNames[report.assigned_to] || 'Agent' : undefined}
+              selected={selection.isSelected(report.id)}
+              onToggleSelect={selection.toggle}
               onViewDetails={handleViewDetails}
             />
           ))}
+
+          <Pagination
+            currentPage={pagination.page}
+            totalPages={pagination.totalPages}
+            totalItems={pagination.totalCount}
+            itemsPerPage={pagination.pageSize}
+            onPageChange={pagination.goToPage}
+            onItemsPerPageChange={pagination.setPageSize}
+            canJumpToPage={false}
+          />
         </div>
       )}
     </div>
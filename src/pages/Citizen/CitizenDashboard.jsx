@@ -2,12 +2,16 @@
 
 import { useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '@/context/AuthContext';
 import { Loader2, AlertCircle } from 'lucide-react';
 import CitizenReportList from '@/components/citizen/CitizenReportList';
 import ReportDetailBottomSheet from '@/components/citizen/ReportDetailBottomSheet';
 import NotificationCenter from '@/components/citizen/NotificationCenter';
+import ReportVoiceReader from '@/components/citizen/ReportVoiceReader';
 import { useNotifications } from '@/hooks/useNotifications';
+import { useReportOutbox } from '@/hooks/useReportOutbox';
+import { useReportVoiceReader } from '@/hooks/useReportVoiceReader';
 import * as reportApi from '@/api/reportApi';
 import { Card, CardContent } from '@/components/ui/card';
 
@@ -17,13 +21,17 @@ import { Card, CardContent } from '@/components/ui/card';
  * Affiche :
  * - Statistiques des signalements (total, en attente, résolus, etc.)
  * - Liste des signalements du citoyen avec statut
- * - Navigation vers les détails d'un signalement
+ * - Signalements créés hors-ligne en attente d'envoi (outbox)
+ * - Suivi vocal : lecture des signalements et commandes vocales (mis en avant
+ *   pour les citoyens inscrits à la voix)
+ * - Navigation vers les détails d'un signalement (aussi via ?report=<id>,
+ *   lien ouvert par une notification push)
  * 
  * @example
  * <CitizenDashboard />
  */
 function CitizenDashboard() {
-  const { t } = useTranslation('common');
+  const { t, i18n } = useTranslation('common');
   const { user, getVoiceUser, isVoiceAuthenticated } = useAuth();
 
   const [reports, setReports] = useState([]);
@@ -32,6 +40,8 @@ function CitizenDashboard() {
   const [statusFilter, setStatusFilter] = useState(null); // null = tous
   const [selectedReportId, setSelectedReportId] = useState(null);
   const [showDetailSheet, setShowDetailSheet] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkedReportId = searchParams.get('report');
 
   // Déterminer l'ID utilisateur (Supabase user OU voice user)
   const voiceUser = getVoiceUser();
@@ -50,20 +60,49 @@ function CitizenDashboard() {
     });
   }, [user, voiceUser, isVoice, userId]);
 
-  // Gestion des notifications en temps réel (seulement pour Supabase users)
+  // Boîte de notifications (serveur) ; temps réel pour les Supabase users,
+  // rafraîchissement périodique pour les voice users (pas de session Realtime)
   const {
     notifications,
     unreadCount,
     isSubscribed,
+    hasMore: hasMoreNotifications,
+    loadMore: loadMoreNotifications,
+    loading: notificationsLoading,
     markAsRead,
     markAllAsRead,
     removeNotification,
     clearAll,
-  } = useNotifications(user?.id, {
+  } = useNotifications(userId, {
     enableRealtime: !isVoice, // Désactiver realtime pour voice users
+    enablePolling: isVoice,
     showToasts: true,
   });
 
+  // Suivi vocal des signalements (les messages sont envoyés au nom du citoyen)
+  const voiceReader = useReportVoiceReader(reports, {
+    language: i18n.language?.startsWith('wo') ? 'wo' : 'fr',
+    author: { id: userId, role: 'citizen', name: userName },
+  });
+
+  // Lien profond (notification push) : ouvrir le détail du signalement
+  useEffect(() => {
+    if (linkedReportId) {
+      setSelectedReportId(linkedReportId);
+      setShowDetailSheet(true);
+    }
+  }, [linkedReportId]);
+
+  // Signalements hors-ligne en attente (le rejeu est géré par PublicLayout)
+  const {
+    pendingReports,
+    retry: retryPendingReport,
+    discard: discardPendingReport,
+  } = useReportOutbox(userId, {
+    autoSync: false,
+    onReportSent: () => loadDashboardData(),
+  });
+
   useEffect(() => {
     if (!userId) {
       setError({ message: t('citizen.dashboard.not_authenticated', { defaultValue: 'Vous devez être connecté' }) });
@@ -188,10 +227,20 @@ function CitizenDashboard() {
               onMarkAllAsRead={markAllAsRead}
               onRemove={removeNotification}
               onClearAll={clearAll}
+              hasMore={hasMoreNotifications}
+              onLoadMore={loadMoreNotifications}
+              loading={notificationsLoading}
             />
           </section>
         )}
 
+        {/* Suivi vocal */}
+        {!loading && !error && (
+          <section>
+            <ReportVoiceReader reader={voiceReader} total={reports.length} highlighted={isVoice} />
+          </section>
+        )}
+
         {/* Liste des signalements */}
         <section>
           <h2 className="text-xl font-semibold text-white mb-4">
@@ -218,8 +267,12 @@ function CitizenDashboard() {
           ) : (
             <CitizenReportList 
               reports={reports} 
+              pendingReports={statusFilter ? [] : pendingReports}
               loading={false} 
               error={null}
+              activeReportId={voiceReader.currentReport?.id}
+              onRetryPending={retryPendingReport}
+              onDiscardPending={discardPendingReport}
               onReportClick={(reportId) => {
                 setSelectedReportId(reportId);
                 setShowDetailSheet(true);
@@ -235,6 +288,9 @@ function CitizenDashboard() {
         onClose={() => {
           setShowDetailSheet(false);
           setSelectedReportId(null);
+          if (linkedReportId) {
+            setSearchParams({}, { replace: true });
+          }
         }}
         reportId={selectedReportId}
       />
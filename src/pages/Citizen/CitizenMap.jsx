@@ -1,5 +1,5 @@
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { Filter, Loader2 } from 'lucide-react';
 import MapView from '@/components/maps/MapView';
@@ -14,15 +14,16 @@ import { Button } from '@/components/ui/button';
 import useCommunes from '@/hooks/useCommunes';
 import { Card, CardContent } from '@/components/ui/card';
 import { useAuth } from '@/context/AuthContext';
-import * as reportService from '@/services/reportService';
+import { useViewportReports } from '@/hooks/useViewportReports';
 
 /**
  * Page CitizenMap - Carte interactive des signalements
  * 
  * Contenu :
  * - Carte Leaflet plein écran
- * - Markers pour tous les signalements
- * - Filtres (statut, commune)
+ * - Signalements de la zone affichée uniquement (rechargés à chaque
+ *   déplacement / zoom), agrégés par le serveur aux petits zooms
+ * - Filtres (statut, commune, mes signalements) appliqués côté serveur
  * - Popups avec détails
  */
 function CitizenMap() {
@@ -30,13 +31,10 @@ function CitizenMap() {
   const { communes, loading: communesLoading } = useCommunes();
   const { user, getVoiceUser, isVoiceAuthenticated } = useAuth();
 
-  const [reports, setReports] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  
   // Filtres
   const [statusFilter, setStatusFilter] = useState('');
   const [communeFilter, setCommuneFilter] = useState('');
+  const [mineOnly, setMineOnly] = useState(false);
   const [showFilters, setShowFilters] = useState(false);
 
   // Déterminer l'utilisateur courant (Supabase OU voice)
@@ -44,44 +42,24 @@ function CitizenMap() {
   const isVoice = isVoiceAuthenticated();
   const userId = isVoice ? voiceUser?.id : user?.id;
 
-  /**
-   * Récupérer les signalements
-   */
-  const fetchReports = useCallback(async () => {
-    if (!userId) {
-      setLoading(false);
-      setReports([]);
-      setError(null);
-      return;
-    }
-
-    try {
-      setLoading(true);
-      setError(null);
-
-      const options = {};
-      if (statusFilter) options.status = statusFilter;
-      if (communeFilter) options.commune_id = communeFilter;
-
-      const result = await reportService.getCitizenReports(userId, options);
-
-      if (result.error) {
-        setError(result.error.message);
-        return;
-      }
-
-      setReports(result.data || []);
-    } catch (err) {
-      setError(err.message || 'Erreur de chargement');
-    } finally {
-      setLoading(false);
-    }
-  }, [userId, statusFilter, communeFilter]);
-
-  // Charger les signalements au montage et quand les filtres changent
-  useEffect(() => {
-    fetchReports();
-  }, [fetchReports]);
+  // Signalements de la zone affichée (filtres appliqués côté serveur)
+  const {
+    reports,
+    clusters,
+    hasMore,
+    loading,
+    error,
+    onViewportChange,
+    refetch
+  } = useViewportReports({
+    status: statusFilter,
+    commune_id: communeFilter,
+    citizen_user_id: mineOnly ? userId : null
+  });
+
+  const visibleCount = clusters.length > 0
+    ? clusters.reduce((total, cluster) => total + cluster.count, 0)
+    : reports.length;
 
   /**
    * Réinitialiser les filtres
@@ -89,12 +67,11 @@ function CitizenMap() {
   const handleResetFilters = () => {
     setStatusFilter('');
     setCommuneFilter('');
+    setMineOnly(false);
   };
 
-  // Calculer le centre de la carte (Dakar par défaut)
-  const mapCenter = reports.length > 0
-    ? { lat: reports[0].latitude, lng: reports[0].longitude }
-    : { lat: 14.6928, lng: -17.4467 };
+  // Centre initial de la carte (Dakar) : ensuite, c'est l'emprise qui pilote le chargement
+  const mapCenter = { lat: 14.6928, lng: -17.4467 };
 
   // Si l'utilisateur n'est pas authentifié (ni Supabase ni voice)
   if (!user && !isVoice) {
@@ -120,13 +97,11 @@ function CitizenMap() {
             {t('map.title', { defaultValue: 'Carte des signalements' })}
           </h1>
           <p className="text-sm text-neutral-600 mt-1">
-            {loading
-              ? t('map.loading', { defaultValue: 'Chargement...' })
-              : t('map.count', {
-                  defaultValue: `${reports.length} signalement(s) affichés`,
-                  count: reports.length
-                })
-            }
+            {loading && <Loader2 className="inline w-3.5 h-3.5 mr-1 animate-spin" />}
+            {t('map.count', {
+              defaultValue: `${visibleCount} signalement(s) affichés`,
+              count: visibleCount
+            })}
           </p>
         </div>
 
@@ -209,8 +184,21 @@ function CitizenMap() {
             </div>
           </div>
 
+          {/* Mes signalements uniquement */}
+          {userId && (
+            <label className="flex items-center gap-2 text-sm text-neutral-700">
+              <input
+                type="checkbox"
+                checked={mineOnly}
+                onChange={(e) => setMineOnly(e.target.checked)}
+                className="accent-primary-600"
+              />
+              {t('map.mine_only', { defaultValue: 'Mes signalements uniquement' })}
+            </label>
+          )}
+
           {/* Bouton réinitialiser */}
-          {(statusFilter || communeFilter) && (
+          {(statusFilter || communeFilter || mineOnly) && (
             <Button
               variant="ghost"
               size="sm"
@@ -223,32 +211,30 @@ function CitizenMap() {
         </div>
       )}
 
-      {/* Carte */}
-      {loading ? (
-        <div className="flex items-center justify-center h-96 bg-neutral-100 rounded-lg">
-          <div className="text-center space-y-2">
-            <Loader2 className="w-8 h-8 text-primary-600 animate-spin mx-auto" />
-            <p className="text-sm text-neutral-600">
-              {t('map.loading', { defaultValue: 'Chargement de la carte...' })}
-            </p>
-          </div>
-        </div>
-      ) : error ? (
-        <div className="flex items-center justify-center h-96 bg-red-50 rounded-lg border border-red-200">
-          <div className="text-center space-y-2">
-            <p className="text-red-700">{error}</p>
-            <Button onClick={fetchReports} variant="outline" size="sm">
-              {t('map.retry', { defaultValue: 'Réessayer' })}
-            </Button>
-          </div>
+      {/* Erreur de chargement de la zone (la carte reste affichée) */}
+      {error && (
+        <div className="flex items-center justify-between gap-3 bg-red-50 rounded-lg border border-red-200 px-4 py-3">
+          <p className="text-sm text-red-700">{error.message}</p>
+          <Button onClick={refetch} variant="outline" size="sm">
+            {t('map.retry', { defaultValue: 'Réessayer' })}
+          </Button>
         </div>
-      ) : (
-        <MapView
-          center={mapCenter}
-          zoom={12}
-          reports={reports}
-          height="calc(100vh - 320px)"
-        />
+      )}
+
+      {/* Carte : le chargement suit la zone affichée */}
+      <MapView
+        center={mapCenter}
+        zoom={12}
+        reports={reports}
+        aggregates={clusters}
+        onViewportChange={onViewportChange}
+        height="calc(100vh - 320px)"
+      />
+
+      {hasMore && (
+        <p className="text-xs text-neutral-500 text-center">
+          {t('map.zoom_for_more', { defaultValue: 'Zoomez pour afficher tous les signalements de la zone' })}
+        </p>
       )}
     </div>
   );
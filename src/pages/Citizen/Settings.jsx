@@ -4,8 +4,9 @@ import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '@/context/LangContext';
 import { useAuth } from '@/context/AuthContext';
 import { useCommunes } from '@/hooks/useCommunes';
+import { usePushNotifications } from '@/hooks/usePushNotifications';
 import { Button } from '@/components/ui/button';
-import { LogOut, User, Phone, Pencil, Check, X } from 'lucide-react';
+import { LogOut, User, Phone, Pencil, Check, X, Bell, BellOff, Loader2 } from 'lucide-react';
 import { toast } from 'sonner';
 import { useMemo, useState } from 'react';
 
@@ -14,6 +15,7 @@ import { useMemo, useState } from 'react';
  * 
  * Contenu :
  * - Sélection langue (FR/Wolof)
+ * - Notifications push sur cet appareil (activation, test)
  * - À propos (optionnel)
  * - Contact (optionnel)
  * - Mentions légales (optionnel)
@@ -39,6 +41,9 @@ function Settings() {
   // Nom d'affichage (Supabase ou voice user)
   const displayName = user?.name || (voiceUser ? `${voiceUser.prenom || ''} ${voiceUser.name || ''}`.trim() : null);
 
+  // Notifications push de cet appareil (Supabase ou voice user)
+  const push = usePushNotifications(isVoice ? voiceUser?.id : user?.id);
+
   // États pour l'édition
   const [editingName, setEditingName] = useState(false);
   const [editingPhone, setEditingPhone] = useState(false);
@@ -49,6 +54,18 @@ function Settings() {
     changeLanguage(lang);
   };
 
+  const handleTogglePush = async () => {
+    const success = push.isSubscribed ? await push.unsubscribe() : await push.subscribe();
+
+    if (success) {
+      toast.success(push.isSubscribed
+        ? t('settings.push.disabled', { defaultValue: 'Notifications désactivées' })
+        : t('settings.push.enabled', { defaultValue: 'Notifications activées sur cet appareil' }));
+    } else {
+      toast.error(t('settings.push.error', { defaultValue: 'Impossible de modifier les notifications' }));
+    }
+  };
+
   const handleLogout = async () => {
     try {
       // Si voice user, utiliser logoutVoiceUser
@@ -306,6 +323,78 @@ function Settings() {
         </div>
       </section>
 
+      {/* Notifications push */}
+      {(user || isVoice) && (
+        <section className="bg-white rounded-xl p-6 space-y-4">
+          <h2 className="text-xl font-semibold text-neutral-900">
+            {t('settings.push.title', { defaultValue: 'Notifications' })}
+          </h2>
+          <p className="text-sm text-neutral-600">
+            {t('settings.push.description', {
+              defaultValue: 'Recevez une alerte sur cet appareil quand votre signalement avance, même application fermée.'
+            })}
+          </p>
+
+          {!push.isSupported ? (
+            <p className="text-sm text-neutral-500">
+              {t('settings.push.unsupported', {
+                defaultValue: 'Votre navigateur ne permet pas les notifications. Installez l’application ou utilisez une version récente de Chrome.'
+              })}
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {push.permission === 'denied' && (
+                <p className="text-sm text-error-600">
+                  {t('settings.push.denied', {
+                    defaultValue: 'Les notifications sont bloquées pour ce site. Autorisez-les dans les réglages du navigateur.'
+                  })}
+                </p>
+              )}
+              {!push.isConfigured && (
+                <p className="text-sm text-neutral-500">
+                  {t('settings.push.not_configured', {
+                    defaultValue: 'Le serveur de notifications n’est pas encore configuré. Vous pouvez tester l’affichage sur cet appareil.'
+                  })}
+                </p>
+              )}
+
+              {push.isConfigured && (
+                <Button
+                  onClick={handleTogglePush}
+                  variant={push.isSubscribed ? 'outline' : 'default'}
+                  className="w-full"
+                  disabled={push.loading || push.permission === 'denied'}
+                >
+                  {push.loading ? (
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  ) : push.isSubscribed ? (
+                    <BellOff className="mr-2 h-4 w-4" />
+                  ) : (
+                    <Bell className="mr-2 h-4 w-4" />
+                  )}
+                  {push.isSubscribed
+                    ? t('settings.push.disable', { defaultValue: 'Désactiver les notifications' })
+                    : t('settings.push.enable', { defaultValue: 'Activer les notifications' })}
+                </Button>
+              )}
+
+              <Button
+                onClick={push.sendTest}
+                variant="ghost"
+                className="w-full"
+                disabled={push.permission === 'denied'}
+              >
+                {t('settings.push.test', { defaultValue: 'Envoyer une notification de test' })}
+              </Button>
+
+              {push.error && push.error.code !== 'PERMISSION_DENIED' && (
+                <p className="text-xs text-error-600">{push.error.message}</p>
+              )}
+            </div>
+          )}
+        </section>
+      )}
+
       {/* À propos */}
       <section className="bg-white rounded-xl p-6 space-y-4">
         <h2 className="text-xl font-semibold text-neutral-900">
@@ -7,6 +7,8 @@
  * Processus :
  * 1. L'utilisateur enregistre sa voix (dit son nom et prénom)
  * 2. L'audio est envoyé au backend pour transcription
+ *    (si le nom n'y est pas reconnu, fréquent en wolof : transcription par le
+ *    fournisseur STT de la langue, voir useSpeechToText)
  * 3. Le compte est créé directement et l'utilisateur est redirigé vers vérification
  */
 
@@ -20,10 +22,12 @@ import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import Logo from '@/components/shared/Logo';
 import { useAudioRecording } from '@/hooks/useAudioRecording';
+import { useSpeechToText } from '@/hooks/useSpeechToText';
+import { splitSpokenName } from '@/utils/voiceDataParser';
 import { voiceAuthApi } from '@/api/voiceAuthApi';
 
 function VoiceEnroll() {
-  const { t } = useTranslation('common');
+  const { t, i18n } = useTranslation('common');
   const navigate = useNavigate();
 
   // États du processus
@@ -44,6 +48,9 @@ function VoiceEnroll() {
     resetRecording,
   } = useAudioRecording({ maxDuration: 5 }); // 5 secondes max pour dire son nom
 
+  // Transcription de secours du nom (fournisseur selon la langue)
+  const { transcribe } = useSpeechToText({ language: i18n.language });
+
   // Vérifier si l'API vocale est disponible
   useEffect(() => {
     const checkApi = async () => {
@@ -84,8 +91,16 @@ function VoiceEnroll() {
         return;
       }
 
+      let { prenom, name } = enrollResult;
+
+      // Nom non reconnu par le service vocal : transcription par le fournisseur STT
+      if (!prenom || !prenom.trim()) {
+        const { data: transcription } = await transcribe(audioBlob);
+        ({ prenom, name } = splitSpokenName(transcription?.text));
+      }
+
       // Vérifier que le prénom a été extrait (obligatoire)
-      if (!enrollResult.prenom || !enrollResult.prenom.trim()) {
+      if (!prenom || !prenom.trim()) {
         // Transcription échouée - retour à l'enregistrement
         setError(t('voiceAuth.enroll.errors.generic', { defaultValue: 'Une erreur est survenue. Veuillez réessayer l\'enregistrement.' }));
       setStep('record');
@@ -98,8 +113,8 @@ function VoiceEnroll() {
 
       const confirmResult = await voiceAuthApi.confirmEnrollment({
         temp_user_id: enrollResult.temp_user_id,
-        name: (enrollResult.name || '').trim(),
-        prenom: enrollResult.prenom.trim(),
+        name: (name || '').trim(),
+        prenom: prenom.trim(),
         voice_embedding: enrollResult.voice_embedding,
       });
 
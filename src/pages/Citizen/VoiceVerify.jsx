@@ -84,10 +84,12 @@ function VoiceVerify() {
         setVerificationResult(result);
         setStep('success');
 
-        // Mettre à jour le statut dans localStorage
+        // Mettre à jour le statut dans localStorage (+ jeton de session, envoyé à Supabase)
         const updatedUser = {
           ...voiceUser,
           authenticated: true,
+          sessionToken: result.session_token,
+          sessionExpiresAt: result.session_expires_at,
           lastVerifiedAt: new Date().toISOString(),
         };
         localStorage.setItem('voiceUser', JSON.stringify(updatedUser));
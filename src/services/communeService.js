@@ -0,0 +1,199 @@
+import * as communeApi from '@/api/communeApi';
+import { normalizeSearchText } from '@/utils/searchText';
+
+/**
+ * Service Layer pour les communes
+ *
+ * Logique métier :
+ * - Résolution point GPS → commune (contours PostGIS via communeApi),
+ *   avec un cache par coordonnées arrondies (~10 m)
+ * - Préparation de l'import des contours : lecture d'un GeoJSON des communes
+ *   du Sénégal et rapprochement des entités avec la table communes par nom
+ *   (insensible aux accents, à la casse et à la ponctuation)
+ *
+ * Note : Ce layer ne fait PAS d'appels directs à Supabase
+ * Il utilise l'API communeApi
+ */
+
+/**
+ * Propriétés GeoJSON usuelles portant le nom de la commune / de la région
+ * (exports OCHA / HDX, GADM, ANSD)
+ */
+const NAME_PROPERTY_CANDIDATES = ['ADM4_FR', 'ADM3_FR', 'NAME_4', 'NAME_3', 'commune', 'COMMUNE', 'nom', 'NOM', 'name', 'NAME'];
+const REGION_PROPERTY_CANDIDATES = ['ADM1_FR', 'NAME_1', 'region', 'REGION', 'nom_region'];
+
+/**
+ * Cache des résolutions (clé = coordonnées arrondies à 4 décimales)
+ */
+const resolutionCache = new Map();
+
+const toCacheKey = (latitude, longitude) => `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+
+/**
+ * Trouver la commune qui contient un point GPS
+ *
+ * Utilisé par submitReport (rattachement du signalement) et par
+ * LocationConfirmationCard (affichage de la commune détectée).
+ * La base applique aussi cette règle à l'insertion (trigger
+ * reports_commune_from_location) : les signalements envoyés depuis
+ * l'outbox hors-ligne sont rattachés au moment de la synchronisation.
+ *
+ * @param {number} latitude - Latitude GPS
+ * @param {number} longitude - Longitude GPS
+ * @returns {Promise<{data: Object|null, error: Object|null}>} data = { id, name, region } ou null
+ *
+ * @example
+ * const { data: commune } = await resolveCommune(14.6928, -17.4467);
+ * if (commune) console.log('Commune détectée:', commune.name);
+ */
+export async function resolveCommune(latitude, longitude) {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    return { data: null, error: null };
+  }
+
+  const key = toCacheKey(latitude, longitude);
+  if (resolutionCache.has(key)) {
+    return { data: resolutionCache.get(key), error: null };
+  }
+
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return {
+      data: null,
+      error: {
+        message: 'Commune non déterminée hors connexion',
+        code: 'OFFLINE'
+      }
+    };
+  }
+
+  const { data, error } = await communeApi.resolveCommuneByLocation(latitude, longitude);
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  resolutionCache.set(key, data);
+  return { data, error: null };
+}
+
+/**
+ * Deviner la propriété qui porte le nom de la commune dans un GeoJSON
+ *
+ * @param {Array} features - Entités GeoJSON
+ * @returns {string|null}
+ */
+export function detectNameProperty(features = []) {
+  const properties = features[0]?.properties || {};
+  return NAME_PROPERTY_CANDIDATES.find((key) => typeof properties[key] === 'string') || null;
+}
+
+/**
+ * Rapprocher les entités d'un GeoJSON des communes de la base
+ *
+ * - Noms comparés après normalizeSearchText ("Médina" = "MEDINA")
+ * - Homonymes départagés par la région si le GeoJSON la fournit
+ * - Plusieurs entités pour une même commune (îles, enclaves) fusionnées
+ *   en un seul MultiPolygon
+ *
+ * @param {Object} geojson - FeatureCollection (Polygon / MultiPolygon, WGS84)
+ * @param {Array} communes - Communes de la base ({ id, name, region })
+ * @param {Object} [options]
+ * @param {string} [options.nameProperty] - Propriété du nom (default: détectée)
+ *
+ * @returns {{
+ *   boundaries: Array<{commune_id: string, commune_name: string, geometry: Object}>,
+ *   unmatched: Array<string>,
+ *   nameProperty: string|null,
+ *   error: Object|null
+ * }} boundaries est prêt pour communeApi.importCommuneBoundaries
+ *
+ * @example
+ * const { boundaries, unmatched } = matchBoundaryFeatures(geojson, communes);
+ * await communeApi.importCommuneBoundaries(boundaries);
+ */
+export function matchBoundaryFeatures(geojson, communes = [], options = {}) {
+  const features = (geojson?.type === 'FeatureCollection' ? geojson.features : [])
+    .filter((feature) => ['Polygon', 'MultiPolygon'].includes(feature?.geometry?.type));
+
+  if (features.length === 0) {
+    return {
+      boundaries: [],
+      unmatched: [],
+      nameProperty: null,
+      error: {
+        message: 'Le fichier ne contient aucun polygone (FeatureCollection GeoJSON attendue)',
+        code: 'INVALID_GEOJSON'
+      }
+    };
+  }
+
+  const nameProperty = options.nameProperty || detectNameProperty(features);
+  if (!nameProperty) {
+    return {
+      boundaries: [],
+      unmatched: [],
+      nameProperty: null,
+      error: {
+        message: 'Propriété du nom de commune introuvable',
+        code: 'MISSING_NAME_PROPERTY'
+      }
+    };
+  }
+
+  const regionProperty = REGION_PROPERTY_CANDIDATES.find(
+    (key) => typeof features[0].properties?.[key] === 'string'
+  );
+
+  // Index des communes par nom normalisé (homonymes possibles)
+  const communesByName = communes.reduce((index, commune) => {
+    const key = normalizeSearchText(commune.name);
+    index.set(key, [...(index.get(key) || []), commune]);
+    return index;
+  }, new Map());
+
+  const polygonsByCommune = new Map();
+  const unmatched = [];
+
+  features.forEach((feature) => {
+    const featureName = feature.properties?.[nameProperty];
+    let candidates = communesByName.get(normalizeSearchText(featureName)) || [];
+
+    if (candidates.length > 1 && regionProperty) {
+      const region = normalizeSearchText(feature.properties[regionProperty]);
+      candidates = candidates.filter((commune) => normalizeSearchText(commune.region) === region);
+    }
+
+    if (candidates.length !== 1) {
+      unmatched.push(featureName || '(sans nom)');
+      return;
+    }
+
+    const [commune] = candidates;
+    const polygons = feature.geometry.type === 'Polygon'
+      ? [feature.geometry.coordinates]
+      : feature.geometry.coordinates;
+
+    const entry = polygonsByCommune.get(commune.id) || { commune, polygons: [] };
+    entry.polygons.push(...polygons);
+    polygonsByCommune.set(commune.id, entry);
+  });
+
+  const boundaries = [...polygonsByCommune.values()].map(({ commune, polygons }) => ({
+    commune_id: commune.id,
+    commune_name: commune.name,
+    geometry: { type: 'MultiPolygon', coordinates: polygons }
+  }));
+
+  return {
+    boundaries,
+    unmatched: [...new Set(unmatched)],
+    nameProperty,
+    error: null
+  };
+}
+
+export default {
+  resolveCommune,
+  detectNameProperty,
+  matchBoundaryFeatures
+};
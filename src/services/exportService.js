@@ -1,4 +1,5 @@
-
+import { getReportAddress } from '@/services/geocodingService';
+import { REPORT_TYPE_OPTIONS } from '@/config/reportOptions';
 
 /**
  * ═══════════════════════════════════════════════════════════
@@ -19,6 +20,7 @@ export const AVAILABLE_COLUMNS = [
   { key: 'priority', label: 'Priorité', enabled: true },
   { key: 'created_at', label: 'Date', enabled: true },
   { key: 'citizen_name', label: 'Nom citoyen', enabled: true },
+  { key: 'address', label: 'Adresse', enabled: true },
   { key: 'phone', label: 'Téléphone', enabled: false },
   { key: 'latitude', label: 'Latitude', enabled: true },
   { key: 'longitude', label: 'Longitude', enabled: true },
@@ -71,6 +73,8 @@ export function exportToCSVCustom(reports, selectedColumns) {
         value = formatPriority(report.priority);
       } else if (key === 'created_at') {
         value = formatDate(report.created_at);
+      } else if (key === 'address') {
+        value = getReportAddress(report) || '';
       } else if (key === 'latitude' || key === 'longitude') {
         value = report[key] ? report[key].toFixed(6) : '';
       } else {
@@ -163,15 +167,7 @@ function escapeCSV(value) {
  * Formater le type de signalement
  */
 function formatType(type) {
-  const types = {
-    'road': 'Voirie',
-    'lighting': 'Éclairage public',
-    'water': 'Fuite d\'eau',
-    'waste': 'Déchets',
-    'security': 'Sécurité',
-    'other': 'Autre'
-  };
-  return types[type] || type;
+  return REPORT_TYPE_OPTIONS.find((option) => option.value === type)?.label || type;
 }
 
 /**
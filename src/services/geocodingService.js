@@ -0,0 +1,159 @@
+import { SENEGAL_GAZETTEER, GAZETTEER_KINDS } from '@/utils/senegalGazetteer';
+
+/**
+ * Service Layer pour le géocodage inverse (GPS → adresse lisible)
+ *
+ * Logique métier :
+ * - Recherche hors-ligne dans le gazetteer embarqué (utils/senegalGazetteer) :
+ *   quartier, axe et repère les plus proches de la position
+ * - Construction de l'adresse affichée ("Avenue Bourguiba, Amitié, Dakar
+ *   · près de Marché HLM") dans la langue de l'interface : le signalement
+ *   n'enregistre que les composantes (address_details), mises en forme à
+ *   l'affichage
+ *
+ * Aucun appel réseau : fonctionne aussi pour les signalements créés hors
+ * connexion (l'adresse part avec le payload de l'outbox).
+ *
+ * Note : Ce layer ne fait PAS d'appels directs à Supabase
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Distance en mètres entre deux points (formule de haversine)
+ */
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Entrée la plus proche d'un type donné, dans son rayon d'application
+ */
+function findNearest(latitude, longitude, kind) {
+  let nearest = null;
+
+  SENEGAL_GAZETTEER.forEach((entry) => {
+    if (entry.kind !== kind) {
+      return;
+    }
+    const distance = distanceMeters(latitude, longitude, entry.lat, entry.lng);
+    if (distance <= entry.radius && (!nearest || distance < nearest.distance)) {
+      nearest = { ...entry, distance };
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Mettre en forme une adresse à partir de ses composantes
+ *
+ * @param {Object} details - { street, quartier, city, landmark }
+ * @param {Object} [options]
+ * @param {function} [options.t] - Fonction de traduction (i18next) pour « près de » ;
+ *   sans traduction, l'adresse est en français
+ * @returns {string}
+ *
+ * @example
+ * formatAddress({ street: 'Avenue Bourguiba', quartier: 'Amitié', city: 'Dakar' });
+ * // 'Avenue Bourguiba, Amitié, Dakar'
+ *
+ * formatAddress({ quartier: 'Fann', city: 'Dakar', landmark: 'UCAD' }, { t });
+ * // 'Fann, Dakar · ci wetu UCAD' (wolof)
+ */
+export function formatAddress({ street, quartier, city, landmark } = {}, { t = null } = {}) {
+  const parts = [street, quartier, quartier !== city ? city : null].filter(Boolean);
+  const main = parts.join(', ');
+
+  if (!landmark) {
+    return main;
+  }
+
+  if (main) {
+    const near = t
+      ? t('locationCard.address.near', { landmark, defaultValue: 'près de {{landmark}}' })
+      : `près de ${landmark}`;
+    return `${main} · ${near}`;
+  }
+  return t
+    ? t('locationCard.address.near_only', { landmark, defaultValue: 'Près de {{landmark}}' })
+    : `Près de ${landmark}`;
+}
+
+/**
+ * Trouver l'adresse lisible d'une position GPS (hors-ligne)
+ *
+ * @param {number} latitude - Latitude GPS
+ * @param {number} longitude - Longitude GPS
+ * @param {Object} [options] - { t } pour le libellé (voir formatAddress)
+ *
+ * @returns {Object|null} { label, street, quartier, landmark, city, region, source }
+ *   ou null si la position n'est proche d'aucune entrée du gazetteer
+ *
+ * @example
+ * const address = reverseGeocode(14.6930, -17.4620);
+ * // { label: 'Avenue Cheikh Anta Diop, Fann, Dakar · près de Université Cheikh Anta Diop', ... }
+ */
+export function reverseGeocode(latitude, longitude, options = {}) {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    return null;
+  }
+
+  const quartier = findNearest(latitude, longitude, GAZETTEER_KINDS.QUARTIER);
+  const street = findNearest(latitude, longitude, GAZETTEER_KINDS.RUE);
+  const landmark = findNearest(latitude, longitude, GAZETTEER_KINDS.REPERE);
+
+  const place = quartier || street || landmark;
+  if (!place) {
+    return null;
+  }
+
+  const details = {
+    street: street?.name || null,
+    quartier: quartier?.name || null,
+    landmark: landmark?.name || null,
+    city: place.city,
+    region: place.region
+  };
+
+  return {
+    label: formatAddress(details, options),
+    ...details,
+    source: 'gazetteer'
+  };
+}
+
+/**
+ * Adresse à afficher pour un signalement
+ *
+ * Adresse saisie par le citoyen, sinon composantes enregistrées mises en
+ * forme dans la langue demandée, sinon calculée depuis les coordonnées
+ * (signalements antérieurs au géocodage).
+ *
+ * @param {Object} report - Signalement ({ address, address_details, latitude, longitude })
+ * @param {Object} [options] - { t } pour le libellé (voir formatAddress)
+ * @returns {string|null}
+ */
+export function getReportAddress(report, options = {}) {
+  if (!report) {
+    return null;
+  }
+  if (report.address) {
+    return report.address;
+  }
+  if (report.address_details) {
+    return formatAddress(report.address_details, options) || null;
+  }
+  return reverseGeocode(report.latitude, report.longitude, options)?.label || null;
+}
+
+export default {
+  reverseGeocode,
+  formatAddress,
+  getReportAddress
+};
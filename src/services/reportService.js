@@ -2,6 +2,10 @@
 import imageCompression from 'browser-image-compression';
 import * as reportApi from '@/api/reportApi';
 import * as storageApi from '@/api/storageApi';
+import * as communeService from '@/services/communeService';
+import * as geocodingService from '@/services/geocodingService';
+import * as outbox from '@/utils/reportOutbox';
+import { REPORT_TYPES } from '@/config/reportOptions';
 
 /**
  * Service Layer pour les signalements (reports)
@@ -10,6 +14,10 @@ import * as storageApi from '@/api/storageApi';
  * - Compression d'images avant upload
  * - Validation des données du formulaire
  * - Orchestration entre uploadImage + createReport
+ * - File d'attente hors-ligne (outbox) et rejeu au retour de la connexion
+ * - Détection des doublons et soutien d'un signalement existant
+ * - Rattachement à la commune qui contient le point GPS
+ * - Adresse lisible calculée hors-ligne (geocodingService)
  * - Transformation des erreurs en messages user-friendly
  * 
  * Note : Ce layer ne fait PAS d'appels directs à Supabase
@@ -172,15 +180,146 @@ export function validateReportData(formData) {
   return { isValid, errors };
 }
 
+/**
+ * Paramètres de rejeu de l'outbox hors-ligne
+ * - baseDelayMs : délai avant la 2e tentative (doublé à chaque échec)
+ * - maxDelayMs : délai maximum entre deux tentatives
+ * - maxAttempts : nombre d'échecs (hors coupure réseau) avant de marquer l'élément "failed"
+ */
+const OUTBOX_RETRY_OPTIONS = {
+  baseDelayMs: 30 * 1000,       // 30 secondes
+  maxDelayMs: 30 * 60 * 1000,   // 30 minutes
+  maxAttempts: 5
+};
+
+/**
+ * Vérifier si une erreur provient d'une absence de connexion
+ * (navigateur hors-ligne ou fetch impossible)
+ * 
+ * @param {Object} error - Erreur renvoyée par storageApi / reportApi
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true;
+  }
+
+  const message = `${error?.message || ''} ${error?.originalError?.message || ''}`;
+  return /failed to fetch|networkerror|network request failed|load failed|fetch failed/i.test(message);
+}
+
+/**
+ * Uploader les fichiers puis créer le signalement
+ * 
+ * Utilisé par submitReport (en ligne) et syncOfflineReports (rejeu de l'outbox).
+ * Les URLs déjà uploadées (lors d'une tentative précédente) ne sont pas ré-uploadées.
+ * 
+ * @param {Object} payload - Champs du signalement (format reportApi.createReport, sans URLs)
+ * @param {Object} files - Fichiers à uploader
+ * @param {File|null} [files.imageFile] - Image déjà compressée
+ * @param {File|Blob|null} [files.audioFile] - Audio enregistré
+ * @param {Object} [uploaded] - URLs déjà obtenues { image_url, audio_url }
+ * 
+ * @returns {Promise<{report: Object|null, uploaded: Object, error: Object|null}>}
+ */
+async function uploadAndCreateReport(payload, files, uploaded = {}) {
+  const urls = {
+    image_url: uploaded.image_url || null,
+    audio_url: uploaded.audio_url || null
+  };
+
+  // Upload de l'image (si fournie et pas encore uploadée)
+  if (files.imageFile && !urls.image_url) {
+    const uploadResult = await storageApi.uploadReportImage(
+      files.imageFile,
+      null // reportId généré automatiquement (temp-{timestamp})
+    );
+
+    if (uploadResult.error) {
+      return { report: null, uploaded: urls, error: uploadResult.error };
+    }
+
+    urls.image_url = uploadResult.url;
+    console.log('✅ Image uploadée:', urls.image_url);
+  }
+
+  // Upload de l'audio (si fourni et pas encore uploadé)
+  if (files.audioFile && !urls.audio_url) {
+    console.log('🎙️ Audio fourni, upload en cours...');
+
+    const audioUploadResult = await storageApi.uploadReportAudio(files.audioFile, null);
+    if (audioUploadResult.error) {
+      return { report: null, uploaded: urls, error: audioUploadResult.error };
+    }
+
+    urls.audio_url = audioUploadResult.url;
+    console.log('✅ Audio uploadé:', urls.audio_url);
+  }
+
+  // Création du signalement
+  console.log('💾 Création du signalement dans la base de données...');
+  const reportResult = await reportApi.createReport({
+    ...payload,
+    image_url: urls.image_url,
+    audio_url: urls.audio_url
+  });
+
+  if (reportResult.error) {
+    return { report: null, uploaded: urls, error: reportResult.error };
+  }
+
+  return { report: reportResult.data, uploaded: urls, error: null };
+}
+
+/**
+ * Colonnes du signalement issues de l'analyse IA du message vocal
+ * 
+ * @param {Object|null} analysis - Résultat de useAudioAnalysis (transcription, summary,
+ *   keywords, category, severity, confidence, actions, words, sttProvider, language, analyzedAt)
+ * @returns {Object} Champs pour reportApi.createReport ({} si pas d'analyse)
+ */
+function buildAudioAnalysisFields(analysis) {
+  if (!analysis || (!analysis.transcription && !analysis.category)) {
+    return {};
+  }
+
+  const confidence = typeof analysis.confidence === 'number'
+    ? Math.min(1, Math.max(0, analysis.confidence))
+    : null;
+
+  return {
+    audio_transcription: analysis.transcription || null,
+    ai_category: analysis.category || null,
+    ai_severity: ['low', 'medium', 'high'].includes(analysis.severity) ? analysis.severity : null,
+    ai_confidence: confidence,
+    audio_analysis: {
+      summary: analysis.summary || null,
+      keywords: analysis.keywords || [],
+      actions: analysis.actions || [],
+      language: analysis.language || null,
+      stt_provider: analysis.sttProvider || null,
+      words: analysis.words || [],
+      analyzed_at: analysis.analyzedAt || new Date().toISOString()
+    }
+  };
+}
+
 /**
  * Soumettre un signalement complet (upload image + create report)
  * 
  * Orchestration :
  * 1. Valider les données du formulaire
- * 2. Si image fournie : comprimer → uploader
- * 3. Créer le signalement avec l'URL de l'image
+ * 2. Si image fournie : comprimer
+ * 3. Uploader image + audio, puis créer le signalement avec les URLs
  * 4. Retourner le signalement créé
  * 
+ * Hors-ligne : si le navigateur n'a pas de connexion (ou si l'envoi échoue pour
+ * une raison réseau), le payload complet (image compressée + audio inclus) est
+ * placé dans l'outbox IndexedDB et sera rejoué par syncOfflineReports().
+ * Dans ce cas, `queued` vaut true et `outboxItem` contient l'élément créé.
+ * La clé client_request_id générée ici est conservée : si le signalement avait
+ * en fait été créé (réponse perdue), le rejeu récupère l'existant sans doublon.
+ * 
  * @param {Object} formData - Données du formulaire
  * @param {string} formData.type - Type de signalement
  * @param {number} formData.latitude - Latitude GPS
@@ -190,9 +329,14 @@ export function validateReportData(formData) {
  * @param {Blob} [formData.audioBlob] - Audio enregistré (optionnel)
  * @param {string} [formData.phone] - Téléphone
  * @param {string} [formData.citizen_name] - Nom du citoyen
- * @param {string} [formData.commune_id] - ID de la commune
+ * @param {string} [formData.commune_id] - ID de la commune (remplacé par la commune
+ *   dont le contour contient le point GPS, si elle est connue)
+ * @param {Object} [formData.audioAnalysis] - Résultat de useAudioAnalysis.analyzeAudio (data)
+ *   conservé avec le signalement (transcription, catégorie suggérée, gravité...)
+ * @param {string} [formData.address] - Adresse saisie (sinon seules les composantes déduites
+ *   du GPS via le gazetteer sont enregistrées, voir geocodingService.getReportAddress)
  * 
- * @returns {Promise<{report: Object|null, error: Object|null, validationErrors: Object|null}>}
+ * @returns {Promise<{report: Object|null, error: Object|null, validationErrors: Object|null, queued?: boolean, outboxItem?: Object}>}
  * 
  * @example
  * const result = await submitReport({
@@ -212,6 +356,9 @@ export function validateReportData(formData) {
  * } else if (result.error) {
  *   // Erreur technique (upload, DB, etc.)
  *   console.error('Erreur:', result.error.message);
+ * } else if (result.queued) {
+ *   // Hors-ligne : sera envoyé au retour de la connexion
+ *   console.log('En attente d\'envoi:', result.outboxItem.id);
  * } else {
  *   // Succès !
  *   console.log('Signalement créé:', result.report.id);
@@ -232,13 +379,11 @@ export async function submitReport(formData) {
       };
     }
 
-    // Étape 2 : Upload de l'image (si fournie)
-    let imageUrl = null;
-    let audioUrl = null;
+    // Étape 2 : Compression de l'image (si fournie)
+    let compressedImage = null;
     if (formData.imageFile) {
-      console.log('📷 Image fournie, compression et upload en cours...');
+      console.log('📷 Image fournie, compression en cours...');
 
-      // Compression de l'image
       const compressionResult = await compressImage(formData.imageFile);
       if (compressionResult.error) {
         return {
@@ -248,70 +393,74 @@ export async function submitReport(formData) {
         };
       }
 
-      // Upload de l'image compressée
-      const uploadResult = await storageApi.uploadReportImage(
-        compressionResult.compressedFile,
-        null // reportId généré automatiquement (temp-{timestamp})
-      );
-
-      if (uploadResult.error) {
-        return {
-          report: null,
-          error: uploadResult.error,
-          validationErrors: null
-        };
-      }
-
-      imageUrl = uploadResult.url;
-      console.log('✅ Image uploadée:', imageUrl);
+      compressedImage = compressionResult.compressedFile;
     }
 
-    // Étape 2b : Upload de l'audio (si fourni)
-    const audioSource = formData.audioFile || formData.audioBlob;
-    if (audioSource) {
-      console.log('🎙️ Audio fourni, upload en cours...');
-
-      const audioUploadResult = await storageApi.uploadReportAudio(audioSource, null);
-      if (audioUploadResult.error) {
-        return {
-          report: null,
-          error: audioUploadResult.error,
-          validationErrors: null,
-        };
-      }
-
-      audioUrl = audioUploadResult.url;
-      console.log('✅ Audio uploadé:', audioUrl);
+    // Commune déduite du GPS (contours des communes), à défaut celle du formulaire
+    const { data: locatedCommune } = await communeService.resolveCommune(formData.latitude, formData.longitude);
+    if (locatedCommune && locatedCommune.id !== formData.commune_id) {
+      console.log(`📍 Commune déterminée par GPS: ${locatedCommune.name}`);
     }
 
-    // Étape 3 : Création du signalement
-    console.log('💾 Création du signalement dans la base de données...');
-    const reportResult = await reportApi.createReport({
+    // Adresse lisible (quartier, axe, repère) : gazetteer local, sans réseau
+    const geocoded = geocodingService.reverseGeocode(formData.latitude, formData.longitude);
+
+    const payload = {
       type: formData.type,
       description: formData.description || null,
       latitude: formData.latitude,
       longitude: formData.longitude,
-      commune_id: formData.commune_id || null,
-      image_url: imageUrl,
-      audio_url: audioUrl,
+      commune_id: locatedCommune?.id || formData.commune_id || null,
+      // Adresse saisie uniquement : l'adresse géocodée est mise en forme à l'affichage (langue du lecteur)
+      address: formData.address || null,
+      address_details: geocoded
+        ? {
+            street: geocoded.street,
+            quartier: geocoded.quartier,
+            landmark: geocoded.landmark,
+            city: geocoded.city,
+            region: geocoded.region,
+            source: geocoded.source
+          }
+        : null,
       phone: formData.phone || null,
       citizen_name: formData.citizen_name || null,
-      citizen_user_id: formData.citizen_user_id || null
+      citizen_user_id: formData.citizen_user_id || null,
+      // Clé d'idempotence : reprise comme id d'outbox si l'envoi doit être rejoué
+      client_request_id: outbox.generateOutboxId(),
+      ...buildAudioAnalysisFields(formData.audioAnalysis)
       // Note : code_suivi reste NULL (pas de tracking pour MVP)
-    });
+    };
+    const files = {
+      imageFile: compressedImage,
+      audioFile: formData.audioFile || formData.audioBlob || null
+    };
+
+    // Pas de connexion : mise en file d'attente directe
+    if (typeof navigator !== 'undefined' && navigator.onLine === false && outbox.isOutboxSupported()) {
+      return await queueOfflineReport(payload, files);
+    }
+
+    // Étape 3 : Upload des fichiers + création du signalement
+    const result = await uploadAndCreateReport(payload, files);
+
+    if (result.error) {
+      // Coupure réseau pendant l'envoi : on garde le signalement pour plus tard
+      if (isNetworkError(result.error) && outbox.isOutboxSupported()) {
+        return await queueOfflineReport(payload, files, result.uploaded);
+      }
 
-    if (reportResult.error) {
       return {
         report: null,
-        error: reportResult.error,
+        error: result.error,
         validationErrors: null
       };
     }
 
-    console.log('✅ Signalement créé avec succès:', reportResult.data.id);
+    console.log('✅ Signalement créé avec succès:', result.report.id);
 
     return {
-      report: reportResult.data,
+      report: result.report,
       error: null,
       validationErrors: null
     };
@@ -329,6 +478,290 @@ export async function submitReport(formData) {
   }
 }
 
+/**
+ * Paramètres de détection des doublons à la création
+ * - radiusMeters : distance max entre deux signalements du même type
+ * - withinDays : ancienneté max du signalement existant
+ */
+const DUPLICATE_DETECTION_OPTIONS = {
+  radiusMeters: 100,
+  withinDays: 7
+};
+
+/**
+ * Rechercher un signalement ouvert similaire avant d'en créer un nouveau
+ * 
+ * Même type, à moins de 100 m, créé il y a moins de 7 jours.
+ * Hors-ligne ou en cas d'erreur, aucun doublon n'est signalé :
+ * la création ne doit jamais être bloquée par la détection.
+ * 
+ * @param {Object} formData - { type, latitude, longitude }
+ * @param {Object} [options] - Surcharge de DUPLICATE_DETECTION_OPTIONS
+ * 
+ * @returns {Promise<{similarReport: Object|null, similarReports: Array}>}
+ *   similarReport = le plus proche ({ id, distance_m, supporters_count, image_url, ... })
+ * 
+ * @example
+ * const { similarReport } = await findSimilarReport({ type: 'voirie', latitude: 14.69, longitude: -17.44 });
+ * if (similarReport) {
+ *   console.log(`Signalement similaire à ${Math.round(similarReport.distance_m)} m`);
+ * }
+ */
+export async function findSimilarReport(formData, options = {}) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return { similarReport: null, similarReports: [] };
+  }
+
+  const { data, error } = await reportApi.findSimilarReports({
+    type: formData.type,
+    latitude: formData.latitude,
+    longitude: formData.longitude,
+    ...DUPLICATE_DETECTION_OPTIONS,
+    ...options
+  });
+
+  if (error || !data) {
+    console.warn('⚠️ Détection de doublons indisponible:', error?.message);
+    return { similarReport: null, similarReports: [] };
+  }
+
+  return { similarReport: data[0] || null, similarReports: data };
+}
+
+/**
+ * Soutenir un signalement existant au lieu de créer un doublon
+ * 
+ * Orchestration :
+ * 1. Upload du message vocal (optionnel)
+ * 2. Enregistrement du soutien (report_supporters)
+ * 
+ * Le citoyen sera notifié des changements de statut du signalement soutenu.
+ * 
+ * @param {Object} params
+ * @param {string} params.reportId - UUID du signalement soutenu
+ * @param {string} params.citizenUserId - Supabase user OU voice user
+ * @param {File|Blob} [params.audioFile] - Message vocal du citoyen (optionnel)
+ * 
+ * @returns {Promise<{supporter: Object|null, error: Object|null}>}
+ * 
+ * @example
+ * const { error } = await supportReport({ reportId: similarReport.id, citizenUserId: user.id, audioFile });
+ */
+export async function supportReport({ reportId, citizenUserId, audioFile = null }) {
+  try {
+    if (!citizenUserId) {
+      return {
+        supporter: null,
+        error: { message: 'Vous devez être connecté pour soutenir un signalement', code: 'NOT_AUTHENTICATED' }
+      };
+    }
+
+    let audioUrl = null;
+    if (audioFile) {
+      const audioUploadResult = await storageApi.uploadReportAudio(audioFile, reportId);
+      if (audioUploadResult.error) {
+        return { supporter: null, error: audioUploadResult.error };
+      }
+      audioUrl = audioUploadResult.url;
+    }
+
+    const { data, error } = await reportApi.addReportSupporter({
+      report_id: reportId,
+      citizen_user_id: citizenUserId,
+      audio_url: audioUrl
+    });
+
+    if (error) {
+      return { supporter: null, error };
+    }
+
+    return { supporter: data, error: null };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue supportReport:', err);
+    return {
+      supporter: null,
+      error: {
+        message: err.message || 'Une erreur est survenue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Placer un signalement dans l'outbox hors-ligne
+ * 
+ * @param {Object} payload - Champs du signalement
+ * @param {Object} files - { imageFile, audioFile }
+ * @param {Object} [uploaded] - URLs déjà uploadées avant la coupure
+ * @returns {Promise<{report: null, error: null, validationErrors: null, queued: boolean, outboxItem: Object}>}
+ */
+async function queueOfflineReport(payload, files, uploaded = {}) {
+  console.log('📴 Pas de connexion, signalement mis en attente...');
+
+  const item = await outbox.addToOutbox({ ...payload, ...files });
+
+  if (uploaded.image_url || uploaded.audio_url) {
+    await outbox.updateOutboxItem(item.id, {
+      uploaded: { ...item.uploaded, ...uploaded }
+    });
+  }
+
+  return {
+    report: null,
+    error: null,
+    validationErrors: null,
+    queued: true,
+    outboxItem: item
+  };
+}
+
+/**
+ * Calculer la date de la prochaine tentative (backoff exponentiel)
+ * 
+ * @param {number} attempts - Nombre de tentatives déjà effectuées
+ * @returns {string} Date ISO
+ */
+function getNextAttemptDate(attempts) {
+  const delay = Math.min(
+    OUTBOX_RETRY_OPTIONS.baseDelayMs * 2 ** Math.max(0, attempts - 1),
+    OUTBOX_RETRY_OPTIONS.maxDelayMs
+  );
+  return new Date(Date.now() + delay).toISOString();
+}
+
+let syncInProgress = null;
+
+/**
+ * Rejouer les signalements en attente dans l'outbox
+ * 
+ * Pour chaque élément dont la prochaine tentative est échue :
+ * - upload image/audio via storageApi (sauf si déjà uploadés)
+ * - création via reportApi.createReport, avec l'id de l'élément comme clé
+ *   d'idempotence (un signalement déjà créé est récupéré, pas dupliqué)
+ * - suppression de l'outbox en cas de succès
+ * - sinon : backoff exponentiel, et statut "failed" après maxAttempts échecs
+ *   (les coupures réseau ne comptent pas comme des échecs)
+ * 
+ * Un seul rejeu s'exécute à la fois : les appels concurrents reçoivent le même résultat.
+ * 
+ * @param {Object} [options]
+ * @param {string} [options.citizenUserId] - Ne rejouer que les signalements de ce citoyen
+ * @param {boolean} [options.force=false] - Ignorer la date de prochaine tentative
+ * 
+ * @returns {Promise<{sent: Array<{id: string, report: Object}>, failed: Array<{id: string, error: Object, status: string}>, remaining: number}>}
+ * 
+ * @example
+ * const { sent, failed } = await syncOfflineReports({ citizenUserId: user.id });
+ * failed.forEach(f => console.warn(f.id, f.error.message));
+ */
+export function syncOfflineReports(options = {}) {
+  if (!syncInProgress) {
+    syncInProgress = runOfflineSync(options).finally(() => {
+      syncInProgress = null;
+    });
+  }
+  return syncInProgress;
+}
+
+async function runOfflineSync({ citizenUserId = null, force = false } = {}) {
+  const result = { sent: [], failed: [], remaining: 0 };
+
+  if (!outbox.isOutboxSupported()) {
+    return result;
+  }
+
+  try {
+    const items = await outbox.getOutboxItems(citizenUserId);
+    const now = Date.now();
+
+    for (const item of items) {
+      const isDue = force || new Date(item.nextAttemptAt).getTime() <= now;
+
+      if (item.status === outbox.OUTBOX_STATUS.FAILED || !isDue) {
+        result.remaining++;
+        continue;
+      }
+
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        result.remaining++;
+        continue;
+      }
+
+      console.log(`🔁 Rejeu du signalement hors-ligne: ${item.id} (tentative ${item.attempts + 1})`);
+      await outbox.updateOutboxItem(item.id, { status: outbox.OUTBOX_STATUS.SENDING });
+
+      const { imageFile, audioFile, ...payload } = item.payload;
+      const sendResult = await uploadAndCreateReport(
+        { ...payload, client_request_id: payload.client_request_id || item.id },
+        { imageFile, audioFile },
+        item.uploaded
+      );
+
+      if (!sendResult.error) {
+        await outbox.removeFromOutbox(item.id, { report: sendResult.report });
+        result.sent.push({ id: item.id, report: sendResult.report });
+        console.log('✅ Signalement hors-ligne envoyé:', sendResult.report.id);
+        continue;
+      }
+
+      const networkFailure = isNetworkError(sendResult.error);
+      const attempts = networkFailure ? item.attempts : item.attempts + 1;
+      const status = attempts >= OUTBOX_RETRY_OPTIONS.maxAttempts
+        ? outbox.OUTBOX_STATUS.FAILED
+        : outbox.OUTBOX_STATUS.PENDING;
+
+      await outbox.updateOutboxItem(item.id, {
+        status,
+        attempts,
+        uploaded: sendResult.uploaded,
+        nextAttemptAt: getNextAttemptDate(Math.max(attempts, 1)),
+        lastError: {
+          message: sendResult.error.message || 'Erreur inattendue',
+          code: sendResult.error.code || (networkFailure ? 'NETWORK_ERROR' : 'UNEXPECTED_ERROR'),
+          at: new Date().toISOString()
+        }
+      });
+
+      result.failed.push({ id: item.id, error: sendResult.error, status });
+      result.remaining++;
+      console.warn(`⚠️ Échec rejeu ${item.id}:`, sendResult.error.message);
+    }
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue syncOfflineReports:', err);
+  }
+
+  return result;
+}
+
+/**
+ * Relancer manuellement un signalement hors-ligne (ex: après un statut "failed")
+ * 
+ * @param {string} outboxId - ID de l'élément dans l'outbox
+ * @returns {Promise<{sent: Array, failed: Array, remaining: number}>}
+ */
+export async function retryOfflineReport(outboxId) {
+  const item = await outbox.updateOutboxItem(outboxId, {
+    status: outbox.OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString()
+  });
+
+  return await syncOfflineReports({ citizenUserId: item?.payload?.citizen_user_id || null });
+}
+
+/**
+ * Abandonner un signalement hors-ligne (supprimé de l'outbox sans envoi)
+ * 
+ * @param {string} outboxId - ID de l'élément dans l'outbox
+ * @returns {Promise<void>}
+ */
+export async function discardOfflineReport(outboxId) {
+  await outbox.removeFromOutbox(outboxId);
+}
+
 /**
  * Récupérer tous les signalements avec filtres
  * (Simple wrapper autour de reportApi pour cohérence)
@@ -363,6 +796,45 @@ export async function getCitizenReports(userId, options = {}) {
   return await reportApi.getCitizenReports(userId, options);
 }
 
+/**
+ * Paramètres de la carte chargée par zone affichée
+ * - aggregateUntilZoom : jusqu'à ce zoom, le serveur renvoie des agrégats
+ * - cellPixels : taille à l'écran d'une case d'agrégation
+ */
+const MAP_VIEWPORT_OPTIONS = {
+  aggregateUntilZoom: 11,
+  cellPixels: 80
+};
+
+/**
+ * Récupérer ce qu'affiche la carte pour une emprise et un zoom
+ * 
+ * Aux petits zooms (vue régionale / nationale), des agrégats par case
+ * sont demandés au serveur ; au-delà, les signalements eux-mêmes
+ * (regroupés ensuite à l'écran par MapView).
+ * 
+ * @param {Object} bounds - Emprise { south, west, north, east } (degrés)
+ * @param {number} zoom - Zoom Leaflet courant
+ * @param {Object} [filters] - { status, commune_id, citizen_user_id }
+ * 
+ * @returns {Promise<{mode: 'clusters'|'reports', data: Array|null, hasMore: boolean, error: Object|null}>}
+ * 
+ * @example
+ * const { mode, data } = await getMapReports(bounds, 8, { status: 'pending' });
+ * // mode = 'clusters' → data = [{ latitude, longitude, count, counts }]
+ */
+export async function getMapReports(bounds, zoom, filters = {}) {
+  if (zoom <= MAP_VIEWPORT_OPTIONS.aggregateUntilZoom) {
+    // Degrés couverts par une case de cellPixels au zoom courant (tuiles de 256 px)
+    const cellSize = (360 / (256 * 2 ** zoom)) * MAP_VIEWPORT_OPTIONS.cellPixels;
+    const { data, error } = await reportApi.getReportClustersInBounds(bounds, { ...filters, cellSize });
+    return { mode: 'clusters', data, hasMore: false, error };
+  }
+
+  const { data, hasMore, error } = await reportApi.getReportsInBounds(bounds, filters);
+  return { mode: 'reports', data, hasMore, error };
+}
+
 /**
  * Calculer les statistiques des signalements d'une commune (AGENT)
  * 
@@ -395,11 +867,8 @@ export async function getAgentStatistics(communeId) {
 
     console.log(`📊 Calcul des statistiques pour la commune: ${communeId}`);
 
-    // Récupérer TOUS les signalements de la commune (via RLS)
-    const { data: reports, error } = await reportApi.getAllReports({
-      commune_id: communeId,
-      limit: 1000 // Limite haute pour avoir tous les signalements
-    });
+    // Agrégats calculés côté serveur (via RLS)
+    const { data, error } = await reportApi.getReportStatistics({ communeId });
 
     if (error) {
       return {
@@ -408,29 +877,17 @@ export async function getAgentStatistics(communeId) {
       };
     }
 
-    // Calcul des statistiques par statut
+    // Statistiques par statut + répartitions par type et priorité
     const stats = {
-      total: reports.length,
-      pending: reports.filter(r => r.status === 'pending').length,
-      in_progress: reports.filter(r => r.status === 'in_progress').length,
-      resolved: reports.filter(r => r.status === 'resolved').length,
-      rejected: reports.filter(r => r.status === 'rejected').length,
+      total: data.total,
+      pending: data.by_status.pending || 0,
+      in_progress: data.by_status.in_progress || 0,
+      resolved: data.by_status.resolved || 0,
+      rejected: data.by_status.rejected || 0,
+      by_type: data.by_type,
+      by_priority: data.by_priority
     };
 
-    // Calcul des statistiques par type (optionnel)
-    const byType = {};
-    reports.forEach(r => {
-      byType[r.type] = (byType[r.type] || 0) + 1;
-    });
-    stats.by_type = byType;
-
-    // Calcul des statistiques par priorité (optionnel)
-    const byPriority = {};
-    reports.forEach(r => {
-      byPriority[r.priority] = (byPriority[r.priority] || 0) + 1;
-    });
-    stats.by_priority = byPriority;
-
     console.log(`✅ Statistiques calculées:`, stats);
 
     return {
@@ -566,6 +1023,7 @@ export function exportToCSV(reports) {
       'Statut',
       'Priorité',
       'Commune',
+      'Adresse',
       'Latitude',
       'Longitude',
       'Citoyen',
@@ -582,6 +1040,7 @@ export function exportToCSV(reports) {
       r.status || '',
       r.priority || '',
       r.commune?.name || r.commune_id || '',
+      (geocodingService.getReportAddress(r) || '').replace(/"/g, '""'),
       r.latitude || '',
       r.longitude || '',
       (r.citizen_name || '').replace(/"/g, '""'),
@@ -665,24 +1124,14 @@ export async function calculateGlobalAnalytics() {
       return { analytics: null, error: topError };
     }
 
-    // Récupérer TOUS les signalements pour analytics détaillés
-    const { data: allReports, error: reportsError } = await reportApi.getAdminReports({ limit: 10000 });
-    if (reportsError) {
-      return { analytics: null, error: reportsError };
+    // Répartition par type + comptage journalier (30 derniers jours), agrégés côté serveur
+    const { aggregates, error: aggregatesError } = await getReportAggregates({ periodDays: 30 });
+    if (aggregatesError) {
+      return { analytics: null, error: aggregatesError };
     }
 
-    // Calculer répartition par type
-    const byType = {
-      road: allReports.filter(r => r.type === 'road').length,
-      lighting: allReports.filter(r => r.type === 'lighting').length,
-      water: allReports.filter(r => r.type === 'water').length,
-      waste: allReports.filter(r => r.type === 'waste').length,
-      security: allReports.filter(r => r.type === 'security').length,
-      other: allReports.filter(r => r.type === 'other').length,
-    };
-
-    // Calculer trends (30 derniers jours)
-    const trends = calculateTrends(allReports, 30);
+    const byType = pickCounts(aggregates.by_type, REPORT_TYPES);
+    const trends = aggregates.trends;
 
     const analytics = {
       global_stats: globalStats,
@@ -767,33 +1216,128 @@ export async function updateType(reportId, newType) {
 }
 
 /**
- * Calculer les trends (évolution dans le temps)
+ * ═══════════════════════════════════════════════════════════
+ * AGRÉGATS (tableaux de bord / analytics)
+ * ═══════════════════════════════════════════════════════════
+ */
+
+/**
+ * Récupérer les agrégats d'une période (comptés côté serveur)
+ * 
+ * @param {Object} [options]
+ * @param {string} [options.communeId] - Limiter à une commune (agent)
+ * @param {number|null} [options.periodDays] - Nombre de jours (null = tout l'historique)
  * 
- * @param {Array} reports - Tous les signalements
- * @param {number} days - Nombre de jours à analyser
- * @returns {Array} - Array de points { date, count }
+ * @returns {Promise<{aggregates: Object|null, error: Object|null}>}
+ *   aggregates = { total, by_status, by_priority, by_type, trends: [{ date, count }] }
+ *   trends couvre toujours `periodDays` jours (30 si tout l'historique), jours vides inclus
+ * 
+ * @example
+ * const { aggregates } = await getReportAggregates({ communeId: 'uuid-dakar', periodDays: 7 });
  */
-function calculateTrends(reports, days = 30) {
-  const now = new Date();
-  const trends = [];
+export async function getReportAggregates(options = {}) {
+  try {
+    const { communeId = null, periodDays = 30 } = options;
+    const trendDays = periodDays || 30;
+
+    const dateFrom = periodDays ? getPeriodStart(periodDays) : null;
+
+    const [statsResult, dailyResult] = await Promise.all([
+      reportApi.getReportStatistics({ communeId, dateFrom }),
+      reportApi.getDailyReportCounts({ communeId, dateFrom: getPeriodStart(trendDays) })
+    ]);
+
+    if (statsResult.error) {
+      return { aggregates: null, error: statsResult.error };
+    }
+    if (dailyResult.error) {
+      return { aggregates: null, error: dailyResult.error };
+    }
 
-  for (let i = days - 1; i >= 0; i--) {
-    const targetDate = new Date(now);
-    targetDate.setDate(targetDate.getDate() - i);
-    targetDate.setHours(0, 0, 0, 0);
+    return {
+      aggregates: {
+        ...statsResult.data,
+        trends: buildDailyTrends(dailyResult.data, trendDays)
+      },
+      error: null
+    };
+
+  } catch (err) {
+    console.error('❌ Erreur inattendue getReportAggregates:', err);
+    return {
+      aggregates: null,
+      error: {
+        message: err.message || 'Erreur inattendue',
+        code: 'UNEXPECTED_ERROR'
+      }
+    };
+  }
+}
+
+/**
+ * Extraire des comptages pour une liste de clés fixe (0 si absente)
+ * 
+ * @param {Object} counts - Comptages renvoyés par le serveur ({ voirie: 12, ... })
+ * @param {Array<string>} keys - Clés attendues par les graphiques
+ * @returns {Object}
+ * 
+ * @example
+ * pickCounts({ pending: 3 }, ['pending', 'resolved']); // { pending: 3, resolved: 0 }
+ */
+export function pickCounts(counts = {}, keys = []) {
+  const distribution = {};
+  keys.forEach((key) => {
+    distribution[key] = counts[key] || 0;
+  });
+  return distribution;
+}
 
-    const nextDate = new Date(targetDate);
-    nextDate.setDate(nextDate.getDate() + 1);
+/**
+ * Début (minuit, heure locale) d'une période de N jours se terminant aujourd'hui
+ * 
+ * @param {number} days - Nombre de jours
+ * @returns {Date}
+ */
+function getPeriodStart(days) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - (days - 1));
+  startDate.setHours(0, 0, 0, 0);
+  return startDate;
+}
 
-    const count = reports.filter(r => {
-      const createdAt = new Date(r.created_at);
-      return createdAt >= targetDate && createdAt < nextDate;
-    }).length;
+/**
+ * Date locale au format YYYY-MM-DD (même format que report_daily_counts)
+ */
+function toLocalDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Construire la série des trends (évolution dans le temps) à partir du comptage journalier
+ * 
+ * @param {Array} dailyCounts - [{ date, count }] renvoyé par reportApi.getDailyReportCounts
+ * @param {number} days - Nombre de jours à afficher (se terminant aujourd'hui)
+ * @returns {Array} - Array de points { date, count }, un par jour (0 si aucun signalement)
+ */
+export function buildDailyTrends(dailyCounts = [], days = 30) {
+  const countsByDate = {};
+  dailyCounts.forEach(({ date, count }) => {
+    countsByDate[date] = count;
+  });
+
+  const trends = [];
+  const targetDate = getPeriodStart(days);
 
+  for (let i = 0; i < days; i++) {
+    const date = toLocalDateKey(targetDate);
     trends.push({
-      date: targetDate.toISOString().split('T')[0], // Format: 2025-10-25
-      count: count
+      date, // Format: 2025-10-25
+      count: countsByDate[date] || 0
     });
+    targetDate.setDate(targetDate.getDate() + 1);
   }
 
   return trends;
@@ -803,15 +1347,27 @@ export default {
   compressImage,
   validateReportData,
   submitReport,
+  syncOfflineReports,
+  retryOfflineReport,
+  discardOfflineReport,
+  isNetworkError,
+  findSimilarReport,
+  supportReport,
   getAllReports,
   getReportById,
   getAgentStatistics,
   getCitizenStatistics,
   getCitizenReports,
+  getMapReports,
   updateType,
   exportToCSV,
   downloadCSV,
   calculateGlobalAnalytics,
-  COMPRESSION_OPTIONS
+  getReportAggregates,
+  buildDailyTrends,
+  pickCounts,
+  COMPRESSION_OPTIONS,
+  OUTBOX_RETRY_OPTIONS,
+  DUPLICATE_DETECTION_OPTIONS
 };
 
@@ -0,0 +1,453 @@
+import sttConfig from '@/config/stt';
+import aiConfig from '@/config/ai';
+import * as aiApi from '@/api/aiApi';
+
+/**
+ * Service de reconnaissance vocale (Speech-to-Text) multi-fournisseurs
+ *
+ * Interface commune des fournisseurs :
+ * - name : 'web-speech' | 'gemini' | 'self-hosted'
+ * - mode : 'streaming' (écoute en direct du micro) ou 'batch' (enregistrement
+ *   transcrit à la fin)
+ * - isAvailable({ language, offline }) : Promise<boolean>
+ * - createSession(options) : session d'écoute { start, stop, abort } (streaming)
+ * - transcribe(audioBlob, { language }) : Promise<résultat> (batch)
+ *
+ * Résultat normalisé, quel que soit le fournisseur :
+ * { text, confidence, words: [{ word, start, end, confidence }], language, provider }
+ * (confidence entre 0 et 1 ou null ; start / end en secondes, estimés pour
+ * Web Speech qui ne fournit pas les temps par mot)
+ *
+ * Sélection : premier fournisseur disponible dans l'ordre configuré pour la
+ * langue (src/config/stt.js). Hors-ligne, seule la reconnaissance embarquée
+ * du navigateur (Web Speech « processLocally ») reste utilisable.
+ */
+
+export const STT_MODES = {
+  STREAMING: 'streaming',
+  BATCH: 'batch'
+};
+
+const WEB_SPEECH_LOCALES = {
+  fr: 'fr-FR',
+  wo: 'wo-SN'
+};
+
+// Durée de validité du test de santé du serveur auto-hébergé
+const HEALTH_CACHE_MS = 60 * 1000;
+
+/**
+ * Code langue court ('fr' | 'wo') depuis 'fr', 'fr-FR', 'wo-SN'...
+ *
+ * @param {string} language
+ * @returns {string}
+ */
+export function toSttLanguage(language) {
+  return language?.toLowerCase().startsWith('wo') ? 'wo' : 'fr';
+}
+
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Encoder un Blob audio en base64 (envoi à la passerelle IA)
+ *
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function blobToBase64(blob) {
+  const buffer = await blob.arrayBuffer();
+  let binary = '';
+  const bytes = new Uint8Array(buffer);
+  const chunkSize = 0x8000;
+
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    const chunk = bytes.subarray(i, i + chunkSize);
+    binary += String.fromCharCode.apply(null, chunk);
+  }
+
+  return btoa(binary);
+}
+
+function toNumberOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Mots avec temps (réponse serveur : words[] ou segments[].words[])
+ */
+function normalizeWords(raw = {}) {
+  const words = Array.isArray(raw.words)
+    ? raw.words
+    : (raw.segments || []).flatMap((segment) => segment.words || []);
+
+  return words
+    .map((item) => ({
+      word: String(item.word ?? item.text ?? '').trim(),
+      start: toNumberOrNull(item.start),
+      end: toNumberOrNull(item.end),
+      confidence: toNumberOrNull(item.confidence ?? item.probability)
+    }))
+    .filter((item) => item.word);
+}
+
+/**
+ * Construire le résultat normalisé d'une transcription
+ *
+ * @param {Object} raw - { text, confidence, words | segments }
+ * @param {Object} context - { language, provider }
+ * @returns {{text: string, confidence: number|null, words: Array, language: string, provider: string}}
+ */
+export function createTranscriptionResult(raw = {}, { language, provider }) {
+  const text = String(raw.text ?? raw.transcription ?? '').trim();
+  const confidence = toNumberOrNull(raw.confidence);
+
+  return {
+    text,
+    confidence: confidence === null ? null : Math.min(1, Math.max(0, confidence)),
+    words: normalizeWords(raw),
+    language,
+    provider
+  };
+}
+
+/**
+ * Mots d'un segment Web Speech, répartis uniformément sur sa durée
+ */
+function estimateWordTimings(text, start, end, confidence) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const step = words.length > 0 ? (end - start) / words.length : 0;
+
+  return words.map((word, index) => ({
+    word,
+    start: start + index * step,
+    end: start + (index + 1) * step,
+    confidence
+  }));
+}
+
+const WEB_SPEECH_ERRORS = {
+  'no-speech': { code: 'NO_SPEECH', message: 'Aucune parole détectée. Veuillez réessayer.' },
+  'audio-capture': { code: 'NO_MICROPHONE', message: 'Aucun microphone détecté. Vérifiez votre matériel.' },
+  'not-allowed': { code: 'PERMISSION_DENIED', message: 'L\'accès au microphone a été refusé. Veuillez autoriser l\'accès dans les paramètres.' },
+  network: { code: 'NETWORK_ERROR', message: 'Erreur réseau. Vérifiez votre connexion.' },
+  'language-not-supported': { code: 'LANGUAGE_NOT_SUPPORTED', message: 'Cette langue n\'est pas reconnue par le navigateur.' }
+};
+
+function getSpeechRecognitionClass() {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+/**
+ * Fournisseur Web Speech (SpeechRecognition du navigateur)
+ */
+const webSpeechProvider = {
+  name: 'web-speech',
+  mode: STT_MODES.STREAMING,
+
+  async isAvailable({ language, offline }) {
+    const SpeechRecognition = getSpeechRecognitionClass();
+    if (!SpeechRecognition) {
+      return false;
+    }
+
+    // Chrome 139+ : disponibilité par langue, reconnaissance embarquée hors-ligne
+    if (typeof SpeechRecognition.available === 'function') {
+      try {
+        const status = await SpeechRecognition.available({
+          langs: [WEB_SPEECH_LOCALES[language]],
+          processLocally: offline
+        });
+        return status === 'available' || (!offline && status === 'downloadable');
+      } catch {
+        return false;
+      }
+    }
+
+    // Sans cette API : reconnaissance en ligne uniquement, et le wolof
+    // n'est pas pris en charge par les navigateurs courants
+    return !offline && language !== 'wo';
+  },
+
+  /**
+   * @param {Object} options
+   * @param {string} options.language - 'fr' | 'wo'
+   * @param {boolean} [options.continuous=false]
+   * @param {boolean} [options.interimResults=true]
+   * @param {Function} options.onStart
+   * @param {Function} options.onResult - (résultat, { isFinal })
+   * @param {Function} options.onError - ({ code, message })
+   * @param {Function} options.onEnd
+   */
+  createSession({ language, continuous = false, interimResults = true, onStart, onResult, onError, onEnd }) {
+    const SpeechRecognition = getSpeechRecognitionClass();
+    const recognition = new SpeechRecognition();
+    const locale = WEB_SPEECH_LOCALES[language];
+
+    recognition.lang = locale;
+    recognition.continuous = continuous;
+    recognition.interimResults = interimResults;
+    recognition.maxAlternatives = 1;
+    if (isOffline() && 'processLocally' in recognition) {
+      recognition.processLocally = true;
+    }
+
+    let startedAt = 0;
+    let lastFinalAt = 0;
+    let finalText = '';
+    let finalWords = [];
+    const confidences = [];
+
+    recognition.onstart = () => {
+      startedAt = performance.now();
+      onStart?.();
+    };
+
+    recognition.onresult = (event) => {
+      let interimText = '';
+      const now = (performance.now() - startedAt) / 1000;
+
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const { transcript, confidence } = event.results[i][0];
+
+        if (event.results[i].isFinal) {
+          finalText = `${finalText} ${transcript}`.trim();
+          finalWords = finalWords.concat(estimateWordTimings(transcript, lastFinalAt, now, confidence || null));
+          if (confidence) {
+            confidences.push(confidence);
+          }
+          lastFinalAt = now;
+        } else {
+          interimText += transcript;
+        }
+      }
+
+      const isFinal = !interimText;
+      const text = isFinal ? finalText : `${finalText} ${interimText}`.trim();
+      const confidence = confidences.length > 0
+        ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+        : null;
+
+      onResult?.(
+        createTranscriptionResult({ text, confidence, words: finalWords }, { language, provider: 'web-speech' }),
+        { isFinal }
+      );
+    };
+
+    recognition.onerror = (event) => {
+      // Arrêt manuel
+      if (event.error === 'aborted') {
+        return;
+      }
+
+      const mapped = WEB_SPEECH_ERRORS[event.error] || {
+        code: 'RECOGNITION_ERROR',
+        message: event.error || 'Erreur lors de la reconnaissance vocale'
+      };
+      console.error('❌ Erreur reconnaissance vocale:', event.error);
+      onError?.({ ...mapped, originalError: event });
+    };
+
+    recognition.onend = () => {
+      onEnd?.();
+    };
+
+    return {
+      start: () => recognition.start(),
+      stop: () => recognition.stop(),
+      abort: () => recognition.abort()
+    };
+  }
+};
+
+/**
+ * Fournisseur Gemini (passerelle IA)
+ */
+const geminiProvider = {
+  name: 'gemini',
+  mode: STT_MODES.BATCH,
+
+  async isAvailable({ offline }) {
+    // Le fournisseur de test de la passerelle tourne dans le navigateur
+    return aiConfig.enabled && (!offline || aiConfig.provider === 'mock');
+  },
+
+  async transcribe(audioBlob, { language }) {
+    const { data, error } = await aiApi.transcribeAudio({
+      audioBase64: await blobToBase64(audioBlob),
+      mimeType: audioBlob.type || 'audio/webm',
+      language
+    });
+
+    if (error) {
+      throw Object.assign(new Error(error.message), { code: error.code });
+    }
+
+    return createTranscriptionResult(data || {}, { language, provider: 'gemini' });
+  }
+};
+
+let serverHealth = { checkedAt: 0, ok: false };
+
+/**
+ * Fournisseur auto-hébergé (Whisper / wav2vec)
+ *
+ * Contrat HTTP attendu de VITE_STT_SERVER_URL :
+ * - GET /health → 200
+ * - POST /transcribe (multipart : file, language) →
+ *   { text, confidence?, words?: [{ word, start, end, probability }] }
+ *   ou segments[].words[] (format Whisper)
+ */
+const selfHostedProvider = {
+  name: 'self-hosted',
+  mode: STT_MODES.BATCH,
+
+  async isAvailable({ offline }) {
+    if (!sttConfig.serverUrl || offline) {
+      return false;
+    }
+
+    if (Date.now() - serverHealth.checkedAt < HEALTH_CACHE_MS) {
+      return serverHealth.ok;
+    }
+
+    try {
+      const response = await fetch(`${sttConfig.serverUrl}/health`, { method: 'GET' });
+      serverHealth = { checkedAt: Date.now(), ok: response.ok };
+    } catch (err) {
+      console.warn('⚠️ Serveur de transcription non disponible:', err.message);
+      serverHealth = { checkedAt: Date.now(), ok: false };
+    }
+
+    return serverHealth.ok;
+  },
+
+  async transcribe(audioBlob, { language }) {
+    const formData = new FormData();
+    formData.append('file', audioBlob, 'speech.webm');
+    formData.append('language', language);
+
+    const response = await fetch(`${sttConfig.serverUrl}/transcribe`, {
+      method: 'POST',
+      body: formData
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw Object.assign(new Error(errorData.detail || `Erreur ${response.status}`), {
+        code: 'TRANSCRIPTION_ERROR'
+      });
+    }
+
+    return createTranscriptionResult(await response.json(), { language, provider: 'self-hosted' });
+  }
+};
+
+const PROVIDERS = {
+  'web-speech': webSpeechProvider,
+  gemini: geminiProvider,
+  'self-hosted': selfHostedProvider
+};
+
+/**
+ * Fournisseurs disponibles pour une langue, dans l'ordre de préférence
+ *
+ * @param {string} language - 'fr' | 'wo' (ou 'fr-FR', 'wo-SN')
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Limiter à un mode (STT_MODES)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAvailableSttProviders(language, options = {}) {
+  const lang = toSttLanguage(language);
+  const offline = isOffline();
+  const candidates = sttConfig.providers[lang]
+    .map((name) => PROVIDERS[name])
+    .filter((provider) => !options.mode || provider.mode === options.mode);
+
+  const availability = await Promise.all(
+    candidates.map((provider) => provider.isAvailable({ language: lang, offline }))
+  );
+
+  return candidates.filter((_, index) => availability[index]);
+}
+
+/**
+ * Fournisseur à utiliser pour une langue (null si aucun disponible)
+ *
+ * @param {string} language - 'fr' | 'wo'
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Limiter à un mode (STT_MODES)
+ * @returns {Promise<Object|null>}
+ *
+ * @example
+ * const provider = await selectSttProvider('wo');
+ * // → fournisseur 'self-hosted' si VITE_STT_SERVER_URL répond
+ */
+export async function selectSttProvider(language, options = {}) {
+  const [provider] = await getAvailableSttProviders(language, options);
+  return provider || null;
+}
+
+/**
+ * Transcrire un enregistrement avec le premier fournisseur « batch »
+ * disponible ; en cas d'échec, le suivant est essayé
+ *
+ * @param {Blob} audioBlob - Enregistrement (WebM / Opus)
+ * @param {Object} [options]
+ * @param {string} [options.language='fr'] - 'fr' | 'wo'
+ *
+ * @returns {Promise<{data: Object|null, error: Object|null}>} Résultat normalisé
+ *
+ * @example
+ * const { data } = await transcribeAudio(audioBlob, { language: 'wo' });
+ * console.log(data.text, data.words);
+ */
+export async function transcribeAudio(audioBlob, options = {}) {
+  const language = toSttLanguage(options.language);
+
+  if (!audioBlob) {
+    return {
+      data: null,
+      error: { message: 'Aucun audio à transcrire', code: 'NO_AUDIO' }
+    };
+  }
+
+  const providers = await getAvailableSttProviders(language, { mode: STT_MODES.BATCH });
+  let lastError = null;
+
+  for (const provider of providers) {
+    try {
+      const result = await provider.transcribe(audioBlob, { language });
+      console.log(`✅ Transcription ${provider.name} (${language}) : ${result.words.length} mots`);
+      return { data: result, error: null };
+    } catch (err) {
+      console.warn(`⚠️ Transcription ${provider.name} échouée, fournisseur suivant:`, err.message);
+      lastError = { message: err.message || 'Erreur de transcription', code: err.code || 'TRANSCRIPTION_ERROR' };
+    }
+  }
+
+  if (lastError) {
+    return { data: null, error: lastError };
+  }
+
+  return {
+    data: null,
+    error: isOffline()
+      ? { message: 'Transcription indisponible hors-ligne', code: 'OFFLINE' }
+      : { message: 'Aucun service de transcription disponible', code: 'NO_PROVIDER' }
+  };
+}
+
+export default {
+  STT_MODES,
+  toSttLanguage,
+  blobToBase64,
+  createTranscriptionResult,
+  getAvailableSttProviders,
+  selectSttProvider,
+  transcribeAudio
+};
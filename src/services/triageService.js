@@ -0,0 +1,309 @@
+import * as triageApi from '@/api/triageApi';
+import { normalizeSearchText } from '@/utils/searchText';
+import { REPORT_TYPES } from '@/config/reportOptions';
+
+/**
+ * Service Layer pour le triage automatique des signalements
+ *
+ * Logique métier :
+ * - Évaluer les règles de triage (table triage_rules) sur un signalement
+ * - Suggérer une priorité à partir de la gravité estimée par l'IA,
+ *   de la catégorie, des mots-clés et du nombre de soutiens
+ * - Repli sur les règles par défaut si les règles ne peuvent pas être lues
+ *
+ * La suggestion n'est jamais appliquée automatiquement : l'agent l'accepte
+ * en un clic dans PriorityUpdateForm.
+ *
+ * Note : Ce layer ne fait PAS d'appels directs à Supabase
+ * Il utilise l'API triageApi
+ */
+
+/**
+ * Ordre des priorités (de la plus faible à la plus haute)
+ */
+export const PRIORITY_ORDER = ['low', 'normal', 'high', 'urgent'];
+
+/**
+ * Catégories proposées dans l'éditeur de règles (mêmes valeurs que l'analyse IA)
+ */
+export const TRIAGE_CATEGORIES = REPORT_TYPES;
+
+/**
+ * Règles par défaut (identiques à celles insérées par la migration triage_rules)
+ */
+export const DEFAULT_TRIAGE_RULES = [
+  {
+    id: 'default-danger',
+    name: 'Danger pour les personnes',
+    category: null,
+    severity: null,
+    keywords: ['bless*', 'incendi*', 'feu', 'feux', 'fil électrique', 'fils électriques', 'électrocu*', 'effondr*', 'noyade'],
+    min_supporters: null,
+    priority: 'urgent',
+    enabled: true,
+    position: 10
+  },
+  {
+    id: 'default-securite-high',
+    name: 'Sécurité - gravité élevée',
+    category: 'securite',
+    severity: 'high',
+    keywords: [],
+    min_supporters: null,
+    priority: 'urgent',
+    enabled: true,
+    position: 20
+  },
+  {
+    id: 'default-inondation',
+    name: 'Inondation',
+    category: 'eau',
+    severity: null,
+    keywords: ['inond*'],
+    min_supporters: null,
+    priority: 'high',
+    enabled: true,
+    position: 30
+  },
+  {
+    id: 'default-high',
+    name: 'Gravité élevée',
+    category: null,
+    severity: 'high',
+    keywords: [],
+    min_supporters: null,
+    priority: 'high',
+    enabled: true,
+    position: 40
+  },
+  {
+    id: 'default-supporters-10',
+    name: 'Signalé par 10 citoyens ou plus',
+    category: null,
+    severity: null,
+    keywords: [],
+    min_supporters: 10,
+    priority: 'urgent',
+    enabled: true,
+    position: 50
+  },
+  {
+    id: 'default-supporters-5',
+    name: 'Signalé par 5 citoyens ou plus',
+    category: null,
+    severity: null,
+    keywords: [],
+    min_supporters: 5,
+    priority: 'high',
+    enabled: true,
+    position: 60
+  },
+  {
+    id: 'default-low',
+    name: 'Gravité faible',
+    category: null,
+    severity: 'low',
+    keywords: [],
+    min_supporters: null,
+    priority: 'low',
+    enabled: true,
+    position: 70
+  }
+];
+
+/**
+ * Récupérer les règles actives (repli sur DEFAULT_TRIAGE_RULES en cas d'erreur)
+ *
+ * @returns {Promise<{data: Array, error: Object|null}>} data est toujours un tableau
+ *
+ * @example
+ * const { data: rules } = await getActiveTriageRules();
+ */
+export async function getActiveTriageRules() {
+  const { data, error } = await triageApi.getTriageRules({ enabledOnly: true });
+
+  if (error) {
+    console.warn('⚠️ Règles de triage indisponibles, règles par défaut utilisées:', error.message);
+    return { data: DEFAULT_TRIAGE_RULES, error };
+  }
+
+  return { data, error: null };
+}
+
+/**
+ * Texte normalisé d'un signalement dans lequel chercher les mots-clés
+ * (description, transcription, résumé et mots-clés de l'analyse IA)
+ */
+function getReportTriageText(report) {
+  const analysis = report.audio_analysis || {};
+  return ` ${normalizeSearchText([
+    report.description,
+    report.audio_transcription,
+    analysis.summary,
+    ...(analysis.keywords || [])
+  ].filter(Boolean).join(' '))} `;
+}
+
+/**
+ * Mot-clé d'une règle : mot (ou expression) entier, ou début de mot s'il
+ * se termine par « * » (« bless* » trouve « blessé », « blessées »)
+ *
+ * @returns {{text: string, prefix: boolean}} text normalisé ('' si vide)
+ */
+function parseKeyword(keyword) {
+  const prefix = keyword.trim().endsWith('*');
+  return { text: normalizeSearchText(keyword.replace(/\*+$/, '')), prefix };
+}
+
+/**
+ * Un mot-clé apparaît-il dans le texte normalisé (entouré d'espaces) ?
+ * « feu » trouve « feu » mais pas « feuille »
+ */
+function containsKeyword(reportText, { text, prefix }) {
+  return reportText.includes(prefix ? ` ${text}` : ` ${text} `);
+}
+
+/**
+ * Vérifier si une règle s'applique à un signalement
+ *
+ * Toutes les conditions renseignées doivent être vraies :
+ * - category : catégorie IA (ou type du signalement à défaut)
+ * - severity : gravité estimée par l'IA
+ * - keywords : au moins un mot-clé présent (mot entier, ou début de mot avec « * » ;
+ *   insensible aux accents et à la casse)
+ * - min_supporters : nombre de soutiens (doublons fusionnés) minimum
+ *
+ * @param {Object} rule - Règle de triage
+ * @param {Object} report - Signalement
+ * @param {string} [reportText] - Texte normalisé (évite de le recalculer pour chaque règle)
+ * @returns {boolean}
+ */
+export function matchTriageRule(rule, report, reportText = getReportTriageText(report)) {
+  if (!rule || !report || rule.enabled === false) {
+    return false;
+  }
+
+  if (rule.category && rule.category !== (report.ai_category || report.type)) {
+    return false;
+  }
+
+  if (rule.severity && rule.severity !== report.ai_severity) {
+    return false;
+  }
+
+  if (rule.min_supporters != null && (report.supporters_count || 0) < rule.min_supporters) {
+    return false;
+  }
+
+  const keywords = (rule.keywords || []).map(parseKeyword).filter((keyword) => keyword.text);
+  if (keywords.length > 0 && !keywords.some((keyword) => containsKeyword(reportText, keyword))) {
+    return false;
+  }
+
+  // Une règle sans aucune condition ne suggère rien
+  return Boolean(rule.category || rule.severity || rule.min_supporters != null || keywords.length > 0);
+}
+
+/**
+ * Traduction par défaut (sans i18next) : defaultValue interpolée
+ */
+const defaultTranslate = (key, { defaultValue, ...values }) =>
+  defaultValue.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? '');
+
+/**
+ * Décrire pourquoi une règle s'applique (affiché à l'agent)
+ */
+function describeRuleMatch(rule, report, reportText, t) {
+  const reasons = [];
+
+  if (rule.severity) {
+    reasons.push(t('triage.reason_severity', {
+      severity: rule.severity,
+      defaultValue: 'gravité IA « {{severity}} »'
+    }));
+  }
+  if (rule.category) {
+    reasons.push(t('triage.reason_category', {
+      category: t(`report_types.${rule.category}`, { defaultValue: rule.category }),
+      defaultValue: 'catégorie « {{category}} »'
+    }));
+  }
+  if (rule.min_supporters != null) {
+    reasons.push(t('triage.reason_supporters', {
+      count: report.supporters_count || 0,
+      defaultValue: '{{count}} soutien(s)'
+    }));
+  }
+
+  const keyword = (rule.keywords || []).find((word) => {
+    const parsed = parseKeyword(word);
+    return parsed.text && containsKeyword(reportText, parsed);
+  });
+  if (keyword) {
+    reasons.push(t('triage.reason_keyword', {
+      keyword,
+      defaultValue: 'mot-clé « {{keyword}} »'
+    }));
+  }
+
+  return `${rule.name} (${reasons.join(', ')})`;
+}
+
+/**
+ * Suggérer une priorité pour un signalement
+ *
+ * Parmi les règles qui s'appliquent, la priorité la plus haute l'emporte
+ * (à priorité égale : la règle de plus petite position).
+ *
+ * @param {Object} report - Signalement (ai_severity, ai_category, type, description,
+ *   audio_transcription, audio_analysis, supporters_count)
+ * @param {Array} [rules] - Règles de triage (default: DEFAULT_TRIAGE_RULES)
+ * @param {Object} [options]
+ * @param {Function} [options.t] - Fonction de traduction (i18next) des raisons
+ *
+ * @returns {{priority: string, rule: Object, matchedRules: Array, reasons: Array<string>}|null}
+ *   null si aucune règle ne s'applique
+ *
+ * @example
+ * const suggestion = suggestPriority(report, rules);
+ * if (suggestion && suggestion.priority !== report.priority) {
+ *   console.log('Priorité suggérée:', suggestion.priority, suggestion.reasons);
+ * }
+ */
+export function suggestPriority(report, rules = DEFAULT_TRIAGE_RULES, { t = defaultTranslate } = {}) {
+  if (!report) {
+    return null;
+  }
+
+  const reportText = getReportTriageText(report);
+  const matchedRules = (rules || [])
+    .filter((rule) => matchTriageRule(rule, report, reportText))
+    .sort((a, b) =>
+      PRIORITY_ORDER.indexOf(b.priority) - PRIORITY_ORDER.indexOf(a.priority)
+      || (a.position ?? 0) - (b.position ?? 0)
+    );
+
+  if (matchedRules.length === 0) {
+    return null;
+  }
+
+  const [rule] = matchedRules;
+
+  return {
+    priority: rule.priority,
+    rule,
+    matchedRules,
+    reasons: matchedRules
+      .filter((matched) => matched.priority === rule.priority)
+      .map((matched) => describeRuleMatch(matched, report, reportText, t))
+  };
+}
+
+export default {
+  PRIORITY_ORDER,
+  TRIAGE_CATEGORIES,
+  DEFAULT_TRIAGE_RULES,
+  getActiveTriageRules,
+  matchTriageRule,
+  suggestPriority
+};
@@ -0,0 +1,133 @@
+import * as aiApi from '@/api/aiApi';
+import {
+  isTtsCacheSupported,
+  getTtsCacheKey,
+  getCachedSpeech,
+  putCachedSpeech
+} from '@/utils/ttsCache';
+
+/**
+ * Service de synthèse vocale avec cache
+ *
+ * Ordre de recherche de l'audio d'une phrase :
+ * 1. Fichiers pré-générés livrés avec la PWA (public/tts/manifest.json,
+ *    consignes fixes de l'inscription, du signalement et du suivi vocal,
+ *    disponibles hors-ligne)
+ * 2. Cache IndexedDB (phrases déjà prononcées sur cet appareil)
+ * 3. Passerelle IA (puis mise en cache)
+ */
+
+const PROMPTS_MANIFEST_URL = '/tts/manifest.json';
+
+let manifestPromise = null;
+
+/**
+ * Manifeste des audios pré-générés ({} si absent)
+ *
+ * @returns {Promise<Object>} { [clé]: { file, sampleRate } }
+ */
+function loadPromptsManifest() {
+  if (!manifestPromise) {
+    manifestPromise = fetch(PROMPTS_MANIFEST_URL)
+      .then((response) => (response.ok ? response.json() : {}))
+      .then((manifest) => manifest.prompts || {})
+      .catch(() => ({}));
+  }
+  return manifestPromise;
+}
+
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+async function readPrompt(key) {
+  const prompts = await loadPromptsManifest();
+  const prompt = prompts[key];
+  if (!prompt) {
+    return null;
+  }
+
+  const response = await fetch(`/tts/${prompt.file}`);
+  if (!response.ok) {
+    return null;
+  }
+
+  return { pcm: await response.arrayBuffer(), sampleRate: prompt.sampleRate };
+}
+
+async function readCache(key) {
+  if (!isTtsCacheSupported()) {
+    return null;
+  }
+
+  try {
+    return await getCachedSpeech(key);
+  } catch (err) {
+    console.warn('⚠️ Lecture du cache TTS impossible:', err);
+    return null;
+  }
+}
+
+/**
+ * Obtenir l'audio d'une phrase (PCM 16 bits mono)
+ *
+ * @param {string} text - Texte à prononcer
+ * @param {Object} options
+ * @param {string} options.language - Langue de la voix ('fr-FR', 'wo-SN')
+ * @param {string} options.voiceName - Voix ('Kore'...)
+ *
+ * @returns {Promise<{data: {pcm: ArrayBuffer, sampleRate: number, source: 'prompt'|'cache'|'network'}|null, error: Object|null}>}
+ *
+ * @example
+ * const { data } = await getSpeechAudio('Quel est votre âge ?', { language: 'fr-FR', voiceName: 'Kore' });
+ * console.log(data.source); // "prompt" si la phrase est pré-générée
+ */
+export async function getSpeechAudio(text, { language, voiceName }) {
+  const key = await getTtsCacheKey(text, { language, voiceName });
+
+  const prompt = await readPrompt(key).catch(() => null);
+  if (prompt) {
+    return { data: { ...prompt, source: 'prompt' }, error: null };
+  }
+
+  const cached = await readCache(key);
+  if (cached) {
+    return { data: { ...cached, source: 'cache' }, error: null };
+  }
+
+  const { data: speech, error } = await aiApi.synthesizeSpeech({ text, voiceName, language });
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  if (!speech?.audioBase64) {
+    return {
+      data: null,
+      error: {
+        message: 'Aucune donnée audio retournée par la synthèse vocale.',
+        code: 'NO_AUDIO'
+      }
+    };
+  }
+
+  const pcm = base64ToArrayBuffer(speech.audioBase64);
+
+  if (isTtsCacheSupported()) {
+    // Copie : le buffer peut être transféré à l'AudioContext avant la fin de l'écriture
+    putCachedSpeech(key, { pcm: pcm.slice(0), sampleRate: speech.sampleRate, text }).catch((err) => {
+      console.warn('⚠️ Mise en cache TTS impossible:', err);
+    });
+  }
+
+  return { data: { pcm, sampleRate: speech.sampleRate, source: 'network' }, error: null };
+}
+
+export default {
+  getSpeechAudio
+};
@@ -0,0 +1,146 @@
+import { getVoicePromptIds } from '@/utils/voicePrompts';
+
+/**
+ * Service des packs vocaux enregistrés
+ *
+ * Un pack contient les consignes enregistrées par une voix native, jouées à
+ * la place de la synthèse (aucune voix de synthèse ne parle bien le wolof) :
+ *
+ *   public/voice-packs/<langue>/manifest.json
+ *   {
+ *     "language": "wo",
+ *     "name": "Wolof — Dakar",
+ *     "speaker": "Nom de la voix",
+ *     "recordedAt": "2026-10-01",
+ *     "clips": {
+ *       "signup.firstName": { "file": "signup.firstName.mp3", "transcript": "Salaam ! ..." }
+ *     }
+ *   }
+ *
+ * Les identifiants des consignes sont définis dans src/utils/voicePrompts.js.
+ * Les fichiers audio sont lus par le navigateur (mp3, m4a, ogg, webm, wav).
+ */
+
+/** Langues pour lesquelles un pack peut être livré */
+export const VOICE_PACK_LANGUAGES = {
+  wo: 'Wolof',
+  ff: 'Pulaar',
+  srr: 'Seereer',
+};
+
+const VOICE_PACKS_BASE_URL = '/voice-packs';
+
+const packPromises = new Map();
+
+/**
+ * Code de langue du pack ('wo-SN' → 'wo')
+ *
+ * @param {string} language
+ * @returns {string}
+ */
+export function toVoicePackLanguage(language = '') {
+  return language.split('-')[0].toLowerCase();
+}
+
+/**
+ * Charger le pack vocal d'une langue (mis en mémoire)
+ *
+ * L'absence de pack n'est pas une erreur : data vaut null et la synthèse
+ * vocale est utilisée.
+ *
+ * @param {string} language - Langue ('wo', 'wo-SN', 'ff', 'srr'...)
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *
+ * @example
+ * const { data: pack } = await loadVoicePack('wo');
+ * console.log(Object.keys(pack?.clips || {}));
+ */
+export async function loadVoicePack(language) {
+  const packLanguage = toVoicePackLanguage(language);
+
+  if (!VOICE_PACK_LANGUAGES[packLanguage]) {
+    return { data: null, error: null };
+  }
+
+  if (!packPromises.has(packLanguage)) {
+    packPromises.set(packLanguage, fetch(`${VOICE_PACKS_BASE_URL}/${packLanguage}/manifest.json`)
+      .then(async (response) => {
+        // Pas de pack : 404, ou page de l'application renvoyée par le fallback SPA
+        const isJson = response.headers.get('content-type')?.includes('json');
+        if (response.status === 404 || (response.ok && !isJson)) {
+          return { data: null, error: null };
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        return {
+          data: { ...manifest, language: packLanguage, clips: manifest.clips || {} },
+          error: null,
+        };
+      })
+      .catch((err) => {
+        // Réessayer au prochain appel (réseau revenu, etc.)
+        packPromises.delete(packLanguage);
+        console.warn(`⚠️ Pack vocal ${packLanguage} illisible:`, err);
+        return {
+          data: null,
+          error: { message: 'Impossible de charger le pack vocal', code: 'VOICE_PACK_UNAVAILABLE' },
+        };
+      }));
+  }
+
+  return packPromises.get(packLanguage);
+}
+
+/**
+ * URL de l'enregistrement d'une consigne dans un pack
+ *
+ * @param {Object|null} pack - Pack chargé (loadVoicePack)
+ * @param {string} promptId - Identifiant de la consigne
+ * @returns {string|null} URL du fichier audio, null si la consigne n'est pas enregistrée
+ */
+export function getPromptClipUrl(pack, promptId) {
+  const clip = promptId ? pack?.clips?.[promptId] : null;
+  if (!clip?.file) {
+    return null;
+  }
+
+  return `${VOICE_PACKS_BASE_URL}/${pack.language}/${clip.file}`;
+}
+
+/**
+ * Couverture d'un pack : consignes enregistrées et manquantes
+ *
+ * @param {Object|null} pack - Pack chargé (loadVoicePack)
+ * @param {Array<string>} [promptIds] - Consignes attendues (par défaut : tout le catalogue)
+ * @returns {{total: number, recorded: Array<string>, missing: Array<string>, unknown: Array<string>, ratio: number}}
+ *   unknown : enregistrements dont l'identifiant n'existe plus dans le catalogue
+ *
+ * @example
+ * const { missing, ratio } = getVoicePackCoverage(pack);
+ * console.log(`${Math.round(ratio * 100)} %`, missing); // "75 %", ['report.submit', ...]
+ */
+export function getVoicePackCoverage(pack, promptIds = getVoicePromptIds()) {
+  const clips = pack?.clips || {};
+  const recorded = promptIds.filter((id) => clips[id]?.file);
+  const missing = promptIds.filter((id) => !clips[id]?.file);
+  const unknown = Object.keys(clips).filter((id) => !promptIds.includes(id));
+
+  return {
+    total: promptIds.length,
+    recorded,
+    missing,
+    unknown,
+    ratio: promptIds.length > 0 ? recorded.length / promptIds.length : 0,
+  };
+}
+
+export default {
+  VOICE_PACK_LANGUAGES,
+  toVoicePackLanguage,
+  loadVoicePack,
+  getPromptClipUrl,
+  getVoicePackCoverage,
+};
@@ -0,0 +1,203 @@
+/**
+ * Regroupement et densité des signalements pour la carte (MapView)
+ *
+ * Calculs en pixels au niveau de zoom courant : deux signalements dont les
+ * positions tombent dans la même case de la grille sont regroupés. La grille
+ * est recalculée à chaque zoom / déplacement, ce qui suffit pour quelques
+ * milliers de points sans dépendance supplémentaire.
+ */
+
+/**
+ * Couleurs des statuts / priorités (marqueurs et groupes)
+ */
+export const STATUS_COLORS = {
+  pending: '#eab308',
+  in_progress: '#3b82f6',
+  resolved: '#22c55e',
+  rejected: '#ef4444'
+};
+
+export const PRIORITY_COLORS = {
+  low: '#94a3b8',
+  normal: '#3b82f6',
+  high: '#f97316',
+  urgent: '#dc2626'
+};
+
+/**
+ * Ordre de gravité : un groupe prend la couleur de la catégorie la plus
+ * préoccupante qu'il contient (un signalement urgent reste visible)
+ */
+const STATUS_SEVERITY = ['pending', 'in_progress', 'rejected', 'resolved'];
+const PRIORITY_SEVERITY = ['urgent', 'high', 'normal', 'low'];
+
+const DEFAULT_COLOR = '#6b7280';
+
+/**
+ * Couleur d'un signalement selon le critère choisi
+ *
+ * @param {Object} report - Signalement
+ * @param {'status'|'priority'} colorBy - Critère de couleur
+ * @returns {string} Couleur hexadécimale
+ */
+export function getReportColor(report, colorBy = 'status') {
+  const palette = colorBy === 'priority' ? PRIORITY_COLORS : STATUS_COLORS;
+  return palette[report?.[colorBy]] || DEFAULT_COLOR;
+}
+
+/**
+ * Couleur d'un groupe : catégorie la plus grave présente
+ *
+ * @param {Object} counts - Comptes par valeur ({ pending: 3, resolved: 1 })
+ * @param {'status'|'priority'} colorBy - Critère de couleur
+ * @returns {string}
+ */
+export function getClusterColor(counts, colorBy = 'status') {
+  const severity = colorBy === 'priority' ? PRIORITY_SEVERITY : STATUS_SEVERITY;
+  const palette = colorBy === 'priority' ? PRIORITY_COLORS : STATUS_COLORS;
+  const key = severity.find((value) => counts[value] > 0);
+  return palette[key] || DEFAULT_COLOR;
+}
+
+const hasPosition = (report) =>
+  typeof report?.latitude === 'number' && typeof report?.longitude === 'number';
+
+/**
+ * Regrouper les signalements proches à l'écran
+ *
+ * @param {Array} reports - Signalements ({ latitude, longitude, status, priority })
+ * @param {Function} project - (lat, lng) → { x, y } en pixels (map.project au zoom courant)
+ * @param {Object} [options]
+ * @param {number} [options.radius=60] - Taille de la case de regroupement (px)
+ * @param {'status'|'priority'} [options.colorBy='status'] - Critère des comptes
+ *
+ * @returns {Array<{id: string, latitude: number, longitude: number, reports: Array,
+ *   counts: Object, bounds: Array}>} groupes (reports.length === 1 : signalement isolé)
+ *
+ * @example
+ * const clusters = clusterReports(reports, (lat, lng) => map.project([lat, lng], map.getZoom()));
+ */
+export function clusterReports(reports = [], project, options = {}) {
+  const { radius = 60, colorBy = 'status' } = options;
+  const cells = new Map();
+
+  reports.filter(hasPosition).forEach((report) => {
+    const point = project(report.latitude, report.longitude);
+    const key = `${Math.floor(point.x / radius)}:${Math.floor(point.y / radius)}`;
+
+    const cell = cells.get(key) || {
+      id: key,
+      reports: [],
+      counts: {},
+      latSum: 0,
+      lngSum: 0,
+      bounds: [[report.latitude, report.longitude], [report.latitude, report.longitude]]
+    };
+
+    cell.reports.push(report);
+    cell.latSum += report.latitude;
+    cell.lngSum += report.longitude;
+    cell.counts[report[colorBy]] = (cell.counts[report[colorBy]] || 0) + 1;
+    cell.bounds = [
+      [Math.min(cell.bounds[0][0], report.latitude), Math.min(cell.bounds[0][1], report.longitude)],
+      [Math.max(cell.bounds[1][0], report.latitude), Math.max(cell.bounds[1][1], report.longitude)]
+    ];
+    cells.set(key, cell);
+  });
+
+  return [...cells.values()].map(({ latSum, lngSum, ...cell }) => ({
+    ...cell,
+    latitude: latSum / cell.reports.length,
+    longitude: lngSum / cell.reports.length
+  }));
+}
+
+/**
+ * Points de densité (heatmap) : nombre de signalements par case
+ *
+ * @param {Array} reports - Signalements
+ * @param {Function} project - (lat, lng) → { x, y } en pixels
+ * @param {Object} [options]
+ * @param {number} [options.cellSize=40] - Taille de case (px)
+ *
+ * @returns {Array<{id: string, latitude: number, longitude: number, count: number,
+ *   intensity: number}>} intensity entre 0 et 1 (relative à la case la plus dense)
+ */
+export function buildHeatCells(reports = [], project, options = {}) {
+  const { cellSize = 40 } = options;
+  const clusters = clusterReports(reports, project, { radius: cellSize });
+  const max = Math.max(1, ...clusters.map((cluster) => cluster.reports.length));
+
+  return clusters.map((cluster) => ({
+    id: cluster.id,
+    latitude: cluster.latitude,
+    longitude: cluster.longitude,
+    count: cluster.reports.length,
+    intensity: cluster.reports.length / max
+  }));
+}
+
+/**
+ * Couleur de densité (jaune → orange → rouge)
+ *
+ * @param {number} intensity - Entre 0 et 1
+ * @returns {string}
+ */
+export function getHeatColor(intensity) {
+  if (intensity > 0.66) return '#dc2626';
+  if (intensity > 0.33) return '#f97316';
+  return '#facc15';
+}
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Début de semaine (lundi 00:00, heure locale) d'une date
+ *
+ * @param {string|Date} date
+ * @returns {number} timestamp
+ */
+export function getWeekStart(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day.getTime();
+}
+
+/**
+ * Semaines couvertes par les signalements (pour le curseur temporel)
+ *
+ * @param {Array} reports - Signalements ({ created_at })
+ * @returns {Array<number>} débuts de semaine, du plus ancien au plus récent
+ *   (semaines sans signalement incluses pour une échelle régulière)
+ */
+export function getReportWeeks(reports = []) {
+  const starts = reports
+    .filter((report) => report.created_at)
+    .map((report) => getWeekStart(report.created_at));
+
+  if (starts.length === 0) {
+    return [];
+  }
+
+  const first = Math.min(...starts);
+  const last = Math.max(...starts);
+  const weeks = [];
+  for (let week = first; week <= last; week = getWeekStart(week + WEEK_MS + 12 * 60 * 60 * 1000)) {
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+/**
+ * Signalements créés pendant une semaine donnée
+ *
+ * @param {Array} reports - Signalements
+ * @param {number} weekStart - Début de semaine (getWeekStart)
+ * @returns {Array}
+ */
+export function filterReportsByWeek(reports = [], weekStart) {
+  return reports.filter(
+    (report) => report.created_at && getWeekStart(report.created_at) === weekStart
+  );
+}
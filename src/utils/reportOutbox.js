@@ -0,0 +1,223 @@
+/**
+ * File d'attente hors-ligne des signalements (outbox IndexedDB)
+ *
+ * Rôle :
+ * - Conserver les signalements créés sans connexion (payload complet :
+ *   type, coordonnées, commune_id, image compressée, audio)
+ * - Persister l'état de chaque élément entre deux rechargements
+ *   (tentatives, prochaine tentative, dernière erreur, URLs déjà uploadées)
+ * - Notifier les abonnés (hooks) à chaque modification
+ *
+ * Note : Ce module ne fait que du stockage local. Le rejeu vers Supabase
+ * est orchestré par reportService.syncOfflineReports()
+ */
+
+const DB_NAME = 'wattu-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'report-outbox';
+
+/**
+ * Statuts possibles d'un élément de l'outbox
+ * - pending : en attente d'envoi (sera rejoué automatiquement)
+ * - sending : envoi en cours
+ * - failed  : nombre max de tentatives atteint, action manuelle requise
+ */
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  FAILED: 'failed',
+};
+
+const listeners = new Set();
+let dbPromise = null;
+
+/**
+ * Vérifier si IndexedDB est disponible dans ce navigateur
+ *
+ * @returns {boolean}
+ */
+export function isOutboxSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Ouvrir (et créer si besoin) la base IndexedDB de l'outbox
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('citizen_user_id', 'payload.citizen_user_id', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Exécuter une opération sur le store de l'outbox
+ *
+ * @param {'readonly'|'readwrite'} mode - Mode de la transaction
+ * @param {function(IDBObjectStore): IDBRequest} operation - Opération à exécuter
+ * @returns {Promise<any>} Résultat de la requête
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function notifyListeners(event) {
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error('❌ Erreur listener outbox:', err);
+    }
+  });
+}
+
+/**
+ * Générer un identifiant d'élément d'outbox
+ *
+ * Sert aussi de clé d'idempotence (reports.client_request_id) : il est généré
+ * avant le premier envoi pour qu'un rejeu ne crée pas de doublon.
+ *
+ * @returns {string}
+ */
+export function generateOutboxId() {
+  return `outbox-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Ajouter un signalement à l'outbox
+ *
+ * L'élément reprend la clé payload.client_request_id comme identifiant si elle existe.
+ *
+ * @param {Object} payload - Données du signalement (mêmes champs que reportApi.createReport)
+ * @param {File|Blob|null} [payload.imageFile] - Image déjà compressée
+ * @param {File|Blob|null} [payload.audioFile] - Audio enregistré
+ * @returns {Promise<Object>} L'élément créé
+ *
+ * @example
+ * const item = await addToOutbox({ type: 'voirie', latitude: 14.69, longitude: -17.44, imageFile, audioFile });
+ */
+export async function addToOutbox(payload) {
+  const now = new Date().toISOString();
+  const item = {
+    id: payload.client_request_id || generateOutboxId(),
+    payload,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    uploaded: { image_url: null, audio_url: null },
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await withStore('readwrite', (store) => store.put(item));
+  console.log('📥 Signalement ajouté à l\'outbox:', item.id);
+  notifyListeners({ type: 'added', id: item.id });
+
+  return item;
+}
+
+/**
+ * Récupérer les éléments de l'outbox (plus anciens en premier)
+ *
+ * @param {string} [citizenUserId] - Filtrer par citoyen (optionnel)
+ * @returns {Promise<Array>}
+ */
+export async function getOutboxItems(citizenUserId = null) {
+  const items = await withStore('readonly', (store) => store.getAll());
+
+  return (items || [])
+    .filter((item) => !citizenUserId || item.payload?.citizen_user_id === citizenUserId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Mettre à jour partiellement un élément de l'outbox
+ *
+ * @param {string} id - ID de l'élément
+ * @param {Object} changes - Champs à modifier
+ * @returns {Promise<Object|null>} L'élément mis à jour (null si introuvable)
+ */
+export async function updateOutboxItem(id, changes) {
+  const current = await withStore('readonly', (store) => store.get(id));
+  if (!current) {
+    return null;
+  }
+
+  const updated = {
+    ...current,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await withStore('readwrite', (store) => store.put(updated));
+  notifyListeners({ type: 'updated', id });
+
+  return updated;
+}
+
+/**
+ * Supprimer un élément de l'outbox (envoyé ou abandonné)
+ *
+ * @param {string} id - ID de l'élément
+ * @param {Object} [details] - Infos transmises aux abonnés
+ * @param {Object} [details.report] - Signalement créé si l'élément a été envoyé
+ * @returns {Promise<void>}
+ */
+export async function removeFromOutbox(id, details = {}) {
+  await withStore('readwrite', (store) => store.delete(id));
+  notifyListeners({ type: 'removed', id, ...details });
+}
+
+/**
+ * S'abonner aux modifications de l'outbox
+ *
+ * @param {function({type: 'added'|'updated'|'removed', id: string, report?: Object})} listener
+ *   Appelé après chaque ajout/modification/suppression
+ * @returns {function} Fonction de désabonnement
+ */
+export function subscribeToOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export default {
+  OUTBOX_STATUS,
+  isOutboxSupported,
+  generateOutboxId,
+  addToOutbox,
+  getOutboxItems,
+  updateOutboxItem,
+  removeFromOutbox,
+  subscribeToOutbox,
+};
@@ -0,0 +1,123 @@
+import { getSearchTerms } from './searchText';
+
+/**
+ * Suivi vocal des signalements : commandes et résumés parlés
+ *
+ * Rôle :
+ * - Reconnaître la commande prononcée par le citoyen (« suivant »,
+ *   « répéter », « message »…) en français ou en wolof
+ * - Construire le résumé parlé d'un signalement (type, commune, statut,
+ *   dernier message de la mairie)
+ *
+ * Note : Le déroulement (lecture, écoute, envoi d'un message) est dans
+ * src/hooks/useReportVoiceReader.js
+ */
+
+/**
+ * Commandes vocales du suivi des signalements
+ */
+export const READER_COMMANDS = {
+  STOP: 'stop',
+  COMMENT: 'comment',
+  PREVIOUS: 'previous',
+  NEXT: 'next',
+  REPEAT: 'repeat',
+};
+
+/**
+ * Débuts de mots reconnus, par ordre de priorité des commandes
+ * (normalisés comme la recherche : accents, graphies wolof, lettres doublées)
+ */
+const COMMAND_KEYWORDS = [
+  [READER_COMMANDS.STOP, ['stop', 'arrête', 'arrêter', 'termine', 'quitte', 'fini', 'taxaw', 'noppi', 'bàyyi']],
+  [READER_COMMANDS.COMMENT, ['message', 'commentaire', 'commenter', 'répond', 'réponse', 'écrire', 'bataaxal', 'tontu', 'yónnee']],
+  [READER_COMMANDS.PREVIOUS, ['précédent', 'avant', 'retour', 'revenir', 'dellu', 'ginnaaw']],
+  [READER_COMMANDS.NEXT, ['suivant', 'prochain', 'continue', 'après', 'topp', 'kanam']],
+  [READER_COMMANDS.REPEAT, ['répète', 'répéter', 'répétez', 'encore', 'redis', 'waxaat', 'baamu']],
+].map(([command, keywords]) => [command, keywords.flatMap(getSearchTerms)]);
+
+/**
+ * Reconnaître une commande dans une réponse transcrite
+ *
+ * @param {string} text - Transcription de la réponse
+ * @returns {string|null} Commande (READER_COMMANDS) ou null si aucune n'est reconnue
+ *
+ * @example
+ * parseReaderCommand('Suivant !'); // 'next'
+ * parseReaderCommand('Waxaat ko'); // 'repeat'
+ * parseReaderCommand('Je veux envoyer un message'); // 'comment'
+ */
+export function parseReaderCommand(text) {
+  const terms = getSearchTerms(text || '');
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const match = COMMAND_KEYWORDS.find(([, keywords]) =>
+    terms.some((term) => keywords.some((keyword) => term.startsWith(keyword)))
+  );
+
+  return match ? match[0] : null;
+}
+
+/**
+ * Dernier message de la mairie (agent ou administrateur) dans l'échange public
+ *
+ * @param {Array} comments - Messages du signalement, du plus ancien au plus récent
+ * @returns {Object|null}
+ */
+export function getLatestMunicipalComment(comments = []) {
+  return [...comments].reverse().find((comment) => comment.author_role !== 'citizen') || null;
+}
+
+/**
+ * Résumé parlé d'un signalement
+ *
+ * @param {Object} report - Signalement (type, status, commune)
+ * @param {Object} options
+ * @param {function} options.t - Fonction de traduction (i18next)
+ * @param {number} options.position - Position dans la liste (à partir de 1)
+ * @param {number} options.total - Nombre de signalements
+ * @param {Object|null} [options.latestComment] - Dernier message de la mairie
+ * @returns {string}
+ *
+ * @example
+ * buildReportReadout(report, { t, position: 1, total: 3, latestComment })
+ * // → "Signalement 1 sur 3 : Éclairage public, à Médina. Statut : En cours.
+ * //    Dernier message de la mairie : Intervention prévue jeudi"
+ */
+export function buildReportReadout(report, { t, position, total, latestComment = null }) {
+  const values = {
+    position,
+    total,
+    type: t(`report_types.${report.type}`, { defaultValue: report.type || '' }),
+    status: t(`status.${report.status}`, { defaultValue: report.status || '' }),
+    commune: report.commune?.name,
+  };
+
+  const summary = report.commune?.name
+    ? t('voiceStatus.readout', {
+      ...values,
+      defaultValue: 'Signalement {{position}} sur {{total}} : {{type}}, à {{commune}}. Statut : {{status}}.',
+    })
+    : t('voiceStatus.readout_no_commune', {
+      ...values,
+      defaultValue: 'Signalement {{position}} sur {{total}} : {{type}}. Statut : {{status}}.',
+    });
+
+  if (!latestComment?.body) {
+    return summary;
+  }
+
+  return `${summary} ${t('voiceStatus.latest_comment', {
+    message: latestComment.body,
+    defaultValue: 'Dernier message de la mairie : {{message}}',
+  })}`;
+}
+
+export default {
+  READER_COMMANDS,
+  parseReaderCommand,
+  getLatestMunicipalComment,
+  buildReportReadout,
+};
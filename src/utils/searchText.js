@@ -0,0 +1,262 @@
+/**
+ * Normalisation et surlignage de la recherche plein texte des signalements
+ *
+ * Rôle :
+ * - Normaliser une requête exactement comme la fonction SQL
+ *   normalize_search_text() (migration report_search) : la colonne
+ *   reports.search_text est comparée aux termes produits ici
+ * - Retrouver les correspondances dans le texte ORIGINAL (avec accents)
+ *   pour les surligner dans ReportTable / ReportCard
+ *
+ * Règles (à garder identiques côté SQL) :
+ * - minuscules, sans accents (é → e, ñ → n), ponctuation → espace
+ * - graphies wolof / françaises rapprochées : tch → c, kh → x, dj → j,
+ *   ou → u, gn → n, ny → n (ex. "Khadija" = "Xadija", "Touba" = "Tuba")
+ * - lettres doublées réduites (ex. "yoon" = "yon")
+ */
+
+/**
+ * Rapprochements de graphies, appliqués dans cet ordre (comme les replace() SQL)
+ */
+const SPELLING_RULES = [
+  ['tch', 'c'],
+  ['kh', 'x'],
+  ['dj', 'j'],
+  ['ou', 'u'],
+  ['gn', 'n'],
+  ['ny', 'n'],
+];
+
+/**
+ * Ligatures que unaccent() développe mais que NFD ne décompose pas
+ */
+const LIGATURES = {
+  'œ': 'oe',
+  'æ': 'ae',
+  'ß': 'ss',
+  'ø': 'o',
+};
+
+const isWordChar = (ch) => /[a-z0-9]/.test(ch);
+
+/**
+ * Normaliser un caractère (peut produire 0, 1 ou 2 caractères)
+ */
+function foldChar(ch) {
+  const lower = ch.toLowerCase();
+  const base = LIGATURES[lower] ?? lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return base.replace(/[^a-z0-9]/g, ' ');
+}
+
+/**
+ * Normaliser un texte en conservant, pour chaque caractère produit,
+ * la portion [start, end) du texte original dont il provient
+ *
+ * @param {string} text
+ * @returns {Array<{ch: string, start: number, end: number}>}
+ */
+function foldWithSpans(text) {
+  let units = [];
+
+  // 1. Accents, casse, ponctuation (séquences d'espaces fusionnées)
+  Array.from(text || '').reduce((offset, ch) => {
+    for (const folded of foldChar(ch)) {
+      const previous = units[units.length - 1];
+      if (folded === ' ' && previous?.ch === ' ') {
+        previous.end = offset + ch.length;
+      } else {
+        units.push({ ch: folded, start: offset, end: offset + ch.length });
+      }
+    }
+    return offset + ch.length;
+  }, 0);
+
+  // 2. Rapprochements de graphies (remplacements gauche → droite, sans chevauchement)
+  SPELLING_RULES.forEach(([pattern, replacement]) => {
+    const next = [];
+    let i = 0;
+    while (i < units.length) {
+      const candidate = units.slice(i, i + pattern.length);
+      if (candidate.length === pattern.length && candidate.map((unit) => unit.ch).join('') === pattern) {
+        next.push({ ch: replacement, start: candidate[0].start, end: candidate[candidate.length - 1].end });
+        i += pattern.length;
+      } else {
+        next.push(units[i]);
+        i += 1;
+      }
+    }
+    units = next;
+  });
+
+  // 3. Lettres doublées
+  units = units.reduce((acc, unit) => {
+    const previous = acc[acc.length - 1];
+    if (previous && isWordChar(unit.ch) && previous.ch === unit.ch) {
+      previous.end = unit.end;
+    } else {
+      acc.push({ ...unit });
+    }
+    return acc;
+  }, []);
+
+  // 4. Espaces de début / fin
+  while (units[0]?.ch === ' ') units.shift();
+  while (units[units.length - 1]?.ch === ' ') units.pop();
+
+  return units;
+}
+
+/**
+ * Normaliser un texte pour la recherche (équivalent JS de normalize_search_text)
+ *
+ * @param {string} text
+ * @returns {string}
+ *
+ * @example
+ * normalizeSearchText('Éclairage à Khombole !'); // 'eclairage a xombole'
+ */
+export function normalizeSearchText(text) {
+  return foldWithSpans(text).map((unit) => unit.ch).join('');
+}
+
+/**
+ * Découper une requête en termes normalisés (tous doivent correspondre)
+ *
+ * @param {string} query - Saisie de l'utilisateur
+ * @returns {Array<string>} Termes uniques, sans vide
+ *
+ * @example
+ * getSearchTerms('Fuite d\'eau  Médina'); // ['fuite', 'd', 'eau', 'medina']
+ */
+export function getSearchTerms(query) {
+  const terms = normalizeSearchText(query).split(' ').filter(Boolean);
+  return [...new Set(terms)];
+}
+
+/**
+ * Trouver les passages du texte original qui correspondent à la requête
+ *
+ * @param {string} text - Texte affiché (description, nom, etc.)
+ * @param {string} query - Saisie de l'utilisateur
+ * @returns {Array<[number, number]>} Plages [début, fin) triées et fusionnées
+ */
+export function findSearchMatches(text, query) {
+  const terms = getSearchTerms(query);
+  if (!text || terms.length === 0) {
+    return [];
+  }
+
+  const units = foldWithSpans(text);
+  const folded = units.map((unit) => unit.ch).join('');
+  const ranges = [];
+
+  terms.forEach((term) => {
+    let index = folded.indexOf(term);
+    while (index !== -1) {
+      ranges.push([units[index].start, units[index + term.length - 1].end]);
+      index = folded.indexOf(term, index + term.length);
+    }
+  });
+
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+}
+
+/**
+ * Découper un texte en segments surlignés / non surlignés
+ *
+ * @param {string} text
+ * @param {string} query
+ * @returns {Array<{text: string, match: boolean}>}
+ *
+ * @example
+ * splitSearchHighlights('Route de Thiès', 'thies');
+ * // [{ text: 'Route de ', match: false }, { text: 'Thiès', match: true }]
+ */
+export function splitSearchHighlights(text, query) {
+  if (!text) {
+    return [];
+  }
+
+  const segments = [];
+  let cursor = 0;
+
+  findSearchMatches(text, query).forEach(([start, end]) => {
+    if (start > cursor) {
+      segments.push({ text: text.slice(cursor, start), match: false });
+    }
+    segments.push({ text: text.slice(start, end), match: true });
+    cursor = end;
+  });
+
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), match: false });
+  }
+
+  return segments;
+}
+
+/**
+ * Extraire un passage d'un texte long centré sur la première correspondance
+ *
+ * @param {string} text
+ * @param {string} query
+ * @param {number} [maxLength] - Longueur max du passage (default: 100)
+ * @returns {string} Passage (avec "..." si tronqué)
+ */
+export function getSearchExcerpt(text, query, maxLength = 100) {
+  if (!text || text.length <= maxLength) {
+    return text || '';
+  }
+
+  const [firstMatch] = findSearchMatches(text, query);
+  const start = firstMatch
+    ? Math.max(0, Math.min(firstMatch[0] - Math.floor(maxLength / 3), text.length - maxLength))
+    : 0;
+  const end = start + maxLength;
+
+  return `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+}
+
+/**
+ * Champ d'un signalement qui contient la recherche (pour l'afficher en extrait)
+ *
+ * @param {Object} report
+ * @param {string} query
+ * @returns {{field: string, text: string}|null} Premier champ correspondant
+ *   parmi description, audio_transcription, citizen_name, phone
+ */
+export function findMatchingReportField(report, query) {
+  if (!report || getSearchTerms(query).length === 0) {
+    return null;
+  }
+
+  // Téléphone comparé en chiffres seuls, comme dans search_text
+  const candidates = {
+    description: report.description,
+    audio_transcription: report.audio_transcription,
+    citizen_name: report.citizen_name,
+    phone: report.phone ? report.phone.replace(/\D/g, '') : null,
+  };
+  const field = Object.keys(candidates).find((key) => findSearchMatches(candidates[key], query).length > 0);
+
+  return field ? { field, text: candidates[field] } : null;
+}
+
+export default {
+  normalizeSearchText,
+  getSearchTerms,
+  findSearchMatches,
+  splitSearchHighlights,
+  getSearchExcerpt,
+  findMatchingReportField,
+};
@@ -0,0 +1,96 @@
+/**
+ * Gazetteer local du Sénégal (embarqué dans l'application)
+ *
+ * Quartiers, axes et repères connus utilisés par geocodingService pour
+ * transformer une position GPS en adresse lisible, sans réseau.
+ * Coordonnées approximatives (centre du quartier / point de l'axe) :
+ * `radius` (m) est la distance jusqu'à laquelle l'entrée s'applique.
+ *
+ * Pour enrichir la liste : ajouter une entrée { name, kind, city, region,
+ * lat, lng, radius } — kind = 'quartier' | 'rue' | 'repere'.
+ */
+
+export const GAZETTEER_KINDS = {
+  QUARTIER: 'quartier',
+  RUE: 'rue',
+  REPERE: 'repere'
+};
+
+const { QUARTIER, RUE, REPERE } = GAZETTEER_KINDS;
+
+export const SENEGAL_GAZETTEER = [
+  // ─── Dakar ───────────────────────────────────────────────
+  { name: 'Plateau', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.6708, lng: -17.4381, radius: 1200 },
+  { name: 'Médina', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.6833, lng: -17.4500, radius: 900 },
+  { name: 'Gueule Tapée', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.6850, lng: -17.4580, radius: 600 },
+  { name: 'Fass', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.6880, lng: -17.4520, radius: 600 },
+  { name: 'Colobane', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.6930, lng: -17.4470, radius: 700 },
+  { name: 'Fann', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.6900, lng: -17.4630, radius: 800 },
+  { name: 'Point E', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.6960, lng: -17.4610, radius: 600 },
+  { name: 'Amitié', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7020, lng: -17.4580, radius: 500 },
+  { name: 'Grand Dakar', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7100, lng: -17.4550, radius: 700 },
+  { name: 'HLM', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7130, lng: -17.4450, radius: 700 },
+  { name: 'Hann', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7230, lng: -17.4300, radius: 1200 },
+  { name: 'Mermoz', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7070, lng: -17.4760, radius: 800 },
+  { name: 'Sicap Liberté', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7180, lng: -17.4610, radius: 700 },
+  { name: 'Dieuppeul', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7210, lng: -17.4560, radius: 500 },
+  { name: 'Sacré-Cœur', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7200, lng: -17.4680, radius: 700 },
+  { name: 'Ouakam', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7240, lng: -17.4900, radius: 1200 },
+  { name: 'Grand Yoff', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7350, lng: -17.4500, radius: 1200 },
+  { name: 'Almadies', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7450, lng: -17.5200, radius: 1200 },
+  { name: 'Ngor', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7480, lng: -17.5130, radius: 800 },
+  { name: 'Patte d\'Oie', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7500, lng: -17.4400, radius: 900 },
+  { name: 'Yoff', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7580, lng: -17.4700, radius: 1500 },
+  { name: 'Parcelles Assainies', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7650, lng: -17.4400, radius: 1500 },
+  { name: 'Cambérène', kind: QUARTIER, city: 'Dakar', region: 'Dakar', lat: 14.7700, lng: -17.4250, radius: 900 },
+  { name: 'Guédiawaye', kind: QUARTIER, city: 'Guédiawaye', region: 'Dakar', lat: 14.7770, lng: -17.3940, radius: 2500 },
+  { name: 'Pikine', kind: QUARTIER, city: 'Pikine', region: 'Dakar', lat: 14.7550, lng: -17.3900, radius: 2500 },
+  { name: 'Thiaroye', kind: QUARTIER, city: 'Pikine', region: 'Dakar', lat: 14.7500, lng: -17.3500, radius: 1500 },
+  { name: 'Keur Massar', kind: QUARTIER, city: 'Keur Massar', region: 'Dakar', lat: 14.7830, lng: -17.3110, radius: 2500 },
+  { name: 'Rufisque', kind: QUARTIER, city: 'Rufisque', region: 'Dakar', lat: 14.7160, lng: -17.2730, radius: 3000 },
+  { name: 'Bargny', kind: QUARTIER, city: 'Bargny', region: 'Dakar', lat: 14.6970, lng: -17.2290, radius: 2000 },
+
+  { name: 'Avenue Cheikh Anta Diop', kind: RUE, city: 'Dakar', region: 'Dakar', lat: 14.6930, lng: -17.4620, radius: 250 },
+  { name: 'Avenue Blaise Diagne', kind: RUE, city: 'Dakar', region: 'Dakar', lat: 14.6790, lng: -17.4460, radius: 250 },
+  { name: 'Avenue Lamine Guèye', kind: RUE, city: 'Dakar', region: 'Dakar', lat: 14.6740, lng: -17.4380, radius: 250 },
+  { name: 'Avenue Bourguiba', kind: RUE, city: 'Dakar', region: 'Dakar', lat: 14.7000, lng: -17.4520, radius: 300 },
+  { name: 'Corniche Ouest', kind: RUE, city: 'Dakar', region: 'Dakar', lat: 14.6900, lng: -17.4750, radius: 300 },
+  { name: 'Voie de Dégagement Nord (VDN)', kind: RUE, city: 'Dakar', region: 'Dakar', lat: 14.7300, lng: -17.4700, radius: 300 },
+  { name: 'Route de Rufisque', kind: RUE, city: 'Dakar', region: 'Dakar', lat: 14.7250, lng: -17.4150, radius: 300 },
+
+  { name: 'Place de l\'Indépendance', kind: REPERE, city: 'Dakar', region: 'Dakar', lat: 14.6680, lng: -17.4320, radius: 400 },
+  { name: 'Marché Sandaga', kind: REPERE, city: 'Dakar', region: 'Dakar', lat: 14.6730, lng: -17.4390, radius: 400 },
+  { name: 'Marché Kermel', kind: REPERE, city: 'Dakar', region: 'Dakar', lat: 14.6680, lng: -17.4300, radius: 300 },
+  { name: 'Hôpital Principal', kind: REPERE, city: 'Dakar', region: 'Dakar', lat: 14.6630, lng: -17.4340, radius: 400 },
+  { name: 'Grande Mosquée de Dakar', kind: REPERE, city: 'Dakar', region: 'Dakar', lat: 14.6810, lng: -17.4520, radius: 400 },
+  { name: 'Université Cheikh Anta Diop', kind: REPERE, city: 'Dakar', region: 'Dakar', lat: 14.6920, lng: -17.4640, radius: 600 },
+  { name: 'Marché HLM', kind: REPERE, city: 'Dakar', region: 'Dakar', lat: 14.7120, lng: -17.4450, radius: 400 },
+  { name: 'Monument de la Renaissance', kind: REPERE, city: 'Dakar', region: 'Dakar', lat: 14.7220, lng: -17.4950, radius: 500 },
+  { name: 'Stade Léopold Sédar Senghor', kind: REPERE, city: 'Dakar', region: 'Dakar', lat: 14.7460, lng: -17.4520, radius: 500 },
+  { name: 'Gare des Baux Maraîchers', kind: REPERE, city: 'Pikine', region: 'Dakar', lat: 14.7470, lng: -17.4050, radius: 500 },
+
+  // ─── Régions ─────────────────────────────────────────────
+  { name: 'Thiès', kind: QUARTIER, city: 'Thiès', region: 'Thiès', lat: 14.7910, lng: -16.9260, radius: 4000 },
+  { name: 'Mbour', kind: QUARTIER, city: 'Mbour', region: 'Thiès', lat: 14.4200, lng: -16.9640, radius: 3000 },
+  { name: 'Île de Saint-Louis (Ndar)', kind: QUARTIER, city: 'Saint-Louis', region: 'Saint-Louis', lat: 16.0260, lng: -16.5040, radius: 1200 },
+  { name: 'Sor', kind: QUARTIER, city: 'Saint-Louis', region: 'Saint-Louis', lat: 16.0200, lng: -16.4900, radius: 2000 },
+  { name: 'Kaolack', kind: QUARTIER, city: 'Kaolack', region: 'Kaolack', lat: 14.1520, lng: -16.0730, radius: 4000 },
+  { name: 'Ziguinchor', kind: QUARTIER, city: 'Ziguinchor', region: 'Ziguinchor', lat: 12.5680, lng: -16.2730, radius: 4000 },
+  { name: 'Touba', kind: QUARTIER, city: 'Touba', region: 'Diourbel', lat: 14.8500, lng: -15.8830, radius: 5000 },
+  { name: 'Diourbel', kind: QUARTIER, city: 'Diourbel', region: 'Diourbel', lat: 14.6550, lng: -16.2320, radius: 3000 },
+  { name: 'Louga', kind: QUARTIER, city: 'Louga', region: 'Louga', lat: 15.6180, lng: -16.2240, radius: 3000 },
+  { name: 'Fatick', kind: QUARTIER, city: 'Fatick', region: 'Fatick', lat: 14.3390, lng: -16.4110, radius: 2500 },
+  { name: 'Kaffrine', kind: QUARTIER, city: 'Kaffrine', region: 'Kaffrine', lat: 14.1060, lng: -15.5500, radius: 2500 },
+  { name: 'Tambacounda', kind: QUARTIER, city: 'Tambacounda', region: 'Tambacounda', lat: 13.7700, lng: -13.6670, radius: 3500 },
+  { name: 'Kolda', kind: QUARTIER, city: 'Kolda', region: 'Kolda', lat: 12.8940, lng: -14.9410, radius: 3000 },
+  { name: 'Sédhiou', kind: QUARTIER, city: 'Sédhiou', region: 'Sédhiou', lat: 12.7080, lng: -15.5570, radius: 2500 },
+  { name: 'Matam', kind: QUARTIER, city: 'Matam', region: 'Matam', lat: 15.6560, lng: -13.2550, radius: 2500 },
+  { name: 'Kédougou', kind: QUARTIER, city: 'Kédougou', region: 'Kédougou', lat: 12.5570, lng: -12.1740, radius: 2500 },
+
+  { name: 'Pont Faidherbe', kind: REPERE, city: 'Saint-Louis', region: 'Saint-Louis', lat: 16.0240, lng: -16.5030, radius: 400 },
+  { name: 'Grande Mosquée de Touba', kind: REPERE, city: 'Touba', region: 'Diourbel', lat: 14.8620, lng: -15.8750, radius: 600 },
+  { name: 'Marché central de Kaolack', kind: REPERE, city: 'Kaolack', region: 'Kaolack', lat: 14.1480, lng: -16.0750, radius: 500 },
+  { name: 'Marché Saint-Maur', kind: REPERE, city: 'Ziguinchor', region: 'Ziguinchor', lat: 12.5650, lng: -16.2700, radius: 400 }
+];
+
+export default SENEGAL_GAZETTEER;
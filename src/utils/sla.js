@@ -0,0 +1,78 @@
+/**
+ * État des délais de traitement (SLA) d'un signalement
+ *
+ * Les échéances sont calculées par PostgreSQL (migration report_sla) :
+ * - response_due_at : prise en charge attendue (statut pending)
+ * - resolution_due_at : résolution attendue (statut in_progress)
+ * - due_at : échéance en cours selon le statut, NULL si clôturé
+ *
+ * Ce module ne fait que les interpréter pour l'affichage (badges, détail).
+ */
+
+/**
+ * Part du délai restante sous laquelle l'échéance est « proche »
+ */
+const DUE_SOON_RATIO = 0.25;
+
+/**
+ * Statuts pour lesquels une échéance s'applique
+ */
+const OPEN_STATUSES = ['pending', 'in_progress'];
+
+/**
+ * Déterminer l'état SLA d'un signalement
+ *
+ * @param {Object} report - Signalement (status, created_at, due_at)
+ * @param {number} [now] - Horodatage de référence en ms (default: Date.now())
+ * @returns {{state: 'overdue'|'due_soon'|'on_time', dueAt: Date, remainingMs: number}|null}
+ *   null si aucune échéance (signalement clôturé ou sans politique)
+ *
+ * @example
+ * const sla = getSlaState(report);
+ * if (sla?.state === 'overdue') console.log('En retard de', formatSlaDuration(-sla.remainingMs));
+ */
+export function getSlaState(report, now = Date.now()) {
+  if (!report?.due_at || !OPEN_STATUSES.includes(report.status)) {
+    return null;
+  }
+
+  const dueAt = new Date(report.due_at);
+  const remainingMs = dueAt.getTime() - now;
+
+  if (remainingMs < 0) {
+    return { state: 'overdue', dueAt, remainingMs };
+  }
+
+  const windowMs = dueAt.getTime() - new Date(report.created_at).getTime();
+  const state = windowMs > 0 && remainingMs < windowMs * DUE_SOON_RATIO ? 'due_soon' : 'on_time';
+
+  return { state, dueAt, remainingMs };
+}
+
+/**
+ * Formater une durée de façon compacte (« 45 min », « 3 h », « 2 j 4 h »)
+ *
+ * @param {number} ms - Durée en millisecondes (valeur absolue utilisée)
+ * @returns {string}
+ */
+export function formatSlaDuration(ms) {
+  const minutes = Math.max(1, Math.round(Math.abs(ms) / 60000));
+
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours} h`;
+  }
+
+  const days = Math.floor(hours / 24);
+  const remainingHours = hours % 24;
+  return remainingHours > 0 ? `${days} j ${remainingHours} h` : `${days} j`;
+}
+
+export default {
+  getSlaState,
+  formatSlaDuration,
+};
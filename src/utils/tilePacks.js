@@ -0,0 +1,286 @@
+/**
+ * Packs de tuiles hors-ligne (Cache Storage du service worker)
+ *
+ * Rôle :
+ * - Calculer les tuiles couvrant l'emprise d'une commune
+ *   pour une plage de zooms, et estimer le volume à télécharger
+ * - Pré-charger ces tuiles dans un cache dédié (indépendant du cache
+ *   opportuniste de Workbox, qui expire), avec progression et annulation
+ * - Conserver la description du pack (emprise, zooms, date, nombre de
+ *   tuiles) dans le même cache
+ *
+ * Les tuiles sont relues par OfflineTileLayer (components/maps) avant
+ * tout appel réseau : la carte et les épingles restent utilisables sans
+ * couverture.
+ *
+ * Les tuiles viennent du fournisseur VITE_TILE_PACK_URL (config/tiles) :
+ * sans fournisseur autorisant le téléchargement en masse, les packs sont
+ * désactivés.
+ *
+ * Note : Ce module ne fait que du stockage local. Le calcul de l'emprise
+ * d'une commune vient de communeApi.getCommuneExtent()
+ */
+
+import tilesConfig from '@/config/tiles';
+
+const CACHE_NAME = 'wattu-tile-packs';
+const PACK_INFO_PREFIX = '/__tile-packs__/';
+
+/**
+ * Paramètres des packs
+ * - Zooms 12 (commune entière) à 16 (rue)
+ * - Plafond de tuiles par pack (ménager le fournisseur de tuiles) :
+ *   au-delà, le zoom max est réduit
+ * - Taille moyenne d'une tuile pour l'estimation (Ko)
+ * - Téléchargements simultanés
+ */
+export const TILE_PACK_DEFAULTS = {
+  minZoom: 12,
+  maxZoom: 16,
+  maxTiles: 4000,
+  averageTileKb: 15,
+  concurrency: 4,
+};
+
+/**
+ * Vérifier si les packs sont utilisables : Cache Storage disponible dans
+ * ce navigateur et fournisseur de tuiles configuré (VITE_TILE_PACK_URL)
+ *
+ * @returns {boolean}
+ */
+export function isTilePackSupported() {
+  return typeof caches !== 'undefined' && Boolean(tilesConfig.packUrl);
+}
+
+const lngToTileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * 2 ** zoom);
+
+const latToTileY = (lat, zoom) => {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+/**
+ * URL d'une tuile
+ *
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @param {string} [template] - Modèle d'URL (default: fournisseur des packs)
+ * @returns {string}
+ */
+export function getTileUrl(z, x, y, template = tilesConfig.packUrl) {
+  return template.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+}
+
+/**
+ * Nombre de tuiles couvrant une emprise pour une plage de zooms
+ *
+ * @param {Object} bounds - { south, west, north, east }
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @returns {number}
+ */
+function countTiles(bounds, minZoom, maxZoom) {
+  let count = 0;
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const width = lngToTileX(bounds.east, zoom) - lngToTileX(bounds.west, zoom) + 1;
+    const height = latToTileY(bounds.south, zoom) - latToTileY(bounds.north, zoom) + 1;
+    count += width * height;
+  }
+  return count;
+}
+
+/**
+ * Estimer un pack : zoom max retenu (sous le plafond), tuiles et volume
+ *
+ * @param {Object} bounds - Emprise { south, west, north, east }
+ * @param {Object} [options] - { minZoom, maxZoom, maxTiles }
+ * @returns {{minZoom: number, maxZoom: number, tileCount: number, sizeMb: number}}
+ *
+ * @example
+ * const estimate = estimateTilePack({ south: 14.66, west: -17.46, north: 14.70, east: -17.43 });
+ * // { minZoom: 12, maxZoom: 16, tileCount: 212, sizeMb: 3.1 }
+ */
+export function estimateTilePack(bounds, options = {}) {
+  const {
+    minZoom = TILE_PACK_DEFAULTS.minZoom,
+    maxTiles = TILE_PACK_DEFAULTS.maxTiles,
+  } = options;
+  let { maxZoom = TILE_PACK_DEFAULTS.maxZoom } = options;
+
+  let tileCount = countTiles(bounds, minZoom, maxZoom);
+  while (tileCount > maxTiles && maxZoom > minZoom) {
+    maxZoom -= 1;
+    tileCount = countTiles(bounds, minZoom, maxZoom);
+  }
+
+  return {
+    minZoom,
+    maxZoom,
+    tileCount,
+    sizeMb: Math.round((tileCount * TILE_PACK_DEFAULTS.averageTileKb) / 102.4) / 10,
+  };
+}
+
+/**
+ * URLs des tuiles d'une emprise
+ */
+function listTileUrls(bounds, minZoom, maxZoom, template) {
+  const urls = [];
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const [xMin, xMax] = [lngToTileX(bounds.west, zoom), lngToTileX(bounds.east, zoom)];
+    const [yMin, yMax] = [latToTileY(bounds.north, zoom), latToTileY(bounds.south, zoom)];
+    for (let x = xMin; x <= xMax; x++) {
+      for (let y = yMin; y <= yMax; y++) {
+        urls.push(getTileUrl(zoom, x, y, template));
+      }
+    }
+  }
+  return urls;
+}
+
+/**
+ * Télécharger un pack de tuiles dans le cache hors-ligne
+ *
+ * Les tuiles déjà présentes ne sont pas retéléchargées (reprise possible
+ * après une coupure). Un pack partiellement téléchargé est enregistré avec
+ * son nombre de tuiles manquantes.
+ *
+ * @param {Object} pack
+ * @param {string} pack.id - Identifiant (ex: commune_id)
+ * @param {string} pack.name - Nom affiché (ex: nom de la commune)
+ * @param {Object} pack.bounds - Emprise { south, west, north, east }
+ * @param {Object} [options]
+ * @param {function({done: number, total: number}): void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] - Annulation
+ *
+ * @returns {Promise<{data: Object|null, error: Object|null}>} data = description du pack
+ */
+export async function downloadTilePack(pack, options = {}) {
+  const { onProgress, signal } = options;
+
+  if (!isTilePackSupported()) {
+    return {
+      data: null,
+      error: { message: 'Carte hors-ligne non disponible (navigateur ou fournisseur de tuiles)', code: 'NOT_SUPPORTED' },
+    };
+  }
+
+  const estimate = estimateTilePack(pack.bounds);
+  const urls = listTileUrls(pack.bounds, estimate.minZoom, estimate.maxZoom, tilesConfig.packUrl);
+  const cache = await caches.open(CACHE_NAME);
+
+  let done = 0;
+  let failed = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length && !signal?.aborted) {
+      const url = urls[next++];
+      try {
+        if (!(await cache.match(url))) {
+          const response = await fetch(url, { signal });
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          await cache.put(url, response);
+        }
+      } catch (err) {
+        if (signal?.aborted) {
+          return;
+        }
+        failed += 1;
+        console.warn('⚠️ Tuile non téléchargée:', url, err.message);
+      }
+      done += 1;
+      onProgress?.({ done, total: urls.length });
+    }
+  };
+
+  await Promise.all(Array.from({ length: TILE_PACK_DEFAULTS.concurrency }, worker));
+
+  if (signal?.aborted) {
+    return { data: null, error: { message: 'Téléchargement annulé', code: 'ABORTED' } };
+  }
+
+  const info = {
+    id: pack.id,
+    name: pack.name,
+    bounds: pack.bounds,
+    minZoom: estimate.minZoom,
+    maxZoom: estimate.maxZoom,
+    urlTemplate: tilesConfig.packUrl,
+    tileCount: urls.length - failed,
+    missingCount: failed,
+    downloadedAt: new Date().toISOString(),
+  };
+  await cache.put(`${PACK_INFO_PREFIX}${pack.id}`, new Response(JSON.stringify(info)));
+
+  console.log(`✅ Pack de tuiles "${pack.name}": ${info.tileCount}/${urls.length} tuiles`);
+  return { data: info, error: null };
+}
+
+/**
+ * Description d'un pack déjà téléchargé
+ *
+ * @param {string} id - Identifiant du pack
+ * @returns {Promise<Object|null>}
+ */
+export async function getTilePack(id) {
+  if (!isTilePackSupported()) {
+    return null;
+  }
+  const cache = await caches.open(CACHE_NAME);
+  const response = await cache.match(`${PACK_INFO_PREFIX}${id}`);
+  return response ? response.json() : null;
+}
+
+/**
+ * URLs des tuiles d'un pack enregistré
+ */
+function listPackTileUrls(info) {
+  return listTileUrls(info.bounds, info.minZoom, info.maxZoom, info.urlTemplate || tilesConfig.packUrl);
+}
+
+/**
+ * Supprimer un pack (ses tuiles et sa description)
+ *
+ * Les tuiles partagées avec un autre pack (communes voisines dont les
+ * emprises se chevauchent) sont conservées.
+ *
+ * @param {string} id - Identifiant du pack
+ * @returns {Promise<void>}
+ */
+export async function deleteTilePack(id) {
+  const info = await getTilePack(id);
+  if (!info) {
+    return;
+  }
+
+  const cache = await caches.open(CACHE_NAME);
+  const otherPacks = await Promise.all(
+    (await cache.keys())
+      .map((request) => new URL(request.url).pathname)
+      .filter((pathname) => pathname.startsWith(PACK_INFO_PREFIX) && pathname !== `${PACK_INFO_PREFIX}${id}`)
+      .map((pathname) => cache.match(pathname).then((response) => response.json()))
+  );
+  const sharedUrls = new Set(otherPacks.flatMap(listPackTileUrls));
+
+  const urls = listPackTileUrls(info).filter((url) => !sharedUrls.has(url));
+  await Promise.all(urls.map((url) => cache.delete(url)));
+  await cache.delete(`${PACK_INFO_PREFIX}${id}`);
+  console.log(`🗑️ Pack de tuiles "${info.name}" supprimé`);
+}
+
+/**
+ * Tuile présente dans un pack hors-ligne
+ *
+ * @param {string} url - URL de la tuile (fournisseur des packs)
+ * @returns {Promise<Response|undefined>}
+ */
+export async function getCachedTile(url) {
+  if (!isTilePackSupported()) {
+    return undefined;
+  }
+  return caches.match(url, { cacheName: CACHE_NAME });
+}
@@ -0,0 +1,189 @@
+/**
+ * Cache local de la synthèse vocale (IndexedDB)
+ *
+ * Rôle :
+ * - Conserver l'audio généré (PCM 16 bits mono) pour ne pas régénérer une
+ *   phrase déjà prononcée : les questions de l'inscription vocale sont
+ *   rejouées instantanément, hors-ligne et sans consommer de quota IA
+ * - Clé = empreinte du texte + langue + voix (getTtsCacheKey), partagée avec
+ *   les fichiers pré-générés livrés avec la PWA (public/tts/, voir
+ *   scripts/generate-tts-prompts.js)
+ * - Nombre d'entrées limité : les moins récemment utilisées sont supprimées
+ *
+ * Note : Ce module ne fait que du stockage local. L'ordre de recherche
+ * (fichiers pré-générés, cache, passerelle IA) est dans ttsService.getSpeechAudio()
+ */
+
+const DB_NAME = 'wattu-tts';
+const DB_VERSION = 1;
+const STORE_NAME = 'speech';
+
+// Incrémenter pour invalider tous les audios (changement de modèle TTS, etc.)
+const CACHE_VERSION = 1;
+const MAX_ENTRIES = 300;
+
+let dbPromise = null;
+
+/**
+ * Vérifier si IndexedDB est disponible dans ce navigateur
+ *
+ * @returns {boolean}
+ */
+export function isTtsCacheSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Clé de cache d'une phrase (SHA-256 tronqué, en hexadécimal)
+ *
+ * Le texte est normalisé (espaces) pour que de petites différences de mise
+ * en forme ne provoquent pas de nouvelle génération.
+ *
+ * @param {string} text - Texte prononcé
+ * @param {Object} options
+ * @param {string} options.language - Langue de la voix ('fr-FR', 'wo-SN')
+ * @param {string} options.voiceName - Voix ('Kore'...)
+ * @returns {Promise<string>}
+ *
+ * @example
+ * await getTtsCacheKey('Quel est votre âge ?', { language: 'fr-FR', voiceName: 'Kore' })
+ * // → "3f1c…" (32 caractères)
+ */
+export async function getTtsCacheKey(text, { language, voiceName }) {
+  const normalized = text.trim().replace(/\s+/g, ' ');
+  const source = `v${CACHE_VERSION}|${language}|${voiceName}|${normalized}`;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+
+  return Array.from(new Uint8Array(digest))
+    .slice(0, 16)
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Ouvrir (et créer si besoin) la base IndexedDB du cache
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastUsedAt', 'lastUsedAt', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Exécuter une opération sur le store du cache
+ *
+ * @param {'readonly'|'readwrite'} mode - Mode de la transaction
+ * @param {function(IDBObjectStore): IDBRequest} operation - Opération à exécuter
+ * @returns {Promise<any>} Résultat de la requête
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Lire un audio en cache (et le marquer comme récemment utilisé)
+ *
+ * @param {string} key - Clé (getTtsCacheKey)
+ * @returns {Promise<{pcm: ArrayBuffer, sampleRate: number}|null>}
+ */
+export async function getCachedSpeech(key) {
+  const entry = await withStore('readonly', (store) => store.get(key));
+  if (!entry) {
+    return null;
+  }
+
+  await withStore('readwrite', (store) => store.put({ ...entry, lastUsedAt: Date.now() }));
+  return { pcm: entry.pcm, sampleRate: entry.sampleRate };
+}
+
+/**
+ * Mettre un audio en cache
+ *
+ * @param {string} key - Clé (getTtsCacheKey)
+ * @param {Object} entry
+ * @param {ArrayBuffer} entry.pcm - PCM 16 bits mono
+ * @param {number} entry.sampleRate - Fréquence d'échantillonnage
+ * @param {string} [entry.text] - Texte (diagnostic)
+ * @returns {Promise<void>}
+ */
+export async function putCachedSpeech(key, { pcm, sampleRate, text = null }) {
+  const now = Date.now();
+  await withStore('readwrite', (store) => store.put({
+    key,
+    pcm,
+    sampleRate,
+    text,
+    createdAt: now,
+    lastUsedAt: now,
+  }));
+
+  await pruneCache();
+}
+
+/**
+ * Supprimer les entrées les moins récemment utilisées au-delà de MAX_ENTRIES
+ *
+ * @returns {Promise<void>}
+ */
+async function pruneCache() {
+  const count = await withStore('readonly', (store) => store.count());
+  if (count <= MAX_ENTRIES) {
+    return;
+  }
+
+  const keys = await withStore('readonly', (store) => store.index('lastUsedAt').getAllKeys());
+  const excess = keys.slice(0, count - MAX_ENTRIES);
+
+  await withStore('readwrite', (store) => {
+    excess.forEach((key) => store.delete(key));
+    return store.count();
+  });
+}
+
+/**
+ * Vider le cache de synthèse vocale
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearTtsCache() {
+  await withStore('readwrite', (store) => store.clear());
+}
+
+export default {
+  isTtsCacheSupported,
+  getTtsCacheKey,
+  getCachedSpeech,
+  putCachedSpeech,
+  clearTtsCache,
+};
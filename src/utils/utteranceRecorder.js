@@ -0,0 +1,123 @@
+/**
+ * Enregistrement d'une réponse orale (fournisseurs STT « batch »)
+ *
+ * Contrairement à SpeechRecognition, MediaRecorder ne s'arrête pas seul :
+ * l'enregistrement se termine après un silence suivant la parole, à la durée
+ * maximale ou sur appel de stop().
+ */
+
+// Volume moyen (0-1) au-dessus duquel on considère que l'utilisateur parle
+const SPEECH_THRESHOLD = 0.08;
+
+/**
+ * Démarrer l'enregistrement d'une réponse
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxDuration=15] - Durée maximale (secondes)
+ * @param {number} [options.silenceTimeout=1500] - Silence (ms) après la parole qui termine l'enregistrement
+ * @param {number} [options.noSpeechTimeout=8000] - Abandon (ms) si aucune parole n'est détectée
+ * @param {string} [options.mimeType='audio/webm;codecs=opus']
+ *
+ * @returns {Promise<{stop: Function, abort: Function, result: Promise<Blob|null>}>}
+ *   result : enregistrement (null si abandon ou aucune parole)
+ *
+ * @example
+ * const utterance = await recordUtterance({ maxDuration: 10 });
+ * const blob = await utterance.result;
+ */
+export async function recordUtterance(options = {}) {
+  const {
+    maxDuration = 15,
+    silenceTimeout = 1500,
+    noSpeechTimeout = 8000,
+    mimeType = 'audio/webm;codecs=opus',
+  } = options;
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { channelCount: 1, noiseSuppression: true, echoCancellation: true },
+  });
+
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 256;
+  audioContext.createMediaStreamSource(stream).connect(analyser);
+
+  const recorder = new MediaRecorder(
+    stream,
+    MediaRecorder.isTypeSupported?.(mimeType) ? { mimeType } : undefined
+  );
+  const chunks = [];
+  const startedAt = Date.now();
+  let hasSpoken = false;
+  let lastSoundAt = startedAt;
+  let aborted = false;
+  let stoppedByUser = false;
+  let frame = null;
+
+  const cleanup = () => {
+    cancelAnimationFrame(frame);
+    stream.getTracks().forEach((track) => track.stop());
+    audioContext.close().catch(() => {});
+  };
+
+  const result = new Promise((resolve) => {
+    recorder.ondataavailable = (event) => {
+      if (event.data?.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+    recorder.onstop = () => {
+      cleanup();
+      resolve(aborted || chunks.length === 0 || (!hasSpoken && !stoppedByUser)
+        ? null
+        : new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+    };
+  });
+
+  const stop = () => {
+    if (recorder.state !== 'inactive') {
+      recorder.stop();
+    }
+  };
+
+  // Détection du silence
+  const data = new Uint8Array(analyser.frequencyBinCount);
+  const watch = () => {
+    analyser.getByteFrequencyData(data);
+    const volume = data.reduce((sum, value) => sum + value, 0) / data.length / 128;
+    const now = Date.now();
+
+    if (volume > SPEECH_THRESHOLD) {
+      hasSpoken = true;
+      lastSoundAt = now;
+    }
+
+    if (
+      now - startedAt >= maxDuration * 1000
+      || (hasSpoken && now - lastSoundAt >= silenceTimeout)
+      || (!hasSpoken && now - startedAt >= noSpeechTimeout)
+    ) {
+      stop();
+      return;
+    }
+
+    frame = requestAnimationFrame(watch);
+  };
+
+  recorder.start(250);
+  watch();
+
+  return {
+    stop: () => {
+      stoppedByUser = true;
+      stop();
+    },
+    abort: () => {
+      aborted = true;
+      stop();
+    },
+    result,
+  };
+}
+
+export default recordUtterance;
@@ -1,7 +1,5 @@
 // @generated by Cursor AI (Claude) — verified by Kevin
 
-import { extractEmailWithAI, identifyCommuneWithAI, normalizeAddressWithAI } from '@/services/geminiParserService';
-
 /**
  * Utilitaires pour parser les réponses vocales
  * 
@@ -12,6 +10,11 @@ import { extractEmailWithAI, identifyCommuneWithAI, normalizeAddressWithAI } fro
  * - Normalisation texte (majuscules, accents)
  * - Recherche de commune par nom (avec fallback IA Gemini)
  * - Normalisation d'adresse (avec fallback IA Gemini)
+ *
+ * Note : geminiParserService (et donc le client Supabase) est importé à la
+ * demande, au premier fallback IA : les scripts qui chargent les questions
+ * de l'inscription (tts:prompts, voice-packs:coverage) n'ont pas besoin
+ * des variables VITE_SUPABASE_*
  */
 
 /**
@@ -295,6 +298,37 @@ export function normalizeText(text, preserveCase = false) {
   return normalized;
 }
 
+// Formules d'introduction retirées avant d'isoler le nom (fr / wo)
+const NAME_INTRODUCTIONS = [
+  /^(bonjour|salut|salam|salamalekoum|asalaa maalekum)[\s,]+/i,
+  /^(je m'appelle|je m’appelle|je suis|mon nom est|moi c'est|moi c’est)\s+/i,
+  /^(maa ngi tudd|sama tur mooy|sama tur|man)\s+/i,
+];
+
+/**
+ * Séparer prénom et nom dans une réponse orale (« je m'appelle Amadou Diallo »)
+ * 
+ * @param {string} text - Transcription de la réponse
+ * @returns {{prenom: string, name: string}} - Premier mot = prénom, reste = nom
+ * 
+ * @example
+ * splitSpokenName("je m'appelle amadou diallo") // → { prenom: "Amadou", name: "Diallo" }
+ * splitSpokenName("maa ngi tudd Fatou Ndiaye") // → { prenom: "Fatou", name: "Ndiaye" }
+ */
+export function splitSpokenName(text) {
+  if (!text || typeof text !== 'string') {
+    return { prenom: '', name: '' };
+  }
+
+  let cleaned = text.trim().replace(/[.!?]+$/, '');
+  NAME_INTRODUCTIONS.forEach((pattern) => {
+    cleaned = cleaned.replace(pattern, '');
+  });
+
+  const [prenom = '', ...rest] = normalizeText(cleaned).split(' ');
+  return { prenom, name: rest.join(' ') };
+}
+
 /**
  * Calculer la similarité entre deux chaînes (Levenshtein simplifié)
  * 
@@ -501,6 +535,7 @@ export async function parseFieldValue(fieldId, text, communes = []) {
       // Si le résultat semble incomplet, essayer avec Gemini AI
       if (normalized.length < 10) {
         try {
+          const { normalizeAddressWithAI } = await import('@/services/geminiParserService');
           const aiAddress = await normalizeAddressWithAI(text);
           if (aiAddress && aiAddress.length >= 10) {
             console.log('✅ Adresse normalisée via Gemini AI:', aiAddress);
@@ -522,6 +557,7 @@ export default {
   extractEmail,
   extractPhone,
   normalizeText,
+  splitSpokenName,
   findCommuneInText,
   parseFieldValue,
 };
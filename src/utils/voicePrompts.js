@@ -0,0 +1,195 @@
+import { createSignupQuestions } from './voiceSignupQuestions';
+
+/**
+ * Catalogue des consignes vocales de l'application
+ *
+ * Chaque consigne a un identifiant stable (promptId) utilisé par les packs
+ * vocaux enregistrés (public/voice-packs/<langue>/manifest.json) : si le pack
+ * de la langue contient un enregistrement pour l'identifiant, il est joué à la
+ * place de la synthèse vocale (voir src/hooks/useVoicePrompts.js).
+ *
+ * - signup.* : questions de l'inscription vocale (voiceSignupQuestions.js)
+ * - report.* : consignes du formulaire de signalement (SignalementForm)
+ * - status.* : phrases fixes du suivi vocal des signalements (useReportVoiceReader)
+ *
+ * Note : Ne jamais renommer un identifiant existant, les enregistrements des
+ * packs déjà livrés ne seraient plus trouvés.
+ */
+
+/**
+ * Consignes du parcours de signalement
+ *
+ * Le texte vient des traductions (i18nKey), defaultValue sert de repli.
+ */
+export const REPORT_PROMPTS = [
+  {
+    id: 'report.record',
+    i18nKey: 'voicePrompts.report_record',
+    defaultValue: 'Appuyez sur Enregistrer et décrivez le problème à voix haute : ce qui se passe et où.',
+  },
+  {
+    id: 'report.type',
+    i18nKey: 'report.type_section_title',
+    defaultValue: 'Quel type de problème signalez-vous ?',
+  },
+  {
+    id: 'report.photo',
+    i18nKey: 'photo_sheet.description',
+    defaultValue: 'Prenez une photo pour illustrer le problème (optionnel)',
+  },
+  {
+    id: 'report.duplicate',
+    i18nKey: 'duplicate.question',
+    defaultValue: 'Voulez-vous y ajouter votre voix ?',
+  },
+  {
+    id: 'report.submit',
+    i18nKey: 'voicePrompts.report_submit',
+    defaultValue: 'Votre message est prêt. Appuyez sur Envoyer le signalement.',
+  },
+];
+
+/**
+ * Phrases fixes du suivi vocal des signalements
+ *
+ * Le résumé de chaque signalement (type, commune, statut, message de la
+ * mairie) change d'un signalement à l'autre : il est toujours synthétisé.
+ */
+export const STATUS_PROMPTS = [
+  {
+    id: 'status.intro',
+    i18nKey: 'voiceStatus.intro',
+    defaultValue: 'Voici vos signalements. Après chacun, dites « suivant », « précédent », « répéter », « message » pour écrire à la mairie, ou « arrêter ».',
+  },
+  {
+    id: 'status.help',
+    i18nKey: 'voiceStatus.help',
+    defaultValue: 'Je n\'ai pas compris. Dites « suivant », « précédent », « répéter », « message » ou « arrêter ».',
+  },
+  {
+    id: 'status.empty',
+    i18nKey: 'voiceStatus.empty',
+    defaultValue: 'Vous n\'avez pas encore de signalement.',
+  },
+  {
+    id: 'status.first',
+    i18nKey: 'voiceStatus.first',
+    defaultValue: 'C\'est votre premier signalement.',
+  },
+  {
+    id: 'status.last',
+    i18nKey: 'voiceStatus.last',
+    defaultValue: 'C\'était votre dernier signalement.',
+  },
+  {
+    id: 'status.noComment',
+    i18nKey: 'voiceStatus.no_comment',
+    defaultValue: 'Pas encore de message de la mairie.',
+  },
+  {
+    id: 'status.voiceComment',
+    i18nKey: 'voiceStatus.voice_comment',
+    defaultValue: 'La mairie vous a laissé un message vocal.',
+  },
+  {
+    id: 'status.commentRecord',
+    i18nKey: 'voiceStatus.comment_record',
+    defaultValue: 'Après cette phrase, dites votre message pour la mairie.',
+  },
+  {
+    id: 'status.commentSent',
+    i18nKey: 'voiceStatus.comment_sent',
+    defaultValue: 'Votre message a été envoyé à la mairie.',
+  },
+  {
+    id: 'status.commentFailed',
+    i18nKey: 'voiceStatus.comment_failed',
+    defaultValue: 'Votre message n\'a pas pu être envoyé. Réessayez plus tard.',
+  },
+  {
+    id: 'status.goodbye',
+    i18nKey: 'voiceStatus.goodbye',
+    defaultValue: 'Au revoir.',
+  },
+];
+
+const TRANSLATED_PROMPTS = [...REPORT_PROMPTS, ...STATUS_PROMPTS];
+
+/**
+ * Obtenir une consigne traduite (signalement, suivi vocal)
+ *
+ * @param {string} promptId - Identifiant ('report.record', 'status.help'...)
+ * @returns {Object|null} { id, i18nKey, defaultValue } ou null
+ *
+ * @example
+ * const prompt = getTranslatedPrompt('status.help');
+ * say(prompt.id, t(prompt.i18nKey, { defaultValue: prompt.defaultValue }));
+ */
+export function getTranslatedPrompt(promptId) {
+  return TRANSLATED_PROMPTS.find((prompt) => prompt.id === promptId) || null;
+}
+
+/**
+ * Texte à enregistrer d'une question rendue sans réponse
+ * ("Parfait, . Quel est..." → "Parfait. Quel est...")
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function toRecordedText(text) {
+  return text
+    .replace(/\{\w+\}/g, '')
+    .replace(/,\s*([.!?])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Catalogue complet des consignes (inscription, signalement, suivi vocal)
+ *
+ * Les questions interpolées sont rendues sans la réponse ({firstName}) :
+ * c'est la phrase à enregistrer dans les packs.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.language='fr'] - Langue du texte des questions d'inscription ('fr' | 'wo')
+ * @param {function} [options.translate] - Fonction de traduction (t de i18next) pour les consignes traduites
+ * @returns {Array<{id: string, flow: 'signup'|'report'|'status', text: string}>}
+ *
+ * @example
+ * getVoicePromptCatalog({ language: 'wo' })
+ * // → [{ id: 'signup.firstName', flow: 'signup', text: 'Salaam ! ...' }, ...]
+ */
+export function getVoicePromptCatalog({ language = 'fr', translate = null } = {}) {
+  const signupPrompts = createSignupQuestions([], language).map((question) => ({
+    id: question.promptId,
+    flow: 'signup',
+    text: toRecordedText(typeof question.question === 'function' ? question.question({}) : question.question),
+  }));
+
+  const translatedPrompts = TRANSLATED_PROMPTS.map((prompt) => ({
+    id: prompt.id,
+    flow: prompt.id.split('.')[0],
+    text: translate
+      ? translate(prompt.i18nKey, { defaultValue: prompt.defaultValue })
+      : prompt.defaultValue,
+  }));
+
+  return [...signupPrompts, ...translatedPrompts];
+}
+
+/**
+ * Identifiants de toutes les consignes
+ *
+ * @returns {Array<string>}
+ */
+export function getVoicePromptIds() {
+  return getVoicePromptCatalog().map((prompt) => prompt.id);
+}
+
+export default {
+  REPORT_PROMPTS,
+  STATUS_PROMPTS,
+  getTranslatedPrompt,
+  getVoicePromptCatalog,
+  getVoicePromptIds,
+};
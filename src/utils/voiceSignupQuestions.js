@@ -7,6 +7,9 @@ import { parseFieldValue, normalizeText, parseFrenchNumber, extractEmail, extrac
  * 
  * Chaque question contient :
  * - id: Identifiant unique du champ
+ * - promptId: Identifiant de la question dans les packs vocaux enregistrés
+ *   (voir src/utils/voicePrompts.js). L'enregistrement remplace la question
+ *   entière : les questions interpolées ({firstName}) sont enregistrées sans le nom
  * - question: Texte de la question (peut être une fonction pour interpolation)
  * - validation: Fonction de validation (retourne true/false)
  * - errorMessage: Message d'erreur si validation échoue
@@ -25,6 +28,7 @@ export function createSignupQuestions(communes = [], language = 'fr') {
   const questions = [
     {
       id: 'firstName',
+      promptId: 'signup.firstName',
       question: (collectedData) => {
         if (language === 'fr') {
           return 'Bonjour ! Je vais vous aider à créer votre compte. Commençons par votre prénom.';
@@ -44,6 +48,7 @@ export function createSignupQuestions(communes = [], language = 'fr') {
     },
     {
       id: 'lastName',
+      promptId: 'signup.lastName',
       question: (collectedData) => {
         if (language === 'fr') {
           return `Parfait, ${collectedData.firstName || ''}. Quel est votre nom de famille ?`;
@@ -63,6 +68,7 @@ export function createSignupQuestions(communes = [], language = 'fr') {
     },
     {
       id: 'age',
+      promptId: 'signup.age',
       question: (collectedData) => {
         if (language === 'fr') {
           return 'Merci. Quel est votre âge ?';
@@ -82,6 +88,7 @@ export function createSignupQuestions(communes = [], language = 'fr') {
     },
     {
       id: 'commune_id',
+      promptId: 'signup.commune',
       question: (collectedData) => {
         if (language === 'fr') {
           return 'Dans quelle commune habitez-vous ? Dites simplement le nom de la commune, par exemple "Dakar" ou "Saint-Louis".';
@@ -107,6 +114,7 @@ export function createSignupQuestions(communes = [], language = 'fr') {
     },
     {
       id: 'phone',
+      promptId: 'signup.phone',
       question: (collectedData) => {
         if (language === 'fr') {
           return 'Quel est votre numéro de téléphone ?';
@@ -127,6 +135,7 @@ export function createSignupQuestions(communes = [], language = 'fr') {
     },
     {
       id: 'address',
+      promptId: 'signup.address',
       question: (collectedData) => {
         if (language === 'fr') {
           return 'Quelle est votre adresse complète ?';
@@ -162,6 +171,7 @@ export function createSignupQuestions(communes = [], language = 'fr') {
     },
     {
       id: 'email',
+      promptId: 'signup.email',
       question: (collectedData) => {
         if (language === 'fr') {
           return 'Enfin, quel est votre adresse email ? Vous pouvez l\'épeler en disant "point" pour le point et "at" pour l\'arobase, par exemple "amadou point diallo at gmail point com".';
@@ -184,6 +194,37 @@ export function createSignupQuestions(communes = [], language = 'fr') {
   return questions;
 }
 
+/**
+ * Voix de l'agent d'inscription (clé du cache TTS : texte + langue + voix)
+ * 
+ * @param {string} language - Langue ('fr' | 'wo')
+ * @returns {{language: string, voiceName: string}}
+ */
+export function getSignupSpeechOptions(language = 'fr') {
+  return {
+    language: language === 'fr' ? 'fr-FR' : 'wo-SN',
+    voiceName: 'Kore', // Voix professionnelle et claire
+  };
+}
+
+/**
+ * Questions dont le texte ne dépend pas des réponses précédentes
+ * (pré-générées en audio, voir scripts/generate-tts-prompts.js)
+ * 
+ * @param {string} language - Langue ('fr' | 'wo')
+ * @returns {Array<string>} Textes des questions fixes
+ */
+export function getStaticSignupPrompts(language = 'fr') {
+  const sample = { firstName: 'Awa' };
+
+  return createSignupQuestions([], language)
+    .map((q) => (typeof q.question === 'function'
+      ? [q.question({}), q.question(sample)]
+      : [q.question, q.question]))
+    .filter(([empty, withData]) => empty === withData)
+    .map(([text]) => text);
+}
+
 /**
  * Obtenir une question par son ID
  * 
@@ -208,6 +249,8 @@ export function getTotalQuestions() {
 
 export default {
   createSignupQuestions,
+  getSignupSpeechOptions,
+  getStaticSignupPrompts,
   getQuestionById,
   getTotalQuestions,
 };
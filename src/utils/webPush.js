@@ -0,0 +1,143 @@
+/**
+ * Web Push côté navigateur (service worker de la PWA)
+ *
+ * Rôle :
+ * - Vérifier la prise en charge (Service Worker, PushManager, Notification)
+ * - Abonner / désabonner cet appareil auprès du service push du navigateur
+ *   avec la clé publique VAPID (VITE_VAPID_PUBLIC_KEY)
+ * - Afficher une notification de test via le service worker
+ *   (public/push-sw.js), sans serveur push : utile en local
+ *
+ * Note : Ce module ne parle pas à Supabase. L'enregistrement de
+ * l'abonnement se fait avec pushApi.savePushSubscription()
+ */
+
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY || '';
+
+/**
+ * Vérifier si le Web Push est disponible dans ce navigateur
+ *
+ * @returns {boolean}
+ */
+export function isWebPushSupported() {
+  return (
+    typeof window !== 'undefined' &&
+    'serviceWorker' in navigator &&
+    'PushManager' in window &&
+    'Notification' in window
+  );
+}
+
+/**
+ * Une clé VAPID est-elle configurée pour cette build ?
+ *
+ * @returns {boolean}
+ */
+export function isWebPushConfigured() {
+  return Boolean(VAPID_PUBLIC_KEY);
+}
+
+/**
+ * Clé VAPID base64url → Uint8Array (applicationServerKey)
+ */
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Service worker de la PWA (absent en développement : devOptions désactivé)
+ */
+async function getRegistration() {
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration) {
+    throw Object.assign(new Error('Service worker non installé (lancer la version de production)'), { code: 'NO_SERVICE_WORKER' });
+  }
+  await navigator.serviceWorker.ready;
+  return registration;
+}
+
+/**
+ * Abonnement push actuel de cet appareil
+ *
+ * @returns {Promise<PushSubscription|null>}
+ */
+export async function getPushSubscription() {
+  if (!isWebPushSupported()) {
+    return null;
+  }
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+/**
+ * Demander la permission et abonner cet appareil
+ *
+ * @returns {Promise<PushSubscription>}
+ * @throws {Error} code PERMISSION_DENIED | NOT_CONFIGURED | NOT_SUPPORTED | NO_SERVICE_WORKER
+ */
+export async function subscribeToPush() {
+  if (!isWebPushSupported()) {
+    throw Object.assign(new Error('Notifications push non supportées'), { code: 'NOT_SUPPORTED' });
+  }
+  if (!isWebPushConfigured()) {
+    throw Object.assign(new Error('Clé VAPID non configurée (VITE_VAPID_PUBLIC_KEY)'), { code: 'NOT_CONFIGURED' });
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw Object.assign(new Error('Permission de notification refusée'), { code: 'PERMISSION_DENIED' });
+  }
+
+  const registration = await getRegistration();
+  const existing = await registration.pushManager.getSubscription();
+  if (existing) {
+    return existing;
+  }
+
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
+  });
+}
+
+/**
+ * Désabonner cet appareil
+ *
+ * @returns {Promise<string|null>} Endpoint de l'abonnement supprimé
+ */
+export async function unsubscribeFromPush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) {
+    return null;
+  }
+  const { endpoint } = subscription;
+  await subscription.unsubscribe();
+  return endpoint;
+}
+
+/**
+ * Afficher une notification de test (même rendu qu'un vrai push)
+ *
+ * @param {string} locale - 'fr' | 'wo'
+ */
+export async function showTestNotification(locale) {
+  if (!isWebPushSupported()) {
+    throw Object.assign(new Error('Notifications push non supportées'), { code: 'NOT_SUPPORTED' });
+  }
+
+  if (Notification.permission !== 'granted') {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw Object.assign(new Error('Permission de notification refusée'), { code: 'PERMISSION_DENIED' });
+    }
+  }
+
+  const registration = await getRegistration();
+  registration.active?.postMessage({
+    type: 'WATTU_TEST_PUSH',
+    payload: { type: 'test', locale, url: '/citizen/dashboard' },
+  });
+}
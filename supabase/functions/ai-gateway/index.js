@@ -0,0 +1,257 @@
+// ═══════════════════════════════════════════════════════════
+// Edge Function ai-gateway (Deno)
+//
+// Point d'entrée unique des appels IA de l'application : la clé du
+// fournisseur reste côté serveur (plus de clé dans le bundle client).
+//
+// Requête : POST { task, ...paramètres }
+// - analyze_audio     : { audioBase64, mimeType, language }
+// - transcribe        : { audioBase64, mimeType, language }
+// - tts               : { text, voiceName, language }
+// - extract_email     : { text }
+// - identify_commune  : { text, communes: [{ name, region }] }
+// - normalize_address : { text }
+// Réponse : { data } ou { error: { message, code } }
+//
+// - Fournisseur enfichable (AI_PROVIDER = gemini | mock ; défaut : gemini
+//   si GEMINI_API_KEY est défini, sinon mock)
+// - Plafond d'appels par utilisateur (AI_RATE_LIMIT_PER_MINUTE, défaut 20 ;
+//   AI_RATE_LIMIT_PER_HOUR, défaut 200), tous appels confondus. Utilisateur :
+//   session Supabase, sinon session vocale (en-tête x-voice-session, voir
+//   voice_sessions), sinon adresse IP
+// - Chaque appel est réservé dans ai_requests avant l'appel au fournisseur,
+//   puis journalisé avec son résultat
+// ═══════════════════════════════════════════════════════════
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { createGeminiProvider } from './providers/gemini.js';
+import { createMockProvider } from './providers/mock.js';
+
+const RATE_LIMIT_PER_MINUTE = Number(Deno.env.get('AI_RATE_LIMIT_PER_MINUTE') || 20);
+const RATE_LIMIT_PER_HOUR = Number(Deno.env.get('AI_RATE_LIMIT_PER_HOUR') || 200);
+
+// Taille maximale des entrées (audio base64 ≈ 10 Mo, texte)
+const MAX_AUDIO_BASE64_LENGTH = 14 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 4000;
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL'),
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+  { auth: { persistSession: false } }
+);
+
+/**
+ * Fournisseur configuré
+ */
+function createProvider() {
+  const apiKey = Deno.env.get('GEMINI_API_KEY');
+  const name = Deno.env.get('AI_PROVIDER') || (apiKey ? 'gemini' : 'mock');
+
+  if (name === 'gemini') {
+    return createGeminiProvider({ apiKey });
+  }
+  return createMockProvider();
+}
+
+const provider = createProvider();
+
+/**
+ * Tâches exposées → méthode du fournisseur + validation des paramètres
+ */
+const TASKS = {
+  analyze_audio: {
+    run: (params) => provider.analyzeAudio({
+      audioBase64: params.audioBase64,
+      mimeType: params.mimeType || 'audio/webm',
+      language: params.language || 'fr',
+    }),
+    validate: (params) => typeof params.audioBase64 === 'string'
+      && params.audioBase64.length > 0
+      && params.audioBase64.length <= MAX_AUDIO_BASE64_LENGTH,
+    size: (params) => Math.round((params.audioBase64?.length || 0) * 0.75),
+  },
+  transcribe: {
+    run: (params) => provider.transcribeAudio({
+      audioBase64: params.audioBase64,
+      mimeType: params.mimeType || 'audio/webm',
+      language: params.language || 'fr',
+    }),
+    validate: (params) => typeof params.audioBase64 === 'string'
+      && params.audioBase64.length > 0
+      && params.audioBase64.length <= MAX_AUDIO_BASE64_LENGTH,
+    size: (params) => Math.round((params.audioBase64?.length || 0) * 0.75),
+  },
+  tts: {
+    run: (params) => provider.synthesizeSpeech({
+      text: params.text,
+      voiceName: params.voiceName || 'Kore',
+      language: params.language || 'fr-FR',
+    }),
+    validate: (params) => isText(params.text),
+    size: (params) => params.text?.length || 0,
+  },
+  extract_email: {
+    run: (params) => provider.extractEmail({ text: params.text }),
+    validate: (params) => isText(params.text),
+    size: (params) => params.text?.length || 0,
+  },
+  identify_commune: {
+    run: (params) => provider.identifyCommune({
+      text: params.text,
+      communes: (params.communes || []).map((c) => ({ name: String(c.name), region: String(c.region || '') })),
+    }),
+    validate: (params) => isText(params.text) && Array.isArray(params.communes) && params.communes.length > 0,
+    size: (params) => params.text?.length || 0,
+  },
+  normalize_address: {
+    run: (params) => provider.normalizeAddress({ text: params.text }),
+    validate: (params) => isText(params.text),
+    size: (params) => params.text?.length || 0,
+  },
+};
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_TEXT_LENGTH;
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-voice-session',
+};
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+});
+
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Voice user d'une session vocale valide (même calcul que
+ * current_voice_user_id)
+ */
+async function getVoiceSessionUserId(sessionToken) {
+  const tokenHash = toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(sessionToken)));
+  const { data } = await supabase
+    .from('voice_sessions')
+    .select('voice_user_id')
+    .eq('token_hash', tokenHash)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  return data?.voice_user_id || null;
+}
+
+/**
+ * Identité utilisée pour le plafond : session Supabase, sinon session
+ * vocale (vérifiée en base), sinon adresse IP
+ */
+async function resolveCaller(req) {
+  const token = req.headers.get('authorization')?.replace(/^Bearer\s+/i, '');
+  if (token) {
+    const { data } = await supabase.auth.getUser(token);
+    if (data?.user) {
+      return { userKey: `user:${data.user.id}`, userId: data.user.id };
+    }
+  }
+
+  const sessionToken = req.headers.get('x-voice-session');
+  if (sessionToken) {
+    const voiceUserId = await getVoiceSessionUserId(sessionToken);
+    if (voiceUserId) {
+      return { userKey: `voice:${voiceUserId}`, userId: voiceUserId };
+    }
+  }
+
+  // Dernier saut de x-forwarded-for : ajouté par le proxy de Supabase, les
+  // précédents sont fournis par le client
+  const ip = req.headers.get('x-forwarded-for')?.split(',').pop().trim() || 'inconnue';
+  return { userKey: `ip:${ip}`, userId: null };
+}
+
+/**
+ * Réserver l'appel (ligne 'pending') sous le plafond de l'utilisateur
+ *
+ * @returns {Promise<Object>} Ligne ai_requests ('pending' ou 'rate_limited')
+ */
+async function reserveRequest(entry) {
+  const { data, error } = await supabase
+    .rpc('ai_requests_reserve', {
+      p_user_key: entry.user_key,
+      p_user_id: entry.user_id,
+      p_task: entry.task,
+      p_provider: provider.name,
+      p_input_size: entry.input_size,
+      p_limit_per_minute: RATE_LIMIT_PER_MINUTE,
+      p_limit_per_hour: RATE_LIMIT_PER_HOUR,
+    })
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data;
+}
+
+async function completeRequest(requestId, result) {
+  const { error } = await supabase.from('ai_requests').update(result).eq('id', requestId);
+  if (error) {
+    console.error('❌ [ai-gateway] Erreur journalisation:', error.message);
+  }
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: CORS_HEADERS });
+  }
+  if (req.method !== 'POST') {
+    return json({ error: { message: 'Méthode non autorisée', code: 'METHOD_NOT_ALLOWED' } }, 405);
+  }
+
+  const params = await req.json().catch(() => ({}));
+  const task = TASKS[params.task];
+
+  if (!task) {
+    return json({ error: { message: `Tâche inconnue : ${params.task}`, code: 'UNKNOWN_TASK' } }, 400);
+  }
+  if (!task.validate(params)) {
+    return json({ error: { message: 'Paramètres invalides', code: 'INVALID_PARAMS' } }, 400);
+  }
+
+  const caller = await resolveCaller(req);
+  const entry = {
+    user_key: caller.userKey,
+    user_id: caller.userId,
+    task: params.task,
+    input_size: task.size(params),
+  };
+
+  let request;
+  try {
+    request = await reserveRequest(entry);
+  } catch (err) {
+    console.error('❌ [ai-gateway] Erreur réservation:', err);
+    return json({ error: { message: 'Le service IA est indisponible', code: 'GATEWAY_ERROR' } }, 500);
+  }
+
+  if (request.status === 'rate_limited') {
+    return json({
+      error: { message: 'Trop de requêtes IA, réessayez dans un instant', code: 'RATE_LIMITED' },
+    }, 429);
+  }
+
+  const startedAt = Date.now();
+
+  try {
+    const data = await task.run(params);
+    await completeRequest(request.id, { status: 'ok', latency_ms: Date.now() - startedAt });
+    return json({ data });
+  } catch (err) {
+    console.error(`❌ [ai-gateway] ${params.task} (${provider.name}):`, err);
+    await completeRequest(request.id, { status: 'error', latency_ms: Date.now() - startedAt, error: String(err.message || err).slice(0, 500) });
+    return json({ error: { message: 'Le service IA est indisponible', code: 'PROVIDER_ERROR' } }, 502);
+  }
+});
@@ -0,0 +1,185 @@
+// ═══════════════════════════════════════════════════════════
+// Fournisseur IA Gemini (Google GenAI)
+//
+// Variables d'environnement :
+// - GEMINI_API_KEY : clé API (secret de la fonction, jamais côté client)
+// - GEMINI_MODEL : modèle texte / audio (défaut gemini-2.0-flash-exp)
+// - GEMINI_TTS_MODEL : modèle de synthèse vocale (défaut gemini-2.5-flash-preview-tts)
+// ═══════════════════════════════════════════════════════════
+
+import { GoogleGenAI } from 'npm:@google/genai@1';
+
+const MODEL = Deno.env.get('GEMINI_MODEL') || 'gemini-2.0-flash-exp';
+const TTS_MODEL = Deno.env.get('GEMINI_TTS_MODEL') || 'gemini-2.5-flash-preview-tts';
+
+/**
+ * Texte de la première réponse du modèle
+ */
+function responseText(response) {
+  return response.candidates?.[0]?.content?.parts?.map((part) => part.text || '').join('\n').trim() || '';
+}
+
+/**
+ * JSON contenu dans une réponse (le modèle ajoute parfois du texte autour)
+ */
+function parseJson(text) {
+  const match = text.match(/\{[\s\S]*\}/);
+  try {
+    return JSON.parse(match ? match[0] : text);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * "null" (ou vide) → null
+ */
+function nullable(text) {
+  return !text || text.toLowerCase() === 'null' ? null : text.replace(/^"|"$/g, '');
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.apiKey - GEMINI_API_KEY
+ */
+export function createGeminiProvider({ apiKey }) {
+  const client = new GoogleGenAI({ apiKey });
+
+  const generateText = async (prompt) => {
+    const response = await client.models.generateContent({
+      model: MODEL,
+      contents: [{ parts: [{ text: prompt }] }],
+    });
+    return responseText(response);
+  };
+
+  return {
+    name: 'gemini',
+
+    async analyzeAudio({ audioBase64, mimeType, language }) {
+      const prompt = `Tu es un agent qui aide les citoyens à signaler des incidents urbains (voirie, éclairage, eau, déchets, sécurité, espaces verts, assainissement, transport ou autre).
+
+Analyse l'audio fourni (langue principale: ${language}) et retourne STRICTEMENT un JSON avec la structure :
+{
+  "transcription": "transcription fidèle en ${language}",
+  "summary": "résumé très court (max 20 mots)",
+  "keywords": ["mot1","mot2"],
+  "category": "voirie|eclairage|eau|dechets|securite|espaces_verts|assainissement|transport|autre",
+  "severity": "low|medium|high",
+  "actions": ["suggestion optionnelle"],
+  "confidence": 0.0-1.0
+}
+
+Ne renvoie aucune explication autour du JSON.`;
+
+      const response = await client.models.generateContent({
+        model: MODEL,
+        contents: [
+          {
+            role: 'user',
+            parts: [
+              { inlineData: { mimeType, data: audioBase64 } },
+              { text: prompt },
+            ],
+          },
+        ],
+      });
+
+      return parseJson(responseText(response));
+    },
+
+    async transcribeAudio({ audioBase64, mimeType, language }) {
+      const prompt = `Transcris fidèlement l'audio fourni (langue principale: ${language}).
+
+Retourne STRICTEMENT un JSON avec la structure :
+{
+  "text": "transcription complète",
+  "confidence": 0.0-1.0,
+  "words": [{ "word": "mot", "start": 0.0, "end": 0.4 }]
+}
+
+"start" et "end" sont en secondes depuis le début de l'audio. Ne renvoie aucune explication autour du JSON.`;
+
+      const response = await client.models.generateContent({
+        model: MODEL,
+        contents: [
+          {
+            role: 'user',
+            parts: [
+              { inlineData: { mimeType, data: audioBase64 } },
+              { text: prompt },
+            ],
+          },
+        ],
+      });
+
+      return parseJson(responseText(response));
+    },
+
+    async synthesizeSpeech({ text, voiceName }) {
+      const response = await client.models.generateContent({
+        model: TTS_MODEL,
+        contents: [{ parts: [{ text }] }],
+        config: {
+          responseModalities: ['AUDIO'],
+          speechConfig: {
+            voiceConfig: {
+              prebuiltVoiceConfig: { voiceName },
+            },
+          },
+        },
+      });
+
+      const audioBase64 = response.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
+      if (!audioBase64) {
+        throw new Error('Aucune donnée audio retournée par Gemini TTS');
+      }
+
+      // PCM 16 bits mono, 24 kHz
+      return { audioBase64, sampleRate: 24000 };
+    },
+
+    async extractEmail({ text }) {
+      return nullable(await generateText(`Tu es un assistant qui extrait des adresses email depuis des transcriptions vocales.
+
+Texte transcrit : "${text}"
+
+Extrais l'adresse email de ce texte. Les utilisateurs peuvent dire :
+- "point" pour "."
+- "at" ou "a" pour "@"
+- "gmail point com" pour "gmail.com"
+
+Réponds UNIQUEMENT avec l'email extrait, sans explication, ou "null" si aucun email n'est trouvé.
+Format attendu : email@domain.com ou null`));
+    },
+
+    async identifyCommune({ text, communes }) {
+      const communeNames = communes.map((c) => `${c.name} (${c.region})`).join(', ');
+
+      return nullable(await generateText(`Tu es un assistant qui identifie des communes sénégalaises depuis des transcriptions vocales.
+
+Texte transcrit : "${text}"
+
+Liste des communes disponibles :
+${communeNames}
+
+Identifie la commune mentionnée dans le texte. Réponds UNIQUEMENT avec le nom exact de la commune (sans la région), ou "null" si aucune commune n'est trouvée.
+Exemple de réponse : "Dakar" ou "Saint-Louis" ou "null"`));
+    },
+
+    async normalizeAddress({ text }) {
+      return nullable(await generateText(`Tu es un assistant qui normalise des adresses depuis des transcriptions vocales.
+
+Texte transcrit : "${text}"
+
+Normalise cette adresse en :
+- Corrigeant les erreurs de transcription
+- Ajoutant la ponctuation appropriée
+- Mettant en forme (première lettre en majuscule)
+- Préservant tous les détails (numéros de rue, quartiers, etc.)
+
+Réponds UNIQUEMENT avec l'adresse normalisée, sans explication, ou "null" si l'adresse est invalide.
+Exemple : "Rue 12, quartier Plateau, Dakar"`));
+    },
+  };
+}
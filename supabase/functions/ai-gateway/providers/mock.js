@@ -0,0 +1,161 @@
+// ═══════════════════════════════════════════════════════════
+// Fournisseur IA de test (déterministe, sans réseau)
+//
+// Même interface que le fournisseur Gemini. Les réponses ne dépendent
+// que des entrées : le même audio donne toujours la même transcription,
+// le même texte la même synthèse. Sans dépendance (ni Deno, ni npm) :
+// utilisé par la passerelle (AI_PROVIDER=mock) et directement dans le
+// navigateur (VITE_AI_PROVIDER=mock, voir src/api/aiApi.js) pour tester
+// tout le parcours vocal hors-ligne.
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Transcriptions de démonstration (une par catégorie courante)
+ */
+const SAMPLE_REPORTS = [
+  {
+    transcription: 'Il y a un grand trou sur la route devant le marché, les voitures ne peuvent plus passer',
+    category: 'voirie',
+    severity: 'medium',
+    keywords: ['trou', 'route', 'marché'],
+  },
+  {
+    transcription: 'Le lampadaire de notre rue est éteint depuis une semaine, c\'est dangereux la nuit',
+    category: 'eclairage',
+    severity: 'high',
+    keywords: ['lampadaire', 'éteint', 'nuit'],
+  },
+  {
+    transcription: 'Une fuite d\'eau sur la canalisation près de l\'école inonde la rue',
+    category: 'eau',
+    severity: 'high',
+    keywords: ['fuite', 'canalisation', 'école'],
+  },
+  {
+    transcription: 'Les ordures ne sont pas ramassées au coin du quartier depuis dix jours',
+    category: 'dechets',
+    severity: 'medium',
+    keywords: ['ordures', 'quartier'],
+  },
+  {
+    transcription: 'Le caniveau est bouché et les eaux usées débordent sur le trottoir',
+    category: 'assainissement',
+    severity: 'medium',
+    keywords: ['caniveau', 'eaux usées', 'trottoir'],
+  },
+];
+
+/**
+ * Empreinte FNV-1a 32 bits d'une chaîne
+ */
+function hash(value) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < value.length; i += 1) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Bips PCM 16 bits mono 24 kHz : un bip par mot (max 12), hauteur tirée
+ * du mot — de quoi entendre que la synthèse a bien lieu
+ */
+function synthesizeBeeps(text) {
+  const sampleRate = 24000;
+  const words = text.trim().split(/\s+/).slice(0, 12);
+  const beepSamples = Math.round(sampleRate * 0.12);
+  const gapSamples = Math.round(sampleRate * 0.06);
+  const samples = new Int16Array(words.length * (beepSamples + gapSamples));
+
+  words.forEach((word, index) => {
+    const frequency = 440 + (hash(word) % 440);
+    const offset = index * (beepSamples + gapSamples);
+    for (let i = 0; i < beepSamples; i += 1) {
+      samples[offset + i] = Math.round(Math.sin((2 * Math.PI * frequency * i) / sampleRate) * 8000);
+    }
+  });
+
+  return { audioBase64: toBase64(new Uint8Array(samples.buffer)), sampleRate };
+}
+
+const SPOKEN_EMAIL_TOKENS = [
+  [/\s+(arobase|at)\s+/g, '@'],
+  [/\s+(point|dot)\s+/g, '.'],
+  [/\s+(tiret bas|underscore)\s+/g, '_'],
+  [/\s+tiret\s+/g, '-'],
+];
+
+export function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async analyzeAudio({ audioBase64 = '', language = 'fr' }) {
+      const sample = SAMPLE_REPORTS[hash(audioBase64) % SAMPLE_REPORTS.length];
+
+      return {
+        transcription: sample.transcription,
+        summary: sample.transcription.split(',')[0],
+        keywords: sample.keywords,
+        category: sample.category,
+        severity: sample.severity,
+        actions: [],
+        confidence: 0.9,
+        language,
+      };
+    },
+
+    async transcribeAudio({ audioBase64 = '' }) {
+      const sample = SAMPLE_REPORTS[hash(audioBase64) % SAMPLE_REPORTS.length];
+      // Un mot toutes les 0,4 s
+      const words = sample.transcription.split(/\s+/).map((word, index) => ({
+        word,
+        start: index * 0.4,
+        end: index * 0.4 + 0.35,
+      }));
+
+      return { text: sample.transcription, confidence: 0.9, words };
+    },
+
+    async synthesizeSpeech({ text = '' }) {
+      return synthesizeBeeps(text);
+    },
+
+    async extractEmail({ text = '' }) {
+      let candidate = ` ${text.toLowerCase()} `;
+      SPOKEN_EMAIL_TOKENS.forEach(([pattern, replacement]) => {
+        candidate = candidate.replace(pattern, replacement);
+      });
+      const match = candidate.match(/[a-z0-9._-]+@[a-z0-9-]+(\.[a-z0-9-]+)+/);
+      return match ? match[0] : null;
+    },
+
+    async identifyCommune({ text = '', communes = [] }) {
+      const normalized = text.toLowerCase();
+      const found = communes
+        .filter((commune) => normalized.includes(commune.name.toLowerCase()))
+        // Le nom le plus long l'emporte (« Dakar-Plateau » plutôt que « Dakar »)
+        .sort((a, b) => b.name.length - a.name.length)[0];
+      return found ? found.name : null;
+    },
+
+    async normalizeAddress({ text = '' }) {
+      const trimmed = text.trim().replace(/\s+/g, ' ');
+      if (trimmed.length < 5) {
+        return null;
+      }
+      return trimmed
+        .split(' ')
+        .map((word) => (word.length > 2 ? word[0].toUpperCase() + word.slice(1) : word))
+        .join(' ');
+    },
+  };
+}
@@ -0,0 +1,153 @@
+// ═══════════════════════════════════════════════════════════
+// Edge Function push-dispatch (Deno)
+//
+// Appelée par le trigger notifications_push_dispatch (pg_net) à chaque
+// nouvelle notification : envoie un Web Push signé VAPID à chaque
+// appareil abonné du destinataire (push_subscriptions).
+//
+// Le payload ne contient que des données (type, valeurs, signalement,
+// langue) : le texte fr / wo est composé par le service worker
+// (public/push-sw.js) à partir des traductions de l'application.
+//
+// Variables d'environnement (supabase secrets set ...) :
+// - VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY : paire générée avec
+//   `npx web-push generate-vapid-keys` (la clé publique est aussi
+//   VITE_VAPID_PUBLIC_KEY côté application)
+// - VAPID_SUBJECT : mailto: de contact (ex. mailto:contact@wattu.sn)
+// - PUSH_DISPATCH_SECRET : même valeur que app.settings.push_dispatch_secret
+// - SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY : fournies par Supabase
+//
+// Sans clés VAPID (développement local), la fonction journalise le
+// payload au lieu de l'envoyer. Sans PUSH_DISPATCH_SECRET, elle refuse
+// tout appel.
+//
+// pg_net n'envoie pas de JWT : déployer avec
+// `supabase functions deploy push-dispatch --no-verify-jwt` (l'appel est
+// authentifié par le secret partagé).
+// ═══════════════════════════════════════════════════════════
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import webpush from 'npm:web-push@3.6.7';
+
+const VAPID_PUBLIC_KEY = Deno.env.get('VAPID_PUBLIC_KEY');
+const VAPID_PRIVATE_KEY = Deno.env.get('VAPID_PRIVATE_KEY');
+const VAPID_SUBJECT = Deno.env.get('VAPID_SUBJECT') || 'mailto:contact@wattu.sn';
+const DISPATCH_SECRET = Deno.env.get('PUSH_DISPATCH_SECRET') || '';
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL'),
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+  { auth: { persistSession: false } }
+);
+
+const vapidConfigured = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+if (vapidConfigured) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+/**
+ * Payload lu par public/push-sw.js
+ */
+function buildPayload(notification, locale) {
+  return {
+    notification_id: notification.id,
+    report_id: notification.report_id,
+    type: notification.type,
+    data: notification.data || {},
+    locale,
+    // Ouvre le détail du signalement dans le tableau de bord citoyen
+    url: notification.report_id
+      ? `/citizen/dashboard?report=${notification.report_id}`
+      : '/citizen/dashboard',
+  };
+}
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') {
+    return json({ error: 'Méthode non autorisée' }, 405);
+  }
+
+  if (!DISPATCH_SECRET) {
+    console.error('❌ [push-dispatch] PUSH_DISPATCH_SECRET non configuré');
+    return json({ error: 'Secret non configuré' }, 503);
+  }
+  if (req.headers.get('x-push-dispatch-secret') !== DISPATCH_SECRET) {
+    return json({ error: 'Secret invalide' }, 401);
+  }
+
+  const { notification_id: notificationId } = await req.json().catch(() => ({}));
+  if (!notificationId) {
+    return json({ error: 'notification_id requis' }, 400);
+  }
+
+  const { data: notification, error: notificationError } = await supabase
+    .from('notifications')
+    .select('*')
+    .eq('id', notificationId)
+    .maybeSingle();
+
+  if (notificationError || !notification) {
+    console.error('❌ Notification introuvable:', notificationId, notificationError);
+    return json({ error: 'Notification introuvable' }, 404);
+  }
+
+  const { data: subscriptions, error: subscriptionsError } = await supabase
+    .from('push_subscriptions')
+    .select('*')
+    .eq('user_id', notification.recipient_id);
+
+  if (subscriptionsError) {
+    console.error('❌ Erreur lecture abonnements push:', subscriptionsError);
+    return json({ error: subscriptionsError.message }, 500);
+  }
+
+  let sent = 0;
+  const expired = [];
+
+  for (const subscription of subscriptions || []) {
+    const payload = JSON.stringify(buildPayload(notification, subscription.locale));
+
+    if (!vapidConfigured) {
+      console.log('🧪 [push-dispatch] VAPID non configuré, push simulé:', subscription.endpoint, payload);
+      continue;
+    }
+
+    try {
+      await webpush.sendNotification(
+        {
+          endpoint: subscription.endpoint,
+          keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+        },
+        payload,
+        { TTL: 60 * 60 * 24 } // 24 h : le citoyen peut être hors réseau
+      );
+      sent += 1;
+    } catch (err) {
+      // 404 / 410 : abonnement révoqué par le navigateur
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        expired.push(subscription.id);
+      } else {
+        console.error('❌ Erreur envoi push:', subscription.endpoint, err.statusCode, err.body);
+      }
+    }
+  }
+
+  if (expired.length > 0) {
+    await supabase.from('push_subscriptions').delete().in('id', expired);
+  }
+
+  if (sent > 0) {
+    await supabase
+      .from('push_subscriptions')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('user_id', notification.recipient_id);
+  }
+
+  console.log(`✅ [push-dispatch] ${sent} push envoyé(s), ${expired.length} abonnement(s) expiré(s)`);
+  return json({ sent, expired: expired.length });
+});
@@ -0,0 +1,128 @@
+// ═══════════════════════════════════════════════════════════
+// Edge Function voice-session (Deno)
+//
+// Connexion des voice users : relaie la vérification vocale à l'API
+// FastAPI (wattu-voice-api) et, si la voix correspond, émet un jeton de
+// session. Seule l'empreinte SHA-256 du jeton est stockée
+// (voice_sessions) ; le client l'envoie ensuite dans l'en-tête
+// x-voice-session et les policies RLS l'identifient avec
+// public.current_voice_user_id().
+//
+// Requête : POST multipart { user_id, file } (même format que
+// /api/verify/<user_id> de l'API vocale)
+// Réponse : réponse de l'API vocale + { session_token, session_expires_at }
+// si la voix est reconnue, ou { error: { message, code } }
+//
+// Variables d'environnement (supabase secrets set ...) :
+// - VOICE_API_URL : URL de l'API vocale (même valeur que VITE_VOICE_API_URL)
+// - VOICE_SESSION_TTL_DAYS : durée de validité d'une session (défaut 30)
+// - SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY : fournies par Supabase
+//
+// Les voice users n'ont pas de JWT utilisateur : déployer avec
+// `supabase functions deploy voice-session --no-verify-jwt`.
+// ═══════════════════════════════════════════════════════════
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+const VOICE_API_URL = (Deno.env.get('VOICE_API_URL') || 'http://localhost:8000').replace(/\/$/, '');
+const SESSION_TTL_DAYS = Number(Deno.env.get('VOICE_SESSION_TTL_DAYS') || 30);
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL'),
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+  { auth: { persistSession: false } }
+);
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-voice-session',
+};
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Empreinte stockée en base (même calcul que current_voice_user_id)
+ */
+async function hashToken(token) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token)));
+}
+
+/**
+ * Créer une session pour un voice user vérifié
+ */
+async function createSession(voiceUserId) {
+  const token = toHex(crypto.getRandomValues(new Uint8Array(32)));
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { error } = await supabase.from('voice_sessions').insert({
+    token_hash: await hashToken(token),
+    voice_user_id: voiceUserId,
+    expires_at: expiresAt,
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return { token, expiresAt };
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: CORS_HEADERS });
+  }
+  if (req.method !== 'POST') {
+    return json({ error: { message: 'Méthode non autorisée', code: 'METHOD_NOT_ALLOWED' } }, 405);
+  }
+
+  const form = await req.formData().catch(() => null);
+  const userId = form?.get('user_id');
+  const file = form?.get('file');
+
+  if (typeof userId !== 'string' || !UUID_PATTERN.test(userId) || !(file instanceof File)) {
+    return json({ error: { message: 'Paramètres invalides', code: 'INVALID_PARAMS' } }, 400);
+  }
+
+  const verifyForm = new FormData();
+  verifyForm.append('file', file, file.name || 'verification.webm');
+
+  let result;
+  try {
+    const response = await fetch(`${VOICE_API_URL}/api/verify/${userId}`, {
+      method: 'POST',
+      body: verifyForm,
+    });
+    result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      return json({
+        error: { message: result.detail || `Erreur ${response.status}`, code: 'VOICE_API_ERROR' },
+      }, response.status >= 500 ? 502 : response.status);
+    }
+  } catch (err) {
+    console.error('❌ [voice-session] API vocale injoignable:', err);
+    return json({ error: { message: 'L\'API vocale est indisponible', code: 'VOICE_API_UNAVAILABLE' } }, 502);
+  }
+
+  // L'API vocale doit confirmer la voix de CE voice user
+  if (!result.success || !result.match || (result.user_id && result.user_id !== userId)) {
+    return json(result);
+  }
+
+  try {
+    const session = await createSession(userId);
+    return json({ ...result, session_token: session.token, session_expires_at: session.expiresAt });
+  } catch (err) {
+    console.error('❌ [voice-session] Erreur création session:', err);
+    return json({ error: { message: 'Session impossible à créer', code: 'SESSION_ERROR' } }, 500);
+  }
+});
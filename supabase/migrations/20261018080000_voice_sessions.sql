@@ -0,0 +1,76 @@
+-- ═══════════════════════════════════════════════════════════
+-- Sessions des voice users (authentification vocale)
+--
+-- Les voice users n'ont pas de session Supabase Auth : auth.uid() est
+-- NULL pour eux. Après une vérification vocale réussie, l'Edge Function
+-- voice-session émet un jeton aléatoire dont seule l'empreinte SHA-256
+-- est stockée ici. Le client l'envoie dans l'en-tête x-voice-session
+-- (src/config/supabase.js) et les policies RLS identifient le voice
+-- user avec public.current_voice_user_id().
+--
+-- Écrit par l'Edge Function (service role) uniquement : RLS activée
+-- sans policy, aucune lecture possible depuis le client.
+-- ═══════════════════════════════════════════════════════════
+
+create extension if not exists pgcrypto with schema extensions;
+
+create table if not exists public.voice_sessions (
+  token_hash text primary key,         -- sha256 hexadécimal du jeton
+  voice_user_id uuid not null references public.voice_users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists voice_sessions_voice_user_id_idx
+  on public.voice_sessions (voice_user_id);
+
+alter table public.voice_sessions enable row level security;
+
+-- ───────────────────────────────────────────────────────────
+-- Voice user de la requête courante (NULL sans jeton valide)
+--
+-- Lit l'en-tête x-voice-session transmis par PostgREST : un jeton
+-- inconnu, expiré ou révoqué ne donne aucune identité.
+-- ───────────────────────────────────────────────────────────
+create or replace function public.current_voice_user_id()
+returns uuid
+language sql
+stable
+security definer
+set search_path = public, extensions
+as $$
+  select s.voice_user_id
+  from public.voice_sessions s
+  where s.token_hash = encode(
+      extensions.digest(
+        nullif(current_setting('request.headers', true), '')::json ->> 'x-voice-session',
+        'sha256'
+      ),
+      'hex'
+    )
+    and s.revoked_at is null
+    and s.expires_at > now();
+$$;
+
+revoke all on function public.current_voice_user_id() from public;
+grant execute on function public.current_voice_user_id() to anon, authenticated;
+
+-- ───────────────────────────────────────────────────────────
+-- Déconnexion d'un voice user : révoque son jeton
+-- ───────────────────────────────────────────────────────────
+create or replace function public.end_voice_session(p_token text)
+returns void
+language sql
+volatile
+security definer
+set search_path = public, extensions
+as $$
+  update public.voice_sessions
+  set revoked_at = now()
+  where token_hash = encode(extensions.digest(p_token, 'sha256'), 'hex')
+    and revoked_at is null;
+$$;
+
+revoke all on function public.end_voice_session(text) from public;
+grant execute on function public.end_voice_session(text) to anon, authenticated;
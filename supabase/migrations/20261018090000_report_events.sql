@@ -0,0 +1,65 @@
+-- ═══════════════════════════════════════════════════════════
+-- Historique des signalements (report_events)
+--
+-- Une ligne par mutation d'un signalement (statut, priorité, type) :
+-- qui (actor_id + actor_role), quoi (field, old_value → new_value),
+-- quand (created_at) et pourquoi (comment optionnel).
+-- Les lignes sont écrites dans la même transaction que la mutation
+-- (update_report_field, merge_reports, assign_report...) et ne sont
+-- jamais modifiées ni supprimées.
+-- ═══════════════════════════════════════════════════════════
+
+create table if not exists public.report_events (
+  id uuid primary key default gen_random_uuid(),
+  report_id uuid not null references public.reports (id) on delete cascade,
+  event_type text not null,            -- status_change | priority_change | type_change | ...
+  field text,                          -- colonne modifiée sur reports (status, priority, type)
+  old_value text,
+  new_value text,
+  comment text,
+  actor_id uuid,                       -- auth.uid() de l'agent/admin (NULL si système)
+  actor_role text not null default 'system'
+    check (actor_role in ('citizen', 'agent', 'admin', 'system')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists report_events_report_id_created_at_idx
+  on public.report_events (report_id, created_at);
+
+alter table public.report_events enable row level security;
+
+-- Lecture : admins (tout), agents (leur commune), citoyen propriétaire du signalement
+drop policy if exists report_events_select on public.report_events;
+create policy report_events_select on public.report_events
+  for select using (
+    exists (
+      select 1
+      from public.reports r
+      left join public.users u on u.id = auth.uid()
+      where r.id = report_events.report_id
+        and (
+          u.role = 'admin'
+          or (u.role = 'agent' and u.commune_id = r.commune_id)
+          or r.citizen_user_id = auth.uid()
+          -- Voice users (pas de session Supabase Auth) : jeton x-voice-session (voice_sessions)
+          or r.citizen_user_id = (select public.current_voice_user_id())
+        )
+    )
+  );
+
+-- Écriture : seuls les agents (de la commune) et admins, en leur propre nom
+drop policy if exists report_events_insert on public.report_events;
+create policy report_events_insert on public.report_events
+  for insert with check (
+    actor_id = auth.uid()
+    and exists (
+      select 1
+      from public.reports r
+      join public.users u on u.id = auth.uid()
+      where r.id = report_events.report_id
+        and (
+          u.role = 'admin'
+          or (u.role = 'agent' and u.commune_id = r.commune_id)
+        )
+    )
+  );
@@ -0,0 +1,21 @@
+-- ═══════════════════════════════════════════════════════════
+-- Justification de clôture (résolu / rejeté) + photo "après"
+--
+-- Renseignés par updateReportStatus() quand un agent passe un
+-- signalement à resolved ou rejected, et affichés au citoyen
+-- dans ReportDetailBottomSheet / ses notifications.
+-- ═══════════════════════════════════════════════════════════
+
+alter table public.reports
+  add column if not exists resolution_comment text,
+  add column if not exists resolution_image_url text;
+
+-- Un signalement clôturé doit toujours porter une justification
+alter table public.reports
+  drop constraint if exists reports_resolution_comment_required;
+alter table public.reports
+  add constraint reports_resolution_comment_required
+  check (
+    status not in ('resolved', 'rejected')
+    or resolution_comment is not null
+  ) not valid; -- les signalements clôturés avant cette migration ne sont pas revalidés
@@ -0,0 +1,217 @@
+-- ═══════════════════════════════════════════════════════════
+-- Doublons de signalements
+--
+-- - reports.duplicate_of : signalement canonique dans lequel ce
+--   signalement a été fusionné (NULL = signalement canonique)
+-- - report_supporters : citoyens qui soutiennent un signalement
+--   ("moi aussi" depuis SignalementForm, ou auteurs des doublons fusionnés)
+-- - find_similar_reports() : détection proximité + type + fenêtre de temps
+-- - merge_reports() : fusion atomique des doublons dans un signalement canonique
+-- ═══════════════════════════════════════════════════════════
+
+alter table public.reports
+  add column if not exists duplicate_of uuid references public.reports (id) on delete set null,
+  add column if not exists supporters_count integer not null default 0;
+
+create index if not exists reports_duplicate_of_idx
+  on public.reports (duplicate_of)
+  where duplicate_of is not null;
+
+create table if not exists public.report_supporters (
+  id uuid primary key default gen_random_uuid(),
+  report_id uuid not null references public.reports (id) on delete cascade,
+  citizen_user_id uuid not null,       -- Supabase user OU voice user
+  source text not null default 'upvote'
+    check (source in ('upvote', 'merge')),
+  merged_report_id uuid references public.reports (id) on delete set null, -- doublon d'origine (source = merge)
+  audio_url text,                      -- message vocal du soutien (optionnel)
+  created_at timestamptz not null default now(),
+  unique (report_id, citizen_user_id)
+);
+
+create index if not exists report_supporters_citizen_user_id_idx
+  on public.report_supporters (citizen_user_id);
+
+-- Compteur dénormalisé (affiché aux agents, utilisé pour trier les doublons)
+create or replace function public.refresh_report_supporters_count()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.reports
+  set supporters_count = (
+    select count(*) from public.report_supporters s
+    where s.report_id = coalesce(new.report_id, old.report_id)
+  )
+  where id = coalesce(new.report_id, old.report_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists report_supporters_count on public.report_supporters;
+create trigger report_supporters_count
+  after insert or delete on public.report_supporters
+  for each row execute function public.refresh_report_supporters_count();
+
+alter table public.report_supporters enable row level security;
+
+-- Lecture : le citoyen concerné, les agents de la commune et les admins
+drop policy if exists report_supporters_select on public.report_supporters;
+create policy report_supporters_select on public.report_supporters
+  for select using (
+    citizen_user_id = auth.uid()
+    or citizen_user_id = (select public.current_voice_user_id())
+    or exists (
+      select 1
+      from public.reports r
+      join public.users u on u.id = auth.uid()
+      where r.id = report_supporters.report_id
+        and (u.role = 'admin' or (u.role = 'agent' and u.commune_id = r.commune_id))
+    )
+  );
+
+-- Soutien ("moi aussi") : un citoyen en son propre nom (voice users : jeton x-voice-session)
+drop policy if exists report_supporters_insert on public.report_supporters;
+create policy report_supporters_insert on public.report_supporters
+  for insert with check (
+    source = 'upvote'
+    and (
+      citizen_user_id = auth.uid()
+      or citizen_user_id = (select public.current_voice_user_id())
+    )
+  );
+
+-- Fusion (merge_reports) : agents de la commune et admins
+drop policy if exists report_supporters_insert_staff on public.report_supporters;
+create policy report_supporters_insert_staff on public.report_supporters
+  for insert with check (
+    exists (
+      select 1
+      from public.reports r
+      join public.users u on u.id = auth.uid()
+      where r.id = report_supporters.report_id
+        and (u.role = 'admin' or (u.role = 'agent' and u.commune_id = r.commune_id))
+    )
+  );
+
+-- ───────────────────────────────────────────────────────────
+-- Détection des doublons : signalements ouverts du même type,
+-- à moins de p_radius_m mètres, créés depuis moins de p_within_days jours
+-- ───────────────────────────────────────────────────────────
+create or replace function public.find_similar_reports(
+  p_type text,
+  p_latitude double precision,
+  p_longitude double precision,
+  p_radius_m double precision default 100,
+  p_within_days integer default 7,
+  p_exclude_id uuid default null
+)
+returns table (
+  id uuid,
+  type text,
+  status text,
+  latitude double precision,
+  longitude double precision,
+  image_url text,
+  supporters_count integer,
+  created_at timestamptz,
+  distance_m double precision
+)
+language sql
+stable
+as $$
+  select *
+  from (
+    select
+      r.id, r.type, r.status, r.latitude, r.longitude, r.image_url,
+      r.supporters_count, r.created_at,
+      -- Haversine (rayon terrestre moyen 6 371 km)
+      2 * 6371000 * asin(sqrt(
+        power(sin(radians(r.latitude - p_latitude) / 2), 2)
+        + cos(radians(p_latitude)) * cos(radians(r.latitude))
+          * power(sin(radians(r.longitude - p_longitude) / 2), 2)
+      )) as distance_m
+    from public.reports r
+    where r.type = p_type
+      and r.duplicate_of is null
+      and r.status in ('pending', 'in_progress')
+      and r.created_at >= now() - make_interval(days => p_within_days)
+      and (p_exclude_id is null or r.id <> p_exclude_id)
+      -- Pré-filtre grossier (≈ 1° = 111 km) pour profiter des index
+      and r.latitude between p_latitude - p_radius_m / 111000.0 and p_latitude + p_radius_m / 111000.0
+  ) candidates
+  where candidates.distance_m <= p_radius_m
+  order by candidates.distance_m asc, candidates.created_at asc
+  limit 10;
+$$;
+
+-- ───────────────────────────────────────────────────────────
+-- Fusion : chaque doublon pointe vers le canonique, prend son statut,
+-- et son auteur devient soutien du canonique (il reste notifié).
+-- Exécutée avec les droits de l'appelant : la RLS de reports s'applique.
+-- ───────────────────────────────────────────────────────────
+create or replace function public.merge_reports(
+  p_canonical_id uuid,
+  p_duplicate_ids uuid[],
+  p_comment text default null
+)
+returns setof public.reports
+language plpgsql
+as $$
+declare
+  v_canonical public.reports;
+  v_duplicate public.reports;
+  v_actor_role text;
+begin
+  select * into v_canonical from public.reports where id = p_canonical_id for update;
+  if not found then
+    raise exception 'Signalement canonique introuvable' using errcode = 'P0002';
+  end if;
+  if v_canonical.duplicate_of is not null then
+    raise exception 'Le signalement canonique est lui-même un doublon' using errcode = '22023';
+  end if;
+
+  select coalesce(role, 'system') into v_actor_role from public.users where id = auth.uid();
+
+  for v_duplicate in
+    select * from public.reports
+    where id = any (p_duplicate_ids) and id <> p_canonical_id and duplicate_of is null
+    for update
+  loop
+    update public.reports
+    set duplicate_of = p_canonical_id,
+        status = v_canonical.status,
+        resolution_comment = v_canonical.resolution_comment,
+        resolution_image_url = v_canonical.resolution_image_url,
+        updated_at = now()
+    where id = v_duplicate.id;
+
+    -- Les doublons déjà fusionnés dans ce doublon suivent le canonique
+    update public.reports
+    set duplicate_of = p_canonical_id
+    where duplicate_of = v_duplicate.id;
+
+    if v_duplicate.citizen_user_id is not null then
+      insert into public.report_supporters (report_id, citizen_user_id, source, merged_report_id, audio_url)
+      values (p_canonical_id, v_duplicate.citizen_user_id, 'merge', v_duplicate.id, v_duplicate.audio_url)
+      on conflict (report_id, citizen_user_id) do nothing;
+    end if;
+
+    -- Soutiens du doublon reportés sur le canonique
+    insert into public.report_supporters (report_id, citizen_user_id, source, merged_report_id, audio_url)
+    select p_canonical_id, s.citizen_user_id, s.source, v_duplicate.id, s.audio_url
+    from public.report_supporters s
+    where s.report_id = v_duplicate.id
+    on conflict (report_id, citizen_user_id) do nothing;
+
+    insert into public.report_events (report_id, event_type, field, old_value, new_value, comment, actor_id, actor_role)
+    values
+      (v_duplicate.id, 'merge', 'duplicate_of', null, p_canonical_id::text, p_comment, auth.uid(), coalesce(v_actor_role, 'system')),
+      (p_canonical_id, 'merge', 'duplicate_of', v_duplicate.id::text, null, p_comment, auth.uid(), coalesce(v_actor_role, 'system'));
+  end loop;
+
+  return query select * from public.reports where id = p_canonical_id;
+end;
+$$;
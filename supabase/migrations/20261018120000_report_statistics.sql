@@ -0,0 +1,116 @@
+-- ═══════════════════════════════════════════════════════════
+-- Statistiques agrégées côté serveur
+--
+-- Remplacent le comptage dans le navigateur (toutes les lignes de
+-- reports étaient téléchargées). Consommées via src/api/reportApi.js :
+-- - report_statistics()    → getReportStatistics()    : total + par statut / priorité / type
+-- - report_daily_counts()  → getDailyReportCounts()   : nombre de signalements par jour
+-- - report_commune_counts()→ getCommuneReportCounts() : classement des communes
+--
+-- Fonctions SECURITY INVOKER : la RLS de reports s'applique
+-- (admin = tout, agent = sa commune). Les doublons fusionnés
+-- (duplicate_of non NULL) ne sont pas comptés, comme dans les listes.
+-- ═══════════════════════════════════════════════════════════
+
+create index if not exists reports_commune_id_created_at_idx
+  on public.reports (commune_id, created_at);
+
+create index if not exists reports_created_at_idx
+  on public.reports (created_at);
+
+-- ───────────────────────────────────────────────────────────
+-- Total + répartitions par statut, priorité et type
+-- { total, by_status: {...}, by_priority: {...}, by_type: {...} }
+-- ───────────────────────────────────────────────────────────
+create or replace function public.report_statistics(
+  p_commune_id uuid default null,
+  p_date_from timestamptz default null
+)
+returns jsonb
+language sql
+stable
+as $$
+  with scoped as (
+    select status, priority, type
+    from public.reports
+    where duplicate_of is null
+      and (p_commune_id is null or commune_id = p_commune_id)
+      and (p_date_from is null or created_at >= p_date_from)
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from scoped),
+    'by_status', coalesce(
+      (select jsonb_object_agg(status, n) from (select status, count(*) as n from scoped group by status) s),
+      '{}'::jsonb
+    ),
+    'by_priority', coalesce(
+      (select jsonb_object_agg(priority, n) from (select priority, count(*) as n from scoped where priority is not null group by priority) p),
+      '{}'::jsonb
+    ),
+    'by_type', coalesce(
+      (select jsonb_object_agg(type, n) from (select type, count(*) as n from scoped where type is not null group by type) t),
+      '{}'::jsonb
+    )
+  );
+$$;
+
+-- ───────────────────────────────────────────────────────────
+-- Nombre de signalements par jour (jours sans signalement absents)
+-- Les jours sont calculés dans le fuseau horaire du client.
+-- ───────────────────────────────────────────────────────────
+create or replace function public.report_daily_counts(
+  p_commune_id uuid default null,
+  p_date_from timestamptz default null,
+  p_timezone text default 'UTC'
+)
+returns table (day date, count bigint)
+language sql
+stable
+as $$
+  select (created_at at time zone p_timezone)::date as day, count(*) as count
+  from public.reports
+  where duplicate_of is null
+    and (p_commune_id is null or commune_id = p_commune_id)
+    and (p_date_from is null or created_at >= p_date_from)
+  group by 1
+  order by 1;
+$$;
+
+-- ───────────────────────────────────────────────────────────
+-- Classement des communes par volume (avec répartition par statut)
+-- Les signalements sans commune sont regroupés (commune_id NULL).
+-- ───────────────────────────────────────────────────────────
+create or replace function public.report_commune_counts(
+  p_date_from timestamptz default null,
+  p_limit integer default 5
+)
+returns table (
+  commune_id uuid,
+  commune_name text,
+  commune_region text,
+  total_reports bigint,
+  pending bigint,
+  in_progress bigint,
+  resolved bigint,
+  rejected bigint
+)
+language sql
+stable
+as $$
+  select
+    r.commune_id,
+    c.name as commune_name,
+    c.region as commune_region,
+    count(*) as total_reports,
+    count(*) filter (where r.status = 'pending') as pending,
+    count(*) filter (where r.status = 'in_progress') as in_progress,
+    count(*) filter (where r.status = 'resolved') as resolved,
+    count(*) filter (where r.status = 'rejected') as rejected
+  from public.reports r
+  left join public.communes c on c.id = r.commune_id
+  where r.duplicate_of is null
+    and (p_date_from is null or r.created_at >= p_date_from)
+  group by r.commune_id, c.name, c.region
+  order by total_reports desc
+  limit p_limit;
+$$;
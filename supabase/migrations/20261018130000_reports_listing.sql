@@ -0,0 +1,32 @@
+-- ═══════════════════════════════════════════════════════════
+-- Listes paginées des signalements (agents / admins)
+--
+-- Vue utilisée par la pagination par curseur (keyset) de
+-- src/api/reportApi.js (getReportsByCommune / getAdminReports
+-- avec pageSize) : expose commune_name pour pouvoir trier et
+-- paginer par commune côté serveur.
+--
+-- security_invoker : la RLS de reports s'applique à la vue.
+-- ═══════════════════════════════════════════════════════════
+
+create or replace view public.reports_listing
+with (security_invoker = true) as
+select
+  r.*,
+  coalesce(c.name, '') as commune_name
+from public.reports r
+left join public.communes c on c.id = r.commune_id;
+
+grant select on public.reports_listing to anon, authenticated;
+
+-- Tri par défaut (created_at, id) : parcours d'index dans les deux sens
+create index if not exists reports_created_at_id_idx
+  on public.reports (created_at, id);
+
+create index if not exists reports_commune_id_created_at_id_idx
+  on public.reports (commune_id, created_at, id);
+
+-- Tris secondaires proposés par ReportTable
+create index if not exists reports_status_id_idx on public.reports (status, id);
+create index if not exists reports_priority_id_idx on public.reports (priority, id);
+create index if not exists reports_type_id_idx on public.reports (type, id);
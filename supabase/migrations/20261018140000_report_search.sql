@@ -0,0 +1,127 @@
+-- ═══════════════════════════════════════════════════════════
+-- Recherche plein texte des signalements
+--
+-- reports.search_text : texte normalisé (description, transcription
+-- audio, nom et téléphone du citoyen, nom de la commune), maintenu par
+-- trigger et indexé en trigrammes pour les recherches `ilike '%terme%'`
+-- faites par src/api/reportApi.js (filtre `search`).
+--
+-- normalize_search_text() DOIT rester identique à normalizeSearchText()
+-- de src/utils/searchText.js (la requête est normalisée côté client) :
+-- - minuscules, sans accents (é → e, ñ → n), ponctuation → espace
+-- - graphies wolof / françaises rapprochées : tch → c, kh → x, dj → j,
+--   ou → u, gn → n, ny → n
+-- - lettres doublées réduites (yoon → yon, Ndiaaye → ndiaye)
+--
+-- reports.audio_transcription : transcription du message vocal
+-- (renseignée à la création du signalement quand elle est disponible).
+-- ═══════════════════════════════════════════════════════════
+
+create extension if not exists unaccent with schema extensions;
+create extension if not exists pg_trgm with schema extensions;
+
+alter table public.reports
+  add column if not exists audio_transcription text,
+  add column if not exists search_text text not null default '';
+
+-- unaccent() n'est pas IMMUTABLE : enveloppe avec dictionnaire explicite
+create or replace function public.normalize_search_text(p_text text)
+returns text
+language sql
+immutable
+parallel safe
+as $$
+  select trim(regexp_replace(
+    replace(replace(replace(replace(replace(replace(
+      regexp_replace(
+        lower(extensions.unaccent('extensions.unaccent'::regdictionary, coalesce(p_text, ''))),
+        '[^a-z0-9]+', ' ', 'g'
+      ),
+      'tch', 'c'), 'kh', 'x'), 'dj', 'j'), 'ou', 'u'), 'gn', 'n'), 'ny', 'n'),
+    '([a-z0-9])\1+', '\1', 'g'
+  ));
+$$;
+
+create or replace function public.build_report_search_text(
+  p_description text,
+  p_audio_transcription text,
+  p_citizen_name text,
+  p_phone text,
+  p_commune_id uuid
+)
+returns text
+language sql
+stable
+as $$
+  select concat_ws(' ',
+    public.normalize_search_text(p_description),
+    public.normalize_search_text(p_audio_transcription),
+    public.normalize_search_text(p_citizen_name),
+    -- Téléphone : chiffres seuls (+221 77 123 45 67 → 221771234567)
+    public.normalize_search_text(regexp_replace(coalesce(p_phone, ''), '\D', '', 'g')),
+    public.normalize_search_text((select c.name from public.communes c where c.id = p_commune_id))
+  );
+$$;
+
+create or replace function public.refresh_report_search_text()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.search_text := public.build_report_search_text(
+    new.description, new.audio_transcription, new.citizen_name, new.phone, new.commune_id
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists reports_search_text on public.reports;
+create trigger reports_search_text
+  before insert or update of description, audio_transcription, citizen_name, phone, commune_id
+  on public.reports
+  for each row execute function public.refresh_report_search_text();
+
+-- Commune renommée → texte de recherche de ses signalements
+create or replace function public.refresh_commune_reports_search_text()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.reports
+  set search_text = public.build_report_search_text(
+    description, audio_transcription, citizen_name, phone, commune_id
+  )
+  where commune_id = new.id;
+  return null;
+end;
+$$;
+
+drop trigger if exists communes_reports_search_text on public.communes;
+create trigger communes_reports_search_text
+  after update of name on public.communes
+  for each row
+  when (old.name is distinct from new.name)
+  execute function public.refresh_commune_reports_search_text();
+
+-- Signalements existants
+update public.reports
+set search_text = public.build_report_search_text(
+  description, audio_transcription, citizen_name, phone, commune_id
+);
+
+create index if not exists reports_search_text_trgm_idx
+  on public.reports using gin (search_text extensions.gin_trgm_ops);
+
+-- La vue des listes paginées expose les nouvelles colonnes (r.* est figé à la création)
+drop view if exists public.reports_listing;
+create view public.reports_listing
+with (security_invoker = true) as
+select
+  r.*,
+  coalesce(c.name, '') as commune_name
+from public.reports r
+left join public.communes c on c.id = r.commune_id;
+
+grant select on public.reports_listing to anon, authenticated;
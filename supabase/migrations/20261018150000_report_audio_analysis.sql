@@ -0,0 +1,40 @@
+-- ═══════════════════════════════════════════════════════════
+-- Analyse IA du message vocal conservée avec le signalement
+--
+-- Produite dans le navigateur par useAudioAnalysis (SignalementForm)
+-- et enregistrée par reportApi.createReport :
+-- - audio_transcription (colonne créée par report_search) : transcription
+-- - ai_category / ai_severity / ai_confidence : suggestion de l'IA,
+--   en colonnes pour pouvoir filtrer les listes
+-- - audio_analysis : le reste (résumé, mots-clés, actions, langue, date)
+-- - ai_type_mismatch : la catégorie suggérée diffère du type actuel
+--   (filtre "à vérifier" des agents)
+-- ═══════════════════════════════════════════════════════════
+
+alter table public.reports
+  add column if not exists audio_analysis jsonb,
+  add column if not exists ai_category text,
+  add column if not exists ai_severity text
+    check (ai_severity is null or ai_severity in ('low', 'medium', 'high')),
+  add column if not exists ai_confidence real
+    check (ai_confidence is null or ai_confidence between 0 and 1);
+
+alter table public.reports
+  add column if not exists ai_type_mismatch boolean
+    generated always as (ai_category is not null and ai_category <> type) stored;
+
+create index if not exists reports_ai_type_mismatch_idx
+  on public.reports (commune_id, created_at)
+  where ai_type_mismatch;
+
+-- La vue des listes paginées expose les nouvelles colonnes (r.* est figé à la création)
+drop view if exists public.reports_listing;
+create view public.reports_listing
+with (security_invoker = true) as
+select
+  r.*,
+  coalesce(c.name, '') as commune_name
+from public.reports r
+left join public.communes c on c.id = r.commune_id;
+
+grant select on public.reports_listing to anon, authenticated;
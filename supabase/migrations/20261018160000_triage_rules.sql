@@ -0,0 +1,68 @@
+-- ═══════════════════════════════════════════════════════════
+-- Règles de triage : suggestion automatique de priorité
+--
+-- Évaluées par src/services/triageService.js (suggestPriority) à partir
+-- de l'analyse IA du message vocal (ai_severity, ai_category, transcription,
+-- mots-clés) et du nombre de soutiens (supporters_count).
+-- Toutes les conditions renseignées d'une règle doivent être vraies ;
+-- parmi les règles qui s'appliquent, la priorité la plus haute l'emporte.
+-- La suggestion est proposée à l'agent (PriorityUpdateForm), jamais appliquée seule.
+--
+-- Lecture : agents et admins. Écriture : admins (page /admin/triage).
+-- ═══════════════════════════════════════════════════════════
+
+create table if not exists public.triage_rules (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  category text,                         -- NULL = toutes les catégories
+  severity text
+    check (severity is null or severity in ('low', 'medium', 'high')),
+  keywords text[] not null default '{}', -- au moins un mot-clé présent : mot entier, ou début de mot si terminé par * (insensible aux accents)
+  min_supporters integer
+    check (min_supporters is null or min_supporters >= 0),
+  priority text not null
+    check (priority in ('low', 'normal', 'high', 'urgent')),
+  enabled boolean not null default true,
+  position integer not null default 0,   -- ordre d'affichage / départage à priorité égale
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  updated_by uuid
+);
+
+create index if not exists triage_rules_position_idx
+  on public.triage_rules (position, created_at);
+
+alter table public.triage_rules enable row level security;
+
+drop policy if exists triage_rules_select on public.triage_rules;
+create policy triage_rules_select on public.triage_rules
+  for select using (
+    exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role in ('agent', 'admin')
+    )
+  );
+
+drop policy if exists triage_rules_write on public.triage_rules;
+create policy triage_rules_write on public.triage_rules
+  for all using (
+    exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin')
+  )
+  with check (
+    exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin')
+  );
+
+-- Règles par défaut (mêmes valeurs que DEFAULT_TRIAGE_RULES côté client)
+insert into public.triage_rules (name, category, severity, keywords, min_supporters, priority, position)
+select * from (values
+  ('Danger pour les personnes', null::text, null::text,
+    array['bless*', 'incendi*', 'feu', 'feux', 'fil électrique', 'fils électriques', 'électrocu*', 'effondr*', 'noyade'],
+    null::integer, 'urgent', 10),
+  ('Sécurité - gravité élevée', 'securite', 'high', '{}'::text[], null, 'urgent', 20),
+  ('Inondation', 'eau', null, array['inond*'], null, 'high', 30),
+  ('Gravité élevée', null, 'high', '{}'::text[], null, 'high', 40),
+  ('Signalé par 10 citoyens ou plus', null, null, '{}'::text[], 10, 'urgent', 50),
+  ('Signalé par 5 citoyens ou plus', null, null, '{}'::text[], 5, 'high', 60),
+  ('Gravité faible', null, 'low', '{}'::text[], null, 'low', 70)
+) as defaults (name, category, severity, keywords, min_supporters, priority, position)
+where not exists (select 1 from public.triage_rules);
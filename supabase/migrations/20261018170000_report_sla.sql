@@ -0,0 +1,242 @@
+-- ═══════════════════════════════════════════════════════════
+-- Délais de traitement (SLA) par type et priorité
+--
+-- - sla_policies : délais configurables (page admin /admin/sla)
+--     response_hours   : durée max en attente (pending) avant prise en charge
+--     resolution_hours : durée max depuis la création avant résolution
+--   type / priority NULL = s'applique à tous ; la politique la plus précise
+--   l'emporte (type + priorité > type > priorité > défaut).
+-- - reports.response_due_at / resolution_due_at : échéances calculées à la
+--   création et à chaque changement de type ou de priorité
+-- - reports.due_at : échéance en cours selon le statut (NULL si clôturé),
+--   utilisée par le filtre « en retard » des listes
+-- - escalate_overdue_reports() : écrit un événement sla_escalation
+--   (une fois par échéance) pour chaque signalement en retard ; les agents
+--   de la commune et les admins le reçoivent en temps réel (useSlaEscalations)
+-- ═══════════════════════════════════════════════════════════
+
+create table if not exists public.sla_policies (
+  id uuid primary key default gen_random_uuid(),
+  type text,                                  -- NULL = tous les types
+  priority text
+    check (priority is null or priority in ('low', 'normal', 'high', 'urgent')),
+  response_hours numeric not null check (response_hours > 0),
+  resolution_hours numeric not null check (resolution_hours > 0),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  updated_by uuid,
+  check (resolution_hours >= response_hours)
+);
+
+-- Une seule politique par couple (type, priorité), NULL compris
+create unique index if not exists sla_policies_type_priority_idx
+  on public.sla_policies (coalesce(type, ''), coalesce(priority, ''));
+
+alter table public.sla_policies enable row level security;
+
+drop policy if exists sla_policies_select on public.sla_policies;
+create policy sla_policies_select on public.sla_policies
+  for select using (
+    exists (
+      select 1 from public.users u
+      where u.id = auth.uid() and u.role in ('agent', 'admin')
+    )
+  );
+
+drop policy if exists sla_policies_write on public.sla_policies;
+create policy sla_policies_write on public.sla_policies
+  for all using (
+    exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin')
+  )
+  with check (
+    exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin')
+  );
+
+-- Politiques par défaut (modifiables ensuite par les admins)
+insert into public.sla_policies (type, priority, response_hours, resolution_hours)
+select * from (values
+  (null::text, null::text, 72::numeric, 336::numeric),
+  (null, 'urgent', 2, 24),
+  (null, 'high', 12, 72),
+  (null, 'normal', 48, 168),
+  (null, 'low', 96, 720),
+  ('electricite', 'urgent', 1, 4),
+  ('securite', 'urgent', 1, 12)
+) as defaults (type, priority, response_hours, resolution_hours)
+where not exists (select 1 from public.sla_policies);
+
+alter table public.reports
+  add column if not exists response_due_at timestamptz,
+  add column if not exists resolution_due_at timestamptz,
+  add column if not exists due_at timestamptz,
+  add column if not exists escalated_at timestamptz;
+
+create index if not exists reports_due_at_idx
+  on public.reports (due_at)
+  where due_at is not null;
+
+-- ───────────────────────────────────────────────────────────
+-- Politique applicable : la plus précise (type exact, puis priorité exacte)
+-- ───────────────────────────────────────────────────────────
+create or replace function public.sla_policy_for(p_type text, p_priority text)
+returns public.sla_policies
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select *
+  from public.sla_policies p
+  where (p.type is null or p.type = p_type)
+    and (p.priority is null or p.priority = p_priority)
+  order by (p.type is not null) desc, (p.priority is not null) desc
+  limit 1;
+$$;
+
+-- ───────────────────────────────────────────────────────────
+-- Échéances d'un signalement (création, type, priorité ou statut modifiés)
+-- ───────────────────────────────────────────────────────────
+create or replace function public.compute_report_sla()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_policy public.sla_policies;
+  v_previous_due timestamptz := new.due_at;
+begin
+  v_policy := public.sla_policy_for(new.type, coalesce(new.priority, 'normal'));
+
+  if v_policy.id is null then
+    new.response_due_at := null;
+    new.resolution_due_at := null;
+  else
+    new.response_due_at := new.created_at + make_interval(secs => v_policy.response_hours * 3600);
+    new.resolution_due_at := new.created_at + make_interval(secs => v_policy.resolution_hours * 3600);
+  end if;
+
+  new.due_at := case new.status
+    when 'pending' then new.response_due_at
+    when 'in_progress' then new.resolution_due_at
+    else null
+  end;
+
+  -- Nouvelle échéance : une nouvelle escalade sera possible
+  if new.due_at is distinct from v_previous_due then
+    new.escalated_at := null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists reports_compute_sla on public.reports;
+create trigger reports_compute_sla
+  before insert or update of type, priority, status on public.reports
+  for each row execute function public.compute_report_sla();
+
+-- Politiques modifiées : recalcul des échéances des signalements ouverts
+create or replace function public.refresh_open_reports_sla()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.reports
+  set priority = priority                     -- déclenche reports_compute_sla
+  where status in ('pending', 'in_progress');
+  return null;
+end;
+$$;
+
+drop trigger if exists sla_policies_refresh_reports on public.sla_policies;
+create trigger sla_policies_refresh_reports
+  after insert or update or delete on public.sla_policies
+  for each statement execute function public.refresh_open_reports_sla();
+
+-- Signalements existants
+update public.reports set priority = priority;
+
+-- ───────────────────────────────────────────────────────────
+-- Escalade des signalements en retard (une fois par échéance)
+-- Appelée toutes les 15 min par pg_cron si disponible, et à l'ouverture
+-- des espaces agent / admin (reportApi.escalateOverdueReports).
+-- ───────────────────────────────────────────────────────────
+create or replace function public.escalate_overdue_reports()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  with overdue as (
+    update public.reports r
+    set escalated_at = now()
+    where r.due_at < now()
+      and r.escalated_at is null
+      and r.duplicate_of is null
+      and r.status in ('pending', 'in_progress')
+    returning r.id, r.status, r.due_at
+  )
+  insert into public.report_events (report_id, event_type, field, old_value, new_value, comment, actor_role)
+  select
+    o.id,
+    'sla_escalation',
+    'due_at',
+    o.status,
+    o.due_at::text,
+    case o.status
+      when 'pending' then 'Délai de prise en charge dépassé'
+      else 'Délai de résolution dépassé'
+    end,
+    'system'
+  from overdue o;
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+revoke all on function public.escalate_overdue_reports() from public, anon;
+grant execute on function public.escalate_overdue_reports() to authenticated;
+
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule(
+      'escalate-overdue-reports',
+      '*/15 * * * *',
+      'select public.escalate_overdue_reports()'
+    );
+  end if;
+end;
+$$;
+
+-- Notifications d'escalade en temps réel (RLS de report_events appliquée)
+do $$
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime')
+    and not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'report_events'
+    ) then
+    alter publication supabase_realtime add table public.report_events;
+  end if;
+end;
+$$;
+
+-- La vue des listes paginées expose les nouvelles colonnes (r.* est figé à la création)
+drop view if exists public.reports_listing;
+create view public.reports_listing
+with (security_invoker = true) as
+select
+  r.*,
+  coalesce(c.name, '') as commune_name
+from public.reports r
+left join public.communes c on c.id = r.commune_id;
+
+grant select on public.reports_listing to anon, authenticated;
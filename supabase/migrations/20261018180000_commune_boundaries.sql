@@ -0,0 +1,126 @@
+-- ═══════════════════════════════════════════════════════════
+-- Limites des communes et attribution automatique par GPS
+--
+-- - communes.boundary : contour (MultiPolygon WGS84), importé depuis un
+--   GeoJSON des communes du Sénégal (page admin /admin/communes,
+--   communeApi.importCommuneBoundaries)
+-- - resolve_commune(lat, lng) : commune qui contient le point
+--   (la plus petite en cas de chevauchement, ex. commune enclavée)
+-- - trigger reports_commune_from_location : à l'insertion (et si les
+--   coordonnées changent), un signalement situé dans un contour connu est
+--   rattaché à cette commune, quel que soit le choix du citoyen ; hors de
+--   tout contour, le commune_id fourni est conservé
+-- ═══════════════════════════════════════════════════════════
+
+create extension if not exists postgis with schema extensions;
+
+alter table public.communes
+  add column if not exists boundary extensions.geometry(MultiPolygon, 4326);
+
+-- Indicateur léger pour les listes (évite de transférer les contours)
+alter table public.communes
+  add column if not exists has_boundary boolean generated always as (boundary is not null) stored;
+
+create index if not exists communes_boundary_idx
+  on public.communes using gist (boundary);
+
+-- ───────────────────────────────────────────────────────────
+-- Point → commune
+-- ───────────────────────────────────────────────────────────
+create or replace function public.resolve_commune(
+  p_latitude double precision,
+  p_longitude double precision
+)
+returns table (id uuid, name text, region text)
+language sql
+stable
+security definer
+set search_path = public, extensions
+as $$
+  select c.id, c.name, c.region
+  from public.communes c
+  where c.boundary is not null
+    and st_intersects(c.boundary, st_setsrid(st_makepoint(p_longitude, p_latitude), 4326))
+  order by st_area(c.boundary) asc
+  limit 1;
+$$;
+
+grant execute on function public.resolve_commune(double precision, double precision) to anon, authenticated;
+
+-- ───────────────────────────────────────────────────────────
+-- Attribution automatique des signalements
+-- ───────────────────────────────────────────────────────────
+create or replace function public.assign_report_commune()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_commune_id uuid;
+begin
+  if new.latitude is null or new.longitude is null then
+    return new;
+  end if;
+
+  select rc.id into v_commune_id
+  from public.resolve_commune(new.latitude, new.longitude) rc;
+
+  if v_commune_id is not null then
+    new.commune_id := v_commune_id;
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Nom choisi pour passer avant reports_search_text (ordre alphabétique des triggers)
+drop trigger if exists reports_commune_from_location on public.reports;
+create trigger reports_commune_from_location
+  before insert or update of latitude, longitude on public.reports
+  for each row execute function public.assign_report_commune();
+
+-- ───────────────────────────────────────────────────────────
+-- Import des contours (ADMIN uniquement)
+-- p_boundaries : [{ "commune_id": uuid, "geometry": GeoJSON Polygon | MultiPolygon }]
+-- Renvoie le nombre de communes mises à jour ; les signalements sans
+-- commune situés dans un nouveau contour y sont rattachés.
+-- ───────────────────────────────────────────────────────────
+create or replace function public.import_commune_boundaries(p_boundaries jsonb)
+returns integer
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_count integer;
+begin
+  if not exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin') then
+    raise exception 'Import réservé aux administrateurs' using errcode = '42501';
+  end if;
+
+  update public.communes c
+  set boundary = st_multi(st_collectionextract(
+        st_makevalid(st_setsrid(st_geomfromgeojson(b.value ->> 'geometry'), 4326)), 3
+      )),
+      updated_at = now()
+  from jsonb_array_elements(p_boundaries) b
+  where c.id = (b.value ->> 'commune_id')::uuid;
+
+  get diagnostics v_count = row_count;
+
+  -- Signalements sans commune : rattachement a posteriori
+  -- (déclenche reports_commune_from_location)
+  update public.reports
+  set latitude = latitude
+  where commune_id is null
+    and latitude is not null
+    and longitude is not null;
+
+  return v_count;
+end;
+$$;
+
+revoke all on function public.import_commune_boundaries(jsonb) from public, anon;
+grant execute on function public.import_commune_boundaries(jsonb) to authenticated;
+
@@ -0,0 +1,25 @@
+-- ═══════════════════════════════════════════════════════════
+-- Adresse lisible des signalements
+--
+-- - address : adresse saisie par le citoyen (texte libre), NULL sinon
+-- - address_details : composantes { street, quartier, landmark, city,
+--   region, source } calculées à la création par géocodage inverse
+--   hors-ligne (gazetteer embarqué, geocodingService.reverseGeocode) ;
+--   l'adresse est mise en forme à l'affichage, dans la langue du lecteur
+-- ═══════════════════════════════════════════════════════════
+
+alter table public.reports
+  add column if not exists address text,
+  add column if not exists address_details jsonb;
+
+-- La vue des listes paginées expose les nouvelles colonnes (r.* est figé à la création)
+drop view if exists public.reports_listing;
+create view public.reports_listing
+with (security_invoker = true) as
+select
+  r.*,
+  coalesce(c.name, '') as commune_name
+from public.reports r
+left join public.communes c on c.id = r.commune_id;
+
+grant select on public.reports_listing to anon, authenticated;
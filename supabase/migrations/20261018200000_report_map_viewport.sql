@@ -0,0 +1,65 @@
+-- ═══════════════════════════════════════════════════════════
+-- Chargement de la carte par zone affichée
+--
+-- La carte publique ne télécharge plus toute la liste : seuls les
+-- signalements situés dans l'emprise visible sont demandés
+-- (reportApi.getReportsInBounds), et aux petits zooms le serveur renvoie
+-- des agrégats par case de grille (report_map_clusters →
+-- reportApi.getReportClustersInBounds).
+--
+-- Fonction SECURITY INVOKER : la RLS de reports s'applique. Les doublons
+-- fusionnés (duplicate_of non NULL) ne sont pas affichés.
+-- ═══════════════════════════════════════════════════════════
+
+create index if not exists reports_latitude_longitude_idx
+  on public.reports (latitude, longitude)
+  where duplicate_of is null;
+
+-- ───────────────────────────────────────────────────────────
+-- Agrégats par case (p_cell_size en degrés, choisi selon le zoom)
+-- Position = barycentre des signalements de la case
+-- ───────────────────────────────────────────────────────────
+create or replace function public.report_map_clusters(
+  p_south double precision,
+  p_west double precision,
+  p_north double precision,
+  p_east double precision,
+  p_cell_size double precision,
+  p_status text default null,
+  p_commune_id uuid default null,
+  p_citizen_user_id uuid default null
+)
+returns table (
+  latitude double precision,
+  longitude double precision,
+  count bigint,
+  pending bigint,
+  in_progress bigint,
+  resolved bigint,
+  rejected bigint
+)
+language sql
+stable
+as $$
+  select
+    avg(r.latitude) as latitude,
+    avg(r.longitude) as longitude,
+    count(*) as count,
+    count(*) filter (where r.status = 'pending') as pending,
+    count(*) filter (where r.status = 'in_progress') as in_progress,
+    count(*) filter (where r.status = 'resolved') as resolved,
+    count(*) filter (where r.status = 'rejected') as rejected
+  from public.reports r
+  where r.duplicate_of is null
+    and r.latitude between p_south and p_north
+    and r.longitude between p_west and p_east
+    and (p_status is null or r.status = p_status)
+    and (p_commune_id is null or r.commune_id = p_commune_id)
+    and (p_citizen_user_id is null or r.citizen_user_id = p_citizen_user_id)
+  group by floor(r.latitude / p_cell_size), floor(r.longitude / p_cell_size);
+$$;
+
+grant execute on function public.report_map_clusters(
+  double precision, double precision, double precision, double precision,
+  double precision, text, uuid, uuid
+) to anon, authenticated;
@@ -0,0 +1,48 @@
+-- ═══════════════════════════════════════════════════════════
+-- Emprise d'une commune (packs de tuiles hors-ligne)
+--
+-- commune_extent(commune_id) : rectangle { south, west, north, east }
+-- à pré-télécharger pour la carte hors-ligne des agents
+-- (communeApi.getCommuneExtent → utils/tilePacks).
+-- - contour importé (communes.boundary) s'il existe
+-- - sinon, emprise des signalements de la commune
+-- Une marge d'environ 500 m est ajoutée autour.
+--
+-- Fonction SECURITY INVOKER : la RLS de reports s'applique.
+-- ═══════════════════════════════════════════════════════════
+
+create or replace function public.commune_extent(p_commune_id uuid)
+returns table (
+  south double precision,
+  west double precision,
+  north double precision,
+  east double precision
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with extent as (
+    select
+      st_ymin(c.boundary::box2d) as south,
+      st_xmin(c.boundary::box2d) as west,
+      st_ymax(c.boundary::box2d) as north,
+      st_xmax(c.boundary::box2d) as east
+    from public.communes c
+    where c.id = p_commune_id
+      and c.boundary is not null
+    union all
+    select min(r.latitude), min(r.longitude), max(r.latitude), max(r.longitude)
+    from public.reports r
+    where r.commune_id = p_commune_id
+      and r.latitude is not null
+      and r.longitude is not null
+      and r.duplicate_of is null
+  )
+  select south - 0.005, west - 0.005, north + 0.005, east + 0.005
+  from extent
+  where south is not null
+  limit 1;
+$$;
+
+grant execute on function public.commune_extent(uuid) to authenticated;
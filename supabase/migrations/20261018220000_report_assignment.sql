@@ -0,0 +1,175 @@
+-- ═══════════════════════════════════════════════════════════
+-- Affectation des signalements aux agents
+--
+-- - users.is_supervisor : agent superviseur de sa commune (répartit le
+--   travail entre les agents), attribué par un admin comme le rôle
+-- - reports.assigned_to / assigned_at : agent responsable du signalement
+--   (NULL = file commune, non affecté)
+-- - assign_report() : affectation / réaffectation / retrait, tracée dans
+--   report_events (event_type 'assignment', field 'assigned_to')
+-- - agent_workload() : charge de travail par agent d'une commune
+--
+-- Règles (vérifiées par trigger, quel que soit le chemin d'écriture) :
+-- - un agent peut se prendre un signalement non affecté, ou se retirer
+--   d'un signalement qui lui est affecté
+-- - un superviseur (ou un admin) peut affecter / réaffecter à n'importe
+--   quel agent de la commune du signalement
+-- ═══════════════════════════════════════════════════════════
+
+alter table public.users
+  add column if not exists is_supervisor boolean not null default false;
+
+alter table public.reports
+  add column if not exists assigned_to uuid references public.users (id) on delete set null,
+  add column if not exists assigned_at timestamptz;
+
+create index if not exists reports_assigned_to_idx
+  on public.reports (assigned_to, status)
+  where assigned_to is not null;
+
+-- La vue des listes paginées expose les nouvelles colonnes (r.* est figé à la création)
+drop view if exists public.reports_listing;
+create view public.reports_listing
+with (security_invoker = true) as
+select
+  r.*,
+  coalesce(c.name, '') as commune_name
+from public.reports r
+left join public.communes c on c.id = r.commune_id;
+
+grant select on public.reports_listing to anon, authenticated;
+
+-- ───────────────────────────────────────────────────────────
+-- Contrôle des changements d'affectation
+-- (auth.uid() NULL = service / tâches système : non contrôlé)
+-- ───────────────────────────────────────────────────────────
+create or replace function public.check_report_assignment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_caller public.users;
+begin
+  if new.assigned_to is not distinct from old.assigned_to or auth.uid() is null then
+    return new;
+  end if;
+
+  select * into v_caller from public.users where id = auth.uid();
+
+  if new.assigned_to is not null and not exists (
+    select 1 from public.users u
+    where u.id = new.assigned_to and u.role = 'agent' and u.commune_id = new.commune_id
+  ) then
+    raise exception 'L''agent doit appartenir à la commune du signalement' using errcode = '22023';
+  end if;
+
+  if not (
+    v_caller.role = 'admin'
+    or (v_caller.role = 'agent' and v_caller.is_supervisor and v_caller.commune_id = new.commune_id)
+    -- Prise en charge d'un signalement libre
+    or (old.assigned_to is null and new.assigned_to = v_caller.id)
+    -- Retrait de son propre signalement
+    or (old.assigned_to = v_caller.id and new.assigned_to is null)
+  ) then
+    raise exception 'Seul un superviseur peut réaffecter ce signalement' using errcode = '42501';
+  end if;
+
+  new.assigned_at := case when new.assigned_to is null then null else now() end;
+  return new;
+end;
+$$;
+
+drop trigger if exists reports_assignment_check on public.reports;
+create trigger reports_assignment_check
+  before update of assigned_to on public.reports
+  for each row execute function public.check_report_assignment();
+
+-- ───────────────────────────────────────────────────────────
+-- Affecter un signalement (p_agent_id NULL = retirer l'affectation)
+-- Exécutée avec les droits de l'appelant : la RLS de reports s'applique.
+-- ───────────────────────────────────────────────────────────
+create or replace function public.assign_report(
+  p_report_id uuid,
+  p_agent_id uuid,
+  p_comment text default null
+)
+returns setof public.reports
+language plpgsql
+as $$
+declare
+  v_old_agent uuid;
+  v_actor_role text;
+begin
+  select assigned_to into v_old_agent from public.reports where id = p_report_id for update;
+  if not found then
+    raise exception 'Signalement introuvable' using errcode = 'P0002';
+  end if;
+
+  if v_old_agent is distinct from p_agent_id then
+    update public.reports
+    set assigned_to = p_agent_id,
+        updated_at = now()
+    where id = p_report_id;
+
+    select coalesce(role, 'system') into v_actor_role from public.users where id = auth.uid();
+
+    insert into public.report_events (report_id, event_type, field, old_value, new_value, comment, actor_id, actor_role)
+    values (p_report_id, 'assignment', 'assigned_to', v_old_agent::text, p_agent_id::text, p_comment, auth.uid(), coalesce(v_actor_role, 'system'));
+  end if;
+
+  return query select * from public.reports where id = p_report_id;
+end;
+$$;
+
+-- ───────────────────────────────────────────────────────────
+-- Charge de travail des agents d'une commune
+-- (security definer : les agents ne lisent pas le profil de leurs collègues)
+-- ───────────────────────────────────────────────────────────
+create or replace function public.agent_workload(p_commune_id uuid)
+returns table (
+  agent_id uuid,
+  name text,
+  is_supervisor boolean,
+  pending bigint,
+  in_progress bigint,
+  overdue bigint,
+  resolved_last_7_days bigint
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1 from public.users u
+    where u.id = auth.uid()
+      and (u.role = 'admin' or (u.role = 'agent' and u.commune_id = p_commune_id))
+  ) then
+    raise exception 'Accès réservé aux agents de la commune' using errcode = '42501';
+  end if;
+
+  return query
+  select
+    u.id,
+    u.name,
+    u.is_supervisor,
+    count(r.id) filter (where r.status = 'pending'),
+    count(r.id) filter (where r.status = 'in_progress'),
+    count(r.id) filter (where r.due_at < now()),
+    count(r.id) filter (where r.status = 'resolved' and r.updated_at >= now() - interval '7 days')
+  from public.users u
+  left join public.reports r
+    on r.assigned_to = u.id
+   and r.duplicate_of is null
+  where u.role = 'agent'
+    and u.commune_id = p_commune_id
+  group by u.id, u.name, u.is_supervisor
+  order by u.name;
+end;
+$$;
+
+revoke all on function public.agent_workload(uuid) from public, anon;
+grant execute on function public.agent_workload(uuid) to authenticated;
@@ -0,0 +1,148 @@
+-- ═══════════════════════════════════════════════════════════
+-- Commentaires et messages sur les signalements (report_comments)
+--
+-- - visibility 'internal' : note entre agents / admins, jamais visible
+--   par le citoyen
+-- - visibility 'public'   : échange avec le citoyen auteur du signalement
+--   (ReportDetailBottomSheet côté citoyen)
+-- - parent_id : fil de discussion (réponse à un message racine) ; une
+--   réponse a toujours la visibilité de son fil
+-- - body et / ou audio_url (message vocal, bucket report-audio)
+-- - citizen_user_id : auteur du signalement, copié à l'insertion pour
+--   filtrer l'abonnement Realtime du citoyen (useNotifications)
+-- ═══════════════════════════════════════════════════════════
+
+create table if not exists public.report_comments (
+  id uuid primary key default gen_random_uuid(),
+  report_id uuid not null references public.reports (id) on delete cascade,
+  parent_id uuid references public.report_comments (id) on delete cascade,
+  visibility text not null default 'internal'
+    check (visibility in ('internal', 'public')),
+  body text,
+  audio_url text,
+  audio_duration integer,              -- secondes
+  author_id uuid not null,             -- Supabase user OU voice user
+  author_role text not null
+    check (author_role in ('citizen', 'agent', 'admin')),
+  author_name text,
+  citizen_user_id uuid,
+  created_at timestamptz not null default now(),
+  check (coalesce(nullif(trim(body), ''), audio_url) is not null),
+  -- Un citoyen n'écrit que dans l'échange public
+  check (author_role <> 'citizen' or visibility = 'public')
+);
+
+create index if not exists report_comments_report_id_created_at_idx
+  on public.report_comments (report_id, created_at);
+
+create index if not exists report_comments_citizen_user_id_idx
+  on public.report_comments (citizen_user_id)
+  where visibility = 'public';
+
+-- ───────────────────────────────────────────────────────────
+-- Insertion : destinataire citoyen + cohérence du fil
+-- ───────────────────────────────────────────────────────────
+create or replace function public.prepare_report_comment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_parent public.report_comments;
+begin
+  select citizen_user_id into new.citizen_user_id from public.reports where id = new.report_id;
+
+  if new.parent_id is not null then
+    select * into v_parent from public.report_comments where id = new.parent_id;
+    if v_parent.report_id is distinct from new.report_id then
+      raise exception 'Le message parent appartient à un autre signalement' using errcode = '22023';
+    end if;
+    -- Les réponses sont rattachées au message racine, avec sa visibilité
+    new.parent_id := coalesce(v_parent.parent_id, v_parent.id);
+    new.visibility := v_parent.visibility;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists report_comments_prepare on public.report_comments;
+create trigger report_comments_prepare
+  before insert on public.report_comments
+  for each row execute function public.prepare_report_comment();
+
+alter table public.report_comments enable row level security;
+
+-- Lecture : agents de la commune et admins (tout), citoyen auteur (public uniquement)
+drop policy if exists report_comments_select on public.report_comments;
+create policy report_comments_select on public.report_comments
+  for select using (
+    exists (
+      select 1
+      from public.reports r
+      left join public.users u on u.id = auth.uid()
+      where r.id = report_comments.report_id
+        and (
+          u.role = 'admin'
+          or (u.role = 'agent' and u.commune_id = r.commune_id)
+          or (
+            report_comments.visibility = 'public'
+            and (
+              r.citizen_user_id = auth.uid()
+              -- Voice users (pas de session Supabase Auth) : jeton x-voice-session (voice_sessions)
+              or r.citizen_user_id = (select public.current_voice_user_id())
+            )
+          )
+        )
+    )
+  );
+
+-- Écriture agents / admins : en leur propre nom, sur les signalements de leur périmètre
+drop policy if exists report_comments_insert_staff on public.report_comments;
+create policy report_comments_insert_staff on public.report_comments
+  for insert with check (
+    author_id = auth.uid()
+    and exists (
+      select 1
+      from public.reports r
+      join public.users u on u.id = auth.uid()
+      where r.id = report_comments.report_id
+        and u.role = report_comments.author_role
+        and (
+          u.role = 'admin'
+          or (u.role = 'agent' and u.commune_id = r.commune_id)
+        )
+    )
+  );
+
+-- Écriture citoyen : réponse publique sur son propre signalement
+drop policy if exists report_comments_insert_citizen on public.report_comments;
+create policy report_comments_insert_citizen on public.report_comments
+  for insert with check (
+    author_role = 'citizen'
+    and visibility = 'public'
+    and exists (
+      select 1
+      from public.reports r
+      where r.id = report_comments.report_id
+        and r.citizen_user_id = report_comments.author_id
+        and (
+          r.citizen_user_id = auth.uid()
+          or r.citizen_user_id = (select public.current_voice_user_id())
+        )
+    )
+  );
+
+-- Nouveaux messages en temps réel (fil du signalement, notifications citoyen)
+do $$
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime')
+    and not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'report_comments'
+    ) then
+    alter publication supabase_realtime add table public.report_comments;
+  end if;
+end;
+$$;
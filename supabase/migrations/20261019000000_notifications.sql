@@ -0,0 +1,255 @@
+-- ═══════════════════════════════════════════════════════════
+-- Boîte de notifications des citoyens (notifications)
+--
+-- Une ligne par événement et par destinataire, générée côté serveur
+-- (triggers) : le citoyen retrouve ce qui s'est passé pendant qu'il
+-- était hors-ligne, et l'état lu / non lu suit ses appareils.
+--
+-- Types :
+-- - status_change   : statut modifié (auteur + soutiens "moi aussi")
+-- - priority_change : priorité modifiée (auteur)
+-- - merge           : signalement fusionné dans un autre (auteur du doublon)
+-- - resolution      : photo "après" ajoutée sans changement de statut
+--                     (auteur + soutiens)
+-- - comment         : message public d'un agent (auteur, report_comments)
+--
+-- data : détails affichés (ancienne / nouvelle valeur, justification,
+-- photo, extrait du message, type et commune du signalement)
+-- ═══════════════════════════════════════════════════════════
+
+create table if not exists public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  recipient_id uuid not null,          -- Supabase user OU voice user
+  report_id uuid references public.reports (id) on delete cascade,
+  type text not null
+    check (type in ('status_change', 'priority_change', 'merge', 'resolution', 'comment')),
+  data jsonb not null default '{}'::jsonb,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_recipient_id_created_at_idx
+  on public.notifications (recipient_id, created_at desc);
+
+create index if not exists notifications_recipient_id_unread_idx
+  on public.notifications (recipient_id)
+  where read_at is null;
+
+alter table public.notifications enable row level security;
+
+-- Lecture / lu / suppression : le destinataire (voice users : jeton x-voice-session, voir voice_sessions)
+drop policy if exists notifications_select on public.notifications;
+create policy notifications_select on public.notifications
+  for select using (
+    recipient_id = auth.uid()
+    or recipient_id = (select public.current_voice_user_id())
+  );
+
+drop policy if exists notifications_update on public.notifications;
+create policy notifications_update on public.notifications
+  for update using (
+    recipient_id = auth.uid()
+    or recipient_id = (select public.current_voice_user_id())
+  );
+
+drop policy if exists notifications_delete on public.notifications;
+create policy notifications_delete on public.notifications
+  for delete using (
+    recipient_id = auth.uid()
+    or recipient_id = (select public.current_voice_user_id())
+  );
+
+-- Pas d'insertion côté client (triggers uniquement) ; seul read_at est modifiable
+revoke insert, update on public.notifications from anon, authenticated;
+grant update (read_at) on public.notifications to anon, authenticated;
+
+-- ───────────────────────────────────────────────────────────
+-- Envoi d'une notification à l'auteur d'un signalement et,
+-- si demandé, à ses soutiens (sauf à l'auteur de l'action) : "moi aussi"
+-- et auteurs des doublons fusionnés (source = 'merge')
+-- ───────────────────────────────────────────────────────────
+create or replace function public.notify_report_citizens(
+  p_report_id uuid,
+  p_type text,
+  p_data jsonb,
+  p_include_supporters boolean default false,
+  p_exclude_id uuid default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_report public.reports;
+  v_data jsonb;
+begin
+  select * into v_report from public.reports where id = p_report_id;
+  if not found then
+    return;
+  end if;
+
+  v_data := jsonb_build_object(
+    'report_type', v_report.type,
+    'commune_name', (select c.name from public.communes c where c.id = v_report.commune_id)
+  ) || coalesce(p_data, '{}'::jsonb);
+
+  insert into public.notifications (recipient_id, report_id, type, data)
+  select distinct recipient.id, p_report_id, p_type, v_data
+  from (
+    select v_report.citizen_user_id as id
+    union
+    select s.citizen_user_id
+    from public.report_supporters s
+    where p_include_supporters
+      and s.report_id = p_report_id
+  ) recipient
+  where recipient.id is not null
+    and recipient.id is distinct from p_exclude_id;
+end;
+$$;
+
+revoke all on function public.notify_report_citizens(uuid, text, jsonb, boolean, uuid) from public, anon, authenticated;
+
+-- ───────────────────────────────────────────────────────────
+-- Historique (report_events) → statut, priorité, fusion
+-- ───────────────────────────────────────────────────────────
+create or replace function public.notify_report_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_report public.reports;
+begin
+  if new.event_type = 'status_change' then
+    select * into v_report from public.reports where id = new.report_id;
+    -- Doublon fusionné : son auteur et ses soutiens, reportés sur le
+    -- canonique, sont notifiés par le changement de statut du canonique
+    if v_report.duplicate_of is not null then
+      return null;
+    end if;
+
+    perform public.notify_report_citizens(
+      new.report_id,
+      'status_change',
+      jsonb_build_object(
+        'old_value', new.old_value,
+        'new_value', new.new_value,
+        'comment', new.comment,
+        'resolution_comment', v_report.resolution_comment,
+        'resolution_image_url', v_report.resolution_image_url
+      ),
+      true,
+      new.actor_id
+    );
+  elsif new.event_type = 'priority_change' then
+    perform public.notify_report_citizens(
+      new.report_id,
+      'priority_change',
+      jsonb_build_object('old_value', new.old_value, 'new_value', new.new_value),
+      false,
+      new.actor_id
+    );
+  elsif new.event_type = 'merge' and new.new_value is not null then
+    -- Côté doublon uniquement (new_value = signalement canonique)
+    perform public.notify_report_citizens(
+      new.report_id,
+      'merge',
+      jsonb_build_object('canonical_id', new.new_value, 'comment', new.comment),
+      false,
+      new.actor_id
+    );
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists report_events_notify on public.report_events;
+create trigger report_events_notify
+  after insert on public.report_events
+  for each row execute function public.notify_report_event();
+
+-- ───────────────────────────────────────────────────────────
+-- Photo "après" ajoutée à un signalement déjà clôturé
+-- (avec un changement de statut, elle accompagne status_change)
+-- ───────────────────────────────────────────────────────────
+create or replace function public.notify_report_resolution()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.resolution_image_url is not null
+    and new.resolution_image_url is distinct from old.resolution_image_url
+    and new.status is not distinct from old.status
+    and new.duplicate_of is null then
+    perform public.notify_report_citizens(
+      new.id,
+      'resolution',
+      jsonb_build_object(
+        'resolution_comment', new.resolution_comment,
+        'resolution_image_url', new.resolution_image_url
+      ),
+      true,
+      auth.uid()
+    );
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists reports_resolution_notify on public.reports;
+create trigger reports_resolution_notify
+  after update of resolution_image_url on public.reports
+  for each row execute function public.notify_report_resolution();
+
+-- ───────────────────────────────────────────────────────────
+-- Message public d'un agent / admin (report_comments)
+-- ───────────────────────────────────────────────────────────
+create or replace function public.notify_report_comment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.visibility = 'public' and new.author_role <> 'citizen' then
+    perform public.notify_report_citizens(
+      new.report_id,
+      'comment',
+      jsonb_build_object(
+        'comment_id', new.id,
+        'body', left(new.body, 280),
+        'has_audio', new.audio_url is not null
+      ),
+      false,
+      new.author_id
+    );
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists report_comments_notify on public.report_comments;
+create trigger report_comments_notify
+  after insert on public.report_comments
+  for each row execute function public.notify_report_comment();
+
+-- Nouvelles notifications en temps réel (useNotifications)
+do $$
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime')
+    and not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'notifications'
+    ) then
+    alter publication supabase_realtime add table public.notifications;
+  end if;
+end;
+$$;
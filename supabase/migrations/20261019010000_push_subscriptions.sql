@@ -0,0 +1,156 @@
+-- ═══════════════════════════════════════════════════════════
+-- Notifications Web Push (PWA)
+--
+-- - push_subscriptions : abonnements Web Push d'un citoyen (un par
+--   navigateur / appareil), avec la langue des notifications (fr / wo)
+-- - Chaque ligne insérée dans notifications (migration notifications)
+--   déclenche l'Edge Function push-dispatch (supabase/functions), qui
+--   envoie le push signé VAPID à tous les appareils du destinataire
+--
+-- Configuration (une fois par projet, rôle postgres) :
+--   alter database postgres set app.settings.push_dispatch_url =
+--     'https://<projet>.supabase.co/functions/v1/push-dispatch';
+--   alter database postgres set app.settings.push_dispatch_secret = '<secret>';
+-- Sans URL ou sans secret (développement local), aucun push n'est
+-- envoyé : la boîte de notifications reste la source de vérité.
+--
+-- L'appel pg_net ne porte pas de JWT : push-dispatch est déployée avec
+-- `supabase functions deploy push-dispatch --no-verify-jwt` et
+-- authentifie l'appel avec le secret partagé (x-push-dispatch-secret).
+-- ═══════════════════════════════════════════════════════════
+
+create extension if not exists pg_net;
+
+create table if not exists public.push_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,               -- Supabase user OU voice user
+  endpoint text not null unique,
+  p256dh text not null,
+  auth text not null,
+  locale text not null default 'fr'
+    check (locale in ('fr', 'wo')),
+  user_agent text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz
+);
+
+create index if not exists push_subscriptions_user_id_idx
+  on public.push_subscriptions (user_id);
+
+alter table public.push_subscriptions enable row level security;
+
+-- Le citoyen inscrit lit ses propres appareils. Les écritures passent par
+-- save_push_subscription / delete_push_subscription, qui identifient
+-- aussi les voice users (jeton x-voice-session, voir voice_sessions).
+drop policy if exists push_subscriptions_owner on public.push_subscriptions;
+create policy push_subscriptions_owner on public.push_subscriptions
+  for all using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+-- ───────────────────────────────────────────────────────────
+-- Enregistrer l'abonnement d'un appareil (ou mettre à jour sa langue)
+--
+-- Le propriétaire est l'utilisateur de la requête : session Supabase
+-- Auth ou session vocale. Un endpoint déjà abonné par un autre
+-- utilisateur n'est pas réattribué.
+-- ───────────────────────────────────────────────────────────
+create or replace function public.save_push_subscription(
+  p_endpoint text,
+  p_p256dh text,
+  p_auth text,
+  p_locale text default 'fr',
+  p_user_agent text default null
+)
+returns setof public.push_subscriptions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := coalesce(auth.uid(), public.current_voice_user_id());
+  v_subscription public.push_subscriptions;
+begin
+  if v_user_id is null then
+    raise exception 'Session requise' using errcode = '42501';
+  end if;
+
+  insert into public.push_subscriptions as s (user_id, endpoint, p256dh, auth, locale, user_agent)
+  values (v_user_id, p_endpoint, p_p256dh, p_auth, p_locale, p_user_agent)
+  on conflict (endpoint) do update
+    set p256dh = excluded.p256dh,
+        auth = excluded.auth,
+        locale = excluded.locale,
+        user_agent = excluded.user_agent
+    where s.user_id = v_user_id
+  returning s.* into v_subscription;
+
+  if not found then
+    raise exception 'Abonnement push d''un autre utilisateur' using errcode = '42501';
+  end if;
+
+  return next v_subscription;
+end;
+$$;
+
+revoke all on function public.save_push_subscription(text, text, text, text, text) from public;
+grant execute on function public.save_push_subscription(text, text, text, text, text) to anon, authenticated;
+
+-- ───────────────────────────────────────────────────────────
+-- Supprimer l'abonnement d'un appareil de l'utilisateur de la requête
+-- ───────────────────────────────────────────────────────────
+create or replace function public.delete_push_subscription(p_endpoint text)
+returns void
+language sql
+volatile
+security definer
+set search_path = public
+as $$
+  delete from public.push_subscriptions
+  where endpoint = p_endpoint
+    and user_id = coalesce(auth.uid(), public.current_voice_user_id());
+$$;
+
+revoke all on function public.delete_push_subscription(text) from public;
+grant execute on function public.delete_push_subscription(text) to anon, authenticated;
+
+-- ───────────────────────────────────────────────────────────
+-- Dispatcher : nouvelle notification → Edge Function push-dispatch
+-- (asynchrone via pg_net : n'allonge pas la transaction de l'agent)
+-- ───────────────────────────────────────────────────────────
+create or replace function public.dispatch_notification_push()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_url text := nullif(current_setting('app.settings.push_dispatch_url', true), '');
+  v_secret text := nullif(current_setting('app.settings.push_dispatch_secret', true), '');
+begin
+  -- push-dispatch refuse tout appel sans secret
+  if v_url is null or v_secret is null then
+    return null;
+  end if;
+
+  -- Rien à envoyer si le citoyen n'a aucun appareil abonné
+  if not exists (select 1 from public.push_subscriptions s where s.user_id = new.recipient_id) then
+    return null;
+  end if;
+
+  perform net.http_post(
+    url := v_url,
+    body := jsonb_build_object('notification_id', new.id),
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'x-push-dispatch-secret', v_secret
+    )
+  );
+
+  return null;
+end;
+$$;
+
+drop trigger if exists notifications_push_dispatch on public.notifications;
+create trigger notifications_push_dispatch
+  after insert on public.notifications
+  for each row execute function public.dispatch_notification_push();
@@ -0,0 +1,108 @@
+-- ═══════════════════════════════════════════════════════════
+-- Passerelle IA (Edge Function ai-gateway)
+--
+-- - ai_requests : journal des appels IA (analyse audio, synthèse vocale,
+--   extraction email / commune / adresse) : qui, quoi, quel fournisseur,
+--   durée, résultat. Écrit par la passerelle (service role) uniquement.
+-- - Sert aussi au plafond d'appels par utilisateur (fenêtres glissantes
+--   d'une minute et d'une heure, voir ai_requests_reserve) : la ligne est
+--   réservée ('pending') avant l'appel au fournisseur, puis passée à
+--   'ok' ou 'error'
+--
+-- user_key : 'user:<uuid>' (session Supabase), 'voice:<uuid>' (session
+-- vocale, voir voice_sessions) ou 'ip:<adresse>' (visiteur anonyme)
+-- ═══════════════════════════════════════════════════════════
+
+create table if not exists public.ai_requests (
+  id uuid primary key default gen_random_uuid(),
+  user_key text not null,
+  user_id uuid,
+  task text not null,
+  provider text not null,
+  status text not null
+    check (status in ('pending', 'ok', 'error', 'rate_limited')),
+  latency_ms integer,
+  input_size integer,                  -- caractères (texte) ou octets (audio)
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ai_requests_user_key_created_at_idx
+  on public.ai_requests (user_key, created_at desc);
+
+create index if not exists ai_requests_created_at_idx
+  on public.ai_requests (created_at desc);
+
+alter table public.ai_requests enable row level security;
+
+-- Lecture : admins uniquement (suivi de la consommation)
+drop policy if exists ai_requests_select_admin on public.ai_requests;
+create policy ai_requests_select_admin on public.ai_requests
+  for select using (
+    exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin')
+  );
+
+-- ───────────────────────────────────────────────────────────
+-- Appels acceptés d'un utilisateur sur une fenêtre glissante, en cours
+-- compris (les appels refusés ne prolongent pas le blocage)
+-- ───────────────────────────────────────────────────────────
+create or replace function public.ai_requests_count(p_user_key text, p_window interval)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select count(*)::integer
+  from public.ai_requests
+  where user_key = p_user_key
+    and status <> 'rate_limited'
+    and created_at >= now() - p_window;
+$$;
+
+revoke all on function public.ai_requests_count(text, interval) from public, anon, authenticated;
+
+-- ───────────────────────────────────────────────────────────
+-- Réserver un appel avant de contacter le fournisseur
+--
+-- Compte et insère sous un verrou par utilisateur : des appels
+-- simultanés ne peuvent pas dépasser le plafond. Renvoie la ligne
+-- insérée, 'pending' si l'appel est accepté, 'rate_limited' sinon.
+-- ───────────────────────────────────────────────────────────
+create or replace function public.ai_requests_reserve(
+  p_user_key text,
+  p_user_id uuid,
+  p_task text,
+  p_provider text,
+  p_input_size integer,
+  p_limit_per_minute integer,
+  p_limit_per_hour integer
+)
+returns setof public.ai_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_limited boolean;
+begin
+  perform pg_advisory_xact_lock(hashtext('ai_requests:' || p_user_key));
+
+  v_limited := public.ai_requests_count(p_user_key, interval '1 minute') >= p_limit_per_minute
+    or public.ai_requests_count(p_user_key, interval '1 hour') >= p_limit_per_hour;
+
+  return query
+  insert into public.ai_requests (user_key, user_id, task, provider, status, input_size)
+  values (
+    p_user_key,
+    p_user_id,
+    p_task,
+    p_provider,
+    case when v_limited then 'rate_limited' else 'pending' end,
+    p_input_size
+  )
+  returning *;
+end;
+$$;
+
+revoke all on function public.ai_requests_reserve(text, uuid, text, text, integer, integer, integer) from public, anon, authenticated;
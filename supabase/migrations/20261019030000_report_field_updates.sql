@@ -0,0 +1,107 @@
+-- ═══════════════════════════════════════════════════════════
+-- Mutation d'un signalement + historique dans la même transaction
+--
+-- updateReportStatus / updateReportPriority / updateReportType
+-- (src/api/reportApi.js) passent par update_report_field : la ligne
+-- report_events (et donc la notification du citoyen, voir la migration
+-- notifications) est écrite avec la mise à jour ou pas du tout. Un
+-- changement de statut est reporté sur les doublons fusionnés dans la
+-- même transaction.
+-- ═══════════════════════════════════════════════════════════
+
+-- ───────────────────────────────────────────────────────────
+-- Modifier le statut, la priorité ou le type d'un signalement
+--
+-- p_comment : justification (obligatoire pour resolved / rejected,
+-- enregistrée dans resolution_comment) ou commentaire de l'historique.
+-- Statut : les doublons (duplicate_of = p_report_id) prennent le même
+-- statut et la même justification, avec leur propre ligne d'historique.
+-- Exécutée avec les droits de l'appelant : la RLS de reports et de
+-- report_events s'applique (agent de la commune ou admin).
+-- ───────────────────────────────────────────────────────────
+create or replace function public.update_report_field(
+  p_report_id uuid,
+  p_field text,
+  p_value text,
+  p_comment text default null,
+  p_resolution_image_url text default null
+)
+returns setof public.reports
+language plpgsql
+as $$
+declare
+  v_report public.reports;
+  v_duplicate public.reports;
+  v_old_value text;
+  v_event_type text;
+  v_actor_role text;
+begin
+  select * into v_report from public.reports where id = p_report_id for update;
+  if not found then
+    raise exception 'Signalement introuvable' using errcode = 'P0002';
+  end if;
+
+  select coalesce(role, 'system') into v_actor_role from public.users where id = auth.uid();
+
+  if p_field = 'status' then
+    v_old_value := v_report.status;
+    v_event_type := 'status_change';
+
+    update public.reports
+    set status = p_value,
+        updated_at = now(),
+        resolution_comment = case when p_value in ('resolved', 'rejected') then p_comment else resolution_comment end,
+        resolution_image_url = case when p_value in ('resolved', 'rejected') then p_resolution_image_url else resolution_image_url end
+    where id = p_report_id;
+  elsif p_field = 'priority' then
+    v_old_value := v_report.priority;
+    v_event_type := 'priority_change';
+
+    update public.reports
+    set priority = p_value,
+        updated_at = now()
+    where id = p_report_id;
+  elsif p_field = 'type' then
+    v_old_value := v_report.type;
+    v_event_type := 'type_change';
+
+    update public.reports
+    set type = p_value,
+        updated_at = now()
+    where id = p_report_id;
+  else
+    raise exception 'Champ non modifiable : %', p_field using errcode = '22023';
+  end if;
+
+  -- RLS : une mise à jour refusée ne touche aucune ligne
+  if not found then
+    raise exception 'Modification non autorisée' using errcode = '42501';
+  end if;
+
+  insert into public.report_events (report_id, event_type, field, old_value, new_value, comment, actor_id, actor_role)
+  values (p_report_id, v_event_type, p_field, v_old_value, p_value, nullif(trim(p_comment), ''), auth.uid(), coalesce(v_actor_role, 'system'));
+
+  -- Les doublons fusionnés suivent le statut du canonique
+  if p_field = 'status' then
+    for v_duplicate in
+      select * from public.reports where duplicate_of = p_report_id for update
+    loop
+      update public.reports
+      set status = p_value,
+          updated_at = now(),
+          resolution_comment = case when p_value in ('resolved', 'rejected') then p_comment else resolution_comment end,
+          resolution_image_url = case when p_value in ('resolved', 'rejected') then p_resolution_image_url else resolution_image_url end
+      where id = v_duplicate.id;
+
+      if not found then
+        raise exception 'Modification d''un doublon non autorisée' using errcode = '42501';
+      end if;
+
+      insert into public.report_events (report_id, event_type, field, old_value, new_value, comment, actor_id, actor_role)
+      values (v_duplicate.id, 'status_change', 'status', v_duplicate.status, p_value, nullif(trim(p_comment), ''), auth.uid(), coalesce(v_actor_role, 'system'));
+    end loop;
+  end if;
+
+  return query select * from public.reports where id = p_report_id;
+end;
+$$;
@@ -0,0 +1,22 @@
+-- ═══════════════════════════════════════════════════════════
+-- Clé d'idempotence des signalements
+--
+-- - client_request_id : identifiant généré par le client avant le premier
+--   envoi (id de l'élément d'outbox hors-ligne), NULL pour les anciens
+--   signalements
+-- - Unique : si la réponse de createReport est perdue (coupure réseau),
+--   le rejeu de l'outbox renvoie la même clé ; l'insertion échoue (23505)
+--   et le client récupère le signalement déjà créé au lieu d'un doublon
+-- ═══════════════════════════════════════════════════════════
+
+alter table public.reports
+  add column if not exists client_request_id text;
+
+alter table public.reports
+  drop constraint if exists reports_client_request_id_key;
+
+alter table public.reports
+  add constraint reports_client_request_id_key unique (client_request_id);
+
+comment on column public.reports.client_request_id is
+  'Clé d''idempotence générée par le client (id de l''outbox), rejeux sans doublon';
@@ -12,7 +12,8 @@ export default defineConfig({
     tailwindcss(),
     VitePWA({
       registerType: 'autoUpdate',
-      includeAssets: ['icons/*.png', 'locales/**/*.json'],
+      // tts/ : audios pré-générés des consignes fixes (npm run tts:prompts, lancé avant le build)
+      includeAssets: ['icons/*.png', 'locales/**/*.json', 'tts/*', 'voice-packs/**/*'],
       manifest: {
         name: 'WattU - Signalement Citoyen',
         short_name: 'WattU',
@@ -62,6 +63,9 @@ export default defineConfig({
             }
           },
           {
+            // Cache opportuniste des tuiles consultées. Les packs hors-ligne
+            // des agents sont dans un cache dédié ('wattu-tile-packs', voir
+            // src/utils/tilePacks.js), non soumis à cette expiration
             urlPattern: /^https:\/\/tile\.openstreetmap\.org\/.*/i,
             handler: 'CacheFirst',
             options: {
@@ -99,6 +103,8 @@ export default defineConfig({
             }
           }
         ],
+        // Réception des notifications Web Push (voir public/push-sw.js)
+        importScripts: ['push-sw.js'],
         cleanupOutdatedCaches: true,
         skipWaiting: true,
         clientsClaim: true